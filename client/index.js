@@ -0,0 +1,473 @@
+/**
+ * Mancala Tournament client
+ *
+ * Everything a bot needs to play on a Mancala Tournament server: signing in
+ * with a password, fetching turns by polling or from the player's event
+ * stream, submitting moves, and retrying with backoff when the server is
+ * busy or unreachable. A bot can be as small as
+ *
+ *   runBot({ baseUrl, password, chooseMove: (board, legalMoves) => legalMoves[0] });
+ *
+ * Boards are oriented as in the HTTP API: the bot's pits are always
+ * 0 .. n-1 and its store is n. Needs Node 18 or later (for fetch).
+ */
+
+const DEFAULT_BASE_URL = 'http://localhost:3000';
+const DEFAULT_RETRIES = 5;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+const POLL_INTERVAL_MS = 1000;
+const SEEK_INTERVAL_MS = 2000;
+const FINISHED_POLL_INTERVAL_MS = 10000;
+
+// Resolves after `ms`, or as soon as `signal` is aborted
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function parseBody(text) {
+    try {
+        return text ? JSON.parse(text) : null;
+    } catch (error) {
+        return { error: text };
+    }
+}
+
+// Exponential backoff with full jitter for the `attempt`th retry (from 0)
+function backoffMs(attempt) {
+    return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+// Worth trying again later: the server is busy, failing or unreachable
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+// `code` is the server's machine-readable error code, e.g. NOT_YOUR_TURN
+class ApiError extends Error {
+    constructor(status, message, code) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Codes that mean a move came too late to matter: the turn was played or timed out
+const STALE_TURN_CODES = ['NOT_FOUND', 'NOT_YOUR_TURN', 'TURN_EXPIRED', 'STALE_TURN'];
+
+/**
+ * Pits the player can sow from on an oriented board.
+ * @returns {number[]}
+ */
+function legalMoves(board) {
+    const n = board.length / 2 - 1;
+    return [...Array(n).keys()].filter(pit => board[pit] > 0);
+}
+
+// Parse a server-sent event stream into { id, type, data } objects
+async function* readEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const event = { id: null, type: 'message', data: '' };
+            for (const line of block.split('\n')) {
+                if (line.startsWith(':')) continue; // Heartbeat
+                const [field, ...rest] = line.split(':');
+                const value = rest.join(':').replace(/^ /, '');
+                if (field === 'id') event.id = value;
+                else if (field === 'event') event.type = value;
+                else if (field === 'data') event.data += value;
+            }
+            if (event.data) yield { ...event, data: JSON.parse(event.data) };
+        }
+    }
+}
+
+/**
+ * Create a client that signs in with `password`, registering a new player
+ * the first time it is used. Without a password every sign-in creates a new
+ * player.
+ * @param {object} options
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.password] at least 16 characters
+ * @param {number} [options.retries] retries for busy or failing requests
+ */
+function createClient({ baseUrl = DEFAULT_BASE_URL, password, retries = DEFAULT_RETRIES } = {}) {
+    let session = null; // { id, token, expiresAt }
+    let signingIn = null;
+
+    // Concurrent callers share one sign-in, so a password-less client stays one player
+    function signIn() {
+        if (!signingIn) {
+            signingIn = (async () => {
+                const res = await fetch(`${baseUrl}/players`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(password ? { password } : {})
+                });
+                const data = parseBody(await res.text());
+                if (!res.ok) throw new ApiError(res.status, (data && data.error) || 'Sign in failed.', data && data.code);
+                session = data;
+                return session;
+            })().finally(() => { signingIn = null; });
+        }
+        return signingIn;
+    }
+
+    // Tokens are renewed shortly before they expire, which needs the password
+    async function ensureSession() {
+        const expiring = session && password && Date.parse(session.expiresAt) - Date.now() < 60000;
+        if (!session || expiring) await signIn();
+        return session;
+    }
+
+    /**
+     * Make an authenticated request. Signs in again once if the token is
+     * rejected, and retries with backoff while the server is busy, failing
+     * or unreachable.
+     * @returns {Promise<{ status: number, data: any }>} any other response
+     */
+    async function request(method, path, body) {
+        let signedInAgain = false;
+        for (let attempt = 0; ; attempt++) {
+            const { token } = await ensureSession();
+            let res;
+            try {
+                res = await fetch(baseUrl + path, {
+                    method,
+                    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                    body: body === undefined ? undefined : JSON.stringify(body)
+                });
+            } catch (error) {
+                if (attempt >= retries) throw error;
+                await sleep(backoffMs(attempt));
+                continue;
+            }
+            const data = parseBody(await res.text());
+            if (res.status === 401 && password && !signedInAgain) {
+                signedInAgain = true;
+                session = null;
+                continue;
+            }
+            if (isRetryable(res.status) && attempt < retries) {
+                await sleep(backoffMs(attempt));
+                continue;
+            }
+            return { status: res.status, data };
+        }
+    }
+
+    async function getJson(path) {
+        const { status, data } = await request('GET', path);
+        if (status !== 200) throw new ApiError(status, (data && data.error) || `GET ${path} failed (${status}).`, data && data.code);
+        return data;
+    }
+
+    /**
+     * Ask for a turn, which also keeps the player in the matchmaking pool and
+     * starts a new game when they have none.
+     * @param {object} [params] `variant`, `tournament`, `match` or `opponent` (see the HTTP API)
+     * @returns {Promise<{ turn: object|null, status: number, code?: string, error?: string }>}
+     *   `turn` is `{ gameId, turnId, variant, board, clock }` when there is one
+     */
+    async function getTurn(params = {}) {
+        const { id } = await ensureSession();
+        const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value != null));
+        const { status, data } = await request('GET', `/players/${id}/turns?${query}`);
+        if (status === 200) return { turn: data, status };
+        return { turn: null, status, code: data && data.code, error: data && (data.error || data.message) };
+    }
+
+    /**
+     * Play `pit` for a turn. The server accepts the same move for the same
+     * turn again, so the request is retried like any other.
+     * @returns {Promise<{ ok: boolean, status: number, code?: string, error?: string }>}
+     */
+    async function submitMove(turnId, pit) {
+        const { id } = await ensureSession();
+        const { status, data } = await request('POST', `/players/${id}/turns/${turnId}`, { pit });
+        return status === 200 ? { ok: true, status } : { ok: false, status, code: data && data.code, error: data && data.error };
+    }
+
+    // The player's record: lifetime wins, losses, draws, rating and per-variant pools
+    async function getStats() {
+        const { id } = await ensureSession();
+        return getJson(`/players/${id}`);
+    }
+
+    // Results by seat and opponent, margins, extra turns, captures and openings
+    async function getGameStats(variant) {
+        const { id } = await ensureSession();
+        return getJson(`/players/${id}/stats${variant ? `?variant=${encodeURIComponent(variant)}` : ''}`);
+    }
+
+    async function getRatingHistory(variant) {
+        const { id } = await ensureSession();
+        return getJson(`/players/${id}/ratings${variant ? `?variant=${encodeURIComponent(variant)}` : ''}`);
+    }
+
+    /**
+     * A page of the player's finished games, newest first, oriented for them.
+     * @returns {Promise<{ games: object[], nextCursor: string|null }>}
+     */
+    async function finishedGames({ limit = 20, cursor } = {}) {
+        const { id } = await ensureSession();
+        const query = new URLSearchParams({ status: 'finished', perspective: id, limit: String(limit) });
+        if (cursor) query.set('cursor', cursor);
+        return getJson(`/players/${id}/games?${query}`);
+    }
+
+    /**
+     * The player's event stream (your_turn, game_started, move_played,
+     * game_finished, resync), reconnecting and resuming where it left off
+     * until `signal` is aborted.
+     * @returns {AsyncGenerator<{ type: string, data: object }>}
+     */
+    async function* events({ signal } = {}) {
+        let lastEventId = null;
+        for (let attempt = 0; !(signal && signal.aborted); ) {
+            try {
+                const { id, token } = await ensureSession();
+                const headers = { Accept: 'text/event-stream', Authorization: `Bearer ${token}` };
+                if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+                const res = await fetch(`${baseUrl}/players/${id}/events`, { headers, signal });
+                if (res.status === 401 && password) {
+                    session = null;
+                } else if (!res.ok) {
+                    throw new ApiError(res.status, `Event stream failed (${res.status}).`);
+                } else {
+                    attempt = 0;
+                    for await (const event of readEvents(res.body)) {
+                        if (event.id) lastEventId = event.id;
+                        yield { type: event.type, data: event.data };
+                    }
+                }
+            } catch (error) {
+                if (signal && signal.aborted) return;
+                if (error instanceof ApiError && !isRetryable(error.status)) throw error;
+            }
+            await sleep(backoffMs(attempt++), signal);
+        }
+    }
+
+    return {
+        get playerId() { return session && session.id; },
+        signIn,
+        getTurn,
+        submitMove,
+        getStats,
+        getGameStats,
+        getRatingHistory,
+        finishedGames,
+        events
+    };
+}
+
+// A finished game from GET /players/:playerId/games, shaped like a game_finished event
+function finishedGame(game, playerId) {
+    const side = game.playerIds.indexOf(playerId);
+    const board = game.state.board; // Already oriented for the player
+    const n = board.length / 2 - 1;
+    const winner = game.state.winner !== undefined ? game.state.winner
+        : board[n] === board[2 * n + 1] ? null : board[n] > board[2 * n + 1] ? side : 1 - side;
+    return {
+        gameId: game.id,
+        result: winner === null ? 'draw' : winner === side ? 'win' : 'loss',
+        reason: game.state.reason || null,
+        board,
+        finishedAt: game.finishedAt || null
+    };
+}
+
+/**
+ * Play games until stopped.
+ * @param {object} options createClient options, plus:
+ * @param {function} options.chooseMove (board, legalMoves, clock, turn) => pit,
+ *   or a promise of it
+ * @param {string} [options.mode] 'push' (default) takes turns from the event
+ *   stream, 'poll' asks for them
+ * @param {string} [options.variant] variant to find games in
+ * @param {string} [options.tournament] only ask for turns in this tournament
+ * @param {string} [options.match] only ask for turns in this match
+ * @param {string} [options.opponent] only ask for games against this player
+ *   (in push mode every turn pushed to the player is played regardless)
+ * @param {function} [options.onGameFinished] called with `{ gameId, result,
+ *   reason, board, finishedAt }` for each finished game
+ * @param {function} [options.onError] called with errors the bot recovers from
+ * @returns {{ client: object, stats: object, stop: function, done: Promise }}
+ *   `stats` counts this run's games and moves
+ */
+function runBot({
+    chooseMove,
+    mode = 'push',
+    variant,
+    tournament,
+    match,
+    opponent,
+    onGameFinished = () => {},
+    onError = error => console.error(error.message),
+    ...clientOptions
+}) {
+    if (typeof chooseMove !== 'function') throw new TypeError('chooseMove must be a function.');
+    if (mode !== 'push' && mode !== 'poll') throw new TypeError("mode must be 'push' or 'poll'.");
+
+    const client = createClient(clientOptions);
+    const params = { variant, tournament, match, opponent };
+    const controller = new AbortController();
+    const stats = { startedAt: new Date().toISOString(), games: 0, wins: 0, draws: 0, losses: 0, moves: 0 };
+    // The same turn can arrive twice (from the stream and from asking), so
+    // each game's turns are played in order, once per position
+    const queues = new Map(); // Game ID -> { tail, positions }
+    const activeGames = new Set();
+    const reported = new Set(); // Finished game IDs already reported
+
+    const report = error => {
+        try {
+            onError(error);
+        } catch (ignored) {
+            // A failing error handler must not stop the bot
+        }
+    };
+
+    function play(turn) {
+        const gameId = turn.gameId;
+        if (!queues.has(gameId)) queues.set(gameId, { tail: Promise.resolve(), positions: new Set() });
+        const queue = queues.get(gameId);
+        const position = `${turn.turnId}|${turn.board.join(',')}`;
+        const run = () => {
+            if (queue.positions.has(position)) return;
+            queue.positions.add(position);
+            return playTurn(turn);
+        };
+        // A failed turn has already been reported; carry on with the next one
+        queue.tail = queue.tail.then(run, run);
+        return queue.tail;
+    }
+
+    async function playTurn(turn) {
+        const legal = legalMoves(turn.board);
+        let pit;
+        try {
+            pit = await chooseMove(turn.board, legal, turn.clock || null, turn);
+        } catch (error) {
+            report(error);
+        }
+        if (!legal.includes(pit)) {
+            report(new Error(`chooseMove returned ${pit}, which is not a legal pit; playing pit ${legal[0]} instead.`));
+            pit = legal[0];
+        }
+        const outcome = await client.submitMove(turn.turnId, pit);
+        if (outcome.ok) stats.moves++;
+        else if (!STALE_TURN_CODES.includes(outcome.code)) report(new ApiError(outcome.status, outcome.error, outcome.code));
+    }
+
+    function finished(game) {
+        activeGames.delete(game.gameId);
+        queues.delete(game.gameId);
+        if (reported.has(game.gameId)) return;
+        reported.add(game.gameId);
+        stats.games++;
+        stats[{ win: 'wins', draw: 'draws', loss: 'losses' }[game.result]]++;
+        Promise.resolve()
+            .then(() => onGameFinished(game))
+            .catch(report);
+    }
+
+    // Turns and results from the event stream; new games still start by asking for a turn
+    async function runPush() {
+        const seeker = (async () => {
+            while (!controller.signal.aborted) {
+                if (activeGames.size === 0) {
+                    try {
+                        const { turn } = await client.getTurn(params);
+                        if (turn) play(turn).catch(report);
+                    } catch (error) {
+                        report(error);
+                    }
+                }
+                await sleep(SEEK_INTERVAL_MS, controller.signal);
+            }
+        })();
+
+        try {
+            for await (const { type, data } of client.events({ signal: controller.signal })) {
+                if (type === 'game_started') activeGames.add(data.gameId);
+                else if (type === 'your_turn') {
+                    activeGames.add(data.gameId);
+                    play({ gameId: data.gameId, ...data }).catch(report);
+                } else if (type === 'game_finished') {
+                    finished(data);
+                } else if (type === 'resync') {
+                    // Events were missed; the turns waiting now follow
+                    activeGames.clear();
+                }
+            }
+        } finally {
+            // An event stream that failed for good stops the bot, seeker included
+            controller.abort();
+            await seeker;
+        }
+    }
+
+    // Ask for turns, and check for finished games now and then
+    async function runPoll() {
+        let lastFinishedCheck = 0;
+        const startedAt = Date.parse(stats.startedAt);
+        while (!controller.signal.aborted) {
+            let waitMs = POLL_INTERVAL_MS;
+            try {
+                const { turn, status } = await client.getTurn(params);
+                if (turn) {
+                    await play(turn);
+                    waitMs = 0;
+                } else if (isRetryable(status)) {
+                    waitMs = BACKOFF_MAX_MS;
+                }
+                if (Date.now() - lastFinishedCheck > FINISHED_POLL_INTERVAL_MS) {
+                    lastFinishedCheck = Date.now();
+                    const { games } = await client.finishedGames();
+                    games
+                        .filter(game => Date.parse(game.finishedAt) >= startedAt)
+                        .reverse()
+                        .forEach(game => finished(finishedGame(game, client.playerId)));
+                }
+            } catch (error) {
+                report(error);
+            }
+            if (waitMs) await sleep(waitMs, controller.signal);
+        }
+    }
+
+    const done = client.signIn()
+        .then(() => (mode === 'push' ? runPush() : runPoll()));
+
+    return {
+        client,
+        stats,
+        stop: () => controller.abort(),
+        done
+    };
+}
+
+module.exports = {
+    ApiError,
+    legalMoves,
+    createClient,
+    runBot
+};
@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ApiError, legalMoves, createClient, runBot } = require('..');
+
+const BASE_URL = 'http://mancala.test';
+const PASSWORD = 'a-long-secret-password';
+const SESSION = { id: 'me', token: 'token-1', expiresAt: '2999-01-01T00:00:00.000Z' };
+
+// Replace fetch for one test; `handle(method, path, init)` returns `{ status, body }`, a Response, or throws
+function fakeServer(t, handle) {
+    const calls = [];
+    t.mock.method(global, 'fetch', async (url, init = {}) => {
+        const method = init.method || 'GET';
+        const path = url.slice(BASE_URL.length);
+        calls.push({ method, path, body: init.body && JSON.parse(init.body), headers: init.headers });
+        const reply = await handle(method, path, init);
+        if (reply instanceof Response) return reply;
+        const body = reply.body === undefined ? null : JSON.stringify(reply.body);
+        return new Response(body, { status: reply.status });
+    });
+    return calls;
+}
+
+// Sign-ins succeed; everything else goes to `handle`
+function withSignIn(handle) {
+    return (method, path, init) => (method === 'POST' && path === '/players' ? { status: 201, body: SESSION } : handle(method, path, init));
+}
+
+// An event stream sending `events`, then staying open until the request is aborted
+function eventStream(events, signal) {
+    const text = events.map(({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+    return new Response(new ReadableStream({
+        start(controller) {
+            controller.enqueue(new TextEncoder().encode(`: heartbeat\n\n${text}`));
+            signal.addEventListener('abort', () => controller.error(new DOMException('Aborted', 'AbortError')));
+        }
+    }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const BOARD = [0, 2, 0, 1, 0, 0, 20, 3, 3, 3, 3, 3, 3, 10];
+
+test('legalMoves lists the non-empty pits on the player\'s side', () => {
+    assert.deepStrictEqual(legalMoves(BOARD), [1, 3]);
+    assert.deepStrictEqual(legalMoves([0, 0, 0, 9, 1, 1, 1, 0]), []);
+});
+
+test('concurrent requests share one sign-in', async t => {
+    const calls = fakeServer(t, withSignIn(() => ({ status: 200, body: { wins: 0 } })));
+    const client = createClient({ baseUrl: BASE_URL, password: PASSWORD });
+    await Promise.all([client.getStats(), client.getStats(), client.getGameStats('oware')]);
+    assert.strictEqual(calls.filter(call => call.path === '/players').length, 1);
+    assert.deepStrictEqual(calls[0].body, { password: PASSWORD });
+    assert.strictEqual(client.playerId, 'me');
+    assert.ok(calls.slice(1).every(call => call.headers.Authorization === 'Bearer token-1'));
+    assert.strictEqual(calls[3].path, '/players/me/stats?variant=oware');
+});
+
+test('requests retry busy and failing responses, then give up with the last one', async t => {
+    t.mock.method(Math, 'random', () => 0);
+    const statuses = [503, 429];
+    const calls = fakeServer(t, withSignIn(() => (statuses.length ? { status: statuses.shift(), body: { error: 'Busy' } } : { status: 200, body: { gameId: 'g1' } })));
+    const client = createClient({ baseUrl: BASE_URL, password: PASSWORD });
+    assert.deepStrictEqual(await client.getTurn(), { turn: { gameId: 'g1' }, status: 200 });
+    assert.strictEqual(calls.length, 4);
+
+    const failing = createClient({ baseUrl: BASE_URL, password: PASSWORD, retries: 2 });
+    fakeServer(t, withSignIn(() => ({ status: 500, body: { error: 'Broken', code: 'INTERNAL' } })));
+    assert.deepStrictEqual(await failing.submitMove('t1', 2), { ok: false, status: 500, code: 'INTERNAL', error: 'Broken' });
+    await assert.rejects(failing.getStats(), error => error instanceof ApiError && error.status === 500 && error.code === 'INTERNAL');
+});
+
+test('requests back off further on every retry', async t => {
+    // With the jitter fixed at 2%, the waits are 10, 20 and 40 ms
+    t.mock.method(Math, 'random', () => 0.02);
+    const calls = fakeServer(t, withSignIn(() => ({ status: 503 })));
+    const client = createClient({ baseUrl: BASE_URL, password: PASSWORD, retries: 3 });
+    await client.signIn();
+    const started = Date.now();
+    assert.strictEqual((await client.getTurn()).status, 503);
+    assert.ok(Date.now() - started >= 65);
+    assert.strictEqual(calls.length, 5);
+});
+
+test('requests retry network errors, then throw the last one', async t => {
+    t.mock.method(Math, 'random', () => 0);
+    let failures = 0;
+    fakeServer(t, withSignIn(() => {
+        failures++;
+        throw new TypeError('fetch failed');
+    }));
+    const client = createClient({ baseUrl: BASE_URL, password: PASSWORD, retries: 2 });
+    await assert.rejects(client.getStats(), /fetch failed/);
+    assert.strictEqual(failures, 3);
+});
+
+test('a rejected token signs in again once', async t => {
+    let signIns = 0;
+    fakeServer(t, (method, path, init) => {
+        if (path === '/players') return { status: 201, body: { ...SESSION, token: `token-${++signIns}` } };
+        return init.headers.Authorization === 'Bearer token-1' || signIns > 2
+            ? { status: 401, body: { error: 'Invalid token', code: 'INVALID_TOKEN' } }
+            : { status: 200, body: { wins: 3 } };
+    });
+    const client = createClient({ baseUrl: BASE_URL, password: PASSWORD });
+    assert.deepStrictEqual(await client.getStats(), { wins: 3 });
+    assert.strictEqual(signIns, 2);
+});
+
+test('runBot in poll mode plays turns and reports finished games', async t => {
+    const moves = [];
+    const finished = [];
+    const errors = [];
+    let turns = 1;
+    const game = {
+        id: 'g1',
+        playerIds: ['them', 'me'],
+        finishedAt: '2999-01-01T00:00:00.000Z',
+        // Oriented for 'me' in the second seat: 24 to 10, with no winner recorded
+        state: { board: [0, 0, 0, 0, 0, 0, 24, 0, 0, 0, 0, 0, 0, 10] }
+    };
+    fakeServer(t, withSignIn((method, path, init) => {
+        if (path.startsWith('/players/me/turns?')) {
+            return turns-- > 0 ? { status: 200, body: { gameId: 'g1', turnId: 't1', board: BOARD, clock: { remainingMs: 500 } } } : { status: 204 };
+        }
+        if (path === '/players/me/turns/t1') {
+            moves.push(JSON.parse(init.body).pit);
+            return { status: 200, body: {} };
+        }
+        if (path.startsWith('/players/me/games?')) return { status: 200, body: { games: [game], nextCursor: null } };
+        return { status: 404, body: { error: 'Not found' } };
+    }));
+    const bot = runBot({
+        baseUrl: BASE_URL,
+        password: PASSWORD,
+        mode: 'poll',
+        // Pit 0 is empty, so the first legal pit is played instead
+        chooseMove: (board, legal, clock) => {
+            assert.deepStrictEqual(legal, [1, 3]);
+            assert.deepStrictEqual(clock, { remainingMs: 500 });
+            return 0;
+        },
+        onGameFinished: result => {
+            finished.push(result);
+            bot.stop();
+        },
+        onError: error => errors.push(error.message)
+    });
+    await bot.done;
+    assert.deepStrictEqual(moves, [1]);
+    assert.deepStrictEqual(errors, ['chooseMove returned 0, which is not a legal pit; playing pit 1 instead.']);
+    assert.deepStrictEqual(finished, [{ gameId: 'g1', result: 'win', reason: null, board: game.state.board, finishedAt: game.finishedAt }]);
+    assert.deepStrictEqual(bot.stats.moves, 1);
+    assert.deepStrictEqual([bot.stats.games, bot.stats.wins], [1, 1]);
+});
+
+test('runBot in poll mode takes a recorded winner over the board, and reports level stores as a draw', async t => {
+    const games = [
+        { id: 'g1', playerIds: ['me', 'them'], finishedAt: '2999-01-01T00:00:01.000Z', state: { board: [0, 0, 0, 0, 0, 0, 18, 0, 0, 0, 0, 0, 0, 18] } },
+        // Forfeited on time while ahead on the board
+        { id: 'g2', playerIds: ['me', 'them'], finishedAt: '2999-01-01T00:00:00.000Z', state: { board: [0, 1, 0, 0, 0, 0, 30, 0, 0, 0, 0, 0, 0, 5], winner: 1, reason: 'timeout' } },
+        { id: 'g0', playerIds: ['me', 'them'], finishedAt: '2000-01-01T00:00:00.000Z', state: { board: BOARD } }
+    ];
+    fakeServer(t, withSignIn((method, path) => (path.startsWith('/players/me/games?') ? { status: 200, body: { games, nextCursor: null } } : { status: 204 })));
+    const finished = [];
+    const bot = runBot({
+        baseUrl: BASE_URL,
+        password: PASSWORD,
+        mode: 'poll',
+        chooseMove: () => 0,
+        onGameFinished: game => {
+            finished.push(game);
+            if (finished.length === 2) bot.stop();
+        }
+    });
+    await bot.done;
+    // Oldest first, and games finished before the bot started are left out
+    assert.deepStrictEqual(finished.map(game => [game.gameId, game.result, game.reason]), [['g2', 'loss', 'timeout'], ['g1', 'draw', null]]);
+});
+
+test('runBot in push mode plays pushed turns once and reports finished games', async t => {
+    const moves = [];
+    const turn = { gameId: 'g1', turnId: 't1', board: BOARD };
+    fakeServer(t, withSignIn((method, path, init) => {
+        if (path === '/players/me/events') {
+            return eventStream([
+                { id: '1', type: 'game_started', data: { gameId: 'g1' } },
+                { id: '2', type: 'your_turn', data: turn },
+                { id: '3', type: 'your_turn', data: turn },
+                { id: '4', type: 'game_finished', data: { gameId: 'g1', result: 'loss', reason: null, board: BOARD, finishedAt: null } }
+            ], init.signal);
+        }
+        if (path.startsWith('/players/me/turns?')) return { status: 204 };
+        if (path === '/players/me/turns/t1') {
+            moves.push(JSON.parse(init.body).pit);
+            return { status: 200, body: {} };
+        }
+        return { status: 404, body: { error: 'Not found' } };
+    }));
+    const finished = [];
+    const bot = runBot({
+        baseUrl: BASE_URL,
+        password: PASSWORD,
+        chooseMove: (board, legal) => legal[legal.length - 1],
+        onGameFinished: game => {
+            finished.push(game.result);
+            bot.stop();
+        }
+    });
+    await bot.done;
+    assert.deepStrictEqual(moves, [3]);
+    assert.deepStrictEqual(finished, ['loss']);
+    assert.deepStrictEqual([bot.stats.games, bot.stats.losses, bot.stats.moves], [1, 1, 1]);
+});
+
+test('runBot in push mode resumes the event stream where it left off', async t => {
+    t.mock.method(Math, 'random', () => 0);
+    const lastEventIds = [];
+    fakeServer(t, withSignIn((method, path, init) => {
+        if (path === '/players/me/events') {
+            lastEventIds.push(init.headers['Last-Event-ID'] || null);
+            // The first stream drops after one event
+            if (lastEventIds.length === 1) return new Response('id: 7\nevent: game_started\ndata: {"gameId":"g1"}\n\n', { status: 200 });
+            return eventStream([{ id: '8', type: 'game_finished', data: { gameId: 'g1', result: 'win' } }], init.signal);
+        }
+        return { status: 204 };
+    }));
+    const bot = runBot({ baseUrl: BASE_URL, password: PASSWORD, chooseMove: () => 0, onGameFinished: () => bot.stop() });
+    await bot.done;
+    assert.deepStrictEqual(lastEventIds, [null, '7']);
+});
+
+test('runBot in push mode stops seeking games when the event stream fails for good', async t => {
+    let turnRequests = 0;
+    fakeServer(t, withSignIn(async (method, path) => {
+        if (path === '/players/me/events') return { status: 403, body: { error: 'Barred', code: 'FORBIDDEN' } };
+        turnRequests++;
+        await sleep(20);
+        return { status: 204 };
+    }));
+    const bot = runBot({ baseUrl: BASE_URL, password: PASSWORD, chooseMove: () => 0 });
+    await assert.rejects(bot.done, error => error instanceof ApiError && error.status === 403);
+    const requests = turnRequests;
+    // Past the seeker's next look for a game
+    await sleep(2200);
+    assert.strictEqual(turnRequests, requests);
+});
+
+test('runBot rejects bad options', () => {
+    assert.throws(() => runBot({}), /chooseMove must be a function/);
+    assert.throws(() => runBot({ chooseMove: () => 0, mode: 'carrier-pigeon' }), /mode must be 'push' or 'poll'/);
+});
@@ -0,0 +1,135 @@
+/**
+ * Admin actions
+ *
+ * Moderation (bans and suspensions), voiding finished games and season
+ * resets. Ending active games by decision lives with the rest of the game
+ * flow in server.js. Every action is written to the audit log as
+ *
+ *   { id, action, targetType, targetId, actor, reason, details, timestamp }
+ */
+
+const { randomUUID } = require('crypto');
+const { DEFAULT_SCORE, reverseRatings } = require('./ratings');
+const { gameVariant } = require('./games');
+const { reverseSeasonGame } = require('./seasons');
+const { withLock } = require('./locks');
+const { barredReason } = require('./auth');
+const { disconnectPlayer } = require('./botSocket');
+
+// Record an admin action; `actor` is whoever the admin said they were
+async function audit(storage, { action, targetType, targetId = null, actor, reason, details = {} }) {
+    const entry = {
+        id: randomUUID(),
+        action,
+        targetType,
+        targetId,
+        actor: actor || 'admin',
+        reason: reason || null,
+        details,
+        timestamp: new Date().toISOString()
+    };
+    await storage.addAuditEntry(entry);
+    return entry;
+}
+
+/**
+ * Bar a player from playing: for good, or until `until` (an ISO timestamp).
+ * They are dropped from the matchmaking pool and their WebSocket connections
+ * closed; games already running go on until they time out.
+ */
+async function barPlayer(storage, player, until = null) {
+    const fields = until
+        ? { suspendedUntil: until }
+        : { bannedAt: new Date().toISOString(), suspendedUntil: null };
+    await storage.updatePlayer(player.id, fields);
+    await storage.removeActivePlayer(player.id);
+    const barred = { ...player, ...fields };
+    disconnectPlayer(player.id, barredReason(barred));
+    return barred;
+}
+
+async function reinstatePlayer(storage, player) {
+    const fields = { bannedAt: null, suspendedUntil: null };
+    await storage.updatePlayer(player.id, fields);
+    return { ...player, ...fields };
+}
+
+// When ratings were last reset, or null
+async function lastResetAt(storage) {
+    const resets = (await storage.listSeasons()).filter(season => season.type === 'reset');
+    return resets.reduce((latest, season) => (latest && latest > season.endedAt ? latest : season.endedAt), null);
+}
+
+/**
+ * Void a finished game: reverse its rating changes, all-time and in its
+ * season, and mark it `voided`. Tournament results that counted it stay
+ * as they are; match summaries leave it out from then on. Games counted in a season that has since closed
+ * can't be voided, as its final standings are kept. A game rated before the
+ * last season reset is voided without touching ratings: the ones it changed
+ * were archived and everyone started again.
+ * @returns {Promise<{ game: object, ratingsReversed: boolean } | { error: string }>}
+ */
+async function voidGame(storage, game) {
+    // Season first: if it has just closed, nothing has been changed yet
+    if (!(await reverseSeasonGame(storage, game))) {
+        return { error: 'Game counted in a season that has closed; its standings are final.' };
+    }
+    const ratingsReversed = game.rated !== false &&
+        await reverseRatings(storage, game, gameVariant(game).name, await lastResetAt(storage));
+    const fields = { voided: true, voidedAt: new Date().toISOString() };
+    await storage.updateArchivedGame(game.id, fields);
+    return { game: { ...game, ...fields }, ratingsReversed };
+}
+
+/**
+ * End the current season: archive every rated player's ratings and records,
+ * in all variants, then start everyone again from the default rating.
+ * Ladder seasons (see seasons.js) have ratings of their own and carry on.
+ * @returns {Promise<object>} the archived season
+ */
+async function resetSeason(storage, name) {
+    const endedAt = new Date().toISOString();
+    const players = (await storage.listPlayers())
+        .filter(player => player.lastPlayedAt || Object.keys(player.pools || {}).length > 0);
+
+    const season = {
+        id: randomUUID(),
+        type: 'reset',
+        name: name || `Season ending ${endedAt.slice(0, 10)}`,
+        endedAt,
+        standings: players
+            .map(({ id, score, elo, glicko, wins, losses, draws, pools }) => ({
+                playerId: id,
+                score,
+                elo: elo != null ? elo : null,
+                glicko: glicko || null,
+                wins: wins || 0,
+                losses: losses || 0,
+                draws: draws || 0,
+                pools: pools || {}
+            }))
+            .sort((a, b) => (b.score || 0) - (a.score || 0))
+    };
+    await storage.putSeason(season);
+
+    for (const player of players) {
+        await withLock(`player:${player.id}`, () => storage.updatePlayer(player.id, {
+            score: DEFAULT_SCORE,
+            elo: null,
+            glicko: null,
+            wins: 0,
+            losses: 0,
+            draws: 0,
+            pools: {}
+        }));
+    }
+    return season;
+}
+
+module.exports = {
+    audit,
+    barPlayer,
+    reinstatePlayer,
+    voidGame,
+    resetSeason
+};
@@ -0,0 +1,334 @@
+/**
+ * Position analysis
+ *
+ * Evaluates every legal move in a position: iterative deepening negamax
+ * with alpha-beta pruning and a transposition table, stopped when the time
+ * limit runs out. Positions with few seeds left in the pits are solved
+ * outright and kept in an endgame table shared by every search.
+ *
+ * Values are in seeds: the store difference, for the side to move, that the
+ * game ends with if both sides play on perfectly. An `exact` value was
+ * searched to the end of the game; the others are the store difference at
+ * the search horizon, so only an estimate.
+ *
+ * What a position is worth from here on depends only on the seeds in the
+ * pits and whose move it is, not on the stores, which is what the tables
+ * are keyed on. Boards are in the usual format (side 0's pits, side 0's
+ * store, side 1's pits, side 1's store) and pits are board indexes.
+ */
+
+const rules = require('./rules');
+const { initialBoard } = require('./variants');
+const { withLock } = require('./locks');
+
+const DEFAULT_TIME_MS = 300;
+const MAX_TIME_MS = 1000;      // Searches run on the server's event loop
+const DEFAULT_MOVE_TIME_MS = 100;
+const MAX_SEARCH_DEPTH = 64;
+const ENDGAME_SEEDS = 8;       // Positions with at most this many seeds in the pits are solved outright
+const MAX_ENDGAME_ENTRIES = 500000;
+const MAX_ENDGAME_TABLES = 3;  // Variants with a table at once; custom variants would otherwise add one each
+const MAX_TABLE_ENTRIES = 200000;
+const TIME_CHECK_NODES = 1024;
+const MAX_QUEUED_SEARCHES = 8; // Running or waiting; more are turned away
+
+// Seeds lost against the best move for each grade of mistake
+const INACCURACY = 2;
+const MISTAKE = 4;
+const BLUNDER = 8;
+const MAX_MISTAKES_LISTED = 5;
+
+const EXACT = 0;
+const LOWER = 1;
+const UPPER = 2;
+
+const OUT_OF_TIME = Symbol('out of time');
+
+// Endgame tables by variant name, kept across searches
+const endgames = new Map();
+let queuedSearches = 0;
+
+function positionKey(board, side) {
+    const stores = [rules.storeIndex(board, 0), rules.storeIndex(board, 1)];
+    return side + ':' + board.filter((_, i) => !stores.includes(i)).join(',');
+}
+
+function seedsInPits(board) {
+    const [own, opponent] = rules.scores(board);
+    return board.reduce((sum, seeds) => sum + seeds, 0) - own - opponent;
+}
+
+// Store difference for `side`
+function storeLead(board, side) {
+    const [own, opponent] = rules.scores(board);
+    return side === 0 ? own - opponent : opponent - own;
+}
+
+// Seeds `side` gains over the opponent from `before` to `after`
+function gainOf(before, after, side) {
+    return storeLead(after, side) - storeLead(before, side);
+}
+
+function tick(context) {
+    context.nodes++;
+    if (context.nodes % TIME_CHECK_NODES === 0 && Date.now() > context.deadline) throw OUT_OF_TIME;
+}
+
+/**
+ * Search context for one variant. Its transposition table can be reused for
+ * several positions of the same game.
+ */
+function createContext(variant) {
+    // Without sowing into the stores (as in Oware) seeds can go round forever,
+    // so only Kalah-style games get an endgame table
+    let endgame = null;
+    if (variant.sowStores) {
+        endgame = endgames.get(variant.name) || new Map();
+        // Most recently used last, so the first is the one to drop
+        endgames.delete(variant.name);
+        endgames.set(variant.name, endgame);
+        if (endgames.size > MAX_ENDGAME_TABLES) endgames.delete(endgames.keys().next().value);
+    }
+    return { variant, endgame, table: new Map(), nodes: 0, deadline: Infinity };
+}
+
+function remember(table, key, value, limit) {
+    if (table.size >= limit) table.clear();
+    table.set(key, value);
+}
+
+// Exact value of the rest of the game, solving and storing every position on the way
+function endgameValue(board, side, context) {
+    const key = positionKey(board, side);
+    const known = context.endgame.get(key);
+    if (known !== undefined) return known;
+    tick(context);
+
+    let best = -Infinity;
+    for (const pit of rules.legalMoves(board, side)) {
+        const result = rules.applyMove(board, side, pit, context.variant);
+        const gain = gainOf(board, result.board, side);
+        let value = gain;
+        if (!result.finished) {
+            value = result.nextSide === side
+                ? gain + endgameValue(result.board, side, context)
+                : gain - endgameValue(result.board, 1 - side, context);
+        }
+        best = Math.max(best, value);
+    }
+    remember(context.endgame, key, best, MAX_ENDGAME_ENTRIES);
+    return best;
+}
+
+/**
+ * Negamax value of the rest of the game for `side`, searching `depth` moves
+ * ahead (an extra turn uses one up). `solved` is set when no line was cut
+ * short by the depth, so the value holds at any depth.
+ */
+function negamax(board, side, depth, alpha, beta, context) {
+    if (context.endgame && seedsInPits(board) <= ENDGAME_SEEDS) {
+        return { value: endgameValue(board, side, context), solved: true };
+    }
+    if (depth === 0) return { value: 0, solved: false };
+    tick(context);
+
+    const key = positionKey(board, side);
+    const entry = context.table.get(key);
+    if (entry && (entry.solved || entry.depth >= depth)) {
+        if (entry.flag === EXACT ||
+            (entry.flag === LOWER && entry.value >= beta) ||
+            (entry.flag === UPPER && entry.value <= alpha)) {
+            return { value: entry.value, solved: entry.solved };
+        }
+    }
+
+    // The best move found before goes first, for earlier cut-offs
+    const moves = rules.legalMoves(board, side);
+    if (entry && moves.includes(entry.pit)) {
+        moves.splice(moves.indexOf(entry.pit), 1);
+        moves.unshift(entry.pit);
+    }
+
+    const originalAlpha = alpha;
+    let best = -Infinity;
+    let bestPit = moves[0];
+    let solved = true;
+    for (const pit of moves) {
+        const result = rules.applyMove(board, side, pit, context.variant);
+        const gain = gainOf(board, result.board, side);
+        let value = gain;
+        if (!result.finished) {
+            const child = result.nextSide === side
+                ? negamax(result.board, side, depth - 1, alpha - gain, beta - gain, context)
+                : negamax(result.board, 1 - side, depth - 1, gain - beta, gain - alpha, context);
+            value = result.nextSide === side ? gain + child.value : gain - child.value;
+            solved = solved && child.solved;
+        }
+        if (value > best) {
+            best = value;
+            bestPit = pit;
+        }
+        alpha = Math.max(alpha, value);
+        if (alpha >= beta) break;
+    }
+
+    const flag = best <= originalAlpha ? UPPER : best >= beta ? LOWER : EXACT;
+    if (!(entry && entry.solved && entry.flag === EXACT && !solved)) {
+        remember(context.table, key, { value: best, flag, depth, solved, pit: bestPit }, MAX_TABLE_ENTRIES);
+    }
+    return { value: best, solved };
+}
+
+/**
+ * Evaluate every legal move for `side`, deepening the search until every
+ * value is exact or time runs out.
+ * @returns {{ value: number, exact: boolean, bestPits: number[], depth: number,
+ *   nodes: number, moves: { pit: number, value: number, exact: boolean }[] }}
+ *   moves best first
+ */
+function analyzePosition(board, side, variant, { timeMs = DEFAULT_TIME_MS, context = createContext(variant) } = {}) {
+    const pits = rules.legalMoves(board, side);
+    if (pits.length === 0) throw new Error(`Side ${side} has no legal moves.`);
+    const deadline = Date.now() + timeMs;
+    context.nodes = 0;
+    const lead = storeLead(board, side);
+
+    // Depth 1 is just what each move gains at once
+    let moves = pits.map(pit => {
+        const result = rules.applyMove(board, side, pit, variant);
+        return { pit, value: lead + gainOf(board, result.board, side), exact: result.finished };
+    });
+    let depth = 1;
+    context.deadline = deadline;
+    for (let d = 2; d <= MAX_SEARCH_DEPTH && !moves.every(move => move.exact); d++) {
+        let evaluated;
+        try {
+            evaluated = pits.map(pit => {
+                const result = rules.applyMove(board, side, pit, variant);
+                const gain = gainOf(board, result.board, side);
+                if (result.finished) return { pit, value: lead + gain, exact: true };
+                const child = result.nextSide === side
+                    ? negamax(result.board, side, d - 1, -Infinity, Infinity, context)
+                    : negamax(result.board, 1 - side, d - 1, -Infinity, Infinity, context);
+                const value = result.nextSide === side ? gain + child.value : gain - child.value;
+                return { pit, value: lead + value, exact: child.solved };
+            });
+        } catch (error) {
+            if (error !== OUT_OF_TIME) throw error;
+            break; // Keep the last depth searched in full
+        }
+        moves = evaluated;
+        depth = d;
+        if (Date.now() > deadline) break;
+    }
+
+    moves.sort((a, b) => b.value - a.value || a.pit - b.pit);
+    const best = moves[0].value;
+    return {
+        value: best,
+        exact: moves.every(move => move.exact),
+        bestPits: moves.filter(move => move.value === best).map(move => move.pit),
+        depth,
+        nodes: context.nodes,
+        moves
+    };
+}
+
+function classify(loss) {
+    if (loss >= BLUNDER) return 'blunder';
+    if (loss >= MISTAKE) return 'mistake';
+    if (loss >= INACCURACY) return 'inaccuracy';
+    return loss === 0 ? 'best' : 'good';
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Analyse every move of a game: the value of the move played against the
+ * best one, and how much it gave away. Yields to the event loop between
+ * positions, so other requests go on while a long game is analysed.
+ * @param {number} [options.timeMs] search time for each position
+ */
+async function annotateGame(game, variant, { timeMs = DEFAULT_MOVE_TIME_MS } = {}) {
+    const context = createContext(variant);
+    const annotated = [];
+    let board = initialBoard(variant);
+
+    for (const [index, move] of (game.history || []).entries()) {
+        const side = game.playerIds.indexOf(move.player);
+        const legal = rules.legalMoves(board, side);
+        const annotation = { ply: index + 1, playerId: move.player, pit: move.pit };
+        if (move.auto) annotation.auto = true;
+
+        if (legal.length === 1) {
+            Object.assign(annotation, { forced: true, loss: 0, classification: 'best' });
+        } else {
+            const analysis = analyzePosition(board, side, variant, { timeMs, context });
+            const played = analysis.moves.find(m => m.pit === move.pit);
+            const loss = analysis.value - played.value;
+            Object.assign(annotation, {
+                value: played.value,
+                bestValue: analysis.value,
+                bestPits: analysis.bestPits,
+                exact: played.exact && analysis.exact,
+                loss,
+                classification: classify(loss)
+            });
+        }
+        annotated.push(annotation);
+        board = move.board;
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    // Auto-moves played on a timeout aren't the player's choice, so they don't count
+    const players = game.playerIds.map(playerId => {
+        const own = annotated.filter(a => a.playerId === playerId && !a.auto);
+        const count = grade => own.filter(a => a.classification === grade).length;
+        const totalLoss = own.reduce((sum, a) => sum + a.loss, 0);
+        return {
+            playerId,
+            moves: own.length,
+            bestMoves: count('best'),
+            accuracy: own.length ? round(100 * count('best') / own.length) : null,
+            averageLoss: own.length ? round(totalLoss / own.length) : null,
+            inaccuracies: count('inaccuracy'),
+            mistakes: count('mistake'),
+            blunders: count('blunder')
+        };
+    });
+
+    const mistakes = annotated
+        .filter(a => !a.auto && a.loss >= INACCURACY)
+        .sort((a, b) => b.loss - a.loss || a.ply - b.ply)
+        .slice(0, MAX_MISTAKES_LISTED);
+
+    return { players, mistakes, moves: annotated };
+}
+
+/**
+ * Run `search` once every earlier one has finished, so only one search at a
+ * time holds up the event loop and other requests are served in between.
+ * @returns {Promise<*>} what `search` returns, or null if too many searches
+ *   are already queued
+ */
+async function queueSearch(search) {
+    if (queuedSearches >= MAX_QUEUED_SEARCHES) return null;
+    queuedSearches++;
+    try {
+        return await withLock('analysis', async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            return search();
+        });
+    } finally {
+        queuedSearches--;
+    }
+}
+
+module.exports = {
+    DEFAULT_TIME_MS,
+    MAX_TIME_MS,
+    DEFAULT_MOVE_TIME_MS,
+    analyzePosition,
+    annotateGame,
+    queueSearch
+};
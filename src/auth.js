@@ -0,0 +1,219 @@
+/**
+ * Player authentication
+ *
+ * Passwords are stored as a salted scrypt hash for verification, plus an
+ * HMAC lookup key so a player can be found by password without a scan.
+ * Signing in returns a bearer token:
+ *
+ *   base64url(JSON { sub: playerId, ver: passwordVersion, exp }) + '.' + base64url(HMAC)
+ *
+ * Rotating the password bumps the player's passwordVersion, which invalidates
+ * every token issued before.
+ *
+ * Tokens and lookup keys are signed with AUTH_SECRET. If it is not set a
+ * random secret is used, so tokens stop working and players can no longer be
+ * found by password when the server restarts. That is only allowed with
+ * storage that doesn't outlive the process (see checkAuthSecret).
+ *
+ * Banned and suspended players are refused even with a valid token. The
+ * admin API takes ADMIN_TOKEN as its bearer token, and is off without one.
+ */
+
+const { createHmac, randomBytes, scrypt, timingSafeEqual } = require('crypto');
+const { promisify } = require('util');
+const { sendError } = require('./errors');
+const logger = require('./logger');
+
+const AUTH_SECRET = process.env.AUTH_SECRET || randomBytes(32).toString('hex');
+const TOKEN_TTL_SECONDS = Number(process.env.TOKEN_TTL_SECONDS) || 24 * 60 * 60;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const MIN_PASSWORD_LENGTH = 16;
+
+// Hashing takes tens of milliseconds, so it runs off the event loop
+const scryptAsync = promisify(scrypt);
+
+if (!process.env.AUTH_SECRET) {
+    logger.warn('AUTH_SECRET is not set; using a random secret, so tokens and password sign-ins will not survive a restart.');
+}
+
+/**
+ * Refuse to run without AUTH_SECRET on storage that outlives the process:
+ * after a restart, signing in with a stored player's password would not find
+ * them and would create a new player instead.
+ */
+function checkAuthSecret(storage) {
+    if (!process.env.AUTH_SECRET && storage.persistent) {
+        throw new Error(`AUTH_SECRET must be set with ${storage.name} storage, or players could not sign in by password after a restart.`);
+    }
+}
+
+function hmac(value) {
+    return createHmac('sha256', AUTH_SECRET).update(value).digest('base64url');
+}
+
+// Stored form of a password: scrypt$salt$hash
+async function hashPassword(password) {
+    const salt = randomBytes(16).toString('base64url');
+    const hash = (await scryptAsync(password, salt, 32)).toString('base64url');
+    return `scrypt$${salt}$${hash}`;
+}
+
+async function verifyPassword(password, stored) {
+    if (typeof stored !== 'string') return false;
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scryptAsync(password, salt, expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+// Deterministic key for finding a player by password
+function passwordLookupKey(password) {
+    return hmac(`password:${password}`);
+}
+
+// Player fields to store for a new or rotated password
+async function passwordFields(password, previousVersion = 0) {
+    return {
+        passwordHash: await hashPassword(password),
+        passwordKey: passwordLookupKey(password),
+        passwordVersion: previousVersion + 1
+    };
+}
+
+/**
+ * Bearer token for a player.
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function issueToken(player) {
+    const exp = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
+    const payload = Buffer.from(JSON.stringify({
+        sub: player.id,
+        ver: player.passwordVersion || 0,
+        exp
+    })).toString('base64url');
+    return {
+        token: `${payload}.${hmac(payload)}`,
+        expiresAt: new Date(exp * 1000).toISOString()
+    };
+}
+
+// Token payload if the signature is valid and it hasn't expired, else null
+function readToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(hmac(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    if (typeof claims.exp !== 'number' || claims.exp < Date.now() / 1000) return null;
+    return claims;
+}
+
+// Player record without any password material
+function publicPlayer(player) {
+    const { password, passwordHash, passwordKey, passwordVersion, ...rest } = player;
+    return rest;
+}
+
+// Why a player may not play right now (banned or suspended), or null
+function barredReason(player, now = Date.now()) {
+    if (player.bannedAt) return 'Player is banned.';
+    if (player.suspendedUntil && Date.parse(player.suspendedUntil) > now) {
+        return `Player is suspended until ${player.suspendedUntil}.`;
+    }
+    return null;
+}
+
+// The player a token was issued to, or null if it is invalid, expired or
+// revoked, or the player is barred from playing
+async function playerFromToken(storage, token) {
+    const claims = readToken(token);
+    if (!claims) return null;
+    const player = await storage.getPlayer(claims.sub);
+    if (!player || (player.passwordVersion || 0) !== claims.ver || barredReason(player)) return null;
+    return player;
+}
+
+// Bearer token from the Authorization header, or ?token= for EventSource clients
+function tokenFromRequest(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (match) return match[1];
+    return typeof req.query.token === 'string' ? req.query.token : null;
+}
+
+/**
+ * Express middleware: requires a valid token for the player named by
+ * `getPlayerId(req)` (by default the :playerId route parameter) and sets
+ * `req.player`.
+ */
+function requirePlayer(storage, getPlayerId = req => req.params.playerId) {
+    return async (req, res, next) => {
+        try {
+            const claims = readToken(tokenFromRequest(req));
+            if (!claims) {
+                return sendError(res, 'INVALID_TOKEN', 'Missing or invalid bearer token.');
+            }
+            if (claims.sub !== getPlayerId(req)) {
+                return sendError(res, 'FORBIDDEN', 'Token does not belong to this player.');
+            }
+            const player = await storage.getPlayer(claims.sub);
+            if (!player || (player.passwordVersion || 0) !== claims.ver) {
+                return sendError(res, 'INVALID_TOKEN', 'Token is no longer valid.');
+            }
+            const barred = barredReason(player);
+            if (barred) {
+                return sendError(res, 'FORBIDDEN', barred);
+            }
+            req.player = player;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// Whether the request's bearer token (in the Authorization header only) is ADMIN_TOKEN
+function isAdminRequest(req) {
+    if (!ADMIN_TOKEN) return false;
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    // Compare digests so the comparison takes the same time whatever the length
+    return Boolean(match) && timingSafeEqual(Buffer.from(hmac(match[1])), Buffer.from(hmac(ADMIN_TOKEN)));
+}
+
+/**
+ * Express middleware for the admin API: requires ADMIN_TOKEN as the bearer
+ * token.
+ */
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return sendError(res, 'FORBIDDEN', 'The admin API is disabled; set ADMIN_TOKEN to enable it.');
+    }
+    if (!isAdminRequest(req)) {
+        return sendError(res, 'INVALID_TOKEN', 'Missing or invalid admin token.');
+    }
+    next();
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    checkAuthSecret,
+    verifyPassword,
+    passwordLookupKey,
+    passwordFields,
+    issueToken,
+    readToken,
+    playerFromToken,
+    publicPlayer,
+    barredReason,
+    requirePlayer,
+    isAdminRequest,
+    requireAdmin
+};
@@ -0,0 +1,217 @@
+/**
+ * WebSocket bot protocol
+ *
+ * Bots can connect to ws://<host>/bots instead of polling for turns. Every
+ * message is a JSON object with a `type`. The client starts with
+ *
+ *   { type: 'hello', token }                  -> { type: 'welcome', playerId }
+ *
+ * and the server then pushes a turn whenever one of the player's games is
+ * waiting on them, for any number of games at once:
+ *
+ *   { type: 'turn', gameId, turnId, variant, board, clock }
+ *   { type: 'game_over', gameId, result, reason }
+ *
+ * Boards are oriented as in the HTTP API. The client replies with
+ *
+ *   { type: 'move', turnId, pit, ref }        -> { type: 'move_ok', turnId, ref }
+ *   { type: 'seek', variant }                 -> { type: 'seeking', variant }
+ *   { type: 'unseek' }                        -> { type: 'unseeking' }
+ *
+ * where `ref` is optional and echoed back. While seeking, the player stays
+ * in the matchmaking queue and a new casual game is started whenever they
+ * have none in that variant. Problems are reported as
+ * { type: 'error', error, code, status, ref }, with the codes and statuses of
+ * the HTTP API (see errors.js).
+ */
+
+const { WebSocketServer } = require('ws');
+const { playerFromToken } = require('./auth');
+const { resolveVariant } = require('./variants');
+const { gameVariant } = require('./games');
+const matchmaking = require('./matchmaking');
+const { subscribe, isForPlayer, playerView, waitingTurns } = require('./events');
+const { ERROR_CODES } = require('./errors');
+const { validateValue } = require('./validation');
+const { schemas } = require('./schemas');
+const logger = require('./logger');
+
+const PATH = '/bots';
+const SEEK_INTERVAL_MS = 2000;
+const PING_INTERVAL_MS = 30000;
+
+// Open connections by player: each one's function to close it
+const connections = new Map();
+
+/**
+ * Close every open connection of a player who has just been banned or
+ * suspended; their token is refused from then on, so they can't reconnect.
+ */
+function disconnectPlayer(playerId, reason) {
+    for (const disconnect of connections.get(playerId) || []) disconnect(reason);
+}
+
+/**
+ * Accept bot connections on an HTTP server.
+ * @param {object} options
+ * @param {object} options.storage
+ * @param {function} options.submitMove (playerId, turnId, pit) => { status, code, error }
+ */
+function attachBotSocket(server, { storage, submitMove }) {
+    const wss = new WebSocketServer({ server, path: PATH });
+
+    // Drop connections that stop answering pings
+    const pinger = setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (!socket.isAlive) return socket.terminate();
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, PING_INTERVAL_MS);
+    pinger.unref();
+    wss.on('close', () => clearInterval(pinger));
+
+    wss.on('connection', socket => {
+        socket.isAlive = true;
+        socket.on('pong', () => { socket.isAlive = true; });
+
+        let playerId = null;
+        let unsubscribe = null;
+        let seek = null;
+
+        function send(message) {
+            if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+        }
+
+        function sendError(code, error, extra = {}) {
+            send({ type: 'error', code, status: ERROR_CODES[code], error, ...extra });
+        }
+
+        function sendEvent(event) {
+            const data = playerView(event, playerId);
+            if (event.type === 'your_turn') {
+                send({ type: 'turn', gameId: event.gameId, ...data });
+            } else if (event.type === 'game_finished') {
+                send({ type: 'game_over', gameId: event.gameId, result: data.result, reason: data.reason });
+            }
+        }
+
+        function stopSeeking() {
+            if (seek) clearInterval(seek.timer);
+            seek = null;
+        }
+
+        // Close the connection of a player barred while connected
+        function disconnect(reason) {
+            stopSeeking();
+            sendError('FORBIDDEN', reason);
+            socket.close(4403, 'Forbidden');
+        }
+
+        // Keep the player queued and start a casual game when they have none in the variant
+        async function seekGame() {
+            const current = seek;
+            if (!current) return;
+            const { variant } = current;
+            await matchmaking.touch(storage, playerId, variant.name);
+            const playing = (await storage.listGamesForPlayer(playerId))
+                .some(g => g.state.status === 'active' && !g.tournamentId && !g.matchId && gameVariant(g).name === variant.name);
+            if (!playing) await matchmaking.startMatch(storage, playerId, variant);
+        }
+
+        async function hello(message) {
+            if (playerId) return sendError('CONFLICT', 'Already signed in.');
+            const player = await playerFromToken(storage, message.token);
+            if (!player) {
+                sendError('INVALID_TOKEN', 'Missing or invalid token.');
+                return socket.close(4401, 'Unauthorized');
+            }
+            playerId = player.id;
+            if (!connections.has(playerId)) connections.set(playerId, new Set());
+            connections.get(playerId).add(disconnect);
+            unsubscribe = subscribe(event => {
+                if (isForPlayer(event, playerId)) sendEvent(event);
+            });
+            send({ type: 'welcome', playerId });
+            (await waitingTurns(storage, playerId)).forEach(sendEvent);
+        }
+
+        async function handle(message) {
+            if (message.type === 'hello') return hello(message);
+            if (!playerId) {
+                return sendError('INVALID_TOKEN', 'Send hello with a token first.', { ref: message.ref });
+            }
+
+            if (message.type === 'move') {
+                const problems = [
+                    ...validateValue(schemas.uuid, message.turnId, 'turnId'),
+                    ...validateValue(schemas.pit, message.pit, 'pit')
+                ];
+                if (problems.length) {
+                    const error = problems.map(p => p.message).join(' ');
+                    return sendError('VALIDATION_FAILED', error, { details: problems, turnId: message.turnId, ref: message.ref });
+                }
+                const outcome = await submitMove(playerId, message.turnId, message.pit);
+                if (outcome.error) {
+                    return sendError(outcome.code, outcome.error, { turnId: message.turnId, ref: message.ref });
+                }
+                return send({ type: 'move_ok', turnId: message.turnId, ref: message.ref });
+            }
+            if (message.type === 'seek') {
+                let variant;
+                try {
+                    variant = resolveVariant(message.variant);
+                } catch (error) {
+                    return sendError('VALIDATION_FAILED', error.message, { ref: message.ref });
+                }
+                stopSeeking();
+                seek = {
+                    variant,
+                    timer: setInterval(() => {
+                        seekGame().catch(error => logger.error('Error seeking game', { playerId, error }));
+                    }, SEEK_INTERVAL_MS)
+                };
+                send({ type: 'seeking', variant: variant.name, ref: message.ref });
+                return seekGame();
+            }
+            if (message.type === 'unseek') {
+                stopSeeking();
+                return send({ type: 'unseeking', ref: message.ref });
+            }
+            sendError('VALIDATION_FAILED', `Unknown message type: ${message.type}`, { ref: message.ref });
+        }
+
+        socket.on('message', raw => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                return sendError('VALIDATION_FAILED', 'Messages must be JSON.');
+            }
+            if (!message || typeof message !== 'object') {
+                return sendError('VALIDATION_FAILED', 'Messages must be JSON objects.');
+            }
+            handle(message).catch(error => {
+                logger.error('Error handling bot message', { playerId, type: message.type, error });
+                sendError('INTERNAL_ERROR', 'Failed to handle message.', { ref: message.ref });
+            });
+        });
+
+        socket.on('close', () => {
+            stopSeeking();
+            if (unsubscribe) unsubscribe();
+            const open = connections.get(playerId);
+            if (open) {
+                open.delete(disconnect);
+                if (open.size === 0) connections.delete(playerId);
+            }
+        });
+    });
+
+    return wss;
+}
+
+module.exports = {
+    attachBotSocket,
+    disconnectPlayer
+};
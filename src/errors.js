@@ -0,0 +1,66 @@
+/**
+ * API errors
+ *
+ * Every error response has the same body:
+ *
+ *   { "error": "Not your turn.", "code": "NOT_YOUR_TURN" }
+ *
+ * `error` is for people and may change; `code` is for programs and won't.
+ * Validation errors add `details`, one `{ path, message }` per problem.
+ * ERROR_CODES gives the HTTP status that goes with each code.
+ */
+
+const logger = require('./logger');
+
+const ERROR_CODES = {
+    VALIDATION_FAILED: 400,   // The request doesn't match the API's schema
+    INVALID_TOKEN: 401,       // Missing, malformed, expired or revoked bearer token
+    FORBIDDEN: 403,           // Valid token, but not allowed to do this
+    NOT_FOUND: 404,           // No such player, game, turn, tournament, match or endpoint
+    NO_TURN_AVAILABLE: 404,   // Nothing waiting in the tournament or match asked for
+    NOT_YOUR_TURN: 409,       // The opponent is to move
+    TURN_EXPIRED: 409,        // The move came after the player ran out of time
+    STALE_TURN: 409,          // The turnId has already been played; a newer one replaced it
+    NO_OPPONENT: 409,         // Nobody suitable to start a game with yet; try again shortly
+    CONFLICT: 409,            // The resource is not in a state that allows this
+    ILLEGAL_MOVE: 422,        // Well-formed move that the rules don't allow
+    RATE_LIMITED: 429,        // Too many games or requests; slow down
+    INTERNAL_ERROR: 500,
+    UNAVAILABLE: 503          // The server can't reach its storage
+};
+
+function errorBody(code, message, details) {
+    if (!ERROR_CODES[code]) throw new Error(`Unknown error code: ${code}`);
+    return details ? { error: message, code, details } : { error: message, code };
+}
+
+// Send an error response with the status for its code
+function sendError(res, code, message, details) {
+    return res.status(ERROR_CODES[code]).json(errorBody(code, message, details));
+}
+
+// Routes that don't exist
+function notFoundHandler(req, res) {
+    sendError(res, 'NOT_FOUND', `No endpoint ${req.method} ${req.path}.`);
+}
+
+// Last-resort handler: malformed bodies, and anything a route didn't catch
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 'VALIDATION_FAILED', 'Request body is not valid JSON.');
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 'VALIDATION_FAILED', 'Request body is too large.');
+    }
+    logger.error('Unhandled error', { error });
+    sendError(res, 'INTERNAL_ERROR', 'Something went wrong.');
+}
+
+module.exports = {
+    ERROR_CODES,
+    errorBody,
+    sendError,
+    notFoundHandler,
+    errorHandler
+};
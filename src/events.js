@@ -0,0 +1,182 @@
+/**
+ * Game events
+ *
+ * Every change to a game is published as a typed event:
+ *
+ *   game_started        a new game was created
+ *   your_turn           it is `playerId`'s turn (sent to that player only)
+ *   move_played         a move was made
+ *   game_finished       the game is over
+ *   challenge_received  `playerId` was challenged to a match (sent to that
+ *                       player only, with no game)
+ *
+ * Events are numbered in order and the most recent ones are kept in memory,
+ * so a client that reconnects with the last ID it saw can be sent what it
+ * missed. Boards are stored as the server sees them; streams orient them for
+ * the player watching.
+ */
+
+const { EventEmitter } = require('events');
+const rules = require('./rules');
+const { gameVariant, gameResult } = require('./games');
+const { turnClock } = require('./timeControls');
+
+const BUFFER_SIZE = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+const buffer = [];
+let lastId = 0;
+
+/**
+ * Record an event for a game and notify subscribers.
+ * @param {string|null} playerId the only player the event is for, or null for everyone
+ */
+function publish(type, game, data, playerId = null) {
+    const event = {
+        id: ++lastId,
+        type,
+        gameId: game.id,
+        playerIds: game.playerIds,
+        playerId,
+        data,
+        timestamp: new Date().toISOString()
+    };
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    emitter.emit('event', event);
+    return event;
+}
+
+/**
+ * Events published after `lastEventId`. `complete` is false if some of them
+ * are no longer buffered (or the ID is from before a restart), in which case
+ * the client should reload the state it cares about.
+ */
+function eventsSince(lastEventId) {
+    const events = buffer.filter(event => event.id > lastEventId);
+    const oldest = buffer.length ? buffer[0].id : lastId + 1;
+    const complete = lastEventId <= lastId && oldest <= lastEventId + 1;
+    return { events, complete };
+}
+
+// Call `listener` with every new event; returns a function that unsubscribes
+function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.removeListener('event', listener);
+}
+
+// --- GAME EVENTS ---
+
+function gameStarted(game) {
+    publish('game_started', game, {
+        variant: gameVariant(game).name,
+        timeControl: game.timeControl || null,
+        tournamentId: game.tournamentId || null,
+        matchId: game.matchId || null,
+        matchGame: game.matchGame || null,
+        board: game.state.board,
+        turn: game.state.turn
+    });
+    yourTurn(game);
+}
+
+function turnData(game, side) {
+    return {
+        turnId: game.turnId,
+        variant: gameVariant(game).name,
+        board: game.state.board,
+        clock: turnClock(game, side)
+    };
+}
+
+function yourTurn(game) {
+    if (game.state.status !== 'active' || !game.state.turn) return;
+    publish('your_turn', game, turnData(game, game.playerIds.indexOf(game.state.turn)), game.state.turn);
+}
+
+function movePlayed(game, move) {
+    publish('move_played', game, {
+        player: move.player,
+        pit: move.pit,
+        captured: move.captured,
+        extraTurn: move.extraTurn,
+        auto: Boolean(move.auto),
+        board: move.board,
+        turn: game.state.turn
+    });
+}
+
+function gameFinished(game) {
+    publish('game_finished', game, {
+        winner: gameResult(game),
+        reason: game.state.reason || null,
+        board: game.state.board,
+        finishedAt: game.finishedAt || null
+    });
+}
+
+// --- MATCH EVENTS ---
+
+function challengeReceived(match) {
+    publish('challenge_received', { id: null, playerIds: match.playerIds }, {
+        matchId: match.id,
+        challengerId: match.challengerId,
+        games: match.games,
+        variant: match.variant.name,
+        timeControl: match.timeControl || null,
+        rated: match.rated
+    }, match.opponentId);
+}
+
+// --- VIEWS ---
+
+// Whether a player should receive an event
+function isForPlayer(event, playerId) {
+    return event.playerIds.includes(playerId) && (!event.playerId || event.playerId === playerId);
+}
+
+// Event data as seen by `playerId`: their pits first and the result as win/loss/draw
+function playerView(event, playerId) {
+    const side = event.playerIds.indexOf(playerId);
+    const data = { ...event.data };
+    if (side === 1 && data.board) {
+        if (typeof data.pit === 'number') data.pit = rules.flipIndex(data.board, data.pit);
+        data.board = rules.flipBoard(data.board);
+    }
+    if (event.type === 'game_finished') {
+        data.result = data.winner === null ? 'draw' : data.winner === side ? 'win' : 'loss';
+        delete data.winner;
+    }
+    return data;
+}
+
+/**
+ * A `your_turn` event (without an ID) for each game already waiting on the
+ * player, for clients that have just connected.
+ */
+async function waitingTurns(storage, playerId) {
+    const games = (await storage.listGamesForPlayer(playerId))
+        .filter(game => game.state.status === 'active' && game.state.turn === playerId);
+    return games.map(game => ({
+        type: 'your_turn',
+        gameId: game.id,
+        playerIds: game.playerIds,
+        playerId,
+        data: turnData(game, game.playerIds.indexOf(playerId)),
+        timestamp: new Date().toISOString()
+    }));
+}
+
+module.exports = {
+    subscribe,
+    eventsSince,
+    gameStarted,
+    yourTurn,
+    movePlayed,
+    gameFinished,
+    challengeReceived,
+    isForPlayer,
+    playerView,
+    waitingTurns
+};
@@ -0,0 +1,186 @@
+/**
+ * Game records
+ *
+ * Helpers for building and reading the game records kept in storage.
+ */
+
+const { randomUUID } = require('crypto');
+const rules = require('./rules');
+const { VARIANTS, DEFAULT_VARIANT, initialBoard } = require('./variants');
+const { DEFAULT_TIME_CONTROL, startClock } = require('./timeControls');
+
+/**
+ * New game record with the first player to move and their clock running.
+ * Any extra fields (such as a tournament tag) are copied onto the record.
+ */
+function createGame({ playerIds, variant, timeControl = DEFAULT_TIME_CONTROL, ...extra }) {
+    return {
+        id: randomUUID(),
+        turnId: randomUUID(), // Unique turn identifier
+        playerIds,
+        variant,
+        timeControl,
+        clock: startClock(timeControl),
+        state: {
+            board: initialBoard(variant),
+            turn: playerIds[0],
+            status: 'active'
+        },
+        history: [],
+        createdAt: new Date().toISOString(),
+        ...extra
+    };
+}
+
+// Games created before variants existed are plain Kalah(6,4)
+function gameVariant(game) {
+    return game.variant || VARIANTS[DEFAULT_VARIANT];
+}
+
+/**
+ * Winning side of a finished game, or null for a draw. Games decided some
+ * other way than on the board (such as a timeout) record their winner in
+ * `state.winner`; otherwise the stores decide.
+ */
+function gameResult(game) {
+    if (game.state.winner !== undefined) return game.state.winner;
+    return rules.winner(game.state.board);
+}
+
+// --- LOOKUPS ---
+
+// A game by ID, whether still being played or archived
+async function loadGame(storage, id) {
+    return (await storage.getGame(id)) || storage.getArchivedGame(id);
+}
+
+// Every game a player has taken part in, active and archived
+async function listPlayerGames(storage, playerId) {
+    const [active, archived] = await Promise.all([
+        storage.listGamesForPlayer(playerId),
+        storage.listArchivedGamesForPlayer(playerId)
+    ]);
+    const archivedIds = new Set(archived.map(g => g.id));
+    return [...archived, ...active.filter(g => !archivedIds.has(g.id))];
+}
+
+/**
+ * The game as seen from `playerId`'s seat: if they are the second player, the
+ * board and every move in the history are flipped so their pits are first.
+ */
+function orientGame(game, playerId) {
+    if (game.playerIds.indexOf(playerId) !== 1) return game;
+    return {
+        ...game,
+        state: { ...game.state, board: rules.flipBoard(game.state.board) },
+        history: (game.history || []).map(move => ({
+            ...move,
+            board: rules.flipBoard(move.board),
+            pit: typeof move.pit === 'number' ? rules.flipIndex(move.board, move.pit) : move.pit
+        }))
+    };
+}
+
+// --- SPENT TURNS ---
+
+/**
+ * The game a turnId that is no longer current belonged to: every move and
+ * timeout gives the game a new turnId and keeps the old one as `lastTurnId`,
+ * and older turns are in the game's history, whether it is still being
+ * played or has been archived.
+ */
+async function findSpentTurnGame(storage, playerId, turnId) {
+    const game = await storage.getGameByLastTurnId(turnId);
+    if (game) return game;
+    const games = await listPlayerGames(storage, playerId);
+    return games.find(g => (g.history || []).some(move => move.turnId === turnId)) || null;
+}
+
+/**
+ * Outcome of a move for a turn that is no longer current: success if it
+ * repeats the move that was played for it, otherwise STALE_TURN, or
+ * TURN_EXPIRED if the clock ran out on it.
+ * @param {number} pit as the player submitted it, from their oriented board
+ * @param {object|null} game from findSpentTurnGame
+ */
+function spentTurnOutcome(playerId, turnId, pit, game) {
+    if (!game) {
+        return { status: 404, code: 'NOT_FOUND', error: 'Turn not found.' };
+    }
+    if (!game.playerIds.includes(playerId)) {
+        return { status: 403, code: 'FORBIDDEN', error: 'Player not part of this game.' };
+    }
+
+    const move = (game.history || []).find(m => m.turnId === turnId);
+    if ((move && move.auto) || (!move && game.state.reason === 'timeout')) {
+        return { status: 409, code: 'TURN_EXPIRED', error: 'Turn expired.' };
+    }
+    if (!move) {
+        return { status: 409, code: 'STALE_TURN', error: 'This game has been ended.' };
+    }
+    const side = game.playerIds.indexOf(playerId);
+    const boardPit = side === 1 ? rules.flipIndex(game.state.board, pit) : pit;
+    if (move.player === playerId && move.pit === boardPit) {
+        return { status: 200 };
+    }
+    return { status: 409, code: 'STALE_TURN', error: 'This turn has already been played; use the latest turnId.' };
+}
+
+// --- PAGING ---
+
+/**
+ * Newest first. A listing of finished games only goes by when they ended;
+ * any other goes by when they started, which never changes, so a game that
+ * finishes while a client is paging through doesn't move. Games finished
+ * before `finishedAt` was recorded go by when they started.
+ */
+function sortKeyFor(status) {
+    return status === 'finished' ? game => game.finishedAt || game.createdAt : game => game.createdAt;
+}
+
+// Comparator for a listing of games in `status` ('all', 'active' or 'finished')
+function newestFirst(status) {
+    const sortKey = sortKeyFor(status);
+    return (a, b) => sortKey(b).localeCompare(sortKey(a)) || b.id.localeCompare(a.id);
+}
+
+// Cursors are opaque to clients: the sort position of the last game returned
+function encodeCursor(game, status) {
+    return Buffer.from(`${sortKeyFor(status)(game)}|${game.id}`).toString('base64url');
+}
+
+// Sort position a cursor stands for, or null if it isn't one
+function decodeCursor(cursor) {
+    const [key, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+    if (!key || !id) return null;
+    return { finishedAt: key, createdAt: key, id };
+}
+
+/**
+ * The page of `games` (all in `status`) that follows the position `after`
+ * from decodeCursor, or the first page without one.
+ * @returns {{ page: object[], nextCursor: string|null }}
+ */
+function pageGames(games, { status = 'all', after = null, limit }) {
+    const compare = newestFirst(status);
+    const rest = [...games].sort(compare).filter(g => !after || compare(after, g) < 0);
+    const page = rest.slice(0, limit);
+    return {
+        page,
+        nextCursor: rest.length > limit ? encodeCursor(page[page.length - 1], status) : null
+    };
+}
+
+module.exports = {
+    createGame,
+    gameVariant,
+    gameResult,
+    loadGame,
+    listPlayerGames,
+    orientGame,
+    findSpentTurnGame,
+    spentTurnOutcome,
+    newestFirst,
+    decodeCursor,
+    pageGames
+};
@@ -0,0 +1,163 @@
+/**
+ * House bots
+ *
+ * Reference opponents hosted by the server itself, so every new bot has
+ * opponents of known strength to be rated against. Each plays one strategy
+ * (see strategies.js) under a fixed player ID such as `house-greedy` or
+ * `house-minimax-4`, and is flagged with `houseBot: true` in its player
+ * record.
+ *
+ * House bots stay in the matchmaking pool for one variant without ever
+ * starting games themselves, answer every turn pushed to them after their
+ * think time, and accept every challenge (see matches.js) sent to them.
+ *
+ * Bots are listed in a spec such as 'random,greedy,minimax:4@1000': a
+ * strategy, an optional search depth after ':' and an optional think time
+ * in milliseconds after '@'.
+ */
+
+const { DEFAULT_SCORE } = require('./ratings');
+const { resolveVariant } = require('./variants');
+const { STRATEGIES, DEFAULT_DEPTH, MAX_DEPTH, chooseMove } = require('./strategies');
+const { acceptMatch } = require('./matches');
+const matchmaking = require('./matchmaking');
+const { subscribe, playerView, waitingTurns } = require('./events');
+const { barredReason } = require('./auth');
+const logger = require('./logger');
+
+// Deeper searches hold up the event loop for every other request
+const DEFAULT_BOTS = 'random,greedy,minimax:2,minimax:4';
+const DEFAULT_THINK_MS = 500;
+// Often enough that the bots are never swept from the pool as idle
+const KEEP_ALIVE_INTERVAL_MS = matchmaking.IDLE_TIMEOUT_MS / 4;
+
+/**
+ * Parse a house bot spec.
+ * @returns {{ id: string, strategy: string, depth: number|null, thinkMs: number }[]}
+ */
+function parseHouseBots(spec = DEFAULT_BOTS, defaultThinkMs = DEFAULT_THINK_MS) {
+    const bots = spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+        const match = entry.match(/^([a-z]+)(?::(\d+))?(?:@(\d+))?$/);
+        if (!match || !STRATEGIES.includes(match[1])) {
+            throw new Error(`Invalid house bot "${entry}": use one of ${STRATEGIES.join(', ')}, with :depth and @thinkMs.`);
+        }
+        const strategy = match[1];
+        if (match[2] && strategy !== 'minimax') {
+            throw new Error(`Invalid house bot "${entry}": only minimax takes a depth.`);
+        }
+        const depth = strategy === 'minimax' ? Number(match[2] || DEFAULT_DEPTH) : null;
+        if (depth !== null && (depth < 1 || depth > MAX_DEPTH)) {
+            throw new Error(`Invalid house bot "${entry}": depth must be from 1 to ${MAX_DEPTH}.`);
+        }
+        return {
+            id: depth ? `house-${strategy}-${depth}` : `house-${strategy}`,
+            strategy,
+            depth,
+            thinkMs: match[3] ? Number(match[3]) : defaultThinkMs
+        };
+    });
+    const ids = bots.map(bot => bot.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) throw new Error(`House bot ${duplicate} is listed twice.`);
+    return bots;
+}
+
+// Create the bot's player record, or bring an existing one up to date
+async function registerBot(storage, bot) {
+    const fields = { houseBot: true, strategy: bot.strategy, depth: bot.depth };
+    if (await storage.getPlayer(bot.id)) {
+        return storage.updatePlayer(bot.id, fields);
+    }
+    await storage.putPlayer({
+        id: bot.id,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        createdAt: new Date().toISOString(),
+        lastPlayedAt: null,
+        score: DEFAULT_SCORE,
+        ...fields
+    });
+}
+
+/**
+ * Start the house bots.
+ * @param {object} options
+ * @param {object} options.storage
+ * @param {function} options.submitMove (playerId, turnId, pit) => { status, code, error }
+ * @param {object[]} options.bots from parseHouseBots
+ * @param {string} [options.variant] variant whose matchmaking pool they join
+ * @returns {Promise<function>} stops the bots
+ */
+async function startHouseBots({ storage, submitMove, bots, variant }) {
+    const poolVariant = resolveVariant(variant);
+    const byId = new Map(bots.map(bot => [bot.id, bot]));
+    const timers = new Set();
+    for (const bot of bots) await registerBot(storage, bot);
+
+    async function play(bot, event) {
+        const data = playerView(event, bot.id);
+        const pit = chooseMove(data.board, resolveVariant(data.variant), bot);
+        const outcome = await submitMove(bot.id, data.turnId, pit);
+        // The game may have moved on without us, e.g. after a timeout
+        if (outcome.error && !['NOT_FOUND', 'STALE_TURN', 'TURN_EXPIRED'].includes(outcome.code)) {
+            logger.error('House bot failed to move', { playerId: bot.id, gameId: event.gameId, code: outcome.code, reason: outcome.error });
+        }
+    }
+
+    // Think, but never for more than half the time left on the clock
+    function schedule(bot, event) {
+        const clock = event.data.clock;
+        const delay = clock ? Math.min(bot.thinkMs, clock.remainingMs / 2) : bot.thinkMs;
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            play(bot, event).catch(error => logger.error('House bot failed to move', { playerId: bot.id, gameId: event.gameId, error }));
+        }, delay);
+        timers.add(timer);
+    }
+
+    // Stay in the pool. Unlike touch(), no scan: the bots never wait for an opponent
+    async function keepAlive() {
+        for (const bot of bots) {
+            // An admin can bench a house bot like any other player
+            const player = await storage.getPlayer(bot.id);
+            if (player && !barredReason(player)) {
+                await storage.addActivePlayer(bot.id, { variant: poolVariant.name, lastSeenAt: new Date().toISOString(), queuedAt: null });
+            }
+        }
+    }
+
+    function accept(match) {
+        acceptMatch(storage, match.id)
+            .catch(error => logger.error('House bot failed to accept a challenge', { playerId: match.opponentId, matchId: match.id, error }));
+    }
+
+    const unsubscribe = subscribe(event => {
+        const bot = byId.get(event.playerId);
+        if (!bot) return;
+        if (event.type === 'your_turn') schedule(bot, event);
+        else if (event.type === 'challenge_received') accept({ id: event.data.matchId, opponentId: bot.id });
+    });
+    // Turns and challenges left waiting from before a restart
+    for (const bot of bots) {
+        (await waitingTurns(storage, bot.id)).forEach(event => schedule(bot, event));
+    }
+    (await storage.listMatches())
+        .filter(match => match.status === 'pending' && byId.has(match.opponentId))
+        .forEach(accept);
+    await keepAlive();
+    const keepAliveTimer = setInterval(() => {
+        keepAlive().catch(error => logger.error('Error keeping house bots in the pool', { error }));
+    }, KEEP_ALIVE_INTERVAL_MS);
+
+    return () => {
+        clearInterval(keepAliveTimer);
+        timers.forEach(timer => clearTimeout(timer));
+        unsubscribe();
+    };
+}
+
+module.exports = {
+    parseHouseBots,
+    startHouseBots
+};
@@ -0,0 +1,22 @@
+/**
+ * In-process locks
+ *
+ * `withLock(key, fn)` runs `fn` after every earlier call with the same key has
+ * settled, so read-modify-write updates to one record can't interleave. This
+ * assumes a single server process.
+ */
+
+const locks = new Map();
+
+function withLock(key, fn) {
+    const previous = locks.get(key) || Promise.resolve();
+    const next = previous.then(fn, fn);
+    const tail = next.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => {
+        if (locks.get(key) === tail) locks.delete(key);
+    });
+    return next;
+}
+
+module.exports = { withLock };
@@ -0,0 +1,94 @@
+/**
+ * Logging
+ *
+ * One JSON object per line, for log collectors to parse:
+ *
+ *   {"time":"2026-01-01T12:00:00.000Z","level":"error","msg":"Error submitting move",
+ *    "requestId":"…","playerId":"…","gameId":"…","error":{"name":"Error","message":"…","stack":"…"}}
+ *
+ * While a request is being handled every entry carries its request ID, and
+ * the player and game IDs from the route if it has them. The request ID is
+ * taken from an X-Request-Id header if the client sent one, and is returned
+ * in the X-Request-Id response header either way.
+ *
+ * Entries below LOG_LEVEL (debug, info, warn or error; default info) are
+ * dropped. Warnings and errors go to stderr, the rest to stdout.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+if (!LEVELS[LOG_LEVEL]) {
+    throw new Error(`Invalid LOG_LEVEL: ${process.env.LOG_LEVEL}`);
+}
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// The request being handled, for whatever runs on its behalf
+const requests = new AsyncLocalStorage();
+
+function serialiseError(error) {
+    return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+// IDs of the request in progress, if any
+function requestFields() {
+    const req = requests.getStore();
+    if (!req) return {};
+    const params = req.params || {};
+    const fields = { requestId: req.id };
+    const playerId = params.playerId || (req.player && req.player.id);
+    if (playerId) fields.playerId = playerId;
+    if (params.gameId) fields.gameId = params.gameId;
+    return fields;
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...requestFields() };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) entry[key] = value instanceof Error ? serialiseError(value) : value;
+    }
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        // Circular or otherwise unserialisable fields
+        line = JSON.stringify({ time: entry.time, level, msg, ...requestFields(), fieldsError: error.message });
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * Express middleware: gives the request an ID, makes it the context for
+ * log entries written while it is handled, and logs it once answered.
+ */
+function requestLogger(req, res, next) {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        requests.run(req, () => {
+            write(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10
+            });
+        });
+    });
+    requests.run(req, next);
+}
+
+module.exports = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    requestLogger
+};
@@ -0,0 +1,195 @@
+/**
+ * Matches
+ *
+ * A match is a series of games between two named players, set up by a
+ * challenge: the challenger picks the opponent, number of games, variant,
+ * time control and whether the games are rated, and the opponent accepts or
+ * declines. Seats alternate so each player moves first in half the games.
+ *
+ * Games are started as earlier ones finish, `concurrency` at a time, and are
+ * tagged with `matchId` so the players' usual turn requests pick them up.
+ * Unrated games (`rated: false`) leave both players' ratings untouched.
+ *
+ * Match statuses: pending -> running -> finished, or pending -> declined or
+ * cancelled.
+ */
+
+const { randomUUID } = require('crypto');
+const rules = require('./rules');
+const { createGame, gameResult, loadGame } = require('./games');
+const events = require('./events');
+const { withLock } = require('./locks');
+
+const MAX_GAMES = 100;
+const MAX_CONCURRENCY = 10;
+
+function createMatch({ challengerId, opponentId, games = 1, variant, timeControl, rated = true, concurrency = 1 }) {
+    return {
+        id: randomUUID(),
+        challengerId,
+        opponentId,
+        playerIds: [challengerId, opponentId],
+        games,
+        variant,
+        timeControl,
+        rated,
+        concurrency,
+        status: 'pending',
+        gameIds: [],
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Seat order for the match's `index`th game: the challenger moves first in even games
+function seatsFor(match, index) {
+    return index % 2 === 0 ? [match.challengerId, match.opponentId] : [match.opponentId, match.challengerId];
+}
+
+async function loadGames(storage, match) {
+    const games = await Promise.all(match.gameIds.map(id => loadGame(storage, id)));
+    return games.filter(Boolean);
+}
+
+// Start games until `concurrency` are running or all have been started;
+// marks the match finished once every game is done
+async function scheduleGames(storage, match) {
+    const games = await loadGames(storage, match);
+    const running = games.filter(g => g.state.status !== 'finished').length;
+    const finished = games.length - running;
+    if (finished === match.games) {
+        const done = { status: 'finished', finishedAt: new Date().toISOString() };
+        await storage.updateMatch(match.id, done);
+        return { ...match, ...done };
+    }
+
+    const gameIds = [...match.gameIds];
+    const started = [];
+    while (running + started.length < match.concurrency && gameIds.length < match.games) {
+        const game = createGame({
+            playerIds: seatsFor(match, gameIds.length),
+            variant: match.variant,
+            timeControl: match.timeControl,
+            matchId: match.id,
+            matchGame: gameIds.length + 1,
+            rated: match.rated
+        });
+        gameIds.push(game.id);
+        started.push(game);
+    }
+    if (started.length === 0) return match;
+
+    await Promise.all(started.map(game => storage.putGame(game)));
+    await storage.updateMatch(match.id, { gameIds });
+    started.forEach(game => events.gameStarted(game));
+    return { ...match, gameIds };
+}
+
+// --- LIFECYCLE ---
+
+/**
+ * Accept a pending challenge and start its first games.
+ * @returns {Promise<object|null>} the updated match, or null if it is no longer pending
+ */
+function acceptMatch(storage, matchId) {
+    return withLock(matchId, async () => {
+        const match = await storage.getMatch(matchId);
+        if (!match || match.status !== 'pending') return null;
+        const accepted = { status: 'running', acceptedAt: new Date().toISOString() };
+        await storage.updateMatch(match.id, accepted);
+        return scheduleGames(storage, { ...match, ...accepted });
+    });
+}
+
+/**
+ * Close a pending challenge without playing it.
+ * @param {string} status 'declined' (by the opponent) or 'cancelled' (by the challenger)
+ * @returns {Promise<object|null>} the updated match, or null if it is no longer pending
+ */
+function closeMatch(storage, matchId, status) {
+    return withLock(matchId, async () => {
+        const match = await storage.getMatch(matchId);
+        if (!match || match.status !== 'pending') return null;
+        const closed = { status, closedAt: new Date().toISOString() };
+        await storage.updateMatch(match.id, closed);
+        return { ...match, ...closed };
+    });
+}
+
+/**
+ * Called whenever a game finishes; starts the match's next game, or finishes
+ * the match after its last one.
+ */
+async function onGameFinished(storage, game) {
+    if (!game.matchId) return;
+    await withLock(game.matchId, async () => {
+        const match = await storage.getMatch(game.matchId);
+        if (!match || match.status !== 'running') return;
+        await scheduleGames(storage, match);
+    });
+}
+
+// --- SUMMARY ---
+
+/**
+ * Results so far from each player's point of view. `margin` totals the
+ * player's store minus the opponent's over every finished game. Aborted and
+ * voided games have no result that stands, so they are only counted in
+ * `excluded`.
+ */
+function summarizeMatch(match, games) {
+    const rows = match.playerIds.map(playerId => ({
+        playerId,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        points: 0,
+        margin: 0,
+        averageMargin: 0,
+        firstSeat: { wins: 0, draws: 0, losses: 0 }
+    }));
+    const finished = games.filter(g => g.state.status === 'finished');
+    const counted = finished.filter(g => g.state.reason !== 'aborted' && !g.voided);
+
+    for (const game of counted) {
+        const winningSide = gameResult(game);
+        const stores = rules.scores(game.state.board);
+        game.playerIds.forEach((playerId, side) => {
+            const row = rows.find(r => r.playerId === playerId);
+            const key = winningSide === null ? 'draws' : winningSide === side ? 'wins' : 'losses';
+            row[key]++;
+            if (side === 0) row.firstSeat[key]++;
+            row.points += key === 'wins' ? 1 : key === 'draws' ? 0.5 : 0;
+            row.margin += stores[side] - stores[1 - side];
+        });
+    }
+    rows.forEach(row => {
+        row.averageMargin = counted.length ? Math.round(row.margin / counted.length * 100) / 100 : 0;
+    });
+
+    return {
+        matchId: match.id,
+        status: match.status,
+        variant: match.variant.name,
+        rated: match.rated,
+        games: match.games,
+        played: counted.length,
+        excluded: finished.length - counted.length,
+        inProgress: games.length - finished.length,
+        players: rows
+    };
+}
+
+async function getSummary(storage, match) {
+    return summarizeMatch(match, await loadGames(storage, match));
+}
+
+module.exports = {
+    MAX_GAMES,
+    MAX_CONCURRENCY,
+    createMatch,
+    acceptMatch,
+    closeMatch,
+    onGameFinished,
+    summarizeMatch,
+    getSummary
+};
@@ -0,0 +1,203 @@
+/**
+ * Matchmaking
+ *
+ * Players waiting for a new game are paired by rating. The search starts with
+ * a narrow rating window that widens the longer the player has waited, the
+ * same pair can only meet a few times within the rematch window, and the
+ * player who has moved first less often gets the first seat.
+ *
+ * Entries in ActivePlayers carry `variant`, `lastSeenAt` (last turn request)
+ * and `queuedAt` (when the player started waiting for a new game, or null).
+ * Players who stop requesting turns are dropped once they go idle.
+ */
+
+const { getPool } = require('./ratings');
+const { createGame, gameVariant, listPlayerGames } = require('./games');
+const events = require('./events');
+const metrics = require('./metrics');
+
+const BASE_WINDOW = 100;                 // Rating difference allowed straight away
+const WINDOW_GROWTH_PER_SECOND = 10;     // Extra rating difference per second waited
+const MAX_WINDOW = 1000;
+const IDLE_TIMEOUT_MS = 2 * 60 * 1000;   // Drop players who haven't asked for a turn in this long
+const REMATCH_WINDOW_MS = 60 * 60 * 1000;
+const MAX_REMATCHES = 3;                 // Games between the same pair within the rematch window
+
+// Rating difference a player will accept after waiting since `queuedAt`
+function searchWindow(queuedAt, now) {
+    if (!queuedAt) return BASE_WINDOW;
+    const waited = Math.max(0, (now - Date.parse(queuedAt)) / 1000);
+    return Math.min(MAX_WINDOW, BASE_WINDOW + waited * WINDOW_GROWTH_PER_SECOND);
+}
+
+function isIdle(entry, now) {
+    return !entry.lastSeenAt || now - Date.parse(entry.lastSeenAt) > IDLE_TIMEOUT_MS;
+}
+
+// Casual games between two players created within the rematch window
+function recentMeetings(games, opponentId, now) {
+    return games.filter(g =>
+        !g.matchId &&
+        g.playerIds.includes(opponentId) &&
+        now - Date.parse(g.createdAt) <= REMATCH_WINDOW_MS
+    ).length;
+}
+
+// How many more times a player has moved first than second
+function firstSeatBalance(playerId, games) {
+    return games.reduce((sum, g) => sum + (g.playerIds[0] === playerId ? 1 : -1), 0);
+}
+
+/**
+ * Record that a player asked for a turn in a variant. Switching variant
+ * restarts their wait.
+ */
+async function touch(storage, playerId, variantName) {
+    const entry = (await storage.listActivePlayers()).find(p => p.id === playerId);
+    const sameVariant = entry && entry.variant === variantName;
+    await storage.addActivePlayer(playerId, {
+        variant: variantName,
+        lastSeenAt: new Date().toISOString(),
+        queuedAt: sameVariant ? entry.queuedAt || null : null
+    });
+}
+
+/**
+ * Find an opponent for a player who needs a new game. Naming an
+ * `opponentId` skips the rating window and rematch limit, but that player
+ * must still be active in the variant.
+ * @returns {Promise<{ playerIds: string[] } | { error: string }>} seat order
+ *   for the new game, or why no opponent was found
+ */
+async function findMatch(storage, playerId, variant, { opponentId } = {}) {
+    const now = Date.now();
+    const entries = await storage.listActivePlayers();
+    const self = entries.find(p => p.id === playerId);
+    const queuedAt = (self && self.queuedAt) || new Date(now).toISOString();
+    if (!self || !self.queuedAt) {
+        await storage.addActivePlayer(playerId, { queuedAt });
+    }
+
+    const candidates = entries.filter(p =>
+        p.id !== playerId &&
+        (!opponentId || p.id === opponentId) &&
+        (p.variant || variant.name) === variant.name &&
+        !isIdle(p, now)
+    );
+    if (candidates.length === 0 && opponentId) {
+        return { error: 'That player is not looking for a game in this variant right now.' };
+    }
+    if (candidates.length === 0) {
+        return { error: 'No other active players available for a game.' };
+    }
+
+    const player = await storage.getPlayer(playerId);
+    if (!player) {
+        return { error: 'Player not found' };
+    }
+    const rating = getPool(player, variant.name).score;
+    const window = searchWindow(queuedAt, now);
+    const playerGames = (await listPlayerGames(storage, playerId))
+        .filter(g => gameVariant(g).name === variant.name);
+
+    const ranked = [];
+    for (const entry of candidates) {
+        const opponent = await storage.getPlayer(entry.id);
+        if (!opponent) continue;
+        const diff = Math.abs(getPool(opponent, variant.name).score - rating);
+        if (!opponentId) {
+            // Either player's patience can stretch the window
+            if (diff > Math.max(window, searchWindow(entry.queuedAt, now))) continue;
+            if (recentMeetings(playerGames, entry.id, now) >= MAX_REMATCHES) continue;
+        }
+        ranked.push({ entry, diff });
+    }
+    if (ranked.length === 0) {
+        return { error: 'No opponent within rating range yet; the search widens the longer you wait.' };
+    }
+
+    ranked.sort((a, b) => a.diff - b.diff);
+    const { entry } = ranked[0];
+
+    // Whoever has moved first less often goes first
+    const opponentGames = (await listPlayerGames(storage, entry.id))
+        .filter(g => gameVariant(g).name === variant.name);
+    const playerBalance = firstSeatBalance(playerId, playerGames);
+    const opponentBalance = firstSeatBalance(entry.id, opponentGames);
+    const playerIds = opponentBalance < playerBalance ? [entry.id, playerId] : [playerId, entry.id];
+
+    // Both players have a new game, so neither is waiting any more
+    for (const waitedSince of [queuedAt, entry.queuedAt]) {
+        if (waitedSince) metrics.matchmakingWait.observe({ variant: variant.name }, (now - Date.parse(waitedSince)) / 1000);
+    }
+    await Promise.all([
+        storage.addActivePlayer(playerId, { queuedAt: null }),
+        storage.addActivePlayer(entry.id, { queuedAt: null })
+    ]);
+    return { playerIds };
+}
+
+/**
+ * Start a new casual game for a player in a variant, against the best
+ * opponent available or the one named in `options` (see findMatch).
+ * @returns {Promise<{ game: object } | { error: string }>}
+ */
+async function startMatch(storage, playerId, variant, options) {
+    const match = await findMatch(storage, playerId, variant, options);
+    if (match.error) return match;
+    const game = createGame({ playerIds: match.playerIds, variant });
+    await storage.putGame(game);
+    events.gameStarted(game);
+    return { game };
+}
+
+// Remove idle players from ActivePlayers; returns how many were dropped
+async function sweepIdle(storage) {
+    const now = Date.now();
+    const idle = (await storage.listActivePlayers()).filter(p => isIdle(p, now));
+    await Promise.all(idle.map(p => storage.removeActivePlayer(p.id)));
+    return idle.length;
+}
+
+// Players in the pool who aren't idle, and how many of them are waiting, by variant
+async function poolSizes(storage) {
+    const now = Date.now();
+    const sizes = {};
+    for (const entry of await storage.listActivePlayers()) {
+        if (!entry.variant || isIdle(entry, now)) continue;
+        const size = sizes[entry.variant] = sizes[entry.variant] || { active: 0, waiting: 0 };
+        size.active++;
+        if (entry.queuedAt) size.waiting++;
+    }
+    return sizes;
+}
+
+// Snapshot of the queue for debugging
+async function queueState(storage) {
+    const now = Date.now();
+    const entries = await storage.listActivePlayers();
+    return Promise.all(entries.map(async entry => {
+        const player = await storage.getPlayer(entry.id);
+        return {
+            id: entry.id,
+            variant: entry.variant || null,
+            rating: player && entry.variant ? getPool(player, entry.variant).score : null,
+            lastSeenAt: entry.lastSeenAt || null,
+            idle: isIdle(entry, now),
+            waiting: Boolean(entry.queuedAt),
+            waitingSeconds: entry.queuedAt ? Math.round((now - Date.parse(entry.queuedAt)) / 1000) : 0,
+            window: entry.queuedAt ? Math.round(searchWindow(entry.queuedAt, now)) : null
+        };
+    }));
+}
+
+module.exports = {
+    IDLE_TIMEOUT_MS,
+    searchWindow,
+    touch,
+    findMatch,
+    startMatch,
+    sweepIdle,
+    poolSizes,
+    queueState
+};
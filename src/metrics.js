@@ -0,0 +1,195 @@
+/**
+ * Metrics
+ *
+ * Counters, gauges and histograms served at GET /metrics in the Prometheus
+ * text format. Values live in this process, so they start from zero again on
+ * a restart; Prometheus copes with that for counters.
+ *
+ * Gauges for things kept in storage (active games, the matchmaking pool) are
+ * filled in by collectors, which run when the metrics are scraped.
+ */
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const WAIT_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+const metrics = [];
+const collectors = [];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are kept by their label values, in the order of `labelNames`
+function seriesKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function seriesLabels(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function register(metric) {
+    if (metrics.some(m => m.name === metric.name)) throw new Error(`Metric already registered: ${metric.name}`);
+    metrics.push(metric);
+    return metric;
+}
+
+function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+        name, help, type: 'counter',
+        inc(labels, value = 1) {
+            const key = seriesKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + value);
+        },
+        lines() {
+            return [...series].map(([key, value]) => `${name}${formatLabels(seriesLabels(labelNames, key))} ${value}`);
+        }
+    });
+}
+
+function gauge(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+        name, help, type: 'gauge',
+        set(labels, value) {
+            series.set(seriesKey(labelNames, labels), value);
+        },
+        inc(labels, value = 1) {
+            const key = seriesKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + value);
+        },
+        dec(labels, value = 1) {
+            this.inc(labels, -value);
+        },
+        // Drop every series, for gauges set afresh by a collector
+        reset() {
+            series.clear();
+        },
+        lines() {
+            return [...series].map(([key, value]) => `${name}${formatLabels(seriesLabels(labelNames, key))} ${value}`);
+        }
+    });
+}
+
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const series = new Map();
+    return register({
+        name, help, type: 'histogram',
+        observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        lines() {
+            const lines = [];
+            for (const [key, entry] of series) {
+                const labels = seriesLabels(labelNames, key);
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+            }
+            return lines;
+        }
+    });
+}
+
+// Run `collect()` before every scrape
+function addCollector(collect) {
+    collectors.push(collect);
+}
+
+// Every metric in the Prometheus text exposition format
+async function render() {
+    await Promise.all(collectors.map(collect => collect()));
+    return metrics.map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines()
+    ].join('\n')).join('\n') + '\n';
+}
+
+// --- SERVER METRICS ---
+
+const httpRequestDuration = histogram(
+    'mancala_http_request_duration_seconds',
+    'Time taken to answer HTTP requests, by route template.',
+    ['method', 'route', 'status']
+);
+const moveSubmissions = counter(
+    'mancala_move_submissions_total',
+    'Moves submitted over HTTP, WebSocket or by house bots, by outcome: accepted or the error code.',
+    ['outcome']
+);
+const activeGames = gauge('mancala_active_games', 'Games in progress, by variant.', ['variant']);
+const activePlayers = gauge('mancala_active_players', 'Players in the matchmaking pool who are not idle, by variant.', ['variant']);
+const waitingPlayers = gauge('mancala_matchmaking_waiting_players', 'Players waiting for an opponent, by variant.', ['variant']);
+const matchmakingWait = histogram(
+    'mancala_matchmaking_wait_seconds',
+    'How long players waited for an opponent before a game was started.',
+    ['variant'],
+    WAIT_BUCKETS
+);
+const sseConnections = gauge('mancala_sse_connections', 'Open server-sent event streams, by stream.', ['stream']);
+const processMemory = gauge('process_resident_memory_bytes', 'Resident memory size in bytes.');
+const processStart = gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds.');
+
+processStart.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+['player', 'game', 'legacy'].forEach(stream => sseConnections.set({ stream }, 0));
+addCollector(() => processMemory.set({}, process.memoryUsage().rss));
+
+// Route template a request matched (`/games/:gameId`), so every game shares a series
+function routeLabel(req) {
+    return req.route ? req.baseUrl + req.route.path : 'unmatched';
+}
+
+// Express middleware timing every request
+function requestTimer(req, res, next) {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        httpRequestDuration.observe({ method: req.method, route: routeLabel(req), status: res.statusCode }, seconds);
+    });
+    next();
+}
+
+/**
+ * Count a stream as open until its request closes.
+ * @param {string} stream which kind of stream: 'player', 'game' or 'legacy'
+ */
+function trackStream(req, stream) {
+    sseConnections.inc({ stream });
+    req.on('close', () => sseConnections.dec({ stream }));
+}
+
+module.exports = {
+    counter,
+    gauge,
+    histogram,
+    addCollector,
+    render,
+    requestTimer,
+    trackStream,
+    moveSubmissions,
+    activeGames,
+    activePlayers,
+    waitingPlayers,
+    matchmakingWait
+};
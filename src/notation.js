@@ -0,0 +1,223 @@
+/**
+ * Game notation
+ *
+ * A compact text form of a game, modelled on chess PGN:
+ *
+ *   [Event "Casual"]
+ *   [Date "2024.06.01"]
+ *   [South "player-1-uuid"]
+ *   [North "player-2-uuid"]
+ *   [Variant "kalah-6-4"]
+ *   [Result "1-0"]
+ *
+ *   1. c+f dx4 2. a e+b ... 1-0
+ *
+ * South is the first player (board indices 0..n-1) and North the second.
+ * Each whitespace-separated token is one player's whole turn, alternating
+ * South then North. Pits are lettered from the mover's own side: `a` is the
+ * mover's first pit and the letters follow the sowing direction. A move is
+ * followed by `x<n>` if it captured n seeds and by `+` if it earned another
+ * move, which is written straight after it. Move numbers are optional,
+ * `{...}` comments are ignored and the last token is the result: `1-0`
+ * (South won), `0-1`, `1/2-1/2` or `*` (unfinished).
+ */
+
+const rules = require('./rules');
+const { resolveVariant, initialBoard } = require('./variants');
+const { gameVariant, gameResult } = require('./games');
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+const TAG_ORDER = [
+    'Event', 'Round', 'Date', 'South', 'North', 'SouthRating', 'NorthRating',
+    'Variant', 'TimeControl', 'Result', 'Termination', 'GameId'
+];
+const MOVE_PATTERN = /([a-z])(?:x(\d+))?(\+)?/g;
+
+function pitLetter(board, side, pit) {
+    return String.fromCharCode(97 + pit - rules.pitRange(board, side)[0]);
+}
+
+function resultToken(game) {
+    if (game.state.status !== 'finished') return '*';
+    const winningSide = gameResult(game);
+    if (winningSide === null) return '1/2-1/2';
+    return winningSide === 0 ? '1-0' : '0-1';
+}
+
+function timeControlTag(timeControl) {
+    if (!timeControl) return null;
+    if (timeControl.type === 'fischer') return `${timeControl.initialSeconds}+${timeControl.incrementSeconds}`;
+    return `${timeControl.seconds}/move`;
+}
+
+// Group the history into turns: consecutive moves by the same player
+function historyTurns(game) {
+    const turns = [];
+    let board = initialBoard(gameVariant(game));
+    for (const move of game.history || []) {
+        const side = game.playerIds.indexOf(move.player);
+        const last = turns[turns.length - 1];
+        const token = pitLetter(board, side, move.pit) +
+            (move.captured ? `x${move.captured}` : '') +
+            (move.extraTurn ? '+' : '');
+        if (last && last.side === side && last.open) {
+            last.text += token;
+            last.auto = last.auto || Boolean(move.auto);
+        } else {
+            turns.push({ side, text: token, auto: Boolean(move.auto) });
+        }
+        turns[turns.length - 1].open = Boolean(move.extraTurn);
+        board = move.board;
+    }
+    return turns;
+}
+
+/**
+ * Notation for a game. `extraTags` (such as ratings or the event name) are
+ * merged over the tags taken from the game record.
+ */
+function formatNotation(game, extraTags = {}) {
+    const result = resultToken(game);
+    const tags = {
+        Event: game.tournamentId ? `Tournament ${game.tournamentId}` : 'Casual',
+        Round: game.round != null ? String(game.round) : null,
+        Date: game.createdAt.slice(0, 10).replace(/-/g, '.'),
+        South: game.playerIds[0],
+        North: game.playerIds[1],
+        Variant: gameVariant(game).name,
+        TimeControl: timeControlTag(game.timeControl),
+        Result: result,
+        Termination: game.state.reason || null,
+        GameId: game.id,
+        ...extraTags
+    };
+    const header = TAG_ORDER
+        .filter(name => tags[name] != null)
+        .map(name => `[${name} "${String(tags[name]).replace(/["\\]/g, '\\$&')}"]`);
+
+    const tokens = [];
+    historyTurns(game).forEach((turn, index) => {
+        if (index % 2 === 0) tokens.push(`${index / 2 + 1}.`);
+        tokens.push(turn.auto ? `${turn.text} {auto}` : turn.text);
+    });
+    tokens.push(result);
+
+    // Wrap the move list at about 80 columns
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + token.length + 1 > 80) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    lines.push(line);
+    return `${header.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Split notation into its tags, turn tokens and result.
+ * @throws {Error} if the text is not well-formed
+ */
+function parseNotation(text) {
+    if (typeof text !== 'string') throw new Error('Notation must be a string.');
+    const tags = {};
+    const body = text.replace(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm, (line, name, value) => {
+        tags[name] = value.replace(/\\(.)/g, '$1');
+        return '';
+    });
+
+    const tokens = body
+        .replace(/\{[^}]*\}/g, ' ')
+        .split(/\s+/)
+        .filter(token => token && !/^\d+\.$/.test(token));
+    let result = '*';
+    if (tokens.length && RESULTS.includes(tokens[tokens.length - 1])) {
+        result = tokens.pop();
+    }
+
+    const turns = tokens.map(token => {
+        const moves = [];
+        let consumed = 0;
+        for (const match of token.matchAll(MOVE_PATTERN)) {
+            if (match.index !== consumed) break;
+            moves.push({
+                pit: match[1].charCodeAt(0) - 97,
+                captured: match[2] !== undefined ? Number(match[2]) : 0,
+                extraTurn: Boolean(match[3])
+            });
+            consumed += match[0].length;
+        }
+        if (moves.length === 0 || consumed !== token.length) {
+            throw new Error(`Malformed turn: ${token}`);
+        }
+        return { token, moves };
+    });
+
+    if (tags.Result && tags.Result !== result) {
+        throw new Error(`Result tag ${tags.Result} does not match the move list result ${result}.`);
+    }
+    return { tags, turns, result };
+}
+
+/**
+ * Parse notation and replay it through the rules, checking every move is
+ * legal and its capture and extra-turn marks are right.
+ * @returns {{ tags: object, variant: object, result: string, moves: object[], board: number[], finished: boolean }}
+ *   `moves` holds each move with its board index and the board after it
+ * @throws {Error} naming the first turn that does not replay
+ */
+function replayNotation(text) {
+    const { tags, turns, result } = parseNotation(text);
+    const variant = resolveVariant(tags.Variant || undefined);
+    let board = initialBoard(variant);
+    let side = 0;
+    let finished = false;
+    const moves = [];
+
+    turns.forEach((turn, index) => {
+        const label = `Turn ${Math.floor(index / 2) + 1}${index % 2 === 0 ? '' : '...'} ${turn.token}`;
+        if (finished) throw new Error(`${label}: the game is already over.`);
+
+        turn.moves.forEach((mark, i) => {
+            if (finished) throw new Error(`${label}: the game is already over.`);
+            const last = i === turn.moves.length - 1;
+            if (!last && !mark.extraTurn) throw new Error(`${label}: only a move marked + can be followed by another.`);
+
+            const pit = rules.pitRange(board, side)[0] + mark.pit;
+            if (mark.pit >= variant.pitsPerSide || !rules.legalMoves(board, side).includes(pit)) {
+                throw new Error(`${label}: illegal move ${String.fromCharCode(97 + mark.pit)}.`);
+            }
+            const outcome = rules.applyMove(board, side, pit, variant);
+            if (outcome.captured !== mark.captured) {
+                throw new Error(`${label}: move captures ${outcome.captured} seeds, not ${mark.captured}.`);
+            }
+            if (outcome.extraTurn !== mark.extraTurn) {
+                throw new Error(`${label}: move ${outcome.extraTurn ? 'earns' : 'does not earn'} another move.`);
+            }
+            moves.push({ side, pit, captured: outcome.captured, extraTurn: outcome.extraTurn, board: outcome.board });
+            board = outcome.board;
+            side = outcome.nextSide;
+            finished = outcome.finished;
+        });
+        if (!finished && turn.moves[turn.moves.length - 1].extraTurn) {
+            throw new Error(`${label}: the player still has another move to make.`);
+        }
+    });
+
+    // Games can end early on time, so only a finished board fixes the result
+    if (finished) {
+        const winningSide = rules.winner(board);
+        const expected = winningSide === null ? '1/2-1/2' : winningSide === 0 ? '1-0' : '0-1';
+        if (result !== expected) throw new Error(`The final position is ${expected}, not ${result}.`);
+    }
+    return { tags, variant, result, moves, board, finished };
+}
+
+module.exports = {
+    formatNotation,
+    parseNotation,
+    replayNotation
+};
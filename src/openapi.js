@@ -0,0 +1,128 @@
+/**
+ * OpenAPI document
+ *
+ * Built from the endpoint schemas in schemas.js and served at
+ * GET /openapi.json.
+ */
+
+const { ENDPOINTS } = require('./schemas');
+const { ERROR_CODES } = require('./errors');
+const { version } = require('./package.json');
+
+const ALWAYS = ['VALIDATION_FAILED', 'INTERNAL_ERROR'];
+
+// '/players/:playerId' -> '/players/{playerId}'
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+// JSON Schema as used by the validator -> OpenAPI 3.0 schema (no type arrays there)
+function toOpenApiSchema(schema) {
+    const { type, properties, ...rest } = schema;
+    const converted = { ...rest };
+    if (Array.isArray(type)) {
+        return { description: schema.description, oneOf: type.map(t => toOpenApiSchema({ ...schema, type: t, description: undefined })) };
+    }
+    if (type) converted.type = type;
+    if (type === 'object' && properties) {
+        converted.properties = Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toOpenApiSchema(value)]));
+    } else {
+        delete converted.required;
+        delete converted.additionalProperties;
+    }
+    if (converted.description === undefined) delete converted.description;
+    if (converted.required && converted.required.length === 0) delete converted.required;
+    return converted;
+}
+
+function successResponse(response) {
+    const { description, type } = typeof response === 'string'
+        ? { description: response, type: 'application/json' }
+        : response;
+    const content = type === 'application/json' ? {} : { schema: { type: 'string' } };
+    return { description, content: { [type]: content } };
+}
+
+function errorResponses(codes) {
+    const byStatus = {};
+    for (const code of [...codes, ...ALWAYS]) {
+        const status = ERROR_CODES[code];
+        (byStatus[status] = byStatus[status] || []).push(code);
+    }
+    return Object.fromEntries(Object.entries(byStatus).map(([status, statusCodes]) => [status, {
+        description: statusCodes.join(' or '),
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    }]));
+}
+
+function operation(spec) {
+    const op = { summary: spec.summary, tags: [spec.tag] };
+    if (spec.deprecated) op.deprecated = true;
+
+    const parameters = [
+        ...Object.entries(spec.params || {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema: toOpenApiSchema(schema) })),
+        ...Object.entries(spec.query || {}).map(([name, schema]) => ({ name, in: 'query', schema: toOpenApiSchema(schema) }))
+    ];
+    if (parameters.length) op.parameters = parameters;
+
+    if (spec.body) {
+        op.requestBody = {
+            required: Boolean(spec.body.required && spec.body.required.length),
+            content: { 'application/json': { schema: toOpenApiSchema(spec.body) } }
+        };
+    }
+    // Any one of the schemes listed will do
+    if (spec.auth) {
+        op.security = [].concat(spec.auth).map(auth => ({ [auth === 'admin' ? 'adminAuth' : 'bearerAuth']: [] }));
+    }
+
+    op.responses = {
+        ...Object.fromEntries(Object.entries(spec.responses).map(([status, response]) => [status, successResponse(response)])),
+        ...errorResponses(spec.errors || [])
+    };
+    return op;
+}
+
+function buildSpec() {
+    const paths = {};
+    for (const [key, spec] of Object.entries(ENDPOINTS)) {
+        const [method, path] = key.split(' ');
+        const openApiPath = toOpenApiPath(path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method.toLowerCase()] = operation(spec);
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Mancala Tournament API',
+            version,
+            description: 'Errors are returned as { error, code, details? }; `code` is one of the values of Error.code.'
+        },
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from POST /players' },
+                adminAuth: { type: 'http', scheme: 'bearer', description: 'The server\'s ADMIN_TOKEN' }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['error', 'code'],
+                    properties: {
+                        error: { type: 'string', description: 'Human-readable message' },
+                        code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+                        details: {
+                            type: 'array',
+                            description: 'Validation problems, one per field',
+                            items: {
+                                type: 'object',
+                                properties: { path: { type: 'string' }, message: { type: 'string' } }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+module.exports = { buildSpec };
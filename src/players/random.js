@@ -1,61 +1,37 @@
-// Mancala Random AI Player using the Mancala APIs
+// Mancala Random AI Player using the Mancala client library
 // This script creates a player and always picks a random available pit when playing
 
-const axios = require('axios');
+const { randomUUID } = require('crypto');
+const { runBot } = require('../../client');
+const { legalMoves } = require('../rules');
 
 const API_BASE = 'http://localhost:3000';
-
-async function createPlayer() {
-    const res = await axios.post(`${API_BASE}/players`);
-    return res.data.id;
-}
-
-async function getTurn(playerId) {
-    // Returns { turnId, board }
-    const res = await axios.get(`${API_BASE}/players/${playerId}/turns`);
-    return res.data;
-}
-
-async function makeMove(playerId, turnId, pit) {
-    await axios.post(`${API_BASE}/players/${playerId}/turns/${turnId}`, { pit });
-    return;
-}
+const VARIANT = process.env.VARIANT; // Optional rule variant, e.g. 'kalah-6-6'
+const PASSWORD = process.env.PASSWORD || randomUUID(); // Reuse a password to play as the same player
 
 function getRandomPit(board) {
-    // Player is always player 1 (pits 0-5)
-    const availablePits = [];
-    for (let i = 0; i <= 5; i++) {
-        if (board[i] > 0) availablePits.push(i);
-    }
+    // Player is always player 1 (the first half of the board)
+    const availablePits = legalMoves(board, 0);
     if (availablePits.length === 0) return null;
     return availablePits[Math.floor(Math.random() * availablePits.length)];
 }
 
-async function playRandomGame() {
-    const playerId = await createPlayer();
-    console.log('Created player:', playerId);
-    while (true) {
-        try {
-            const { turnId, board } = await getTurn(playerId);
-            if (!board || !turnId) {
-                console.log('No board or turnId available. Waiting...');
-                await new Promise(r => setTimeout(r, 2000));
-                continue;
-            }
-            const pit = getRandomPit(board);
-            if (pit === null) {
-                console.log('No available moves. Game may be over.');
-                break;
-            }
-            console.log(`Player ${playerId} plays pit ${pit} (turnId: ${turnId})`);
-            const moveResult = await makeMove(playerId, turnId, pit);
-            // Wait a bit before next move
-            await new Promise(r => setTimeout(r, 1000));
-        } catch (e) {
-            console.error('Error:', e.message);
-            await new Promise(r => setTimeout(r, 2000));
+function playRandomGame() {
+    const bot = runBot({
+        baseUrl: API_BASE,
+        password: PASSWORD,
+        variant: VARIANT,
+        chooseMove: board => getRandomPit(board),
+        onGameFinished: game => {
+            const { wins, draws, losses } = bot.stats;
+            console.log(`Player ${bot.client.playerId} ${game.result} game ${game.gameId} (${wins}-${draws}-${losses} so far)`);
         }
-    }
+    });
+    bot.done.catch(e => {
+        console.error('Error:', e.message);
+        process.exitCode = 1;
+    });
+    return bot;
 }
 
 // If run directly, play a random game
@@ -0,0 +1,78 @@
+// Mancala Random AI Player using the WebSocket bot protocol
+// Same strategy as random.js, but turns are pushed to it instead of polled
+
+const WebSocket = require('ws');
+const { randomUUID } = require('crypto');
+const { getRandomPit } = require('./random');
+
+const API_BASE = 'http://localhost:3000';
+const SOCKET_URL = 'ws://localhost:3000/bots';
+const VARIANT = process.env.VARIANT; // Optional rule variant, e.g. 'kalah-6-6'
+const PASSWORD = process.env.PASSWORD || randomUUID(); // Reuse a password to play as the same player
+const RECONNECT_DELAY_MS = 2000;
+
+// Returns { id, token }
+async function createPlayer() {
+    const res = await fetch(`${API_BASE}/players`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: PASSWORD })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `Failed to create player (${res.status})`);
+    return data;
+}
+
+async function playRandomGames() {
+    const session = await createPlayer();
+    console.log('Created player:', session.id);
+    connect(session);
+}
+
+// Play over one connection, and reconnect when it drops
+function connect(session) {
+    const socket = new WebSocket(SOCKET_URL);
+    const send = message => socket.send(JSON.stringify(message));
+
+    socket.on('open', () => send({ type: 'hello', token: session.token }));
+    socket.on('message', raw => {
+        const message = JSON.parse(raw);
+        switch (message.type) {
+            case 'welcome':
+                send({ type: 'seek', variant: VARIANT });
+                break;
+            case 'turn': {
+                const pit = getRandomPit(message.board);
+                console.log(`Player ${session.id} plays pit ${pit} in game ${message.gameId}`);
+                send({ type: 'move', turnId: message.turnId, pit });
+                break;
+            }
+            case 'game_over':
+                console.log(`Game ${message.gameId} over: ${message.result}`);
+                break;
+            case 'error':
+                console.error('Error:', message.error);
+                break;
+        }
+    });
+    // A refused or failed connection is followed by 'close', which retries
+    socket.on('error', error => console.error('Connection error:', error.message));
+    socket.on('close', code => setTimeout(() => {
+        // Only sign in again once the token has expired
+        if (code !== 4401) return connect(session);
+        createPlayer().then(connect, error => {
+            console.error('Error:', error.message);
+            process.exitCode = 1;
+        });
+    }, RECONNECT_DELAY_MS));
+}
+
+// If run directly, keep playing random games
+if (require.main === module) {
+    playRandomGames().catch(e => {
+        console.error('Error:', e.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { playRandomGames };
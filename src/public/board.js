@@ -0,0 +1,141 @@
+// Mancala board rendering, shared by the browser pages
+//
+// Boards use the server's layout: the bottom player's pits are indices
+// 0..n-1 and their store n; the top player's pits are n+1..2n and their store
+// 2n+1. Pits are drawn counter-clockwise, so the bottom row runs left to right
+// and the top row right to left.
+
+(function () {
+    const STEP_MS = 140;            // Delay between seeds while sowing
+    const MAX_ANIMATION_MS = 2000;  // Long sowings speed up to fit in this
+
+    function initialBoard(variant) {
+        const side = [...Array(variant.pitsPerSide).fill(variant.seeds), 0];
+        return [...side, ...side];
+    }
+
+    // Slots a move from `pit` drops seeds into, in order (see rules.applyMove)
+    function sowingPath(board, pit, variant) {
+        const n = board.length / 2 - 1;
+        const side = pit < n ? 0 : 1;
+        const ownStore = side === 0 ? n : 2 * n + 1;
+        const opponentStore = side === 0 ? 2 * n + 1 : n;
+        const path = [];
+        let seeds = board[pit];
+        let idx = pit;
+        while (seeds > 0) {
+            idx = (idx + 1) % board.length;
+            if (idx === opponentStore) continue;
+            if (idx === ownStore && variant.sowStores === false) continue;
+            if (idx === pit && variant.skipOrigin) continue;
+            path.push(idx);
+            seeds--;
+        }
+        return path;
+    }
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    class BoardView {
+        /**
+         * @param {HTMLElement} container
+         * @param {object} [options]
+         * @param {function} [options.onPitClick] called with the pit index
+         */
+        constructor(container, options = {}) {
+            this.container = container;
+            this.onPitClick = options.onPitClick || null;
+            this.board = null;
+            this.slots = [];
+            this.animation = 0;
+        }
+
+        // Build the pits and stores for a board of this size
+        layout(size) {
+            const n = size / 2 - 1;
+            this.container.innerHTML = '';
+            this.container.className = 'board';
+            this.container.style.setProperty('--pits', n);
+            this.slots = [];
+
+            const slot = (index, className) => {
+                const el = document.createElement('div');
+                el.className = className;
+                el.dataset.index = index;
+                el.innerHTML = '<span class="seeds"></span><span class="count"></span>';
+                if (this.onPitClick && className === 'pit') {
+                    el.addEventListener('click', () => this.onPitClick(index));
+                }
+                this.slots[index] = el;
+                return el;
+            };
+
+            const top = document.createElement('div');
+            top.className = 'row top';
+            for (let i = 2 * n; i > n; i--) top.appendChild(slot(i, 'pit'));
+            const bottom = document.createElement('div');
+            bottom.className = 'row bottom';
+            for (let i = 0; i < n; i++) bottom.appendChild(slot(i, 'pit'));
+
+            this.container.append(slot(2 * n + 1, 'store top'), top, bottom, slot(n, 'store bottom'));
+        }
+
+        setCount(index, count) {
+            const el = this.slots[index];
+            el.querySelector('.count').textContent = count;
+            el.querySelector('.seeds').textContent = '•'.repeat(Math.min(count, 24));
+        }
+
+        /**
+         * Draw a board.
+         * @param {number[]} board
+         * @param {object} [options]
+         * @param {number[]} [options.highlight] pits to mark as playable
+         * @param {number} [options.lastPit] the pit the last move was played from
+         */
+        render(board, options = {}) {
+            this.animation++;
+            if (!this.board || this.board.length !== board.length || !this.slots.length) this.layout(board.length);
+            this.board = [...board];
+            board.forEach((count, index) => {
+                this.setCount(index, count);
+                const el = this.slots[index];
+                el.classList.toggle('playable', Boolean(options.highlight && options.highlight.includes(index)));
+                el.classList.toggle('last', options.lastPit === index);
+                el.classList.remove('sowing');
+            });
+        }
+
+        /**
+         * Animate a move from the current board: lift the seeds from `pit`,
+         * drop them one at a time, then show `after` (captures and sweeps
+         * included).
+         */
+        async animateMove(pit, after, variant) {
+            const before = this.board;
+            if (!before || before.length !== after.length || !before[pit]) {
+                return this.render(after, { lastPit: pit });
+            }
+            const animation = ++this.animation;
+            const path = sowingPath(before, pit, variant);
+            const step = Math.min(STEP_MS, MAX_ANIMATION_MS / Math.max(path.length, 1));
+            const counts = [...before];
+
+            counts[pit] = 0;
+            this.setCount(pit, 0);
+            this.slots[pit].classList.add('sowing');
+            for (const index of path) {
+                await sleep(step);
+                if (animation !== this.animation) return;
+                counts[index]++;
+                this.setCount(index, counts[index]);
+                this.slots[index].classList.add('sowing');
+            }
+            await sleep(step);
+            if (animation !== this.animation) return;
+            this.render(after, { lastPit: pit });
+        }
+    }
+
+    window.Mancala = { BoardView, initialBoard, sowingPath };
+})();
@@ -0,0 +1,352 @@
+// Play page: sign in, find or challenge an opponent and play by clicking pits
+//
+// Boards arrive oriented for the player (see the HTTP API), so their pits
+// are always the bottom row. Turns come from the player's event stream; the
+// page only polls for turns while looking for a new game, which is what
+// puts the player in the matchmaking pool.
+
+(function () {
+    const { BoardView } = window.Mancala;
+
+    const SESSION_KEY = 'mancala-session';
+    const SEEK_INTERVAL_MS = 2000;
+    const CLOCK_INTERVAL_MS = 200;
+    const NEXT_GAME_DELAY_MS = 3000;
+
+    const $ = id => document.getElementById(id);
+    const view = new BoardView($('board'), { onPitClick: playPit });
+
+    const state = {
+        session: null,        // { id, token, expiresAt }
+        variants: [],
+        stream: null,
+        queue: Promise.resolve(),
+        seek: null,           // Polling timer while looking for a game
+        game: null,           // { id, playerIds, variant, board, turn, finished, turnStartedAt }
+        waiting: new Map()    // Turns in other games, by game ID
+    };
+
+    const shortId = id => id.startsWith('house-') ? id : id.slice(0, 8);
+
+    // Events are handled one at a time, in order, so animations don't overlap
+    function enqueue(task) {
+        state.queue = state.queue.then(task).catch(console.error);
+    }
+
+    async function api(method, url, body) {
+        const res = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${state.session.token}`
+            },
+            body: body && JSON.stringify(body)
+        });
+        const text = await res.text();
+        const data = text ? JSON.parse(text) : null;
+        if (res.status === 401) {
+            signOut('Your session has expired. Please sign in again.');
+        }
+        return { status: res.status, data };
+    }
+
+    // --- SESSION ---
+
+    async function signIn(password) {
+        const res = await fetch('/players', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Sign in failed.');
+        localStorage.setItem(SESSION_KEY, JSON.stringify(data));
+        return data;
+    }
+
+    function signOut(message) {
+        localStorage.removeItem(SESSION_KEY);
+        stopSeeking();
+        if (state.stream) state.stream.close();
+        Object.assign(state, { session: null, stream: null, game: null });
+        state.waiting.clear();
+        $('signed-in').hidden = true;
+        $('seek-panel').hidden = true;
+        $('play-panel').hidden = true;
+        $('sign-in-panel').hidden = false;
+        $('sign-in-error').textContent = message || '';
+    }
+
+    async function startSession(session) {
+        state.session = session;
+        $('sign-in-panel').hidden = true;
+        $('signed-in').hidden = false;
+        $('seek-panel').hidden = false;
+        $('player-id').textContent = session.id;
+        showSeekForm(true);
+        await loadRating();
+        openStream();
+    }
+
+    async function loadRating() {
+        const variant = $('variant').value;
+        const res = await fetch(`/players/${state.session.id}`);
+        const player = await res.json();
+        const pools = player.pools || {};
+        const pool = variant === state.variants[0].name ? player : pools[variant] || { score: 1200 };
+        $('player-rating').textContent = `${variant} rating ${pool.score}`;
+    }
+
+    // --- EVENTS ---
+
+    function openStream() {
+        const { id, token } = state.session;
+        const stream = new EventSource(`/players/${id}/events?token=${encodeURIComponent(token)}`);
+        state.stream = stream;
+        const on = (type, handler) => stream.addEventListener(type, message => {
+            const event = JSON.parse(message.data);
+            enqueue(() => handler(event));
+        });
+
+        on('game_started', async event => {
+            if (!state.game || state.game.finished) await loadGame(event.gameId);
+        });
+
+        on('your_turn', async event => {
+            if (!state.game || (state.game.finished && state.game.id !== event.gameId)) await loadGame(event.gameId);
+            if (state.game && state.game.id === event.gameId) setTurn(event);
+            else state.waiting.set(event.gameId, event);
+        });
+
+        on('move_played', async event => {
+            const { game } = state;
+            if (!game || game.id !== event.gameId) return;
+            game.turn = null;
+            game.turnStartedAt = Date.now();
+            await view.animateMove(event.pit, event.board, game.variant);
+            game.board = event.board;
+            const mine = event.player === state.session.id;
+            $('game-status').textContent = (mine ? 'You' : 'Opponent') + ` played pit ${event.pit + 1}` +
+                (event.captured ? `, capturing ${event.captured}` : '') +
+                (event.extraTurn ? ', extra turn' : '') +
+                (event.auto ? ' (out of time: random move)' : '');
+            showLabels(event.turn);
+        });
+
+        on('game_finished', async event => {
+            const { game } = state;
+            state.waiting.delete(event.gameId);
+            if (!game || game.id !== event.gameId) return;
+            game.finished = true;
+            game.turn = null;
+            view.render(event.board);
+            showLabels(null);
+            const n = event.board.length / 2 - 1;
+            const score = `${event.board[n]}-${event.board[2 * n + 1]}`;
+            const how = event.reason === 'timeout' ? ' on time' : '';
+            $('game-status').textContent = { win: `You won${how}! `, loss: `You lost${how}. `, draw: 'Draw. ' }[event.result] + score;
+            loadRating().catch(console.error);
+            setTimeout(nextGame, NEXT_GAME_DELAY_MS);
+        });
+
+        // Missed events can't be replayed: reload the game being played
+        on('resync', async () => {
+            if (state.game && !state.game.finished) await loadGame(state.game.id);
+        });
+
+        stream.onerror = () => {
+            if (state.session && Date.parse(state.session.expiresAt) < Date.now()) {
+                signOut('Your session has expired. Please sign in again.');
+            }
+        };
+    }
+
+    // Move on to another game waiting on the player, or offer a new one
+    function nextGame() {
+        if (!state.game || !state.game.finished) return;
+        const [next] = state.waiting.values();
+        if (next) {
+            state.waiting.delete(next.gameId);
+            enqueue(async () => {
+                await loadGame(next.gameId);
+                setTurn(next);
+            });
+        } else {
+            showSeekForm(true);
+        }
+    }
+
+    // --- GAME ---
+
+    async function loadGame(gameId) {
+        const res = await fetch(`/games/${gameId}?perspective=${state.session.id}`);
+        if (!res.ok) return;
+        const record = await res.json();
+        stopSeeking();
+        showSeekForm(false);
+        $('seek-status').textContent = '';
+        state.game = {
+            id: record.id,
+            playerIds: record.playerIds,
+            variant: record.variant || state.variants[0],
+            board: record.state.board,
+            turn: null,
+            finished: record.state.status === 'finished',
+            turnStartedAt: Date.now()
+        };
+        const opponent = record.playerIds.find(id => id !== state.session.id);
+        $('play-panel').hidden = false;
+        $('game-title').textContent = `${state.game.variant.name} against ${opponent}`;
+        $('top-player').textContent = `Opponent ${shortId(opponent)}`;
+        $('bottom-player').textContent = 'You';
+        $('game-status').textContent = '';
+        view.render(record.state.board);
+        showLabels(record.state.turn);
+    }
+
+    function showLabels(turn) {
+        $('bottom-player').classList.toggle('to-move', Boolean(turn) && turn === state.session.id);
+        $('top-player').classList.toggle('to-move', Boolean(turn) && turn !== state.session.id);
+    }
+
+    // Pits the player can sow from: their own non-empty pits
+    function legalPits(board) {
+        const n = board.length / 2 - 1;
+        return [...Array(n).keys()].filter(i => board[i] > 0);
+    }
+
+    function setTurn(turn) {
+        const { game } = state;
+        game.turn = { ...turn, receivedAt: Date.now() };
+        game.board = turn.board;
+        view.render(turn.board, { highlight: legalPits(turn.board) });
+        showLabels(state.session.id);
+        $('game-status').textContent = 'Your move: click one of your highlighted pits.';
+    }
+
+    async function playPit(pit) {
+        const { game } = state;
+        if (!game || !game.turn || !legalPits(game.board).includes(pit)) return;
+        const turn = game.turn;
+        game.turn = null;
+        view.render(game.board, { lastPit: pit });
+        const { status, data } = await api('POST', `/players/${state.session.id}/turns/${turn.turnId}`, { pit });
+        if (status === 200) return;
+        $('game-status').textContent = data && data.error ? data.error : `Move failed (${status}).`;
+        // A rejected move can be tried again while the turn lasts
+        if (data && data.code === 'ILLEGAL_MOVE' && state.game === game && !game.finished) setTurn(turn);
+    }
+
+    // --- CLOCKS ---
+
+    function formatMs(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    function updateClocks() {
+        const { game } = state;
+        let own = '';
+        let opponent = '';
+        if (game && !game.finished) {
+            const clock = game.turn && game.turn.clock;
+            if (clock) {
+                own = `Your time: ${formatMs(Date.parse(clock.deadline) - Date.now())}`;
+                if (clock.opponentRemainingMs != null) opponent = `Opponent's time: ${formatMs(clock.opponentRemainingMs)}`;
+            } else if (!game.turn) {
+                opponent = `Waiting ${formatMs(Date.now() - game.turnStartedAt)}`;
+            }
+        }
+        $('own-clock').textContent = own;
+        $('opponent-clock').textContent = opponent;
+        const low = game && game.turn && game.turn.clock && Date.parse(game.turn.clock.deadline) - Date.now() < 10000;
+        $('own-clock').classList.toggle('low', Boolean(low));
+    }
+
+    // --- FINDING A GAME ---
+
+    function showSeekForm(enabled) {
+        $('seek-button').disabled = !enabled;
+        $('variant').disabled = !enabled;
+        $('opponent').disabled = !enabled;
+        $('cancel-seek').hidden = !state.seek;
+    }
+
+    function stopSeeking() {
+        if (state.seek) clearInterval(state.seek);
+        state.seek = null;
+        $('cancel-seek').hidden = true;
+    }
+
+    // Ask for a turn, which starts a game once an opponent is found
+    async function pollForGame() {
+        const params = new URLSearchParams({ variant: $('variant').value });
+        const opponent = $('opponent').value.trim();
+        if (opponent) params.set('opponent', opponent);
+        const { status, data } = await api('GET', `/players/${state.session.id}/turns?${params}`);
+        if (!state.seek) return;
+        if (status === 200) {
+            stopSeeking();
+            enqueue(async () => {
+                if (!state.game || state.game.id !== data.gameId || state.game.finished) await loadGame(data.gameId);
+                setTurn(data);
+            });
+        } else if (status === 202) {
+            stopSeeking();
+            $('seek-status').textContent = 'Game found: your opponent moves first.';
+        } else if (data && data.code === 'NO_OPPONENT') {
+            $('seek-status').textContent = `${data.error} Still looking...`;
+        } else {
+            stopSeeking();
+            showSeekForm(true);
+            $('seek-status').textContent = data && data.error ? data.error : `Failed to find a game (${status}).`;
+        }
+    }
+
+    function startSeeking() {
+        stopSeeking();
+        state.seek = setInterval(() => pollForGame().catch(console.error), SEEK_INTERVAL_MS);
+        showSeekForm(false);
+        $('cancel-seek').hidden = false;
+        $('seek-status').textContent = $('opponent').value.trim() ? 'Challenging...' : 'Looking for an opponent...';
+        pollForGame().catch(console.error);
+    }
+
+    // --- START ---
+
+    $('sign-in').addEventListener('submit', async submit => {
+        submit.preventDefault();
+        try {
+            await startSession(await signIn($('password').value));
+            $('password').value = '';
+        } catch (error) {
+            $('sign-in-error').textContent = error.message;
+        }
+    });
+    $('sign-out').addEventListener('click', () => signOut());
+    $('seek').addEventListener('submit', submit => {
+        submit.preventDefault();
+        startSeeking();
+    });
+    $('cancel-seek').addEventListener('click', () => {
+        stopSeeking();
+        showSeekForm(true);
+        $('seek-status').textContent = '';
+    });
+    $('variant').addEventListener('change', () => loadRating().catch(console.error));
+
+    async function start() {
+        state.variants = await (await fetch('/variants')).json();
+        state.variants.forEach(variant => $('variant').add(new Option(variant.name, variant.name)));
+        const params = new URLSearchParams(location.search);
+        if (params.get('opponent')) $('opponent').value = params.get('opponent');
+        setInterval(updateClocks, CLOCK_INTERVAL_MS);
+
+        const saved = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+        if (saved && Date.parse(saved.expiresAt) > Date.now()) await startSession(saved);
+    }
+
+    start().catch(error => {
+        $('sign-in-error').textContent = `Failed to load: ${error.message}`;
+    });
+})();
@@ -0,0 +1,291 @@
+// Spectator page: leaderboard, live games and replays of finished games
+//
+// Open /#game=<gameId> to watch or replay a game directly, and /?wall to
+// follow live games automatically on a wall screen.
+
+(function () {
+    const { BoardView, initialBoard } = window.Mancala;
+
+    const REFRESH_MS = 5000;
+    const REPLAY_STEP_MS = 1200;
+    const FOLLOW_DELAY_MS = 5000;   // How long a finished game stays up before following the next
+
+    const $ = id => document.getElementById(id);
+    const view = new BoardView($('board'));
+
+    const state = {
+        variants: [],
+        variant: null,
+        game: null,           // Game record being shown
+        stream: null,         // EventSource for a live game
+        queue: Promise.resolve(),
+        replay: null,         // { index, timer } while replaying
+        selectedPlayer: null
+    };
+
+    async function getJson(url) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`${url}: ${res.status}`);
+        return res.json();
+    }
+
+    // House bots have readable IDs, so they are shown in full
+    const shortId = id => id.startsWith('house-') ? id : id.slice(0, 8);
+
+    // Games from before variants existed are the default variant, listed first
+    const variantOf = game => game.variant || state.variants[0];
+
+    function listItem(text, detail, onClick) {
+        const li = document.createElement('li');
+        li.textContent = text;
+        const small = document.createElement('small');
+        small.textContent = ` ${detail}`;
+        li.appendChild(small);
+        li.addEventListener('click', onClick);
+        return li;
+    }
+
+    // --- LEADERBOARD ---
+
+    async function loadLeaderboard() {
+        const players = await getJson(`/players?variant=${encodeURIComponent(state.variant)}`);
+        const body = $('leaderboard').querySelector('tbody');
+        body.innerHTML = '';
+        players.forEach(player => {
+            const row = document.createElement('tr');
+            if (player.provisional) row.className = 'provisional';
+            if (player.houseBot) row.classList.add('house-bot');
+            if (player.id === state.selectedPlayer) row.classList.add('selected');
+            [player.rank, shortId(player.id), player.score, player.wins || 0, player.losses || 0].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            row.title = player.id + (player.houseBot ? ' (house bot)' : '') + (player.provisional ? ' (provisional)' : '');
+            row.addEventListener('click', () => selectPlayer(player.id));
+            body.appendChild(row);
+        });
+    }
+
+    async function selectPlayer(playerId) {
+        state.selectedPlayer = playerId;
+        const { games } = await getJson(`/players/${playerId}/games?status=finished&limit=20&perspective=${playerId}`);
+        $('player-games-title').hidden = false;
+        $('player-games-title').textContent = `Finished games: ${shortId(playerId)}`;
+        const list = $('player-games');
+        list.innerHTML = '';
+        games
+            .filter(game => variantOf(game).name === state.variant)
+            .forEach(game => {
+                const opponent = game.playerIds.find(id => id !== playerId);
+                const [own, other] = [game.state.board[game.state.board.length / 2 - 1], game.state.board[game.state.board.length - 1]];
+                list.appendChild(listItem(`vs ${shortId(opponent)}`, `${own}-${other}, ${game.moves} moves`, () => showGame(game.id)));
+            });
+        if (!list.children.length) list.appendChild(listItem('No finished games', '', () => {}));
+        loadLeaderboard().catch(console.error);
+    }
+
+    // --- ACTIVE GAMES ---
+
+    async function loadActiveGames() {
+        const games = await getJson(`/games?variant=${encodeURIComponent(state.variant)}`);
+        const list = $('active-games');
+        list.innerHTML = '';
+        games.forEach(game => {
+            const li = listItem(
+                `${shortId(game.playerIds[0])} vs ${shortId(game.playerIds[1])}`,
+                `${game.moves} moves${game.tournamentId ? ', tournament' : ''}`,
+                () => showGame(game.id)
+            );
+            if (state.game && state.game.id === game.id) li.className = 'selected';
+            list.appendChild(li);
+        });
+        if (!games.length) list.appendChild(listItem('No games in progress', '', () => {}));
+
+        // On a wall screen, always have a live game up
+        const watching = state.game && state.game.state.status === 'active';
+        if ($('follow').checked && !watching && !state.replay && games.length) {
+            showGame(games[0].id);
+        }
+        return games;
+    }
+
+    // --- GAME VIEW ---
+
+    function stopGame() {
+        if (state.stream) state.stream.close();
+        state.stream = null;
+        stopReplay();
+        state.replay = null;
+        state.queue = Promise.resolve();
+    }
+
+    function showLabels(game) {
+        $('game-title').textContent = `${variantOf(game).name} game ${shortId(game.id)}`;
+        $('top-player').textContent = shortId(game.playerIds[1]);
+        $('bottom-player').textContent = shortId(game.playerIds[0]);
+        $('top-player').classList.toggle('to-move', game.state.turn === game.playerIds[1]);
+        $('bottom-player').classList.toggle('to-move', game.state.turn === game.playerIds[0]);
+    }
+
+    function resultText(game) {
+        const board = game.state.board;
+        const n = board.length / 2 - 1;
+        const winner = game.state.winner !== undefined
+            ? game.state.winner
+            : board[n] === board[2 * n + 1] ? null : board[n] > board[2 * n + 1] ? 0 : 1;
+        const score = `${board[n]}-${board[2 * n + 1]}`;
+        const how = game.state.reason === 'timeout' ? ' on time' : '';
+        return winner === null ? `Draw, ${score}` : `${shortId(game.playerIds[winner])} won${how}, ${score}`;
+    }
+
+    async function showGame(gameId) {
+        stopGame();
+        const game = await getJson(`/games/${gameId}`);
+        state.game = game;
+        history.replaceState(null, '', `${location.search}#game=${gameId}`);
+        showLabels(game);
+
+        if (game.state.status === 'finished') {
+            startReplay(game);
+            return;
+        }
+
+        $('replay-controls').hidden = true;
+        $('game-status').textContent = `${game.history.length} moves played`;
+        const last = game.history[game.history.length - 1];
+        view.render(game.state.board, { lastPit: last && last.pit });
+        watch(game);
+        loadActiveGames().catch(console.error);
+    }
+
+    // Follow a live game over its event stream, animating each move in turn
+    function watch(game) {
+        const stream = new EventSource(`/games/${game.id}/events`);
+        state.stream = stream;
+        // Moves animate one after another, and stop once another game is shown
+        const enqueue = task => {
+            state.queue = state.queue.then(() => state.game === game && task()).catch(console.error);
+        };
+
+        stream.addEventListener('move_played', message => {
+            const move = JSON.parse(message.data);
+            enqueue(async () => {
+                await view.animateMove(move.pit, move.board, variantOf(game));
+                game.history.push(move);
+                game.state = { ...game.state, board: move.board, turn: move.turn };
+                showLabels(game);
+                $('game-status').textContent = `${game.history.length} moves played` +
+                    (move.captured ? `, ${move.captured} captured` : '') +
+                    (move.extraTurn ? ', extra turn' : '') +
+                    (move.auto ? ' (timed out, random move)' : '');
+            });
+        });
+
+        stream.addEventListener('game_finished', message => {
+            const result = JSON.parse(message.data);
+            enqueue(async () => {
+                stream.close();
+                game.state = { ...game.state, board: result.board, status: 'finished', turn: null, winner: result.winner, reason: result.reason };
+                view.render(result.board);
+                showLabels(game);
+                $('game-status').textContent = resultText(game);
+                if ($('follow').checked) {
+                    setTimeout(() => {
+                        if (state.game === game) loadActiveGames().catch(console.error);
+                    }, FOLLOW_DELAY_MS);
+                }
+            });
+        });
+
+        // Missed moves can't be replayed from the stream, so start again from the record
+        stream.addEventListener('resync', () => showGame(game.id));
+    }
+
+    // --- REPLAY ---
+
+    function boardAt(game, index) {
+        return index === 0 ? initialBoard(variantOf(game)) : game.history[index - 1].board;
+    }
+
+    function showReplayPosition(animate) {
+        const { game } = state;
+        const { index } = state.replay;
+        const total = game.history.length;
+        $('replay-position').textContent = `Move ${index} / ${total}`;
+        $('game-status').textContent = index === total ? resultText(game) : '';
+        const move = game.history[index - 1];
+        if (animate && move) {
+            return view.animateMove(move.pit, move.board, variantOf(game));
+        }
+        view.render(boardAt(game, index), { lastPit: move && move.pit });
+    }
+
+    function startReplay(game) {
+        $('replay-controls').hidden = false;
+        state.replay = { index: 0, timer: null };
+        showReplayPosition(false);
+        playReplay();
+    }
+
+    function stopReplay() {
+        if (state.replay && state.replay.timer) clearInterval(state.replay.timer);
+        if (state.replay) state.replay.timer = null;
+    }
+
+    function stepReplay(delta) {
+        if (!state.replay) return;
+        const total = state.game.history.length;
+        const index = Math.max(0, Math.min(total, state.replay.index + delta));
+        if (index === state.replay.index) return stopReplay();
+        state.replay.index = index;
+        showReplayPosition(delta === 1);
+    }
+
+    function playReplay() {
+        stopReplay();
+        if (state.replay.index === state.game.history.length) state.replay.index = 0;
+        state.replay.timer = setInterval(() => stepReplay(1), REPLAY_STEP_MS);
+    }
+
+    $('replay-first').addEventListener('click', () => { stopReplay(); stepReplay(-Infinity); });
+    $('replay-prev').addEventListener('click', () => { stopReplay(); stepReplay(-1); });
+    $('replay-next').addEventListener('click', () => { stopReplay(); stepReplay(1); });
+    $('replay-last').addEventListener('click', () => { stopReplay(); stepReplay(Infinity); });
+    $('replay-play').addEventListener('click', () => {
+        if (state.replay && state.replay.timer) stopReplay();
+        else if (state.replay) playReplay();
+    });
+
+    // --- START ---
+
+    async function refresh() {
+        await Promise.all([loadLeaderboard(), loadActiveGames()]);
+    }
+
+    async function start() {
+        const variants = await getJson('/variants');
+        state.variants = variants;
+        const select = $('variant');
+        variants.forEach(variant => select.add(new Option(variant.name, variant.name)));
+        state.variant = variants[0].name;
+        select.addEventListener('change', () => {
+            state.variant = select.value;
+            $('player-games').innerHTML = '';
+            $('player-games-title').hidden = true;
+            refresh().catch(console.error);
+        });
+
+        $('follow').checked = new URLSearchParams(location.search).has('wall');
+        $('follow').addEventListener('change', () => loadActiveGames().catch(console.error));
+
+        const linked = location.hash.match(/game=([\w-]+)/);
+        if (linked) await showGame(linked[1]).catch(console.error);
+        await refresh();
+        setInterval(() => refresh().catch(console.error), REFRESH_MS);
+    }
+
+    start().catch(error => {
+        $('game-status').textContent = `Failed to load: ${error.message}`;
+    });
+})();
@@ -0,0 +1,281 @@
+/**
+ * Ratings
+ *
+ * Every finished game updates both an Elo rating and a Glicko-2 rating
+ * (rating, deviation, volatility). The configured rating system decides which
+ * of the two is published as the player's `score`, which the leaderboard and
+ * matchmaking use.
+ *
+ * Each variant is rated separately. The default variant's stats live on the
+ * player record itself; other variants keep theirs under `pools[variantName]`.
+ *
+ * A snapshot of each player's ratings is stored after every game for the
+ * rating history.
+ *
+ * A player can have several games finish at once, and each result is read
+ * from and written back to their whole record, so every change to a player's
+ * ratings holds their `player:<id>` lock (the same one seasons.js takes).
+ */
+
+const { randomUUID } = require('crypto');
+const { DEFAULT_VARIANT } = require('./variants');
+const { gameResult } = require('./games');
+const { withLock } = require('./locks');
+
+const RATING_SYSTEMS = ['elo', 'glicko2'];
+const DEFAULT_SCORE = 1200;
+const K_FACTOR = 32;
+
+// Glicko-2 constants
+const GLICKO_SCALE = 173.7178;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const TAU = 0.5;                  // Limits how fast volatility can change
+const RATING_PERIOD_DAYS = 1;     // Deviation grows for each idle period
+const PROVISIONAL_DEVIATION = 110; // Players above this deviation are provisional
+
+// --- POOLS ---
+
+function getPool(player, variantName) {
+    if (variantName === DEFAULT_VARIANT) {
+        const { score, wins, losses, draws, lastPlayedAt, elo, glicko } = player;
+        return { score, wins, losses, draws, lastPlayedAt, elo, glicko };
+    }
+    const pool = (player.pools || {})[variantName];
+    return pool || { score: DEFAULT_SCORE, wins: 0, losses: 0, draws: 0, lastPlayedAt: null };
+}
+
+// Player fields to write to store `pool` as the player's stats for a variant
+function poolFields(player, variantName, pool) {
+    if (variantName === DEFAULT_VARIANT) return pool;
+    return { pools: { ...player.pools, [variantName]: pool }, lastPlayedAt: pool.lastPlayedAt };
+}
+
+// Glicko-2 state of a pool; players rated before Glicko-2 start from their score
+function glickoOf(pool) {
+    return pool.glicko || {
+        rating: pool.score != null ? pool.score : DEFAULT_SCORE,
+        deviation: DEFAULT_DEVIATION,
+        volatility: DEFAULT_VOLATILITY
+    };
+}
+
+function isProvisional(pool) {
+    return glickoOf(pool).deviation > PROVISIONAL_DEVIATION;
+}
+
+// --- ELO ---
+
+// New Elo rating after scoring `score` (1, 0.5 or 0) against `opponentRating`
+function eloUpdate(rating, opponentRating, score) {
+    const expected = 1 / (1 + Math.pow(10, ((opponentRating - rating) / 400)));
+    return Math.round(rating + K_FACTOR * (score - expected));
+}
+
+// --- GLICKO-2 ---
+
+/**
+ * Glicko-2 update for a single game, treated as its own rating period.
+ * The player's deviation first grows for every full rating period since
+ * they last played.
+ */
+function glicko2Update(player, opponent, score, idleDays = 0) {
+    const mu = (player.rating - 1500) / GLICKO_SCALE;
+    let phi = player.deviation / GLICKO_SCALE;
+    const sigma = player.volatility;
+    const muJ = (opponent.rating - 1500) / GLICKO_SCALE;
+    const phiJ = opponent.deviation / GLICKO_SCALE;
+
+    const periods = Math.floor(idleDays / RATING_PERIOD_DAYS);
+    if (periods > 0) {
+        phi = Math.min(Math.sqrt(phi * phi + periods * sigma * sigma), DEFAULT_DEVIATION / GLICKO_SCALE);
+    }
+
+    const g = 1 / Math.sqrt(1 + 3 * phiJ * phiJ / (Math.PI * Math.PI));
+    const expected = 1 / (1 + Math.exp(-g * (mu - muJ)));
+    const v = 1 / (g * g * expected * (1 - expected));
+    const delta = v * g * (score - expected);
+
+    // New volatility by the Illinois algorithm
+    const a = Math.log(sigma * sigma);
+    const f = x => {
+        const ex = Math.exp(x);
+        const d = phi * phi + v + ex;
+        return ex * (delta * delta - phi * phi - v - ex) / (2 * d * d) - (x - a) / (TAU * TAU);
+    };
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > 1e-6) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    const newSigma = Math.exp(A / 2);
+
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * g * (score - expected);
+
+    return {
+        rating: Math.round((GLICKO_SCALE * newMu + 1500) * 100) / 100,
+        deviation: Math.round(GLICKO_SCALE * newPhi * 100) / 100,
+        volatility: newSigma
+    };
+}
+
+// --- GAME RESULTS ---
+
+function daysSince(timestamp, now) {
+    return timestamp ? (now - Date.parse(timestamp)) / (24 * 60 * 60 * 1000) : 0;
+}
+
+// Run `fn` holding every player's lock, taken in ID order so that two games
+// with a player in common can't each hold the lock the other is waiting for
+function withPlayerLocks(playerIds, fn) {
+    return [...playerIds].sort().reduceRight((inner, id) => () => withLock(`player:${id}`, inner), fn)();
+}
+
+/**
+ * Rate a finished game for both players, update their pool stats and store a
+ * rating snapshot for each.
+ * @param {string} system which rating becomes the published score: 'elo' or 'glicko2'
+ */
+async function updateRatings(storage, game, variantName, system) {
+    const { playerIds } = game;
+    const winningSide = gameResult(game);
+    const results = winningSide === null ? [0.5, 0.5] : winningSide === 0 ? [1, 0] : [0, 1];
+
+    await withPlayerLocks(playerIds, async () => {
+        // Fetch both players
+        const players = await Promise.all(playerIds.map(id => storage.getPlayer(id)));
+        const pools = players.map(player => getPool(player, variantName));
+        const glickos = pools.map(glickoOf);
+        const elos = pools.map(pool => (pool.elo != null ? pool.elo : pool.score));
+
+        const now = Date.now();
+        const timestamp = new Date(now).toISOString();
+        await Promise.all(players.map(async (player, side) => {
+            const other = 1 - side;
+            const elo = eloUpdate(elos[side], elos[other], results[side]);
+            const glicko = glicko2Update(glickos[side], glickos[other], results[side], daysSince(pools[side].lastPlayedAt, now));
+            const score = system === 'glicko2' ? Math.round(glicko.rating) : elo;
+
+            await storage.updatePlayer(player.id, poolFields(player, variantName, {
+                score,
+                elo,
+                glicko,
+                wins: (pools[side].wins || 0) + (results[side] === 1 ? 1 : 0),
+                losses: (pools[side].losses || 0) + (results[side] === 0 ? 1 : 0),
+                draws: (pools[side].draws || 0) + (results[side] === 0.5 ? 1 : 0),
+                lastPlayedAt: timestamp
+            }));
+
+            await storage.addRatingSnapshot({
+                id: randomUUID(),
+                playerId: player.id,
+                variant: variantName,
+                gameId: game.id,
+                opponentId: playerIds[other],
+                result: results[side],
+                score,
+                elo,
+                glicko,
+                timestamp
+            });
+        }));
+    });
+}
+
+/**
+ * Take a voided game's rating changes back off both players: whatever the
+ * game changed their Elo, score and Glicko-2 rating, deviation and volatility
+ * by is taken off their current ratings, and the win, loss or draw off their
+ * record. If it was their last game they are back exactly where they were
+ * before it; otherwise later games keep their effect. A snapshot marked
+ * `voided` records the correction.
+ * @param {string|null} ratedAfter ISO timestamp; a game rated before it is
+ *   left alone, as the ratings it changed have since been reset
+ * @returns {Promise<boolean>} whether any rating was changed
+ */
+async function reverseRatings(storage, game, variantName, ratedAfter = null) {
+    const timestamp = new Date().toISOString();
+    const changed = await Promise.all(game.playerIds.map((playerId, side) => withLock(`player:${playerId}`, async () => {
+        const snapshots = (await storage.listRatingSnapshots(playerId)).filter(s => s.variant === variantName);
+        const index = snapshots.findIndex(s => s.gameId === game.id && !s.voided);
+        if (index === -1) return false; // Never rated
+        if (ratedAfter && snapshots[index].timestamp <= ratedAfter) return false;
+        const after = snapshots[index];
+        // Ratings from before a reset don't count as the game's starting point
+        const before = index > 0 && !(ratedAfter && snapshots[index - 1].timestamp <= ratedAfter) ? snapshots[index - 1] : null;
+        const beforeElo = before ? (before.elo != null ? before.elo : before.score) : DEFAULT_SCORE;
+        // What the game was rated from, as in updateRatings
+        const beforeGlicko = before && before.glicko ? before.glicko : glickoOf({ score: before ? before.score : DEFAULT_SCORE });
+
+        const player = await storage.getPlayer(playerId);
+        const pool = getPool(player, variantName);
+        const glicko = glickoOf(pool);
+        const undo = field => glicko[field] - (after.glicko[field] - beforeGlicko[field]);
+        const elo = (pool.elo != null ? pool.elo : pool.score) - (after.elo - beforeElo);
+        const score = pool.score - (after.score - (before ? before.score : DEFAULT_SCORE));
+        const reversed = {
+            ...pool,
+            score,
+            elo,
+            glicko: {
+                rating: Math.round(undo('rating') * 100) / 100,
+                deviation: Math.round(Math.min(DEFAULT_DEVIATION, Math.max(0, undo('deviation'))) * 100) / 100,
+                volatility: Math.max(0, undo('volatility'))
+            },
+            wins: (pool.wins || 0) - (after.result === 1 ? 1 : 0),
+            losses: (pool.losses || 0) - (after.result === 0 ? 1 : 0),
+            draws: (pool.draws || 0) - (after.result === 0.5 ? 1 : 0)
+        };
+        await storage.updatePlayer(playerId, poolFields(player, variantName, reversed));
+
+        await storage.addRatingSnapshot({
+            id: randomUUID(),
+            playerId,
+            variant: variantName,
+            gameId: game.id,
+            opponentId: game.playerIds[1 - side],
+            result: null,
+            voided: true,
+            score,
+            elo,
+            glicko: reversed.glicko,
+            timestamp
+        });
+        return true;
+    })));
+    return changed.some(Boolean);
+}
+
+module.exports = {
+    RATING_SYSTEMS,
+    DEFAULT_SCORE,
+    PROVISIONAL_DEVIATION,
+    getPool,
+    poolFields,
+    glickoOf,
+    isProvisional,
+    eloUpdate,
+    glicko2Update,
+    updateRatings,
+    reverseRatings
+};
@@ -0,0 +1,255 @@
+/**
+ * Admin routes
+ *
+ * Mounted at /admin. Every route needs ADMIN_TOKEN as the bearer token, and
+ * every change is written to the audit log; `X-Admin-Name` names the admin
+ * in the log.
+ */
+
+const express = require('express');
+const { requireAdmin, publicPlayer } = require('../auth');
+const { audit, barPlayer, reinstatePlayer, voidGame, resetSeason } = require('../admin');
+const { createSeason, overlappingSeasons, seasonStatus } = require('../seasons');
+const { resolveVariant } = require('../variants');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const logger = require('../logger');
+
+const DEFAULT_AUDIT_PAGE_SIZE = 100;
+
+/**
+ * @param {object} storage
+ * @param {object} options
+ * @param {function} options.endGame (game, state, fields) => finished game, or
+ *   null if a move got in first (see server.js)
+ */
+function createAdminRouter(storage, { endGame }) {
+    const router = express.Router();
+    router.use(requireAdmin);
+
+    const actorOf = req => req.get('x-admin-name');
+
+    // Newest first, optionally for one action or target
+    router.get('/audit', validate('GET /admin/audit'), async (req, res) => {
+        const { action, targetId, limit = DEFAULT_AUDIT_PAGE_SIZE } = req.query;
+        try {
+            const entries = (await storage.listAuditEntries())
+                .filter(e => !action || e.action === action)
+                .filter(e => !targetId || e.targetId === targetId)
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+                .slice(0, limit);
+            res.json(entries);
+        } catch (error) {
+            logger.error('Error fetching audit log', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch audit log');
+        }
+    });
+
+    // --- PLAYERS ---
+
+    /**
+     * Change a player's standing. `act` returns the updated player and the
+     * audit details.
+     */
+    function moderate(action, act) {
+        return async (req, res) => {
+            try {
+                const player = await storage.getPlayer(req.params.playerId);
+                if (!player) {
+                    return sendError(res, 'NOT_FOUND', 'Player not found');
+                }
+                const { player: updated, details } = await act(player, req.body);
+                await audit(storage, {
+                    action,
+                    targetType: 'player',
+                    targetId: player.id,
+                    actor: actorOf(req),
+                    reason: req.body.reason,
+                    details
+                });
+                res.json(publicPlayer(updated));
+            } catch (error) {
+                logger.error(`Error in admin ${action}`, { error });
+                sendError(res, 'INTERNAL_ERROR', 'Failed to update player');
+            }
+        };
+    }
+
+    router.post('/players/:playerId/ban', validate('POST /admin/players/:playerId/ban'), moderate('ban', async player => ({
+        player: await barPlayer(storage, player)
+    })));
+
+    router.post('/players/:playerId/suspend', validate('POST /admin/players/:playerId/suspend'), moderate('suspend', async (player, { hours }) => {
+        const until = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+        return { player: await barPlayer(storage, player, until), details: { hours, until } };
+    }));
+
+    router.post('/players/:playerId/reinstate', validate('POST /admin/players/:playerId/reinstate'), moderate('reinstate', async player => ({
+        player: await reinstatePlayer(storage, player)
+    })));
+
+    // --- GAMES ---
+
+    /**
+     * End an active game by decision. `decide` returns the state fields
+     * (winner, reason) and game fields to finish it with, or an error message.
+     */
+    function decideGame(action, decide) {
+        return async (req, res) => {
+            try {
+                const game = await storage.getGame(req.params.gameId);
+                if (!game) {
+                    if (await storage.getArchivedGame(req.params.gameId)) {
+                        return sendError(res, 'CONFLICT', 'Game is already finished.');
+                    }
+                    return sendError(res, 'NOT_FOUND', 'Game not found');
+                }
+                const decision = decide(game, req.body);
+                if (decision.error) {
+                    return sendError(res, 'VALIDATION_FAILED', decision.error);
+                }
+                const finished = await endGame(game, decision.state, decision.fields);
+                if (!finished) {
+                    return sendError(res, 'CONFLICT', 'A move was played at the same time; check the game and try again.');
+                }
+                await audit(storage, {
+                    action,
+                    targetType: 'game',
+                    targetId: game.id,
+                    actor: actorOf(req),
+                    reason: req.body.reason,
+                    details: { winner: finished.state.winner, rated: finished.rated !== false }
+                });
+                const { turnId, ...record } = finished;
+                res.json(record);
+            } catch (error) {
+                logger.error(`Error in admin ${action}`, { error });
+                sendError(res, 'INTERNAL_ERROR', 'Failed to end game');
+            }
+        };
+    }
+
+    // No result: scored as a draw where a result is needed, and never rated
+    router.post('/games/:gameId/abort', validate('POST /admin/games/:gameId/abort'), decideGame('abort', () => ({
+        state: { winner: null, reason: 'aborted' },
+        fields: { rated: false }
+    })));
+
+    router.post('/games/:gameId/adjudicate', validate('POST /admin/games/:gameId/adjudicate'), decideGame('adjudicate', (game, { winner, draw, rated = true }) => {
+        if ((winner === undefined) === (draw !== true)) {
+            return { error: 'Give either winner or draw: true.' };
+        }
+        if (winner !== undefined && !game.playerIds.includes(winner)) {
+            return { error: 'winner must be one of the game\'s players.' };
+        }
+        return {
+            state: { winner: draw ? null : game.playerIds.indexOf(winner), reason: 'adjudicated' },
+            fields: rated ? {} : { rated: false }
+        };
+    }));
+
+    router.post('/games/:gameId/void', validate('POST /admin/games/:gameId/void'), async (req, res) => {
+        try {
+            const game = await storage.getArchivedGame(req.params.gameId);
+            if (!game) {
+                if (await storage.getGame(req.params.gameId)) {
+                    return sendError(res, 'CONFLICT', 'Game is still being played; abort it instead.');
+                }
+                return sendError(res, 'NOT_FOUND', 'Game not found');
+            }
+            if (game.voided) {
+                return sendError(res, 'CONFLICT', 'Game is already void.');
+            }
+            const result = await voidGame(storage, game);
+            if (result.error) {
+                return sendError(res, 'CONFLICT', result.error);
+            }
+            await audit(storage, {
+                action: 'void',
+                targetType: 'game',
+                targetId: game.id,
+                actor: actorOf(req),
+                reason: req.body.reason,
+                details: { ratingsReversed: result.ratingsReversed, seasonId: game.seasonId || null }
+            });
+            const { turnId, ...record } = result.game;
+            res.json(record);
+        } catch (error) {
+            logger.error('Error voiding game', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to void game');
+        }
+    });
+
+    // --- SEASONS ---
+
+    router.post('/seasons', validate('POST /admin/seasons'), async (req, res) => {
+        const { name, variant: variantName, startsAt, endsAt, divisions, promote, relegate } = req.body;
+        let variant;
+        try {
+            variant = resolveVariant(variantName);
+        } catch (error) {
+            return sendError(res, 'VALIDATION_FAILED', error.message);
+        }
+        if ([startsAt, endsAt].some(date => date !== undefined && Number.isNaN(Date.parse(date)))) {
+            return sendError(res, 'VALIDATION_FAILED', 'startsAt and endsAt must be valid dates.');
+        }
+        const season = createSeason({ name, variant: variant.name, startsAt, endsAt, divisions, promote, relegate });
+        if (season.endsAt <= season.startsAt || Date.parse(season.endsAt) <= Date.now()) {
+            return sendError(res, 'VALIDATION_FAILED', 'endsAt must be in the future and after startsAt.');
+        }
+
+        try {
+            const overlaps = await overlappingSeasons(storage, season);
+            if (overlaps.length) {
+                return sendError(res, 'CONFLICT', `Season "${overlaps[0].name}" already covers those dates.`);
+            }
+            await storage.putSeason(season);
+            await audit(storage, {
+                action: 'season_create',
+                targetType: 'season',
+                targetId: season.id,
+                actor: actorOf(req),
+                reason: req.body.reason,
+                details: { name, variant: variant.name, startsAt: season.startsAt, endsAt: season.endsAt }
+            });
+            res.status(201).json({ ...season, status: seasonStatus(season) });
+        } catch (error) {
+            logger.error('Error creating season', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to create season');
+        }
+    });
+
+    router.post('/seasons/reset', validate('POST /admin/seasons/reset'), async (req, res) => {
+        try {
+            const season = await resetSeason(storage, req.body.name);
+            await audit(storage, {
+                action: 'season_reset',
+                targetType: 'season',
+                targetId: season.id,
+                actor: actorOf(req),
+                reason: req.body.reason,
+                details: { name: season.name, players: season.standings.length }
+            });
+            res.status(201).json(season);
+        } catch (error) {
+            logger.error('Error resetting season', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to reset season');
+        }
+    });
+
+    router.get('/seasons', validate('GET /admin/seasons'), async (req, res) => {
+        try {
+            const seasons = (await storage.listSeasons())
+                .filter(season => season.type === 'reset')
+                .sort((a, b) => b.endedAt.localeCompare(a.endedAt));
+            res.json(seasons);
+        } catch (error) {
+            logger.error('Error fetching seasons', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch seasons');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,77 @@
+/**
+ * Analysis routes
+ *
+ * Evaluate a position, or grade every move of a finished game, with the
+ * solver in analysis.js. Searches are cut off after `timeMs`, so answers
+ * come back quickly even where the position can't be solved, and run one at
+ * a time; requests beyond the queue's limit are turned away as RATE_LIMITED.
+ */
+
+const express = require('express');
+const { analyzePosition, annotateGame, queueSearch, DEFAULT_TIME_MS, DEFAULT_MOVE_TIME_MS } = require('../analysis');
+const rules = require('../rules');
+const { resolveVariant } = require('../variants');
+const { loadGame, gameVariant } = require('../games');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const logger = require('../logger');
+
+const BUSY_MESSAGE = 'Too many analyses are waiting; try again shortly.';
+
+function createAnalysisRouter(storage) {
+    const router = express.Router();
+
+    router.post('/analysis', validate('POST /analysis'), async (req, res) => {
+        const { board, side, timeMs = DEFAULT_TIME_MS } = req.body;
+        let variant;
+        try {
+            variant = resolveVariant(req.body.variant);
+        } catch (error) {
+            return sendError(res, 'VALIDATION_FAILED', error.message);
+        }
+        if (board.length !== 2 * variant.pitsPerSide + 2) {
+            return sendError(res, 'VALIDATION_FAILED', `board must have ${2 * variant.pitsPerSide + 2} slots for ${variant.name}.`);
+        }
+        if (rules.legalMoves(board, side).length === 0) {
+            return sendError(res, 'VALIDATION_FAILED', `Side ${side} has no seeds to play; the game is over.`);
+        }
+
+        try {
+            const analysis = await queueSearch(() => analyzePosition(board, side, variant, { timeMs }));
+            if (!analysis) {
+                return sendError(res, 'RATE_LIMITED', BUSY_MESSAGE);
+            }
+            res.json({ variant: variant.name, side, ...analysis });
+        } catch (error) {
+            logger.error('Error analysing position', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to analyse position');
+        }
+    });
+
+    router.get('/games/:gameId/analysis', validate('GET /games/:gameId/analysis'), async (req, res) => {
+        const { timeMs = DEFAULT_MOVE_TIME_MS } = req.query;
+        try {
+            const game = await loadGame(storage, req.params.gameId);
+            if (!game) {
+                return sendError(res, 'NOT_FOUND', 'Game not found');
+            }
+            // No help for games still being played
+            if (game.state.status !== 'finished') {
+                return sendError(res, 'CONFLICT', 'Only finished games can be analysed.');
+            }
+            const variant = gameVariant(game);
+            const annotation = await queueSearch(() => annotateGame(game, variant, { timeMs }));
+            if (!annotation) {
+                return sendError(res, 'RATE_LIMITED', BUSY_MESSAGE);
+            }
+            res.json({ gameId: game.id, variant: variant.name, playerIds: game.playerIds, ...annotation });
+        } catch (error) {
+            logger.error('Error analysing game', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to analyse game');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAnalysisRouter };
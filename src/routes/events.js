@@ -0,0 +1,129 @@
+/**
+ * Event stream routes
+ *
+ * Server-sent event streams of game events (see events.js):
+ *
+ *   GET /players/:playerId/events   the player's own games, boards oriented
+ *                                   for their seat (requires their token)
+ *   GET /games/:gameId/events       one game, for spectators
+ *
+ * Each event carries an `id:`. Reconnecting with a `Last-Event-ID` header (or
+ * `?lastEventId=`) replays what was missed; if that is no longer possible a
+ * `resync` event tells the client to reload. A comment line is sent as a
+ * heartbeat so idle connections stay open.
+ */
+
+const express = require('express');
+const { loadGame } = require('../games');
+const { requirePlayer } = require('../auth');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { subscribe, eventsSince, isForPlayer, playerView, waitingTurns } = require('../events');
+const logger = require('../logger');
+const metrics = require('../metrics');
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Event for spectators: turn IDs stay private to the player
+function spectatorView(event) {
+    const { turnId, ...data } = event.data;
+    return data;
+}
+
+/**
+ * Stream events to a client.
+ * @param {function} filter which events the client receives
+ * @param {function} view the data sent for an event
+ * @param {function} [snapshot] events (without IDs) describing the current
+ *   state, sent to clients that connect fresh or can't be resumed
+ * @param {string} stream which kind of stream, for the metrics
+ */
+async function openStream(req, res, { filter, view, snapshot, stream }) {
+    metrics.trackStream(req, stream);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    function send(event) {
+        const data = { gameId: event.gameId, ...view(event), timestamp: event.timestamp };
+        const id = event.id ? `id: ${event.id}\n` : '';
+        res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Subscribe first so nothing published while catching up is lost
+    const pending = [];
+    let live = false;
+    const unsubscribe = subscribe(event => {
+        if (!filter(event)) return;
+        if (live) send(event);
+        else pending.push(event);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    const resumeFrom = req.get('last-event-id') || req.query.lastEventId;
+    let resumed = false;
+    if (resumeFrom !== undefined) {
+        const { events, complete } = eventsSince(Number(resumeFrom) || 0);
+        if (complete) {
+            events.filter(filter).forEach(send);
+            resumed = true;
+        } else {
+            res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available.' })}\n\n`);
+        }
+    }
+    if (!resumed && snapshot) {
+        try {
+            (await snapshot()).forEach(send);
+        } catch (error) {
+            logger.error('Error sending event snapshot', { error });
+        }
+    }
+
+    pending.forEach(send);
+    live = true;
+}
+
+function createEventRouter(storage) {
+    const router = express.Router();
+
+    router.get('/players/:playerId/events', validate('GET /players/:playerId/events'), requirePlayer(storage), (req, res) => {
+        const { playerId } = req.params;
+        openStream(req, res, {
+            filter: event => isForPlayer(event, playerId),
+            view: event => playerView(event, playerId),
+            snapshot: () => waitingTurns(storage, playerId),
+            stream: 'player'
+        });
+    });
+
+    router.get('/games/:gameId/events', validate('GET /games/:gameId/events'), async (req, res) => {
+        const { gameId } = req.params;
+        try {
+            const game = await loadGame(storage, gameId);
+            if (!game) {
+                return sendError(res, 'NOT_FOUND', 'Game not found');
+            }
+            openStream(req, res, {
+                filter: event => event.gameId === gameId && event.type !== 'your_turn',
+                view: spectatorView,
+                stream: 'game'
+            });
+        } catch (error) {
+            logger.error('Error opening game stream', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to open game stream');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createEventRouter
+};
@@ -0,0 +1,174 @@
+/**
+ * Game record routes
+ *
+ * Game records are public: anyone can list the games in progress or a
+ * player's games, and fetch a finished game's full move history to replay
+ * it. Passing `?perspective=<playerId>` returns boards oriented for that
+ * player's seat.
+ * Games can also be exported as text notation, and notation checked by
+ * replaying it (see notation.js), and a player's games summed up as
+ * statistics (see stats.js).
+ */
+
+const express = require('express');
+const { loadGame, listPlayerGames, orientGame, gameVariant, newestFirst, decodeCursor, pageGames } = require('../games');
+const { DEFAULT_SCORE, getPool } = require('../ratings');
+const { formatNotation, replayNotation } = require('../notation');
+const { playerStats } = require('../stats');
+const { resolveVariant } = require('../variants');
+const { errorBody, sendError } = require('../errors');
+const { validate } = require('../validation');
+const logger = require('../logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Summary of a game for listings, without the move history
+function gameSummary(game) {
+    const { history, turnId, ...summary } = game;
+    return { ...summary, moves: (history || []).length };
+}
+
+// Public record of a game, moves included
+function gameRecord(game) {
+    const { turnId, ...record } = game;
+    return { ...record, moves: (game.history || []).length };
+}
+
+// A player's rating going into a game: the score before that game's snapshot,
+// or their current score if the game hasn't been rated yet
+async function ratingBefore(storage, playerId, game) {
+    const variantName = gameVariant(game).name;
+    const snapshots = (await storage.listRatingSnapshots(playerId)).filter(s => s.variant === variantName);
+    const index = snapshots.findIndex(s => s.gameId === game.id);
+    if (index === -1) {
+        const player = await storage.getPlayer(playerId);
+        return player ? getPool(player, variantName).score : DEFAULT_SCORE;
+    }
+    return index > 0 ? snapshots[index - 1].score : DEFAULT_SCORE;
+}
+
+function createGameRouter(storage) {
+    const router = express.Router();
+
+    // Games being played right now, newest first
+    router.get('/games', validate('GET /games'), async (req, res) => {
+        try {
+            const games = (await storage.listActiveGames())
+                .filter(g => g.state.status === 'active')
+                .filter(g => !req.query.variant || gameVariant(g).name === req.query.variant)
+                .sort(newestFirst('active'));
+            res.json(games.map(gameSummary));
+        } catch (error) {
+            logger.error('Error fetching active games', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch games');
+        }
+    });
+
+    router.get('/games/:gameId', validate('GET /games/:gameId'), async (req, res) => {
+        try {
+            const game = await loadGame(storage, req.params.gameId);
+            if (!game) {
+                return sendError(res, 'NOT_FOUND', 'Game not found');
+            }
+            const { perspective } = req.query;
+            if (perspective && !game.playerIds.includes(perspective)) {
+                return sendError(res, 'VALIDATION_FAILED', 'perspective must be one of the game\'s players.');
+            }
+            const { turnId, ...record } = perspective ? orientGame(game, perspective) : game;
+            res.json(record);
+        } catch (error) {
+            logger.error('Error fetching game', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch game');
+        }
+    });
+
+    router.get('/games/:gameId/notation', validate('GET /games/:gameId/notation'), async (req, res) => {
+        try {
+            const game = await loadGame(storage, req.params.gameId);
+            if (!game) {
+                return sendError(res, 'NOT_FOUND', 'Game not found');
+            }
+            const [southRating, northRating] = await Promise.all(
+                game.playerIds.map(id => ratingBefore(storage, id, game))
+            );
+            const tags = { SouthRating: southRating, NorthRating: northRating };
+            if (game.tournamentId) {
+                const tournament = await storage.getTournament(game.tournamentId);
+                if (tournament && tournament.name) tags.Event = tournament.name;
+            }
+            res.type('text/plain').send(formatNotation(game, tags));
+        } catch (error) {
+            logger.error('Error exporting game', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to export game');
+        }
+    });
+
+    // Check notation by replaying it; accepts a text/plain body or JSON { notation }
+    router.post('/notation/validate', express.text(), validate('POST /notation/validate'), (req, res) => {
+        const text = typeof req.body === 'string' ? req.body : (req.body || {}).notation;
+        try {
+            const { tags, variant, result, moves, board, finished } = replayNotation(text);
+            res.json({ valid: true, tags, variant: variant.name, result, finished, moves, board });
+        } catch (error) {
+            res.status(400).json({ valid: false, ...errorBody('VALIDATION_FAILED', error.message) });
+        }
+    });
+
+    router.get('/players/:playerId/games', validate('GET /players/:playerId/games'), async (req, res) => {
+        const { playerId } = req.params;
+        const { status = 'all', opponent, perspective, cursor, limit = DEFAULT_PAGE_SIZE } = req.query;
+        const after = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !after) {
+            return sendError(res, 'VALIDATION_FAILED', 'Invalid cursor.');
+        }
+
+        try {
+            const player = await storage.getPlayer(playerId);
+            if (!player) {
+                return sendError(res, 'NOT_FOUND', 'Player not found');
+            }
+
+            const games = (await listPlayerGames(storage, playerId))
+                .filter(g => status === 'all' || g.state.status === status)
+                .filter(g => !opponent || g.playerIds.includes(opponent));
+            const { page, nextCursor } = pageGames(games, { status, after, limit });
+
+            res.json({
+                games: page.map(g => gameRecord(perspective ? orientGame(g, perspective) : g)),
+                nextCursor
+            });
+        } catch (error) {
+            logger.error('Error fetching games', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch games');
+        }
+    });
+
+    router.get('/players/:playerId/stats', validate('GET /players/:playerId/stats'), async (req, res) => {
+        const { playerId } = req.params;
+        let variant;
+        try {
+            variant = resolveVariant(req.query.variant);
+        } catch (error) {
+            return sendError(res, 'VALIDATION_FAILED', error.message);
+        }
+
+        try {
+            const player = await storage.getPlayer(playerId);
+            if (!player) {
+                return sendError(res, 'NOT_FOUND', 'Player not found');
+            }
+            const games = (await listPlayerGames(storage, playerId))
+                .filter(g => gameVariant(g).name === variant.name);
+            res.json({ variant: variant.name, ...playerStats(playerId, games) });
+        } catch (error) {
+            logger.error('Error fetching player stats', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch player stats');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createGameRouter
+};
@@ -0,0 +1,49 @@
+/**
+ * Health and metrics routes
+ *
+ * For load balancers, uptime checks and Prometheus. The collectors that
+ * fill in the storage-backed gauges are added by the server (see metrics.js).
+ */
+
+const express = require('express');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const logger = require('../logger');
+const metrics = require('../metrics');
+
+const HEALTH_CHECK_TIMEOUT_MS = 2000;
+
+function createHealthRouter(storage) {
+    const router = express.Router();
+
+    // 503 if storage can't be reached
+    router.get('/healthz', validate('GET /healthz'), async (req, res) => {
+        const start = Date.now();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`No answer from storage within ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+        });
+        try {
+            await Promise.race([storage.ping(), timeout]);
+            res.json({ status: 'ok', storage: storage.name, storageLatencyMs: Date.now() - start, uptimeSeconds: Math.round(process.uptime()) });
+        } catch (error) {
+            logger.error('Storage health check failed', { error });
+            sendError(res, 'UNAVAILABLE', `Storage (${storage.name}) is unreachable: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+    });
+
+    router.get('/metrics', validate('GET /metrics'), async (req, res) => {
+        try {
+            res.type('text/plain; version=0.0.4').send(await metrics.render());
+        } catch (error) {
+            logger.error('Error collecting metrics', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to collect metrics');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,133 @@
+/**
+ * Match (challenge) routes
+ *
+ * Mounted at /matches.
+ */
+
+const express = require('express');
+const { resolveVariant } = require('../variants');
+const { resolveTimeControl } = require('../timeControls');
+const { createMatch, acceptMatch, closeMatch, getSummary } = require('../matches');
+const { requirePlayer } = require('../auth');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { challengeReceived } = require('../events');
+const logger = require('../logger');
+
+function createMatchRouter(storage) {
+    const router = express.Router();
+
+    // Players act only for themselves, named by `playerId` in the body
+    const requireActor = requirePlayer(storage, req => (req.body || {}).playerId);
+
+    router.post('/', validate('POST /matches'), requireActor, async (req, res) => {
+        const {
+            playerId,
+            opponentId,
+            games = 1,
+            variant: variantSpec,
+            timeControl: timeControlSpec,
+            rated = true,
+            concurrency = 1
+        } = req.body;
+        if (opponentId === playerId) {
+            return sendError(res, 'VALIDATION_FAILED', 'opponentId must be another player.');
+        }
+        let variant, timeControl;
+        try {
+            variant = resolveVariant(variantSpec);
+            timeControl = resolveTimeControl(timeControlSpec);
+        } catch (error) {
+            return sendError(res, 'VALIDATION_FAILED', error.message);
+        }
+
+        try {
+            if (!(await storage.getPlayer(opponentId))) {
+                return sendError(res, 'NOT_FOUND', 'Opponent not found');
+            }
+            const match = createMatch({ challengerId: playerId, opponentId, games, variant, timeControl, rated, concurrency });
+            await storage.putMatch(match);
+            challengeReceived(match);
+            res.status(201).json(match);
+        } catch (error) {
+            logger.error('Error creating match', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to create match');
+        }
+    });
+
+    // Matches newest first, optionally for one player and in one status
+    router.get('/', validate('GET /matches'), async (req, res) => {
+        const { playerId, status } = req.query;
+        try {
+            const matches = (await storage.listMatches())
+                .filter(m => !playerId || m.playerIds.includes(playerId))
+                .filter(m => !status || m.status === status)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            res.json(matches);
+        } catch (error) {
+            logger.error('Error fetching matches', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch matches');
+        }
+    });
+
+    router.get('/:matchId', validate('GET /matches/:matchId'), async (req, res) => {
+        try {
+            const match = await storage.getMatch(req.params.matchId);
+            if (!match) {
+                return sendError(res, 'NOT_FOUND', 'Match not found');
+            }
+            res.json(match);
+        } catch (error) {
+            logger.error('Error fetching match', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch match');
+        }
+    });
+
+    router.get('/:matchId/summary', validate('GET /matches/:matchId/summary'), async (req, res) => {
+        try {
+            const match = await storage.getMatch(req.params.matchId);
+            if (!match) {
+                return sendError(res, 'NOT_FOUND', 'Match not found');
+            }
+            res.json(await getSummary(storage, match));
+        } catch (error) {
+            logger.error('Error fetching match summary', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch match summary');
+        }
+    });
+
+    /**
+     * Respond to a pending challenge. Only `role` ('opponent' or
+     * 'challenger') may do it; `respond` returns the updated match or null.
+     */
+    function answer(role, respond) {
+        return async (req, res) => {
+            const { playerId } = req.body;
+            try {
+                const match = await storage.getMatch(req.params.matchId);
+                if (!match) {
+                    return sendError(res, 'NOT_FOUND', 'Match not found');
+                }
+                if (match[`${role}Id`] !== playerId) {
+                    return sendError(res, 'FORBIDDEN', `Only the ${role} can do this.`);
+                }
+                const updated = await respond(match);
+                if (!updated) {
+                    return sendError(res, 'CONFLICT', 'Match is no longer pending.');
+                }
+                res.json(updated);
+            } catch (error) {
+                logger.error('Error updating match', { error });
+                sendError(res, 'INTERNAL_ERROR', 'Failed to update match');
+            }
+        };
+    }
+
+    router.post('/:matchId/accept', validate('POST /matches/:matchId/accept'), requireActor, answer('opponent', match => acceptMatch(storage, match.id)));
+    router.post('/:matchId/decline', validate('POST /matches/:matchId/decline'), requireActor, answer('opponent', match => closeMatch(storage, match.id, 'declined')));
+    router.post('/:matchId/cancel', validate('POST /matches/:matchId/cancel'), requireActor, answer('challenger', match => closeMatch(storage, match.id, 'cancelled')));
+
+    return router;
+}
+
+module.exports = { createMatchRouter };
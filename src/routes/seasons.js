@@ -0,0 +1,66 @@
+/**
+ * Season routes
+ *
+ * Mounted at /seasons. Seasons are created by admins (see routes/admin.js);
+ * anyone can list them and follow the standings.
+ */
+
+const express = require('express');
+const { resolveVariant } = require('../variants');
+const { seasonStatus, listLadderSeasons, seasonStandings } = require('../seasons');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const logger = require('../logger');
+
+// A season as listed, without its standings
+function seasonSummary(season) {
+    const { standings, ...summary } = season;
+    return { ...summary, status: seasonStatus(season) };
+}
+
+function createSeasonRouter(storage) {
+    const router = express.Router();
+
+    // Newest first
+    router.get('/', validate('GET /seasons'), async (req, res) => {
+        const { status } = req.query;
+        let variant = null;
+        try {
+            if (req.query.variant) variant = resolveVariant(req.query.variant);
+        } catch (error) {
+            return sendError(res, 'VALIDATION_FAILED', error.message);
+        }
+
+        try {
+            const seasons = (await listLadderSeasons(storage))
+                .filter(season => !variant || season.variant === variant.name)
+                .map(seasonSummary)
+                .filter(season => !status || season.status === status)
+                .sort((a, b) => b.startsAt.localeCompare(a.startsAt));
+            res.json(seasons);
+        } catch (error) {
+            logger.error('Error fetching seasons', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch seasons');
+        }
+    });
+
+    router.get('/:seasonId', validate('GET /seasons/:seasonId'), async (req, res) => {
+        const { division } = req.query;
+        try {
+            const season = await storage.getSeason(req.params.seasonId);
+            if (!season || season.type !== 'ladder') {
+                return sendError(res, 'NOT_FOUND', 'Season not found');
+            }
+            const standings = (await seasonStandings(storage, season))
+                .filter(standing => division === undefined || standing.division === division);
+            res.json({ ...seasonSummary(season), standings });
+        } catch (error) {
+            logger.error('Error fetching season', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch season');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSeasonRouter };
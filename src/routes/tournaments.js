@@ -0,0 +1,131 @@
+/**
+ * Tournament routes
+ *
+ * Mounted at /tournaments. A player creates a tournament, and only they or
+ * an admin can start it.
+ */
+
+const express = require('express');
+const { resolveVariant } = require('../variants');
+const { resolveTimeControl } = require('../timeControls');
+const { createTournament, joinTournament, startTournament, getStandings } = require('../tournaments');
+const { requirePlayer, isAdminRequest } = require('../auth');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const logger = require('../logger');
+
+function createTournamentRouter(storage) {
+    const router = express.Router();
+
+    // Players can only create and enter tournaments as themselves
+    const requireBodyPlayer = requirePlayer(storage, req => (req.body || {}).playerId);
+
+    router.post('/', validate('POST /tournaments'), requireBodyPlayer, async (req, res) => {
+        const { playerId, name, format, variant: variantSpec, timeControl: timeControlSpec, rounds } = req.body;
+        if (rounds !== undefined && format !== 'swiss') {
+            return sendError(res, 'VALIDATION_FAILED', 'rounds only applies to swiss tournaments.');
+        }
+        let variant, timeControl;
+        try {
+            variant = resolveVariant(variantSpec);
+            timeControl = resolveTimeControl(timeControlSpec);
+        } catch (error) {
+            return sendError(res, 'VALIDATION_FAILED', error.message);
+        }
+
+        try {
+            const tournament = createTournament({ name, format, variant, timeControl, rounds, createdBy: playerId });
+            await storage.putTournament(tournament);
+            res.status(201).json(tournament);
+        } catch (error) {
+            logger.error('Error creating tournament', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to create tournament');
+        }
+    });
+
+    router.get('/', validate('GET /tournaments'), async (req, res) => {
+        try {
+            const tournaments = (await storage.listTournaments())
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            res.json(tournaments);
+        } catch (error) {
+            logger.error('Error fetching tournaments', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch tournaments');
+        }
+    });
+
+    router.get('/:tournamentId', validate('GET /tournaments/:tournamentId'), async (req, res) => {
+        try {
+            const tournament = await storage.getTournament(req.params.tournamentId);
+            if (!tournament) {
+                return sendError(res, 'NOT_FOUND', 'Tournament not found');
+            }
+            res.json(tournament);
+        } catch (error) {
+            logger.error('Error fetching tournament', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch tournament');
+        }
+    });
+
+    router.post('/:tournamentId/players', validate('POST /tournaments/:tournamentId/players'), requireBodyPlayer, async (req, res) => {
+        const { playerId } = req.body;
+
+        try {
+            if (!(await storage.getTournament(req.params.tournamentId))) {
+                return sendError(res, 'NOT_FOUND', 'Tournament not found');
+            }
+            const joined = await joinTournament(storage, req.params.tournamentId, playerId);
+            if (joined.error) {
+                return sendError(res, 'CONFLICT', joined.error);
+            }
+            res.json(joined.tournament);
+        } catch (error) {
+            logger.error('Error joining tournament', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to join tournament');
+        }
+    });
+
+    // The admin token, or else the creator's token with their playerId in the body
+    const requireOrganiser = (req, res, next) => (isAdminRequest(req) ? next() : requireBodyPlayer(req, res, next));
+
+    router.post('/:tournamentId/start', validate('POST /tournaments/:tournamentId/start'), requireOrganiser, async (req, res) => {
+        try {
+            const tournament = await storage.getTournament(req.params.tournamentId);
+            if (!tournament) {
+                return sendError(res, 'NOT_FOUND', 'Tournament not found');
+            }
+            if (req.player && req.player.id !== tournament.createdBy) {
+                return sendError(res, 'FORBIDDEN', 'Only the player who created the tournament, or an admin, can start it.');
+            }
+            const started = await startTournament(storage, tournament.id);
+            if (started.error) {
+                return sendError(res, 'CONFLICT', started.error);
+            }
+            res.json(started.tournament);
+        } catch (error) {
+            logger.error('Error starting tournament', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to start tournament');
+        }
+    });
+
+    router.get('/:tournamentId/standings', validate('GET /tournaments/:tournamentId/standings'), async (req, res) => {
+        try {
+            const tournament = await storage.getTournament(req.params.tournamentId);
+            if (!tournament) {
+                return sendError(res, 'NOT_FOUND', 'Tournament not found');
+            }
+            res.json({
+                status: tournament.status,
+                currentRound: tournament.currentRound,
+                standings: await getStandings(storage, tournament)
+            });
+        } catch (error) {
+            logger.error('Error fetching standings', { error });
+            sendError(res, 'INTERNAL_ERROR', 'Failed to fetch standings');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createTournamentRouter };
@@ -0,0 +1,192 @@
+/**
+ * Mancala (Kalah) rules engine
+ *
+ * Pure functions over the board array; nothing here touches storage or HTTP.
+ *
+ * Board layout for `n` pits per side (n = 6 gives the usual 14 slots):
+ *   0 .. n-1          side 0 pits
+ *   n                 side 0 store
+ *   n+1 .. 2n         side 1 pits
+ *   2n+1              side 1 store
+ *
+ * Sides are 0 (first seat, bottom) and 1 (second seat, top).
+ *
+ * applyMove takes the rule options of a variant (see variants.js); without
+ * them it plays standard Kalah.
+ */
+
+const DEFAULT_OPTIONS = {
+    capture: 'opposite',
+    sweep: 'owner',
+    sowStores: true,
+    skipOrigin: false
+};
+
+function pitsPerSide(board) {
+    return board.length / 2 - 1;
+}
+
+// Index of the store owned by `side`
+function storeIndex(board, side) {
+    const n = pitsPerSide(board);
+    return side === 0 ? n : 2 * n + 1;
+}
+
+// First and last pit index owned by `side`
+function pitRange(board, side) {
+    const n = pitsPerSide(board);
+    return side === 0 ? [0, n - 1] : [n + 1, 2 * n];
+}
+
+function ownsPit(board, side, index) {
+    const [start, end] = pitRange(board, side);
+    return index >= start && index <= end;
+}
+
+// Pit directly across the board from `index`
+function oppositePit(board, index) {
+    return 2 * pitsPerSide(board) - index;
+}
+
+/**
+ * Pits `side` may sow from: every non-empty pit on their side.
+ * @returns {number[]} absolute board indexes
+ */
+function legalMoves(board, side) {
+    const [start, end] = pitRange(board, side);
+    const moves = [];
+    for (let i = start; i <= end; i++) {
+        if (board[i] > 0) moves.push(i);
+    }
+    return moves;
+}
+
+/**
+ * Rotate the board so the other side sits in seat 0. Flipping twice gives
+ * back the original board.
+ */
+function flipBoard(board) {
+    const half = board.length / 2;
+    return [...board.slice(half), ...board.slice(0, half)];
+}
+
+// Board index as seen after flipBoard
+function flipIndex(board, index) {
+    const half = board.length / 2;
+    return (index + half) % board.length;
+}
+
+// Seeds in each store
+function scores(board) {
+    return [board[storeIndex(board, 0)], board[storeIndex(board, 1)]];
+}
+
+/**
+ * Winning side of a finished board, or null for a draw.
+ */
+function winner(board) {
+    const [score0, score1] = scores(board);
+    if (score0 > score1) return 0;
+    if (score1 > score0) return 1;
+    return null;
+}
+
+// Oware capture: take every run of 2s and 3s ending at the last seed on the opponent's side
+function captureOware(board, side, lastIndex) {
+    let captured = 0;
+    let idx = lastIndex;
+    while (ownsPit(board, 1 - side, idx) && (board[idx] === 2 || board[idx] === 3)) {
+        captured += board[idx];
+        board[idx] = 0;
+        idx--;
+    }
+    return captured;
+}
+
+// Kalah capture: last seed in an own, previously empty pit takes the opposite pit
+function captureOpposite(board, side, lastIndex) {
+    if (!ownsPit(board, side, lastIndex) || board[lastIndex] !== 1) return 0;
+    const opposite = oppositePit(board, lastIndex);
+    if (board[opposite] === 0) return 0;
+    const captured = board[opposite] + 1;
+    board[lastIndex] = 0;
+    board[opposite] = 0;
+    return captured;
+}
+
+/**
+ * Sow the seeds from `pit` for `side`.
+ *
+ * The input board is not modified.
+ * @param {object} [options] rule options: capture, sweep, sowStores, skipOrigin
+ * @returns {{ board: number[], nextSide: number, extraTurn: boolean,
+ *   captured: number, finished: boolean, lastIndex: number }}
+ *   `captured` counts every seed moved to the store by a capture, including
+ *   the capturing seed itself.
+ */
+function applyMove(board, side, pit, options = {}) {
+    const { capture, sweep, sowStores, skipOrigin } = { ...DEFAULT_OPTIONS, ...options };
+    if (!legalMoves(board, side).includes(pit)) {
+        throw new Error(`Illegal move: pit ${pit} for side ${side}`);
+    }
+    const next = [...board];
+    const ownStore = storeIndex(next, side);
+    const opponentStore = storeIndex(next, 1 - side);
+
+    let seeds = next[pit];
+    next[pit] = 0;
+    let idx = pit;
+    while (seeds > 0) {
+        idx = (idx + 1) % next.length;
+        // Skip opponent's store, and our own store or the origin pit if the variant says so
+        if (idx === opponentStore) continue;
+        if (idx === ownStore && !sowStores) continue;
+        if (idx === pit && skipOrigin) continue;
+        next[idx]++;
+        seeds--;
+    }
+
+    let captured = 0;
+    if (capture === 'opposite') captured = captureOpposite(next, side, idx);
+    else if (capture === 'oware') captured = captureOware(next, side, idx);
+    next[ownStore] += captured;
+
+    const extraTurn = idx === ownStore;
+
+    // Game ends when either side has no seeds left
+    const emptySides = [0, 1].filter(s => legalMoves(next, s).length === 0);
+    const finished = emptySides.length > 0;
+    if (finished) {
+        for (const s of [0, 1]) {
+            // Remaining seeds go to their owner, or to the side that ran out
+            const target = sweep === 'empty-side' ? emptySides[0] : s;
+            const [start, end] = pitRange(next, s);
+            for (let i = start; i <= end; i++) {
+                next[storeIndex(next, target)] += next[i];
+                next[i] = 0;
+            }
+        }
+    }
+
+    return {
+        board: next,
+        nextSide: extraTurn ? side : 1 - side,
+        extraTurn,
+        captured,
+        finished,
+        lastIndex: idx
+    };
+}
+
+module.exports = {
+    pitsPerSide,
+    storeIndex,
+    pitRange,
+    oppositePit,
+    legalMoves,
+    flipBoard,
+    flipIndex,
+    scores,
+    winner,
+    applyMove
+};
@@ -0,0 +1,496 @@
+/**
+ * API schemas
+ *
+ * The shape of every endpoint's path parameters, query and JSON body, as
+ * JSON Schema. Requests are checked against these before they reach a route
+ * (see validation.js), and the OpenAPI document is built from them (see
+ * openapi.js), so the two can't drift apart.
+ *
+ * ENDPOINTS is keyed by 'METHOD /path', with Express-style parameters. Each
+ * entry has a `summary` and `tag`, optional `params`, `query` and `body`
+ * schemas, `auth` ('player' for the :playerId's token, 'body' for the
+ * token of the body's playerId, 'admin' for ADMIN_TOKEN), the success
+ * `responses`, and the error
+ * `errors` codes the endpoint can return besides VALIDATION_FAILED and
+ * INTERNAL_ERROR.
+ */
+
+const { MIN_PASSWORD_LENGTH } = require('./auth');
+const { FORMATS } = require('./tournaments');
+const { MAX_GAMES, MAX_CONCURRENCY } = require('./matches');
+const { MAX_DIVISIONS } = require('./seasons');
+const { MAX_TIME_MS } = require('./analysis');
+
+const UUID = '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}';
+const MAX_PAGE_SIZE = 100;
+
+// --- SHARED SCHEMAS ---
+
+const uuid = { type: 'string', format: 'uuid', pattern: `^${UUID}$` };
+const playerId = {
+    type: 'string',
+    pattern: `^(${UUID}|house-[a-z0-9-]+)$`,
+    description: 'Player UUID, or the ID of a house bot such as house-greedy'
+};
+const password = { type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: 1024 };
+const pit = {
+    type: 'integer',
+    minimum: 0,
+    maximum: 11,
+    description: "Pit on the player's own side, counted from 0 (0-5 with six pits a side)"
+};
+const variantName = {
+    type: 'string',
+    maxLength: 100,
+    description: 'Preset name such as kalah-6-4, kalah-6-6 or oware, or a custom-... name'
+};
+const variant = {
+    type: ['string', 'object'],
+    description: 'Variant name, or a descriptor (pitsPerSide, seeds, capture, sweep, sowStores, skipOrigin)',
+    properties: {
+        name: { type: 'string', description: 'Ignored; descriptors from GET /variants can be sent back as they are' },
+        pitsPerSide: { type: 'integer', minimum: 1, maximum: 12 },
+        seeds: { type: 'integer', minimum: 1, maximum: 12 },
+        capture: { type: 'string', enum: ['opposite', 'oware', 'none'] },
+        sweep: { type: 'string', enum: ['owner', 'empty-side'] },
+        sowStores: { type: 'boolean' },
+        skipOrigin: { type: 'boolean' }
+    },
+    additionalProperties: false
+};
+const timeControl = {
+    type: 'object',
+    description: "{ type: 'move', seconds } or { type: 'fischer', initialSeconds, incrementSeconds }",
+    properties: {
+        type: { type: 'string', enum: ['move', 'fischer'] },
+        seconds: { type: 'number', minimum: 0 },
+        initialSeconds: { type: 'number', minimum: 0 },
+        incrementSeconds: { type: 'number', minimum: 0 },
+        onTimeout: { type: 'string', enum: ['forfeit', 'auto-move'] }
+    },
+    required: ['type'],
+    additionalProperties: false
+};
+const timestamp = {
+    type: 'string',
+    format: 'date-time',
+    pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})$'
+};
+const division = { type: 'integer', minimum: 1, maximum: MAX_DIVISIONS, description: '1 is the top division' };
+const searchTime = { type: 'integer', minimum: 10, maximum: MAX_TIME_MS, description: 'Search time in milliseconds' };
+const lastEventId = { type: 'integer', minimum: 0, description: 'Resume after this event ID (or send a Last-Event-ID header)' };
+
+const object = (properties, required = []) => ({ type: 'object', properties, required, additionalProperties: false });
+
+// Admin actions all take an optional reason for the audit log
+const reason = { type: 'string', maxLength: 1000, description: 'Recorded in the audit log' };
+const adminAction = (summary, params, properties = {}, required = [], errors = ['NOT_FOUND']) => ({
+    summary,
+    tag: 'Admin',
+    auth: 'admin',
+    params,
+    body: object({ ...properties, reason }, required),
+    responses: { 200: 'The updated record' },
+    errors: ['INVALID_TOKEN', 'FORBIDDEN', ...errors]
+});
+
+// --- ENDPOINTS ---
+
+const ENDPOINTS = {
+    // Players
+    'POST /players': {
+        summary: 'Create a player, or sign in with a password',
+        tag: 'Players',
+        body: object({ password }),
+        responses: { 200: 'Signed in as the existing player', 201: 'New player created' }
+    },
+    'POST /players/:playerId/password': {
+        summary: "Change a player's password",
+        tag: 'Players',
+        auth: 'player',
+        params: { playerId },
+        body: object({ password: { type: 'string' }, newPassword: password }, ['newPassword']),
+        responses: { 200: 'New token' },
+        errors: ['FORBIDDEN', 'CONFLICT']
+    },
+    'GET /players': {
+        summary: 'Leaderboard: all-time, or for a season',
+        tag: 'Players',
+        query: {
+            variant: variantName,
+            provisional: { type: 'string', enum: ['show', 'hide'] },
+            season: {
+                type: 'string',
+                pattern: `^(${UUID}|current)$`,
+                description: "A season ID, or 'current' for the variant's running season"
+            },
+            division: { ...division, description: "Only this division of the season (implies season=current if no season is given)" },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE },
+            offset: { type: 'integer', minimum: 0 }
+        },
+        responses: { 200: 'Players, best first, each with its rank; X-Total-Count has the number of players listed' },
+        errors: ['NOT_FOUND']
+    },
+    'GET /players/:playerId': {
+        summary: 'A player',
+        tag: 'Players',
+        params: { playerId },
+        responses: { 200: 'Player record' },
+        errors: ['NOT_FOUND']
+    },
+    'GET /players/:playerId/stats': {
+        summary: "Statistics from a player's finished games in a variant",
+        tag: 'Players',
+        params: { playerId },
+        query: { variant: variantName },
+        responses: { 200: 'Results by seat and opponent, margins, extra turns, captures and openings' },
+        errors: ['NOT_FOUND']
+    },
+    'GET /players/:playerId/ratings': {
+        summary: "A player's rating after every game",
+        tag: 'Players',
+        params: { playerId },
+        query: { variant: variantName },
+        responses: { 200: 'Rating snapshots, oldest first' },
+        errors: ['NOT_FOUND']
+    },
+
+    // Playing
+    'GET /variants': {
+        summary: 'Preset rule variants',
+        tag: 'Playing',
+        responses: { 200: 'Variant descriptors' }
+    },
+    'GET /players/:playerId/turns': {
+        summary: 'Get a turn, starting a new game if needed',
+        tag: 'Playing',
+        auth: 'player',
+        params: { playerId },
+        query: { variant: variantName, tournament: uuid, match: uuid, opponent: playerId },
+        responses: { 200: 'A turn to play', 202: '{ message }: a new game was started with the opponent to move first; ask again for a turn' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN', 'NO_TURN_AVAILABLE', 'NO_OPPONENT', 'RATE_LIMITED']
+    },
+    'POST /players/:playerId/turns/:turnId': {
+        summary: 'Play a move',
+        tag: 'Playing',
+        auth: 'player',
+        params: { playerId, turnId: uuid },
+        body: object({ pit }, ['pit']),
+        responses: { 200: 'Move played' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN', 'NOT_FOUND', 'NOT_YOUR_TURN', 'ILLEGAL_MOVE', 'TURN_EXPIRED', 'STALE_TURN']
+    },
+    'GET /matchmaking/queue': {
+        summary: 'Players in the matchmaking pool',
+        tag: 'Playing',
+        responses: { 200: 'Queue entries' }
+    },
+
+    // Games
+    'GET /games': {
+        summary: 'Games in progress',
+        tag: 'Games',
+        query: { variant: variantName },
+        responses: { 200: 'Game summaries, newest first' }
+    },
+    'GET /games/:gameId': {
+        summary: 'A game, active or finished',
+        tag: 'Games',
+        params: { gameId: uuid },
+        query: { perspective: playerId },
+        responses: { 200: 'Game record with its move history' },
+        errors: ['NOT_FOUND']
+    },
+    'GET /games/:gameId/notation': {
+        summary: 'A game in text notation',
+        tag: 'Games',
+        params: { gameId: uuid },
+        responses: { 200: { description: 'Notation', type: 'text/plain' } },
+        errors: ['NOT_FOUND']
+    },
+    'POST /notation/validate': {
+        summary: 'Check game notation by replaying it',
+        tag: 'Games',
+        body: { type: ['string', 'object'], description: 'Notation as text/plain, or JSON { notation }' },
+        responses: { 200: 'The replayed game' }
+    },
+    'GET /players/:playerId/games': {
+        summary: "A player's games, newest first",
+        tag: 'Games',
+        params: { playerId },
+        query: {
+            status: { type: 'string', enum: ['active', 'finished', 'all'] },
+            opponent: playerId,
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE },
+            cursor: { type: 'string', maxLength: 200 },
+            perspective: playerId
+        },
+        responses: { 200: '{ games (with their move history), nextCursor }' },
+        errors: ['NOT_FOUND']
+    },
+
+    // Analysis
+    'POST /analysis': {
+        summary: 'Evaluate every legal move in a position',
+        tag: 'Analysis',
+        body: object({
+            board: {
+                type: 'array',
+                items: { type: 'integer', minimum: 0, maximum: 1000 },
+                minItems: 4,
+                maxItems: 26,
+                description: "Pits and stores: side 0's pits, side 0's store, side 1's pits, side 1's store"
+            },
+            side: { type: 'integer', enum: [0, 1], description: 'Side to move' },
+            variant,
+            timeMs: searchTime
+        }, ['board', 'side']),
+        responses: { 200: 'Each legal pit with its value, best first' },
+        errors: ['RATE_LIMITED']
+    },
+    'GET /games/:gameId/analysis': {
+        summary: "A finished game's moves, each graded against the best move",
+        tag: 'Analysis',
+        params: { gameId: uuid },
+        query: { timeMs: { ...searchTime, description: 'Search time for each position, in milliseconds' } },
+        responses: { 200: 'Accuracy per player, the biggest mistakes and every move' },
+        errors: ['NOT_FOUND', 'CONFLICT', 'RATE_LIMITED']
+    },
+
+    // Events
+    'GET /players/:playerId/events': {
+        summary: "Server-sent events for a player's games",
+        tag: 'Events',
+        auth: 'player',
+        params: { playerId },
+        query: { token: { type: 'string' }, lastEventId },
+        responses: { 200: { description: 'Event stream', type: 'text/event-stream' } },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN']
+    },
+    'GET /games/:gameId/events': {
+        summary: 'Server-sent events for one game',
+        tag: 'Events',
+        params: { gameId: uuid },
+        query: { lastEventId },
+        responses: { 200: { description: 'Event stream', type: 'text/event-stream' } },
+        errors: ['NOT_FOUND']
+    },
+    'GET /player/:playerId/games': {
+        summary: "Stream of the player's moves in finished games (superseded by /players/:playerId/events)",
+        tag: 'Events',
+        auth: 'player',
+        params: { playerId },
+        deprecated: true,
+        responses: { 200: { description: 'Event stream', type: 'text/event-stream' } },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN']
+    },
+
+    // Seasons
+    'GET /seasons': {
+        summary: 'Ladder seasons, newest first',
+        tag: 'Seasons',
+        query: { variant: variantName, status: { type: 'string', enum: ['scheduled', 'active', 'finished'] } },
+        responses: { 200: 'Seasons, without standings' }
+    },
+    'GET /seasons/:seasonId': {
+        summary: 'A season and its standings: live while it runs, final once it has finished',
+        tag: 'Seasons',
+        params: { seasonId: uuid },
+        query: { division },
+        responses: { 200: 'The season with its standings' },
+        errors: ['NOT_FOUND']
+    },
+
+    // Tournaments
+    'POST /tournaments': {
+        summary: 'Create a tournament',
+        tag: 'Tournaments',
+        auth: 'body',
+        body: object({
+            playerId,
+            name: { type: 'string', maxLength: 200 },
+            format: { type: 'string', enum: FORMATS },
+            variant,
+            timeControl,
+            rounds: { type: 'integer', minimum: 1, description: 'Swiss only' }
+        }, ['playerId', 'format']),
+        responses: { 201: 'The tournament' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN']
+    },
+    'GET /tournaments': {
+        summary: 'Tournaments, newest first',
+        tag: 'Tournaments',
+        responses: { 200: 'Tournaments' }
+    },
+    'GET /tournaments/:tournamentId': {
+        summary: 'A tournament',
+        tag: 'Tournaments',
+        params: { tournamentId: uuid },
+        responses: { 200: 'Tournament with its rounds' },
+        errors: ['NOT_FOUND']
+    },
+    'POST /tournaments/:tournamentId/players': {
+        summary: 'Enter a tournament',
+        tag: 'Tournaments',
+        auth: 'body',
+        params: { tournamentId: uuid },
+        body: object({ playerId }, ['playerId']),
+        responses: { 200: 'The tournament' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN', 'NOT_FOUND', 'CONFLICT']
+    },
+    'POST /tournaments/:tournamentId/start': {
+        summary: 'Close entries and start round 1 (the creator or an admin)',
+        tag: 'Tournaments',
+        auth: ['body', 'admin'],
+        params: { tournamentId: uuid },
+        body: object({ playerId }),
+        responses: { 200: 'The tournament' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN', 'NOT_FOUND', 'CONFLICT']
+    },
+    'GET /tournaments/:tournamentId/standings': {
+        summary: 'Tournament standings',
+        tag: 'Tournaments',
+        params: { tournamentId: uuid },
+        responses: { 200: '{ status, currentRound, standings }' },
+        errors: ['NOT_FOUND']
+    },
+
+    // Matches
+    'POST /matches': {
+        summary: 'Challenge a player to a match',
+        tag: 'Matches',
+        auth: 'body',
+        body: object({
+            playerId,
+            opponentId: playerId,
+            games: { type: 'integer', minimum: 1, maximum: MAX_GAMES },
+            variant,
+            timeControl,
+            rated: { type: 'boolean' },
+            concurrency: { type: 'integer', minimum: 1, maximum: MAX_CONCURRENCY }
+        }, ['playerId', 'opponentId']),
+        responses: { 201: 'The match, pending until the opponent answers' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN', 'NOT_FOUND']
+    },
+    'GET /matches': {
+        summary: 'Matches, newest first',
+        tag: 'Matches',
+        query: {
+            playerId,
+            status: { type: 'string', enum: ['pending', 'declined', 'cancelled', 'running', 'finished'] }
+        },
+        responses: { 200: 'Matches' }
+    },
+    'GET /matches/:matchId': {
+        summary: 'A match',
+        tag: 'Matches',
+        params: { matchId: uuid },
+        responses: { 200: 'The match' },
+        errors: ['NOT_FOUND']
+    },
+    'GET /matches/:matchId/summary': {
+        summary: 'Match results so far',
+        tag: 'Matches',
+        params: { matchId: uuid },
+        responses: { 200: 'Wins, draws, losses and margins for each player' },
+        errors: ['NOT_FOUND']
+    },
+    'POST /matches/:matchId/accept': {
+        summary: 'Accept a challenge (opponent only)',
+        tag: 'Matches',
+        auth: 'body',
+        params: { matchId: uuid },
+        body: object({ playerId }, ['playerId']),
+        responses: { 200: 'The running match' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN', 'NOT_FOUND', 'CONFLICT']
+    },
+    'POST /matches/:matchId/decline': {
+        summary: 'Decline a challenge (opponent only)',
+        tag: 'Matches',
+        auth: 'body',
+        params: { matchId: uuid },
+        body: object({ playerId }, ['playerId']),
+        responses: { 200: 'The declined match' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN', 'NOT_FOUND', 'CONFLICT']
+    },
+    'POST /matches/:matchId/cancel': {
+        summary: 'Withdraw a challenge (challenger only)',
+        tag: 'Matches',
+        auth: 'body',
+        params: { matchId: uuid },
+        body: object({ playerId }, ['playerId']),
+        responses: { 200: 'The cancelled match' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN', 'NOT_FOUND', 'CONFLICT']
+    },
+
+    // Admin
+    'GET /admin/audit': {
+        summary: 'Audit log of admin actions, newest first',
+        tag: 'Admin',
+        auth: 'admin',
+        query: {
+            action: { type: 'string', enum: ['ban', 'suspend', 'reinstate', 'abort', 'adjudicate', 'void', 'season_create', 'season_reset'] },
+            targetId: { type: 'string', maxLength: 100 },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }
+        },
+        responses: { 200: 'Audit entries' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN']
+    },
+    'POST /admin/players/:playerId/ban': adminAction('Ban a player', { playerId }),
+    'POST /admin/players/:playerId/suspend': adminAction('Suspend a player for a number of hours', { playerId }, {
+        hours: { type: 'number', minimum: 0.01, maximum: 24 * 365 }
+    }, ['hours']),
+    'POST /admin/players/:playerId/reinstate': adminAction('Lift a ban or suspension', { playerId }),
+    'POST /admin/games/:gameId/abort': adminAction('End an active game with no result', { gameId: uuid }, {}, [], ['NOT_FOUND', 'CONFLICT']),
+    'POST /admin/games/:gameId/adjudicate': adminAction('End an active game with a chosen result', { gameId: uuid }, {
+        winner: playerId,
+        draw: { type: 'boolean' },
+        rated: { type: 'boolean', description: 'Whether the result counts for ratings (default true)' }
+    }, [], ['NOT_FOUND', 'CONFLICT']),
+    'POST /admin/games/:gameId/void': adminAction('Void a finished game and reverse its rating changes', { gameId: uuid }, {}, [], ['NOT_FOUND', 'CONFLICT']),
+    'POST /admin/seasons': {
+        ...adminAction('Schedule a ladder season', undefined, {
+            name: { type: 'string', minLength: 1, maxLength: 200 },
+            variant: variantName,
+            startsAt: { ...timestamp, description: 'Defaults to now' },
+            endsAt: timestamp,
+            divisions: { type: 'integer', minimum: 1, maximum: MAX_DIVISIONS, description: 'Number of divisions (default 1)' },
+            promote: { type: 'integer', minimum: 0, maximum: 100, description: 'Players moving up from each division (default 2)' },
+            relegate: { type: 'integer', minimum: 0, maximum: 100, description: 'Players moving down from each division (default 2)' }
+        }, ['name', 'endsAt'], ['CONFLICT']),
+        responses: { 201: 'The new season' }
+    },
+    'POST /admin/seasons/reset': {
+        ...adminAction('Archive every rating and start a new season', undefined, { name: { type: 'string', maxLength: 200 } }, [], []),
+        responses: { 201: 'The archived season' }
+    },
+    'GET /admin/seasons': {
+        summary: 'Archived seasons, newest first',
+        tag: 'Admin',
+        auth: 'admin',
+        responses: { 200: 'Seasons with their final standings' },
+        errors: ['INVALID_TOKEN', 'FORBIDDEN']
+    },
+
+    'GET /openapi.json': {
+        summary: 'This API description',
+        tag: 'Meta',
+        responses: { 200: 'OpenAPI 3 document' }
+    },
+    'GET /healthz': {
+        summary: 'Check that the server is up and can reach its storage',
+        tag: 'Meta',
+        responses: { 200: 'Status, storage backend and how long the storage check took' },
+        errors: ['UNAVAILABLE']
+    },
+    'GET /metrics': {
+        summary: 'Server metrics for Prometheus',
+        tag: 'Meta',
+        responses: { 200: { description: 'Metrics in the Prometheus text format', type: 'text/plain' } }
+    }
+};
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    schemas: { uuid, playerId, password, pit, variantName, variant, timeControl },
+    ENDPOINTS
+};
@@ -0,0 +1,304 @@
+/**
+ * Seasons
+ *
+ * A season is a named stretch of time, such as a month, with a ladder of its
+ * own for one variant. Every rated game in that variant finished between
+ * `startsAt` and `endsAt` rates both players again within the season,
+ * starting from the default rating, and counts towards their season wins,
+ * losses and draws. All-time ratings are not touched.
+ *
+ * Players are placed in divisions, 1 being the top. Newcomers start in the
+ * bottom division, everyone else where their last season in the variant
+ * left them. Games between divisions count like any other. When the season
+ * ends, the top `promote` players of each division move up one and the
+ * bottom `relegate` move down one, and the final standings are kept on the
+ * season record.
+ *
+ * While a season runs, each player's entry lives on their record under
+ * `seasons[seasonId]`: { division, score, elo, glicko, wins, losses, draws,
+ * lastPlayedAt }. A game that counted keeps the season's ID and what it
+ * changed for each player (`seasonId`, `seasonChanges`), so voiding it can
+ * take that back off while the season is still open.
+ *
+ * Season statuses: scheduled -> active -> finished.
+ */
+
+const { randomUUID } = require('crypto');
+const { gameResult, gameVariant } = require('./games');
+const { DEFAULT_SCORE, glickoOf, eloUpdate, glicko2Update } = require('./ratings');
+const { withLock } = require('./locks');
+
+const MAX_DIVISIONS = 10;
+const DEFAULT_PROMOTE = 2;
+const DEFAULT_RELEGATE = 2;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createSeason({ name, variant, startsAt = new Date().toISOString(), endsAt, divisions = 1, promote = DEFAULT_PROMOTE, relegate = DEFAULT_RELEGATE }) {
+    return {
+        id: randomUUID(),
+        type: 'ladder',
+        name,
+        variant,
+        startsAt: new Date(startsAt).toISOString(),
+        endsAt: new Date(endsAt).toISOString(),
+        divisions,
+        promote,
+        relegate,
+        closedAt: null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+function seasonStatus(season, now = Date.now()) {
+    if (season.closedAt) return 'finished';
+    return now < Date.parse(season.startsAt) ? 'scheduled' : 'active';
+}
+
+// Ladder seasons only; the Seasons table also keeps the archives of rating resets
+async function listLadderSeasons(storage) {
+    return (await storage.listSeasons()).filter(season => season.type === 'ladder');
+}
+
+// Unfinished seasons of the same variant whose dates overlap `season`'s
+async function overlappingSeasons(storage, season) {
+    return (await listLadderSeasons(storage)).filter(other =>
+        other.id !== season.id &&
+        !other.closedAt &&
+        other.variant === season.variant &&
+        other.startsAt < season.endsAt &&
+        season.startsAt < other.endsAt);
+}
+
+// The season a game finished at `timestamp` counts towards, if any
+async function seasonAt(storage, variantName, timestamp) {
+    return (await listLadderSeasons(storage)).find(season =>
+        !season.closedAt &&
+        season.variant === variantName &&
+        season.startsAt <= timestamp &&
+        timestamp < season.endsAt) || null;
+}
+
+// The division a player starts `season` in: where their latest earlier season left them
+async function startingDivision(storage, season, playerId) {
+    const earlier = (await listLadderSeasons(storage))
+        .filter(other => other.closedAt && other.variant === season.variant && other.endsAt <= season.startsAt)
+        .sort((a, b) => b.endsAt.localeCompare(a.endsAt));
+    for (const other of earlier) {
+        const standing = other.standings.find(s => s.playerId === playerId);
+        if (standing) return Math.min(standing.nextDivision, season.divisions);
+    }
+    return season.divisions;
+}
+
+/**
+ * Replace a player's `seasons` with `update(seasons)`. A player can finish
+ * games in seasons of two variants at once, so every change to their
+ * entries goes through their own lock.
+ */
+async function updateSeasons(storage, playerId, update) {
+    return withLock(`player:${playerId}`, async () => {
+        const player = await storage.getPlayer(playerId);
+        if (!player) return;
+        await storage.updatePlayer(playerId, { seasons: update(player.seasons || {}) });
+    });
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// What a game changed an entry's ratings by
+function ratingChange(before, after) {
+    const [from, to] = [glickoOf(before), after.glicko];
+    return {
+        score: after.score - before.score,
+        elo: after.elo - before.elo,
+        glicko: {
+            rating: round(to.rating - from.rating),
+            deviation: round(to.deviation - from.deviation),
+            volatility: to.volatility - from.volatility
+        }
+    };
+}
+
+async function seasonEntry(storage, season, player) {
+    const entry = (player.seasons || {})[season.id];
+    if (entry) return entry;
+    return {
+        division: await startingDivision(storage, season, player.id),
+        score: DEFAULT_SCORE,
+        elo: DEFAULT_SCORE,
+        glicko: null,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        lastPlayedAt: null
+    };
+}
+
+/**
+ * Rate a finished game within its season, if it falls in one. Runs after
+ * the all-time ratings have been updated.
+ * @param {string} system which rating becomes the season score: 'elo' or 'glicko2'
+ * @returns {Promise<{ seasonId: string, seasonChanges: object[] } | null>}
+ *   the fields to keep on the game if it counted, one change for each side
+ */
+async function onGameFinished(storage, game, system) {
+    if (game.rated === false) return null;
+    const found = await seasonAt(storage, gameVariant(game).name, game.finishedAt || new Date().toISOString());
+    if (!found) return null;
+
+    // One game of the season at a time, so each is rated from the entries the last one left
+    return withLock(found.id, async () => {
+        const season = await storage.getSeason(found.id);
+        if (!season || season.closedAt) return null;
+
+        const winningSide = gameResult(game);
+        const results = winningSide === null ? [0.5, 0.5] : winningSide === 0 ? [1, 0] : [0, 1];
+        const players = await Promise.all(game.playerIds.map(id => storage.getPlayer(id)));
+        const entries = await Promise.all(players.map(player => seasonEntry(storage, season, player)));
+        const glickos = entries.map(glickoOf);
+
+        const timestamp = new Date().toISOString();
+        const seasonChanges = await Promise.all(players.map(async (player, side) => {
+            const other = 1 - side;
+            const entry = entries[side];
+            const elo = eloUpdate(entry.elo, entries[other].elo, results[side]);
+            const glicko = glicko2Update(glickos[side], glickos[other], results[side]);
+            const updated = {
+                ...entry,
+                score: system === 'glicko2' ? Math.round(glicko.rating) : elo,
+                elo,
+                glicko,
+                wins: entry.wins + (results[side] === 1 ? 1 : 0),
+                losses: entry.losses + (results[side] === 0 ? 1 : 0),
+                draws: entry.draws + (results[side] === 0.5 ? 1 : 0),
+                lastPlayedAt: timestamp
+            };
+            await updateSeasons(storage, player.id, seasons => ({ ...seasons, [season.id]: updated }));
+            return ratingChange(entry, updated);
+        }));
+        return { seasonId: season.id, seasonChanges };
+    });
+}
+
+/**
+ * Take a voided game back off its season entries: the rating changes it
+ * made, and the win, loss or draw. Games played since keep their effect.
+ * @returns {Promise<boolean>} false if the season has closed, when its
+ *   standings are final and nothing is changed
+ */
+async function reverseSeasonGame(storage, game) {
+    if (!game.seasonId) return true;
+    return withLock(game.seasonId, async () => {
+        const season = await storage.getSeason(game.seasonId);
+        if (!season || season.closedAt) return false;
+
+        const winningSide = gameResult(game);
+        const results = winningSide === null ? [0.5, 0.5] : winningSide === 0 ? [1, 0] : [0, 1];
+        await Promise.all(game.playerIds.map((playerId, side) => updateSeasons(storage, playerId, seasons => {
+            const entry = seasons[season.id];
+            if (!entry) return seasons;
+            const change = game.seasonChanges[side];
+            const glicko = glickoOf(entry);
+            const reversed = {
+                ...entry,
+                score: entry.score - change.score,
+                elo: entry.elo - change.elo,
+                glicko: {
+                    rating: round(glicko.rating - change.glicko.rating),
+                    deviation: round(glicko.deviation - change.glicko.deviation),
+                    volatility: glicko.volatility - change.glicko.volatility
+                },
+                wins: Math.max(0, entry.wins - (results[side] === 1 ? 1 : 0)),
+                losses: Math.max(0, entry.losses - (results[side] === 0 ? 1 : 0)),
+                draws: Math.max(0, entry.draws - (results[side] === 0.5 ? 1 : 0))
+            };
+            return { ...seasons, [season.id]: reversed };
+        })));
+        return true;
+    });
+}
+
+/**
+ * Order entries (`{ playerId, division, score, ... }`) into a ladder: by
+ * division, then score. Each gets its overall `rank`, its `divisionRank`,
+ * and the `movement` ('promoted', 'relegated' or null) and `nextDivision`
+ * it would get if the season ended now.
+ */
+function rankStandings(season, entries) {
+    const sorted = [...entries].sort((a, b) =>
+        a.division - b.division || b.score - a.score || a.playerId.localeCompare(b.playerId));
+    const sizes = {};
+    for (const entry of sorted) sizes[entry.division] = (sizes[entry.division] || 0) + 1;
+
+    const seen = {};
+    return sorted.map((entry, index) => {
+        const divisionRank = seen[entry.division] = (seen[entry.division] || 0) + 1;
+        const promoted = entry.division > 1 && divisionRank <= season.promote;
+        const relegated = !promoted && entry.division < season.divisions &&
+            divisionRank > sizes[entry.division] - season.relegate;
+        return {
+            ...entry,
+            rank: index + 1,
+            divisionRank,
+            movement: promoted ? 'promoted' : relegated ? 'relegated' : null,
+            nextDivision: entry.division + (promoted ? -1 : relegated ? 1 : 0)
+        };
+    });
+}
+
+/**
+ * A season's standings: the final ones once it has finished, otherwise the
+ * live ladder of everyone who has played in it (banned players left out).
+ */
+async function seasonStandings(storage, season) {
+    if (season.closedAt) return season.standings;
+    const entries = (await storage.listPlayers())
+        .filter(player => !player.bannedAt && player.seasons && player.seasons[season.id])
+        .map(player => ({ playerId: player.id, ...player.seasons[season.id] }));
+    return rankStandings(season, entries);
+}
+
+/**
+ * Finish a season: keep its final standings on the season record and drop
+ * the players' running entries.
+ */
+async function closeSeason(storage, season) {
+    return withLock(season.id, async () => {
+        const current = await storage.getSeason(season.id);
+        if (current.closedAt) return current;
+
+        const standings = await seasonStandings(storage, current);
+        const closed = { ...current, closedAt: new Date().toISOString(), standings };
+        await storage.putSeason(closed);
+
+        const players = (await storage.listPlayers()).filter(player => player.seasons && player.seasons[season.id]);
+        for (const player of players) {
+            await updateSeasons(storage, player.id, ({ [season.id]: finished, ...others }) => others);
+        }
+        return closed;
+    });
+}
+
+// Close every season that has reached its end date
+async function closeEndedSeasons(storage, now = new Date().toISOString()) {
+    const ended = (await listLadderSeasons(storage)).filter(season => !season.closedAt && season.endsAt <= now);
+    for (const season of ended) {
+        await closeSeason(storage, season);
+    }
+}
+
+module.exports = {
+    MAX_DIVISIONS,
+    SWEEP_INTERVAL_MS,
+    createSeason,
+    seasonStatus,
+    listLadderSeasons,
+    overlappingSeasons,
+    seasonAt,
+    onGameFinished,
+    reverseSeasonGame,
+    rankStandings,
+    seasonStandings,
+    closeSeason,
+    closeEndedSeasons
+};
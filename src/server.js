@@ -8,42 +8,106 @@
 // --- REQUIRED LIBRARIES ---
 const express = require('express');
 const cors = require('cors');
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, QueryCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const path = require('path');
 const { randomUUID } = require('crypto');
-const EventEmitter = require('events');
-const { CreateTableCommand, ListTablesCommand, UpdateTableCommand, DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
-const { ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { createStorage } = require('./storage');
+const rules = require('./rules');
+const { VARIANTS, DEFAULT_VARIANT, resolveVariant } = require('./variants');
+const { RATING_SYSTEMS, DEFAULT_SCORE, getPool, glickoOf, isProvisional, updateRatings } = require('./ratings');
+const { gameVariant, gameResult, loadGame, orientGame, findSpentTurnGame, spentTurnOutcome } = require('./games');
+const tournaments = require('./tournaments');
+const matches = require('./matches');
+const matchmaking = require('./matchmaking');
+const seasons = require('./seasons');
+const { isExpired, turnClock, pressClock, timeoutAction } = require('./timeControls');
+const {
+    checkAuthSecret,
+    verifyPassword,
+    passwordLookupKey,
+    passwordFields,
+    issueToken,
+    publicPlayer,
+    requirePlayer
+} = require('./auth');
+const { createTournamentRouter } = require('./routes/tournaments');
+const { createMatchRouter } = require('./routes/matches');
+const { createGameRouter } = require('./routes/games');
+const { createEventRouter } = require('./routes/events');
+const { createAdminRouter } = require('./routes/admin');
+const { createSeasonRouter } = require('./routes/seasons');
+const { createAnalysisRouter } = require('./routes/analysis');
+const { createHealthRouter } = require('./routes/health');
+const events = require('./events');
+const { attachBotSocket } = require('./botSocket');
+const { parseHouseBots, startHouseBots } = require('./houseBots');
+const { sendError, notFoundHandler, errorHandler } = require('./errors');
+const { validate } = require('./validation');
+const { buildSpec } = require('./openapi');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 // --- SERVER SETUP ---
 const app = express();
 const PORT = 3000;
-const K_FACTOR = 32;
+const TIMEOUT_SWEEP_INTERVAL_MS = 5000;
+const LEADERBOARD_PAGE_SIZE = 100;
+const RATING_SYSTEM = process.env.RATING_SYSTEM || 'elo'; // Published score: 'elo' or 'glicko2'
 
-app.use(cors()); // Allow cross-origin requests from the client
+if (!RATING_SYSTEMS.includes(RATING_SYSTEM)) {
+    throw new Error(`Unknown rating system: ${RATING_SYSTEM}`);
+}
+
+// Server-hosted reference opponents; set HOUSE_BOTS to an empty string for none
+const HOUSE_BOT_THINK_MS = process.env.HOUSE_BOT_THINK_MS;
+if (HOUSE_BOT_THINK_MS !== undefined && !(Number(HOUSE_BOT_THINK_MS) >= 0)) {
+    throw new Error(`Invalid HOUSE_BOT_THINK_MS: ${HOUSE_BOT_THINK_MS}`);
+}
+const HOUSE_BOTS = parseHouseBots(process.env.HOUSE_BOTS, HOUSE_BOT_THINK_MS && Number(HOUSE_BOT_THINK_MS));
+const HOUSE_BOT_VARIANT = resolveVariant(process.env.HOUSE_BOT_VARIANT).name;
+
+app.use(logger.requestLogger);
+app.use(metrics.requestTimer);
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'X-Request-Id'] })); // Allow cross-origin requests from the client
 app.use(express.json());
 
-// --- AWS DYNAMODB CLIENT SETUP ---
-// Assumes AWS credentials are set up in the environment or profile
-const dbClient = new DynamoDBClient({ region: 'us-east-1' }); // Set your AWS region
-const docClient = DynamoDBDocumentClient.from(dbClient);
+// --- STORAGE SETUP ---
+// Backend is chosen with the STORAGE environment variable (see storage/index.js)
+const storage = createStorage();
+checkAuthSecret(storage);
+
+// Spectator web UI
+app.use(express.static(path.join(__dirname, 'public')));
+
+app.use('/tournaments', createTournamentRouter(storage));
+app.use('/matches', createMatchRouter(storage));
+app.use('/seasons', createSeasonRouter(storage));
+app.use(createGameRouter(storage));
+app.use(createEventRouter(storage));
+app.use(createAnalysisRouter(storage));
+app.use('/admin', createAdminRouter(storage, { endGame }));
+
+app.post('/players', validate('POST /players'), async (req, res) => {
+    const { password } = req.body || {};
 
-app.post('/players', async (req, res) => {
     try {
-        const { password } = req.body || {};
         let playerId;
         if (password) {
             // Look for existing player with this password
-            const scanResult = await docClient.send(new ScanCommand({
-                TableName: 'Players',
-                FilterExpression: '#password = :password',
-                ExpressionAttributeNames: { '#password': 'password' },
-                ExpressionAttributeValues: { ':password': password }
-            }));
-            if (scanResult.Items && scanResult.Items.length > 0) {
+            let existing = await storage.findPlayerByPasswordKey(passwordLookupKey(password));
+            if (existing && !(await verifyPassword(password, existing.passwordHash))) existing = null;
+            if (!existing) {
+                // Players created before passwords were hashed still have them in plaintext
+                const legacy = await storage.findPlayerByPassword(password);
+                if (legacy) {
+                    const fields = { ...(await passwordFields(password)), password: null };
+                    await storage.updatePlayer(legacy.id, fields);
+                    existing = { ...legacy, ...fields };
+                }
+            }
+            if (existing) {
                 // Found existing player
-                playerId = scanResult.Items[0].id;
-                return res.status(200).json({ id: playerId });
+                playerId = existing.id;
+                return res.status(200).json({ id: playerId, ...issueToken(existing) });
             }
         }
         // Create new player
@@ -53,385 +117,460 @@ app.post('/players', async (req, res) => {
             id: playerId,
             wins: 0,
             losses: 0,
+            draws: 0,
             createdAt: now,
             lastPlayedAt: null,
-            score: 1200 // Default starting score
+            score: DEFAULT_SCORE // Default starting score
         };
-        if (password) player.password = password;
+        if (password) Object.assign(player, await passwordFields(password));
 
-        await docClient.send(new PutCommand({
-            TableName: 'Players',
-            Item: player
-        }));
+        await storage.putPlayer(player);
 
-        res.status(201).json({ id: playerId });
+        res.status(201).json({ id: playerId, ...issueToken(player) });
     } catch (error) {
-        console.error('Error creating player:', error);
-        res.status(500).json({ error: 'Failed to create player' });
+        logger.error('Error creating player', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to create player');
     }
 });
 
-app.get('/players', async (req, res) => {
+// --- POST /players/:playerId/password ---
+// Set a new password; tokens issued before stop working
+app.post('/players/:playerId/password', validate('POST /players/:playerId/password'), requirePlayer(storage), async (req, res) => {
+    const { password, newPassword } = req.body;
+
     try {
-        // Scan all players (for small scale; for large scale, use a GSI on score)
-        const result = await docClient.send(new ScanCommand({
-            TableName: 'Players'
-        }));
-        // Remove passwords before returning players
-        const players = (result.Items || [])
-            .sort((a, b) => (b.score || 0) - (a.score || 0))
-            .slice(0, 100)
-            .map(player => {
-                const { password, ...rest } = player;
-                return rest;
-            });
-        res.json(players);
+        const player = req.player;
+        // Players who never set a password can set one with just their token
+        if (player.passwordHash && !(typeof password === 'string' && await verifyPassword(password, player.passwordHash))) {
+            return sendError(res, 'FORBIDDEN', 'Current password is incorrect.');
+        }
+        const taken = await storage.findPlayerByPasswordKey(passwordLookupKey(newPassword));
+        if (taken && taken.id !== player.id) {
+            return sendError(res, 'CONFLICT', 'Choose a different password.');
+        }
+
+        const fields = { ...(await passwordFields(newPassword, player.passwordVersion || 0)), password: null };
+        await storage.updatePlayer(player.id, fields);
+        res.json({ id: player.id, ...issueToken({ ...player, ...fields }) });
     } catch (error) {
-        console.error('Error fetching players:', error);
-        res.status(500).json({ error: 'Failed to fetch players' });
+        logger.error('Error rotating password', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to change password');
     }
 });
 
-app.get('/players/:playerId', async (req, res) => {
+// All-time leaderboard rows for a variant, best first
+function allTimeLeaderboard(allPlayers, variant) {
+    // Other variants only list players who have played in that pool
+    return allPlayers
+        .filter(player => !player.bannedAt)
+        .filter(player => variant.name === DEFAULT_VARIANT || (player.pools && player.pools[variant.name]))
+        .map(player => {
+            // Remove passwords and pool and season maps before returning players
+            const { pools, seasons: seasonEntries, ...rest } = publicPlayer(player);
+            const pool = getPool(player, variant.name);
+            return { ...rest, ...pool, glicko: glickoOf(pool), provisional: isProvisional(pool), houseBot: Boolean(player.houseBot) };
+        })
+        .sort((a, b) => (b.score || 0) - (a.score || 0))
+        .map((player, index) => ({ ...player, rank: index + 1 }));
+}
+
+// Season leaderboard rows, in ladder order, keeping the ladder's ranks
+async function seasonLeaderboard(allPlayers, season) {
+    const byId = new Map(allPlayers.map(player => [player.id, player]));
+    return (await seasons.seasonStandings(storage, season)).map(({ playerId, ...standing }) => ({
+        id: playerId,
+        season: season.id,
+        ...standing,
+        provisional: isProvisional(standing),
+        houseBot: Boolean((byId.get(playerId) || {}).houseBot)
+    }));
+}
+
+app.get('/players', validate('GET /players'), async (req, res) => {
+    let variant;
+    try {
+        variant = resolveVariant(req.query.variant);
+    } catch (error) {
+        return sendError(res, 'VALIDATION_FAILED', error.message);
+    }
+    // Provisional players (high rating deviation) are marked, or left out with ?provisional=hide
+    const hideProvisional = req.query.provisional === 'hide';
+    const { division, limit = LEADERBOARD_PAGE_SIZE, offset = 0 } = req.query;
+    // Divisions only exist within a season
+    const seasonId = req.query.season || (division !== undefined ? 'current' : null);
+
+    try {
+        // Load all players (for small scale; for large scale, use a GSI on score)
+        const allPlayers = await storage.listPlayers();
+        let players;
+        if (seasonId) {
+            const season = seasonId === 'current'
+                ? await seasons.seasonAt(storage, variant.name, new Date().toISOString())
+                : await storage.getSeason(seasonId);
+            if (!season || season.type !== 'ladder') {
+                return sendError(res, 'NOT_FOUND', seasonId === 'current' ? `No season is running for ${variant.name}.` : 'Season not found');
+            }
+            players = (await seasonLeaderboard(allPlayers, season))
+                .filter(player => division === undefined || player.division === division);
+        } else {
+            players = allTimeLeaderboard(allPlayers, variant);
+        }
+        players = players.filter(player => !(hideProvisional && player.provisional));
+
+        res.set('X-Total-Count', String(players.length));
+        res.json(players.slice(offset, offset + limit));
+    } catch (error) {
+        logger.error('Error fetching players', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to fetch players');
+    }
+});
+
+app.get('/players/:playerId', validate('GET /players/:playerId'), async (req, res) => {
     const { playerId } = req.params;
     try {
-        const result = await docClient.send(new GetCommand({
-            TableName: 'Players',
-            Key: { id: playerId }
-        }));
+        const player = await storage.getPlayer(playerId);
 
-        if (!result.Item) {
-            return res.status(404).json({ error: 'Player not found' });
+        if (!player) {
+            return sendError(res, 'NOT_FOUND', 'Player not found');
         }
 
-    // Remove password before returning
-    const { password, ...rest } = result.Item;
-    res.json(rest);
+        // Remove password before returning
+        res.json({ ...publicPlayer(player), provisional: isProvisional(getPool(player, DEFAULT_VARIANT)) });
+    } catch (error) {
+        logger.error('Error fetching player', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to fetch player');
+    }
+});
+
+// --- GET /players/:playerId/ratings ---
+// Rating after every game, oldest first, for charting
+app.get('/players/:playerId/ratings', validate('GET /players/:playerId/ratings'), async (req, res) => {
+    const { playerId } = req.params;
+
+    let variant;
+    try {
+        variant = resolveVariant(req.query.variant);
     } catch (error) {
-        console.error('Error fetching player:', error);
-        res.status(500).json({ error: 'Failed to fetch player' });
+        return sendError(res, 'VALIDATION_FAILED', error.message);
+    }
+
+    try {
+        if (!(await storage.getPlayer(playerId))) {
+            return sendError(res, 'NOT_FOUND', 'Player not found');
+        }
+        const snapshots = (await storage.listRatingSnapshots(playerId))
+            .filter(snapshot => snapshot.variant === variant.name);
+        res.json(snapshots);
+    } catch (error) {
+        logger.error('Error fetching rating history', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to fetch rating history');
     }
 });
 
 
+// --- GET /variants ---
+// Preset rule variants; any of their names can be passed as ?variant=
+app.get('/variants', validate('GET /variants'), (req, res) => {
+    res.json(Object.values(VARIANTS));
+});
+
 // --- GET /players/:playerId/turns ---
-app.get('/players/:playerId/turns', async (req, res) => {
+app.get('/players/:playerId/turns', validate('GET /players/:playerId/turns'), requirePlayer(storage), async (req, res) => {
     const { playerId } = req.params;
+    const tournamentId = req.query.tournament;
+    const matchId = req.query.match;
+    const opponentId = req.query.opponent; // Only play this player
 
+    if (tournamentId && matchId) {
+        return sendError(res, 'VALIDATION_FAILED', 'tournament and match cannot be combined.');
+    }
+    if (opponentId !== undefined && (tournamentId || matchId || opponentId === playerId)) {
+        return sendError(res, 'VALIDATION_FAILED', 'opponent must be another player, and cannot be combined with tournament or match.');
+    }
+
+    let variant;
     try {
-        // 1. Add player to ActivePlayers if not already present
-        await docClient.send(new PutCommand({
-            TableName: 'ActivePlayers',
-            Item: { id: playerId },
-            ConditionExpression: 'attribute_not_exists(id)', // Only add if not exists
-        })).catch(err => {
-            // Ignore ConditionalCheckFailedException (player already exists)
-            if (err.name !== 'ConditionalCheckFailedException') throw err;
-        });
+        variant = resolveVariant(req.query.variant);
+    } catch (error) {
+        return sendError(res, 'VALIDATION_FAILED', error.message);
+    }
 
-        // 2. Find all active games for this player
-        const gamesResult = await docClient.send(new QueryCommand({
-            TableName: 'ActiveGames',
-            IndexName: 'PlayerIndex', // Assumes a GSI on playerIds
-            KeyConditionExpression: 'playerIds = :pid',
-            ExpressionAttributeValues: { ':pid': playerId }
-        }));
+    try {
+        // 1. Add player to ActivePlayers, remembering which variant they want to play
+        await matchmaking.touch(storage, playerId, variant.name);
+
+        // 2. Find all active games for this player, either in one tournament or match, or in this variant
+        const games = (await storage.listGamesForPlayer(playerId))
+            .filter(g => g.state && g.state.status === 'active')
+            .filter(g => {
+                if (tournamentId) return g.tournamentId === tournamentId;
+                if (matchId) return g.matchId === matchId;
+                return gameVariant(g).name === variant.name;
+            })
+            .filter(g => !opponentId || g.playerIds.includes(opponentId));
 
         // 3. Pick a random game for this player where it is their turn
-        let games = gamesResult.Items || [];
-        const turnGames = games.filter(g => g.state && g.state.turn === playerId);
+        let turnGames = games.filter(g => g.state.turn === playerId);
 
-        // 4. If no games, create one with another random active player
+        // Tournament and match games are only created by their schedule, never on demand
+        if (turnGames.length === 0 && (tournamentId || matchId)) {
+            return sendError(res, 'NO_TURN_AVAILABLE', `No turn available in this ${tournamentId ? 'tournament' : 'match'} right now.`);
+        }
+
+        // 4. If no games, create one with a suitable active player
         if (turnGames.length === 0) {
             const MAX_ACTIVE_GAMES_PER_PLAYER = 10;
             if (games.length > MAX_ACTIVE_GAMES_PER_PLAYER) {
-                return res.status(429).json({ error: 'Too many active turns. Please let opponents make take their turns before continuing.' });
+                return sendError(res, 'RATE_LIMITED', 'Too many active turns. Please let opponents make take their turns before continuing.');
             }
 
-            // Get all active players except current
-            const activePlayersResult = await docClient.send(new QueryCommand({
-                TableName: 'ActivePlayers',
-            }));
-            const activePlayers = (activePlayersResult.Items || []).filter(p => p.id !== playerId);
-
-            if (activePlayers.length === 0) {
-                return res.status(400).json({ error: 'No other active players available for a game.' });
+            // Pair with the closest-rated (or the requested) active player in this variant and start a game
+            const match = await matchmaking.startMatch(storage, playerId, variant, { opponentId });
+            if (match.error) {
+                return sendError(res, 'NO_OPPONENT', match.error);
             }
+            const newGame = match.game;
 
-            // Pick a random opponent
-            const opponent = activePlayers[Math.floor(Math.random() * activePlayers.length)];
-
-            // Create new game
-            const gameId = randomUUID();
-            const newGame = {
-                id: gameId,
-                turnId: randomUUID(), // Unique turn identifier
-                playerIds: [playerId, opponent.id],
-                state: {
-                    // Initial Mancala board state (example)
-                    board: [4, 4, 4, 4, 4, 4, 0, 4, 4, 4, 4, 4, 4, 0],
-                    turn: playerId,
-                    status: 'active'
-                },
-                history: [],
-                createdAt: new Date().toISOString()
-            };
-
-            await docClient.send(new PutCommand({
-                TableName: 'ActiveGames',
-                Item: newGame
-            }));
-
+            // The opponent may have been given the first move
+            if (newGame.state.turn !== playerId) {
+                return res.status(202).json({ message: 'New game started; waiting for the opponent to move first.' });
+            }
             turnGames = [newGame];
         }
 
-        let game = turnGames[Math.floor(Math.random() * turnGames.length)];
+        const game = turnGames[Math.floor(Math.random() * turnGames.length)];
+        const side = game.playerIds.indexOf(playerId);
 
         // Transform the board so that the current player is always player 1 (bottom side)
         let board = game.state.board;
-        if (game.playerIds[0] !== playerId) {
-            // Flip the board for player 2
-            board = [
-            ...board.slice(7, 13), // pits 7-12 become 0-5
-            board[13],             // player 2's store becomes 6
-            ...board.slice(0, 6),  // pits 0-5 become 7-12
-            board[6]               // player 1's store becomes 13
-            ];
+        if (side === 1) {
+            board = rules.flipBoard(board);
         }
-        res.json({ turnId, board });
+        res.json({
+            gameId: game.id,
+            turnId: game.turnId,
+            variant: gameVariant(game).name,
+            board,
+            clock: turnClock(game, side)
+        });
     } catch (error) {
-        console.error('Error in /players/:playerId/games:', error);
-        res.status(500).json({ error: 'Failed to get or create game' });
+        logger.error('Error in /players/:playerId/games', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to get or create game');
     }
 });
 
-app.post('/players/:playerId/turns/:turnId', async (req, res) => {
+app.post('/players/:playerId/turns/:turnId', validate('POST /players/:playerId/turns/:turnId'), requirePlayer(storage), async (req, res) => {
     const { playerId, turnId } = req.params;
     const { pit } = req.body; // The pit index the player wants to move from
 
-    // If the current player is player 2 (board was flipped for them), unflip just their selected pit index
-    const playerIdx = game.playerIds.indexOf(playerId);
-    const isPlayer1 = playerIdx === 0;
-    if (!isPlayer1) {
-        let unflippedPit = pit;
-        // Unflip pit index: pits 0-5 map to 7-12, 6 to 13 (store)
-        if (pit >= 0 && pit <= 5) {
-            pit = pit + 7;
-        } else if (pit === 6) {
-            pit = 13;
-        } else {
-            return res.status(400).json({ error: 'Missing or invalid pit index.' });
+    try {
+        const outcome = await submitMove(playerId, turnId, pit);
+        if (outcome.error) {
+            return sendError(res, outcome.code, outcome.error);
         }
+        res.json(null); // Respond with empty body on success
+    } catch (error) {
+        logger.error('Error submitting move', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to submit move.');
     }
+});
 
-    if (typeof pit !== 'number') {
-        return res.status(400).json({ error: 'Missing or invalid pit index.' });
-    }
+// --- GAME PROGRESS ---
 
+/**
+ * Check and play a move a player submitted for a turn, with `pit` chosen
+ * from their oriented board. Shared by the HTTP and WebSocket APIs.
+ * Submitting the same move for the same turn again succeeds without playing
+ * it twice, so clients can retry when they don't know whether a move got in.
+ * @returns {Promise<{ status: number, code?: string, error?: string }>} an
+ *   HTTP-style status, with an error code and message if the move was rejected
+ */
+async function submitMove(playerId, turnId, pit) {
+    let outcome;
     try {
-        // Fetch the game
-        const gameResult = await docClient.send(new GetCommand({
-            TableName: 'ActiveGames',
-            Key: { turnId: turnId }
-        }));
-
-        const game = gameResult.Item;
-        if (!game) {
-            return res.status(404).json({ error: 'Turn not found.' });
-        }
+        outcome = await checkAndPlayMove(playerId, turnId, pit);
+    } catch (error) {
+        metrics.moveSubmissions.inc({ outcome: 'INTERNAL_ERROR' });
+        throw error;
+    }
+    metrics.moveSubmissions.inc({ outcome: outcome.code || 'accepted' });
+    return outcome;
+}
 
-        // Validate player is part of the game
-        if (!game.playerIds.includes(playerId)) {
-            return res.status(403).json({ error: 'Player not part of this game.' });
-        }
+async function checkAndPlayMove(playerId, turnId, pit) {
+    if (!Number.isInteger(pit) || pit < 0) {
+        return { status: 400, code: 'VALIDATION_FAILED', error: 'pit must be a non-negative integer.' };
+    }
 
-        // Validate turn
-        if (game.state.turn !== playerId) {
-            return res.status(400).json({ error: 'Not your turn.' });
-        }
+    // Fetch the game
+    const game = await storage.getGameByTurnId(turnId);
+    if (!game) {
+        return spentTurnOutcome(playerId, turnId, pit, await findSpentTurnGame(storage, playerId, turnId));
+    }
 
-        // Validate pit selection (basic checks)
-        const board = game.state.board;
-        const playerIdx = game.playerIds.indexOf(playerId);
-        const isPlayer1 = playerIdx === 0;
-        const pitStart = isPlayer1 ? 0 : 7;
-        const pitEnd = isPlayer1 ? 5 : 12;
-        if (pit < pitStart || pit > pitEnd || board[pit] === 0) {
-            return res.status(400).json({ error: 'Invalid pit selection.' });
-        }
+    // Validate player is part of the game
+    if (!game.playerIds.includes(playerId)) {
+        return { status: 403, code: 'FORBIDDEN', error: 'Player not part of this game.' };
+    }
 
-        // --- Apply Mancala move logic ---
-        // Simple implementation: sow stones, update board, determine next turn
-        let stones = board[pit];
-        board[pit] = 0;
-        let idx = pit;
-        while (stones > 0) {
-            idx = (idx + 1) % 14;
-            // Skip opponent's store
-            if ((isPlayer1 && idx === 13) || (!isPlayer1 && idx === 6)) continue;
-            board[idx]++;
-            stones--;
-        }
+    // Validate turn
+    if (game.state.turn !== playerId) {
+        return { status: 409, code: 'NOT_YOUR_TURN', error: 'Not your turn.' };
+    }
 
-        // Check if last stone landed in player's store for extra turn
-        let nextTurn = game.state.turn;
-        if ((isPlayer1 && idx === 6) || (!isPlayer1 && idx === 13)) {
-            // Player gets another turn
-            nextTurn = playerId;
-        } else {
-            // Switch turn
-            nextTurn = game.playerIds[1 - playerIdx];
-        }
+    const side = game.playerIds.indexOf(playerId);
+    const { pitsPerSide } = gameVariant(game);
+    if (pit >= pitsPerSide) {
+        return { status: 422, code: 'ILLEGAL_MOVE', error: `pit must be from 0 to ${pitsPerSide - 1} in this game.` };
+    }
 
-        // Check for game end (one side empty)
-        const player1Empty = board.slice(0, 6).every(x => x === 0);
-        const player2Empty = board.slice(7, 13).every(x => x === 0);
-        let status = 'active';
-        if (player1Empty || player2Empty) {
-            // Collect remaining stones to respective stores
-            board[6] += board.slice(0, 6).reduce((a, b) => a + b, 0);
-            board[13] += board.slice(7, 13).reduce((a, b) => a + b, 0);
-            board.fill(0, 0, 6);
-            board.fill(0, 7, 13);
-            status = 'finished';
-
-            // --- Update player scores ---
-            // Determine winner
-            const player1Score = board[6];
-            const player2Score = board[13];
-            let winnerId = null;
-            let loserId = null;
-            let draw = false;
-            if (player1Score > player2Score) {
-                winnerId = game.playerIds[0];
-                loserId = game.playerIds[1];
-            } else if (player2Score > player1Score) {
-                winnerId = game.playerIds[1];
-                loserId = game.playerIds[0];
-            } else {
-                draw = true;
-            }
+    // Player 2 chose from a flipped board, so map their pit back to the real board
+    const boardPit = side === 1 ? rules.flipIndex(game.state.board, pit) : pit;
 
-            finishedGameEmitter.emit(game.playerIds[0], { ...game, state: updatedState, history });
-            finishedGameEmitter.emit(game.playerIds[1], { ...game, state: updatedState, history });
-
-            // Fetch both players
-            const [player1Result, player2Result] = await Promise.all([
-                docClient.send(new GetCommand({
-                    TableName: 'Players',
-                    Key: { id: game.playerIds[0] }
-                })),
-                docClient.send(new GetCommand({
-                    TableName: 'Players',
-                    Key: { id: game.playerIds[1] }
-                }))
-            ]);
-            const player1 = player1Result.Item;
-            const player2 = player2Result.Item;
-
-            // ELO calculation
-            const expected1 = 1 / (1 + Math.pow(10, ((player2.score - player1.score) / 400)));
-            const expected2 = 1 / (1 + Math.pow(10, ((player1.score - player2.score) / 400)));
-            let score1, score2;
-            if (draw) {
-                score1 = 0.5;
-                score2 = 0.5;
-            } else if (winnerId === player1.id) {
-                score1 = 1;
-                score2 = 0;
-            } else {
-                score1 = 0;
-                score2 = 1;
-            }
-            const newScore1 = Math.round(player1.score + K_FACTOR * (score1 - expected1));
-            const newScore2 = Math.round(player2.score + K_FACTOR * (score2 - expected2));
-
-            // Update players
-            await Promise.all([
-                docClient.send(new UpdateCommand({
-                    TableName: 'Players',
-                    Key: { id: player1.id },
-                    UpdateExpression: 'SET #score = :score, #wins = if_not_exists(#wins, :zero) + :w, #losses = if_not_exists(#losses, :zero) + :l, #lastPlayedAt = :now',
-                    ExpressionAttributeNames: {
-                        '#score': 'score',
-                        '#wins': 'wins',
-                        '#losses': 'losses',
-                        '#lastPlayedAt': 'lastPlayedAt'
-                    },
-                    ExpressionAttributeValues: {
-                        ':score': newScore1,
-                        ':w': draw ? 0 : (winnerId === player1.id ? 1 : 0),
-                        ':l': draw ? 0 : (winnerId === player2.id ? 1 : 0),
-                        ':zero': 0,
-                        ':now': new Date().toISOString()
-                    }
-                })),
-                docClient.send(new UpdateCommand({
-                    TableName: 'Players',
-                    Key: { id: player2.id },
-                    UpdateExpression: 'SET #score = :score, #wins = if_not_exists(#wins, :zero) + :w, #losses = if_not_exists(#losses, :zero) + :l, #lastPlayedAt = :now',
-                    ExpressionAttributeNames: {
-                        '#score': 'score',
-                        '#wins': 'wins',
-                        '#losses': 'losses',
-                        '#lastPlayedAt': 'lastPlayedAt'
-                    },
-                    ExpressionAttributeValues: {
-                        ':score': newScore2,
-                        ':w': draw ? 0 : (winnerId === player2.id ? 1 : 0),
-                        ':l': draw ? 0 : (winnerId === player1.id ? 1 : 0),
-                        ':zero': 0,
-                        ':now': new Date().toISOString()
-                    }
-                }))
-            ]);
-        }
+    if (!rules.legalMoves(game.state.board, side).includes(boardPit)) {
+        return { status: 422, code: 'ILLEGAL_MOVE', error: 'That pit is empty.' };
+    }
 
-        // Add move to history
-        const move = {
-            turnId: turnId,
-            board: [...board],
-            player: playerId,
-            pit,
-            timestamp: new Date().toISOString()
-        };
-        const history = Array.isArray(game.history) ? [...game.history, move] : [move];
+    // Too late: settle the timeout instead of accepting the move
+    if (isExpired(game)) {
+        await handleTimeout(game);
+        return { status: 409, code: 'TURN_EXPIRED', error: 'Turn expired.' };
+    }
 
-        // Update game state
-        const updatedState = {
-            board,
-            turn: nextTurn,
-            status
-        };
+    // Lost a race with another request for the same turn
+    if (!(await playMove(game, side, boardPit))) {
+        return spentTurnOutcome(playerId, turnId, pit, await loadGame(storage, game.id));
+    }
+    return { status: 200 };
+}
 
-        await docClient.send(new UpdateCommand({
-            TableName: 'ActiveGames',
-            Key: { id: gameId },
-            UpdateExpression: 'SET #state = :state, #history = :history',
-            ExpressionAttributeNames: {
-                '#state': 'state',
-                '#history': 'history'
-            },
-            ExpressionAttributeValues: {
-                ':state': updatedState,
-                ':history': history
-            }
-        }));
+/**
+ * Apply a legal move for `side`, press the clock and save the game under a
+ * new turnId. Finishes the game if the move ends it. Extra fields are
+ * recorded on the history entry.
+ * @returns {Promise<object|null>} the updated game, or null if the turn had
+ *   already been played or timed out by the time it was saved
+ */
+async function playMove(game, side, pit, extra = {}) {
+    const now = Date.now();
+    const result = rules.applyMove(game.state.board, side, pit, gameVariant(game));
+    const board = result.board;
+    const nextTurn = game.playerIds[result.nextSide];
+    const status = result.finished ? 'finished' : 'active';
+    const { clock, elapsedMs, remainingMs } = pressClock(game, side, now);
+
+    // Add move to history
+    const move = {
+        turnId: game.turnId,
+        board: [...board],
+        player: game.playerIds[side],
+        pit,
+        extraTurn: result.extraTurn,
+        captured: result.captured,
+        elapsedMs,
+        remainingMs,
+        timestamp: new Date(now).toISOString(),
+        ...extra
+    };
+    const history = Array.isArray(game.history) ? [...game.history, move] : [move];
+
+    // Update game state
+    const updatedState = {
+        board,
+        turn: result.finished ? null : nextTurn,
+        status
+    };
+    if (result.finished) updatedState.winner = rules.winner(board);
+
+    const finishedAt = result.finished ? move.timestamp : null;
+    const turnId = randomUUID();
+    const saved = await storage.updateGame(game.id, {
+        turnId,
+        lastTurnId: game.turnId,
+        state: updatedState,
+        history,
+        clock,
+        finishedAt
+    }, { expectedTurnId: game.turnId });
+    if (!saved) return null;
+
+    const updatedGame = { ...game, turnId, lastTurnId: game.turnId, state: updatedState, history, clock, finishedAt };
+    events.movePlayed(updatedGame, move);
+    if (result.finished) await finishGame(updatedGame);
+    else events.yourTurn(updatedGame);
+    return updatedGame;
+}
 
-        res.json(null); // Respond with empty body on success
+// Rate a finished game, announce the result, move its tournament on and archive it
+async function finishGame(game) {
+    // Games from unrated matches leave ratings alone
+    if (game.rated !== false) {
+        await updateRatings(storage, game, gameVariant(game).name, RATING_SYSTEM);
+        // Kept on the game so a void can take it back off the season
+        Object.assign(game, await seasons.onGameFinished(storage, game, RATING_SYSTEM));
+    }
+    events.gameFinished(game);
+    await tournaments.onGameFinished(storage, game);
+    await matches.onGameFinished(storage, game);
+    await storage.archiveGame(game);
+}
+
+/**
+ * The player to move has run out of time: either they forfeit, or a random
+ * legal move is played for them, depending on the game's time control.
+ * Resolves to null if a move got in first.
+ */
+async function handleTimeout(game) {
+    const action = timeoutAction(game);
+    if (action.state) return endGame(game, action.state);
+    return playMove(game, game.playerIds.indexOf(game.state.turn), action.pit, { auto: true });
+}
+
+/**
+ * End an active game without a move: on a timeout, or by an admin's decision.
+ * `state` (the winner side or null, and a reason) is merged into the game's
+ * state and `fields` onto the game, saved under a new turnId, and the game is
+ * finished as usual.
+ * @returns {Promise<object|null>} the finished game, or null if a move got in first
+ */
+async function endGame(game, state, fields = {}) {
+    const updatedState = { ...game.state, turn: null, status: 'finished', ...state };
+    const finishedAt = new Date().toISOString();
+    const turnId = randomUUID();
+    const lastTurnId = game.turnId;
+    const saved = await storage.updateGame(game.id, { ...fields, turnId, lastTurnId, state: updatedState, finishedAt }, { expectedTurnId: lastTurnId });
+    if (!saved) return null;
+    const updatedGame = { ...game, ...fields, turnId, lastTurnId, state: updatedState, finishedAt };
+    await finishGame(updatedGame);
+    return updatedGame;
+}
+
+// Settle every game whose player to move is out of time
+async function sweepTimeouts() {
+    const expired = (await storage.listActiveGames()).filter(game => isExpired(game));
+    for (const game of expired) {
+        await handleTimeout(game);
+    }
+}
+
+// --- GET /matchmaking/queue ---
+// Queue state for debugging matchmaking
+app.get('/matchmaking/queue', validate('GET /matchmaking/queue'), async (req, res) => {
+    try {
+        res.json(await matchmaking.queueState(storage));
     } catch (error) {
-        console.error('Error submitting move:', error);
-        res.status(500).json({ error: 'Failed to submit move.' });
+        logger.error('Error fetching matchmaking queue', { error });
+        sendError(res, 'INTERNAL_ERROR', 'Failed to fetch matchmaking queue');
     }
 });
 
-// --- SSE Event Emitter for Finished Games ---
-const finishedGameEmitter = new EventEmitter();
-
-// Listen for finished games and emit to SSE clients
-app.get('/player/:playerId/games', (req, res) => {
+// --- SSE stream of finished games ---
+// Superseded by GET /players/:playerId/events, kept for existing clients
+app.get('/player/:playerId/games', validate('GET /player/:playerId/games'), requirePlayer(storage), (req, res) => {
     const { playerId } = req.params;
 
+    metrics.trackStream(req, 'legacy');
+
     // Set headers for SSE
     res.set({
         'Content-Type': 'text/event-stream',
@@ -441,9 +580,10 @@ app.get('/player/:playerId/games', (req, res) => {
     res.flushHeaders();
 
     let closed = false;
+    const unsubscribe = events.subscribe(handler);
     req.on('close', () => {
         closed = true;
-        finishedGameEmitter.removeListener(playerId, handler);
+        unsubscribe();
     });
 
     // Helper to send SSE event
@@ -452,143 +592,104 @@ app.get('/player/:playerId/games', (req, res) => {
     }
 
     // Handler for finished games
-    function handler(game) {
-        if (closed) return;
+    async function handler(event) {
+        if (event.type !== 'game_finished' || !event.playerIds.includes(playerId)) return;
+        let game;
+        try {
+            game = await loadGame(storage, event.gameId);
+        } catch (error) {
+            return logger.error('Error loading finished game', { error });
+        }
+        if (closed || !game) return;
+
         // Determine win/loss/draw for this player
         const playerIdx = game.playerIds.indexOf(playerId);
-        if (playerIdx === -1) return;
-        const playerStoreIdx = playerIdx === 0 ? 6 : 13;
-        const opponentStoreIdx = playerIdx === 0 ? 13 : 6;
-        const playerScore = game.state.board[playerStoreIdx];
-        const opponentScore = game.state.board[opponentStoreIdx];
+        const winningSide = gameResult(game);
         let result = 'draw';
-        if (playerScore > opponentScore) result = 'win';
-        else if (playerScore < opponentScore) result = 'loss';
+        if (winningSide === playerIdx) result = 'win';
+        else if (winningSide !== null) result = 'loss';
 
-        (game.history || []).forEach(move => {
+        // Transform the moves so it always appears the player was player 1 (bottom side)
+        orientGame(game, playerId).history.forEach(move => {
             if (move.player === playerId) {
-                // Transform the move so it always appears the player was player 1 (bottom side)
-                let transformedMove = { ...move };
-                if (game.playerIds[0] !== playerId) {
-                    // Flip the board for player 2's perspective
-                    transformedMove.board = [
-                        ...move.board.slice(7, 13), // pits 7-12 become 0-5
-                        move.board[13],             // player 2's store becomes 6
-                        ...move.board.slice(0, 6),  // pits 0-5 become 7-12
-                        move.board[6]               // player 1's store becomes 13
-                    ];
-                    // Flip pit index if needed
-                    if (typeof move.pit === 'number') {
-                        if (move.pit >= 0 && move.pit <= 5) {
-                            transformedMove.pit = move.pit + 7;
-                        } else if (move.pit === 6) {
-                            transformedMove.pit = 13;
-                        }
-                    }
-                }
                 sendEvent({
-                    move: transformedMove,
+                    move,
                     result
                 });
             }
         });
     }
-
-    finishedGameEmitter.on(playerId, handler);
 });
 
-// --- START SERVER ---
+// --- GET /openapi.json ---
+// Machine-readable description of the whole API
+const openApiSpec = buildSpec();
+app.get('/openapi.json', validate('GET /openapi.json'), (req, res) => {
+    res.json(openApiSpec);
+});
 
-async function ensureTable(params, gsiParams = []) {
-    const { TableName } = params;
-    const tables = await dbClient.send(new ListTablesCommand({}));
-    if (!tables.TableNames.includes(TableName)) {
-        await dbClient.send(new CreateTableCommand(params));
-        // Wait for table to be ACTIVE
-        let status = 'CREATING';
-        while (status !== 'ACTIVE') {
-            await new Promise(r => setTimeout(r, 1000));
-            const desc = await dbClient.send(new DescribeTableCommand({ TableName }));
-            status = desc.Table.TableStatus;
-        }
-    }
-    // Add GSIs if needed
-    if (gsiParams.length > 0) {
-        const desc = await dbClient.send(new DescribeTableCommand({ TableName }));
-        const existingGSIs = (desc.Table.GlobalSecondaryIndexes || []).map(gsi => gsi.IndexName);
-        for (const gsi of gsiParams) {
-            if (!existingGSIs.includes(gsi.IndexName)) {
-                await dbClient.send(new UpdateTableCommand({
-                    TableName,
-                    AttributeDefinitions: params.AttributeDefinitions,
-                    GlobalSecondaryIndexUpdates: [
-                        { Create: gsi }
-                    ]
-                }));
-                // Wait for GSI to be ACTIVE
-                let gsiStatus = 'CREATING';
-                while (gsiStatus !== 'ACTIVE') {
-                    await new Promise(r => setTimeout(r, 1000));
-                    const desc2 = await dbClient.send(new DescribeTableCommand({ TableName }));
-                    const gsiDesc = (desc2.Table.GlobalSecondaryIndexes || []).find(idx => idx.IndexName === gsi.IndexName);
-                    if (gsiDesc) gsiStatus = gsiDesc.IndexStatus;
-                }
-            }
-        }
+// --- GET /healthz, GET /metrics ---
+// Gauges read from storage each time Prometheus scrapes (see metrics.js)
+metrics.addCollector(async () => {
+    const games = await storage.listActiveGames();
+    metrics.activeGames.reset();
+    Object.keys(VARIANTS).forEach(variant => metrics.activeGames.set({ variant }, 0));
+    games.forEach(game => metrics.activeGames.inc({ variant: gameVariant(game).name }));
+});
+metrics.addCollector(async () => {
+    const sizes = await matchmaking.poolSizes(storage);
+    metrics.activePlayers.reset();
+    metrics.waitingPlayers.reset();
+    for (const variant of new Set([...Object.keys(VARIANTS), ...Object.keys(sizes)])) {
+        const { active, waiting } = sizes[variant] || { active: 0, waiting: 0 };
+        metrics.activePlayers.set({ variant }, active);
+        metrics.waitingPlayers.set({ variant }, waiting);
     }
-}
+});
+app.use(createHealthRouter(storage));
 
-(async () => {
-    // Players table
-    await ensureTable({
-        TableName: 'Players',
-        AttributeDefinitions: [
-            { AttributeName: 'id', AttributeType: 'S' }
-        ],
-        KeySchema: [
-            { AttributeName: 'id', KeyType: 'HASH' }
-        ],
-        BillingMode: 'PAY_PER_REQUEST'
-    });
+// Anything left is an unknown route or an error a route didn't handle
+app.use(notFoundHandler);
+app.use(errorHandler);
 
-    // ActivePlayers table
-    await ensureTable({
-        TableName: 'ActivePlayers',
-        AttributeDefinitions: [
-            { AttributeName: 'id', AttributeType: 'S' }
-        ],
-        KeySchema: [
-            { AttributeName: 'id', KeyType: 'HASH' }
-        ],
-        BillingMode: 'PAY_PER_REQUEST'
-    });
+// --- START SERVER ---
+
+storage.init()
+    .then(() => {
+        // Drop idle players from the matchmaking pool
+        setInterval(() => {
+            matchmaking.sweepIdle(storage).catch(error => logger.error('Error sweeping idle players', { error }));
+        }, matchmaking.IDLE_TIMEOUT_MS / 2).unref();
+
+        // Forfeit or auto-move for players who run out of time
+        setInterval(() => {
+            sweepTimeouts().catch(error => logger.error('Error sweeping timed-out games', { error }));
+        }, TIMEOUT_SWEEP_INTERVAL_MS).unref();
+
+        // Keep the final standings of seasons that have reached their end date
+        setInterval(() => {
+            seasons.closeEndedSeasons(storage).catch(error => logger.error('Error closing seasons', { error }));
+        }, seasons.SWEEP_INTERVAL_MS).unref();
+
+        const server = app.listen(PORT, () => {
+            logger.info('Mancala Tournament Server is running', { url: `http://localhost:${PORT}`, storage: storage.name });
+        });
+
+        // Bots can also play over a WebSocket instead of polling
+        attachBotSocket(server, { storage, submitMove });
 
-    // ActiveGames table with GSI for playerIds
-    await ensureTable({
-        TableName: 'ActiveGames',
-        AttributeDefinitions: [
-            { AttributeName: 'id', AttributeType: 'S' },
-            { AttributeName: 'turnId', AttributeType: 'S' },
-            { AttributeName: 'playerIds', AttributeType: 'S' }
-        ],
-        KeySchema: [
-            { AttributeName: 'id', KeyType: 'HASH' }
-        ],
-        BillingMode: 'PAY_PER_REQUEST'
-    }, [
-        {
-            IndexName: 'PlayerIndex',
-            KeySchema: [
-                { AttributeName: 'playerIds', KeyType: 'HASH' }
-            ],
-            Projection: { ProjectionType: 'ALL' }
+        // Give storage the chance to write what it hasn't yet before exiting
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.once(signal, () => {
+                storage.close()
+                    .catch(error => logger.error('Error closing storage', { error }))
+                    .finally(() => process.exit(0));
+            });
         }
-    ]);
-})();
-
-app.listen(PORT, () => {
-    console.log(`\n============================================`);
-    console.log(`  Mancala Tournament Server is running!`);
-    console.log(`  API Base URL: http://localhost:${PORT}`);
-    console.log(`============================================\n`);
-});
+
+        return startHouseBots({ storage, submitMove, bots: HOUSE_BOTS, variant: HOUSE_BOT_VARIANT });
+    })
+    .catch(error => {
+        logger.error('Failed to initialise storage', { error });
+        process.exit(1);
+    });
@@ -0,0 +1,320 @@
+/**
+ * Offline bot-vs-bot simulation
+ *
+ * Plays strategies against each other in-process, without the server or
+ * storage, and reports how they did. Every pair of strategies plays `games`
+ * games with seats alternating, so each moves first in half of them.
+ *
+ *   node simulate.js [options] <strategy> <strategy> [<strategy> ...]
+ *
+ * A strategy is either a house bot strategy (`random`, `greedy`,
+ * `minimax:<depth>`, see strategies.js) or the path to a module exporting
+ * `chooseMove(board, context)`, like `getRandomPit` in players/random.js. It
+ * gets the board oriented so its own pits come first (as in the HTTP API)
+ * and returns the pit to play; `context` holds `variant`, `random` and
+ * `moveNumber`, and the function may return a promise.
+ *
+ * Runs are reproducible: each game gets its own random generator derived
+ * from `--seed`, passed as `context.random` and also installed as
+ * Math.random while the game is played.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const rules = require('./rules');
+const { resolveVariant, initialBoard } = require('./variants');
+const { STRATEGIES, DEFAULT_DEPTH, MAX_DEPTH, chooseMove } = require('./strategies');
+
+const DEFAULT_GAMES = 100;
+const DEFAULT_MAX_MOVES = 1000; // Games still going after this many moves are counted as draws
+const Z_95 = 1.96;
+
+const USAGE = `Usage: node simulate.js [options] <strategy> <strategy> [<strategy> ...]
+
+Strategies: random, greedy, minimax:<depth>, or a path to a module exporting chooseMove(board, context)
+
+Options:
+  --games <n>       games per pair of strategies (default ${DEFAULT_GAMES})
+  --seed <n>        random seed (default 1)
+  --variant <name>  rule variant (default kalah-6-4)
+  --max-moves <n>   draw games that run longer than this (default ${DEFAULT_MAX_MOVES})
+  --format <f>      table, json or csv (default table)
+  --out <file>      write the report to a file instead of stdout`;
+
+// Small, fast seeded generator (mulberry32) returning numbers in [0, 1)
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Load a strategy from the command line.
+ * @returns {{ name: string, chooseMove: function }}
+ */
+function loadStrategy(spec) {
+    const [strategy, depth] = spec.split(':');
+    if (STRATEGIES.includes(strategy)) {
+        const options = { strategy, depth: depth === undefined ? DEFAULT_DEPTH : Number(depth) };
+        if (depth !== undefined && (strategy !== 'minimax' || !Number.isInteger(options.depth) || options.depth < 1 || options.depth > MAX_DEPTH)) {
+            throw new Error(`Invalid strategy "${spec}": only minimax takes a depth, from 1 to ${MAX_DEPTH}.`);
+        }
+        return {
+            name: spec,
+            chooseMove: (board, { variant, random }) => chooseMove(board, variant, { ...options, random })
+        };
+    }
+
+    const file = path.resolve(spec);
+    const exported = require(file);
+    const fn = typeof exported === 'function' ? exported : exported.chooseMove || exported.getRandomPit;
+    if (typeof fn !== 'function') {
+        throw new Error(`${spec} does not export a chooseMove function.`);
+    }
+    return { name: path.basename(file, '.js'), chooseMove: fn };
+}
+
+/**
+ * Play one game between two strategies, `players[0]` moving first.
+ * @returns {Promise<{ winner: number|null, stores: number[], moves: number, moveLimit: boolean }>}
+ */
+async function playGame(players, variant, random, maxMoves) {
+    let board = initialBoard(variant);
+    let side = 0;
+    let moves = 0;
+    const realRandom = Math.random;
+    Math.random = random;
+    try {
+        while (moves < maxMoves) {
+            const view = side === 0 ? board : rules.flipBoard(board);
+            let pit = await players[side].chooseMove(view, { variant, random, moveNumber: moves + 1 });
+            if (side === 1 && typeof pit === 'number') pit = rules.flipIndex(board, pit);
+            if (!rules.legalMoves(board, side).includes(pit)) {
+                throw new Error(`${players[side].name} chose an illegal pit on move ${moves + 1}.`);
+            }
+            const result = rules.applyMove(board, side, pit, variant);
+            board = result.board;
+            side = result.nextSide;
+            moves++;
+            if (result.finished) {
+                return { winner: rules.winner(board), stores: rules.scores(board), moves, moveLimit: false };
+            }
+        }
+    } finally {
+        Math.random = realRandom;
+    }
+    return { winner: null, stores: rules.scores(board), moves, moveLimit: true };
+}
+
+// 95% Wilson score interval for a proportion of `n` trials
+function wilsonInterval(proportion, n) {
+    if (n === 0) return [0, 1];
+    const z2 = Z_95 * Z_95;
+    const centre = (proportion + z2 / (2 * n)) / (1 + z2 / n);
+    const spread = Z_95 * Math.sqrt(proportion * (1 - proportion) / n + z2 / (4 * n * n)) / (1 + z2 / n);
+    return [Math.max(0, centre - spread), Math.min(1, centre + spread)];
+}
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Results of a set of games from one strategy's point of view
+function summarize(strategy, opponent, games) {
+    const wins = games.filter(g => g.result === 'win').length;
+    const draws = games.filter(g => g.result === 'draw').length;
+    const score = games.length ? (wins + draws / 2) / games.length : 0;
+    const [scoreLow, scoreHigh] = wilsonInterval(score, games.length);
+    const average = values => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+    return {
+        strategy,
+        opponent,
+        games: games.length,
+        wins,
+        draws,
+        losses: games.length - wins - draws,
+        score: round(score),
+        scoreLow: round(scoreLow),
+        scoreHigh: round(scoreHigh),
+        averageMargin: round(average(games.map(g => g.margin)), 2),
+        averageMoves: round(average(games.map(g => g.moves)), 1),
+        firstSeatScore: round(average(games.filter(g => g.first).map(g => (g.result === 'win' ? 1 : g.result === 'draw' ? 0.5 : 0)))),
+        moveLimitGames: games.filter(g => g.moveLimit).length
+    };
+}
+
+/**
+ * Play every pair of strategies against each other.
+ * @param {object} options
+ * @param {{ name: string, chooseMove: function }[]} options.strategies at least two
+ * @returns {Promise<object>} the settings, one row per pair (from the
+ *   first strategy's point of view) and one row of totals per strategy
+ */
+async function simulate({ strategies, games = DEFAULT_GAMES, seed = 1, variant, maxMoves = DEFAULT_MAX_MOVES }) {
+    if (strategies.length < 2) throw new Error('At least two strategies are needed.');
+    const rulesVariant = resolveVariant(variant);
+
+    // Results per strategy: `${a}|${b}` -> games from a's point of view
+    const records = new Map();
+    const record = (a, b, game) => {
+        const key = `${a}|${b}`;
+        if (!records.has(key)) records.set(key, []);
+        records.get(key).push(game);
+    };
+
+    let gameNumber = 0;
+    const pairs = [];
+    for (let i = 0; i < strategies.length; i++) {
+        for (let j = i + 1; j < strategies.length; j++) {
+            const [a, b] = [strategies[i], strategies[j]];
+            pairs.push([a.name, b.name]);
+            for (let n = 0; n < games; n++) {
+                const aFirst = n % 2 === 0;
+                const random = seededRandom(seed * 2654435761 + gameNumber++);
+                const game = await playGame(aFirst ? [a, b] : [b, a], rulesVariant, random, maxMoves);
+                const aSide = aFirst ? 0 : 1;
+                const aResult = game.winner === null ? 'draw' : game.winner === aSide ? 'win' : 'loss';
+                const margin = game.stores[aSide] - game.stores[1 - aSide];
+                const common = { moves: game.moves, moveLimit: game.moveLimit };
+                record(a.name, b.name, { ...common, result: aResult, margin, first: aFirst });
+                record(b.name, a.name, {
+                    ...common,
+                    result: { win: 'loss', loss: 'win', draw: 'draw' }[aResult],
+                    margin: -margin,
+                    first: !aFirst
+                });
+            }
+        }
+    }
+
+    return {
+        variant: rulesVariant.name,
+        seed,
+        gamesPerPair: games,
+        pairs: pairs.map(([a, b]) => summarize(a, b, records.get(`${a}|${b}`))),
+        strategies: strategies.map(({ name }) => {
+            const all = [...records].filter(([key]) => key.startsWith(`${name}|`)).flatMap(([, list]) => list);
+            return summarize(name, null, all);
+        })
+    };
+}
+
+// --- REPORTS ---
+
+const CSV_COLUMNS = [
+    'strategy', 'opponent', 'games', 'wins', 'draws', 'losses', 'score', 'scoreLow', 'scoreHigh',
+    'averageMargin', 'averageMoves', 'firstSeatScore', 'moveLimitGames'
+];
+
+// One CSV row per pair, with the settings repeated on every row
+function toCsv(report) {
+    const escape = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    const lines = [['variant', 'seed', ...CSV_COLUMNS].join(',')];
+    for (const row of report.pairs) {
+        lines.push([report.variant, report.seed, ...CSV_COLUMNS.map(column => row[column])].map(escape).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function toTable(report) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const formatRow = row => [
+        row.opponent ? `${row.strategy} vs ${row.opponent}` : row.strategy,
+        `${row.wins}-${row.draws}-${row.losses}`,
+        `${percent(row.score)} (${percent(row.scoreLow)}-${percent(row.scoreHigh)})`,
+        row.averageMargin.toFixed(2),
+        row.averageMoves.toFixed(1)
+    ];
+    const header = ['', 'W-D-L', 'Score (95% CI)', 'Margin', 'Moves'];
+    const format = rows => {
+        const widths = header.map((_, i) => Math.max(...rows.map(r => r[i].length)));
+        return rows.map(r => r.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+    };
+    const limited = report.pairs.reduce((sum, row) => sum + row.moveLimitGames, 0);
+    return [
+        `${report.variant}, ${report.gamesPerPair} games per pair, seed ${report.seed}`,
+        '',
+        format([header, ...report.pairs.map(formatRow)]),
+        '',
+        format([['Totals', ...header.slice(1)], ...report.strategies.map(formatRow)]),
+        limited ? `\n${limited} game(s) hit the move limit and were counted as draws.` : ''
+    ].join('\n').trimEnd() + '\n';
+}
+
+// --- CLI ---
+
+function parseArgs(argv) {
+    const options = { format: 'table', strategies: [] };
+    const numeric = { '--games': 'games', '--seed': 'seed', '--max-moves': 'maxMoves' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') return { help: true };
+        if (numeric[arg]) {
+            const value = Number(argv[++i]);
+            if (!Number.isInteger(value) || value < (arg === '--seed' ? 0 : 1)) {
+                throw new Error(`${arg} must be a whole number.`);
+            }
+            options[numeric[arg]] = value;
+        } else if (arg === '--variant') {
+            options.variant = argv[++i];
+        } else if (arg === '--format') {
+            options.format = argv[++i];
+            if (!['table', 'json', 'csv'].includes(options.format)) throw new Error('--format must be table, json or csv.');
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.strategies.push(arg);
+        }
+    }
+    return options;
+}
+
+// Strategies with the same name are told apart by number
+function uniqueNames(strategies) {
+    const seen = new Map();
+    return strategies.map(strategy => {
+        const count = (seen.get(strategy.name) || 0) + 1;
+        seen.set(strategy.name, count);
+        return count === 1 ? strategy : { ...strategy, name: `${strategy.name}#${count}` };
+    });
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help || options.strategies.length < 2) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+    const strategies = uniqueNames(options.strategies.map(loadStrategy));
+    const report = await simulate({ ...options, strategies });
+    const output = options.format === 'json' ? JSON.stringify(report, null, 2) + '\n'
+        : options.format === 'csv' ? toCsv(report)
+        : toTable(report);
+    if (options.out) fs.writeFileSync(options.out, output);
+    else process.stdout.write(output);
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    seededRandom,
+    loadStrategy,
+    playGame,
+    simulate,
+    toCsv,
+    toTable,
+    parseArgs
+};
@@ -0,0 +1,116 @@
+/**
+ * Player statistics
+ *
+ * Worked out on request from a player's finished games in one variant:
+ * results overall, by seat and against each opponent, store margins, how
+ * often their moves earn an extra turn, captures made and conceded, and
+ * which opening moves they play and how those turn out.
+ *
+ * Pits are counted from the player's own side (0 is their first pit),
+ * whichever seat they had. Aborted and voided games are left out.
+ */
+
+const rules = require('./rules');
+const { gameResult } = require('./games');
+
+const SEATS = ['first', 'second'];
+
+function emptyRecord() {
+    return { games: 0, wins: 0, losses: 0, draws: 0 };
+}
+
+function addResult(record, outcome) {
+    record.games++;
+    record[outcome]++;
+}
+
+// Games whose result stands
+function counts(game) {
+    return game.state.status === 'finished' && game.state.reason !== 'aborted' && !game.voided;
+}
+
+const round = value => Math.round(value * 100) / 100;
+const ratio = (part, whole) => (whole ? round(part / whole) : null);
+
+/**
+ * @param {string} playerId
+ * @param {object[]} games the player's games in one variant, any status
+ */
+function playerStats(playerId, games) {
+    const overall = emptyRecord();
+    const bySeat = { first: emptyRecord(), second: emptyRecord() };
+    const openings = new Map();
+    const opponents = new Map();
+    let marginTotal = 0;
+    let moves = 0;
+    let extraTurns = 0;
+    const captures = {
+        made: { count: 0, seeds: 0 },
+        conceded: { count: 0, seeds: 0 }
+    };
+
+    for (const game of games.filter(counts)) {
+        const side = game.playerIds.indexOf(playerId);
+        const opponentId = game.playerIds[1 - side];
+        const winningSide = gameResult(game);
+        const outcome = winningSide === null ? 'draws' : winningSide === side ? 'wins' : 'losses';
+        const stores = rules.scores(game.state.board);
+        const margin = stores[side] - stores[1 - side];
+
+        addResult(overall, outcome);
+        addResult(bySeat[SEATS[side]], outcome);
+        marginTotal += margin;
+
+        const opponent = opponents.get(opponentId) || { opponentId, ...emptyRecord(), margin: 0 };
+        addResult(opponent, outcome);
+        opponent.margin += margin;
+        opponents.set(opponentId, opponent);
+
+        const history = game.history || [];
+        const ownMoves = history.filter(move => move.player === playerId && typeof move.pit === 'number');
+        if (ownMoves.length) {
+            const first = ownMoves[0];
+            const pit = side === 0 ? first.pit : rules.flipIndex(first.board, first.pit);
+            const key = `${side}:${pit}`;
+            const opening = openings.get(key) || { seat: SEATS[side], pit, ...emptyRecord() };
+            addResult(opening, outcome);
+            openings.set(key, opening);
+        }
+
+        for (const move of history) {
+            if (move.player === playerId) {
+                moves++;
+                if (move.extraTurn) extraTurns++;
+            }
+            // Moves recorded before captures were tracked count as neither made nor conceded
+            if (move.captured > 0) {
+                const tally = move.player === playerId ? captures.made : captures.conceded;
+                tally.count++;
+                tally.seeds += move.captured;
+            }
+        }
+    }
+
+    const byGames = (a, b) => b.games - a.games;
+    return {
+        playerId,
+        ...overall,
+        bySeat,
+        averageMargin: ratio(marginTotal, overall.games),
+        moves,
+        extraTurns,
+        extraTurnRate: ratio(extraTurns, moves),
+        captures: {
+            made: { ...captures.made, perGame: ratio(captures.made.count, overall.games) },
+            conceded: { ...captures.conceded, perGame: ratio(captures.conceded.count, overall.games) }
+        },
+        openings: [...openings.values()].sort((a, b) => byGames(a, b) || a.seat.localeCompare(b.seat) || a.pit - b.pit),
+        headToHead: [...opponents.values()]
+            .map(({ margin, ...record }) => ({ ...record, averageMargin: ratio(margin, record.games) }))
+            .sort(byGames)
+    };
+}
+
+module.exports = {
+    playerStats
+};
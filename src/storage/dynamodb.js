@@ -0,0 +1,615 @@
+/**
+ * DynamoDB storage backend
+ *
+ * Stores players, active players and games in the `Players`, `ActivePlayers`
+ * and `ActiveGames` tables, alongside the archive, tournament, match, rating
+ * history, season and audit log tables. Tables are created on startup if
+ * missing.
+ */
+
+const { DynamoDBClient, CreateTableCommand, UpdateTableCommand, DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, QueryCommand, DeleteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Scan every page of a table; fine at tournament scale
+async function scanAll(docClient, params) {
+    const items = [];
+    let ExclusiveStartKey;
+    do {
+        const result = await docClient.send(new ScanCommand({ ...params, ExclusiveStartKey }));
+        items.push(...(result.Items || []));
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return items;
+}
+
+// Query every page of an index
+async function queryAll(docClient, params) {
+    const items = [];
+    let ExclusiveStartKey;
+    do {
+        const result = await docClient.send(new QueryCommand({ ...params, ExclusiveStartKey }));
+        items.push(...(result.Items || []));
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return items;
+}
+
+// Build a SET update expression from a plain object of fields
+function buildSetUpdate(fields) {
+    const names = {};
+    const values = {};
+    const sets = Object.keys(fields).map((key, i) => {
+        names[`#f${i}`] = key;
+        values[`:v${i}`] = fields[key];
+        return `#f${i} = :v${i}`;
+    });
+    return {
+        UpdateExpression: `SET ${sets.join(', ')}`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+    };
+}
+
+/**
+ * Set `fields` on an existing record, if `condition` (an extra condition
+ * expression using `#`-names and `:`-values of its own) holds. A plain
+ * UpdateCommand would create the record if it didn't exist.
+ * @returns {Promise<boolean>} whether the record was updated
+ */
+async function updateExisting(docClient, TableName, id, fields, condition = null) {
+    const update = buildSetUpdate(fields);
+    update.ConditionExpression = 'attribute_exists(#id)';
+    update.ExpressionAttributeNames['#id'] = 'id';
+    if (condition) {
+        update.ConditionExpression += ` AND ${condition.expression}`;
+        Object.assign(update.ExpressionAttributeNames, condition.names);
+        Object.assign(update.ExpressionAttributeValues, condition.values);
+    }
+    try {
+        await docClient.send(new UpdateCommand({ TableName, Key: { id }, ...update }));
+        return true;
+    } catch (err) {
+        if (err.name !== 'ConditionalCheckFailedException') throw err;
+        return false;
+    }
+}
+
+// Poll a table's description until `isReady(table)`
+async function waitFor(dbClient, TableName, isReady) {
+    for (;;) {
+        const desc = await dbClient.send(new DescribeTableCommand({ TableName }));
+        if (isReady(desc.Table)) return desc.Table;
+        await new Promise(r => setTimeout(r, 1000));
+    }
+}
+
+async function describeTable(dbClient, TableName) {
+    try {
+        const desc = await dbClient.send(new DescribeTableCommand({ TableName }));
+        return desc.Table;
+    } catch (err) {
+        if (err.name !== 'ResourceNotFoundException') throw err;
+        return null;
+    }
+}
+
+// Create a table with its GSIs, or add the GSIs an existing table is missing
+async function ensureTable(dbClient, params, gsiParams = []) {
+    const { TableName } = params;
+    const existing = await describeTable(dbClient, TableName);
+    if (!existing) {
+        await dbClient.send(new CreateTableCommand({
+            ...params,
+            ...(gsiParams.length > 0 && { GlobalSecondaryIndexes: gsiParams })
+        }));
+        await waitFor(dbClient, TableName, table => table.TableStatus === 'ACTIVE');
+        return;
+    }
+
+    // Tables from before an index was added get it now, one at a time as DynamoDB requires
+    const existingGSIs = (existing.GlobalSecondaryIndexes || []).map(gsi => gsi.IndexName);
+    for (const gsi of gsiParams) {
+        if (existingGSIs.includes(gsi.IndexName)) continue;
+        const keys = gsi.KeySchema.map(key => key.AttributeName);
+        await dbClient.send(new UpdateTableCommand({
+            TableName,
+            AttributeDefinitions: params.AttributeDefinitions.filter(def => keys.includes(def.AttributeName)),
+            GlobalSecondaryIndexUpdates: [
+                { Create: gsi }
+            ]
+        }));
+        await waitFor(dbClient, TableName, table => {
+            const gsiDesc = (table.GlobalSecondaryIndexes || []).find(idx => idx.IndexName === gsi.IndexName);
+            return gsiDesc && gsiDesc.IndexStatus === 'ACTIVE';
+        });
+    }
+}
+
+function createDynamoStorage({ region = 'us-east-1' } = {}) {
+    // Assumes AWS credentials are set up in the environment or profile
+    const dbClient = new DynamoDBClient({ region });
+    const docClient = DynamoDBDocumentClient.from(dbClient);
+
+    return {
+        name: 'dynamodb',
+        persistent: true,
+
+        async init() {
+            // Players table with GSI for password lookups
+            await ensureTable(dbClient, {
+                TableName: 'Players',
+                AttributeDefinitions: [
+                    { AttributeName: 'id', AttributeType: 'S' },
+                    { AttributeName: 'passwordKey', AttributeType: 'S' }
+                ],
+                KeySchema: [
+                    { AttributeName: 'id', KeyType: 'HASH' }
+                ],
+                BillingMode: 'PAY_PER_REQUEST'
+            }, [
+                {
+                    IndexName: 'PasswordKeyIndex',
+                    KeySchema: [
+                        { AttributeName: 'passwordKey', KeyType: 'HASH' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ]);
+
+            // ActivePlayers table
+            await ensureTable(dbClient, {
+                TableName: 'ActivePlayers',
+                AttributeDefinitions: [
+                    { AttributeName: 'id', AttributeType: 'S' }
+                ],
+                KeySchema: [
+                    { AttributeName: 'id', KeyType: 'HASH' }
+                ],
+                BillingMode: 'PAY_PER_REQUEST'
+            });
+
+            // ActiveGames table with GSIs for turn lookups, current and previous
+            await ensureTable(dbClient, {
+                TableName: 'ActiveGames',
+                AttributeDefinitions: [
+                    { AttributeName: 'id', AttributeType: 'S' },
+                    { AttributeName: 'turnId', AttributeType: 'S' },
+                    { AttributeName: 'lastTurnId', AttributeType: 'S' }
+                ],
+                KeySchema: [
+                    { AttributeName: 'id', KeyType: 'HASH' }
+                ],
+                BillingMode: 'PAY_PER_REQUEST'
+            }, [
+                {
+                    IndexName: 'TurnIndex',
+                    KeySchema: [
+                        { AttributeName: 'turnId', KeyType: 'HASH' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                },
+                {
+                    IndexName: 'LastTurnIndex',
+                    KeySchema: [
+                        { AttributeName: 'lastTurnId', KeyType: 'HASH' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ]);
+
+            // GameArchive table with GSIs for each seat, newest first, and for
+            // the turn that finished the game
+            await ensureTable(dbClient, {
+                TableName: 'GameArchive',
+                AttributeDefinitions: [
+                    { AttributeName: 'id', AttributeType: 'S' },
+                    { AttributeName: 'player1Id', AttributeType: 'S' },
+                    { AttributeName: 'player2Id', AttributeType: 'S' },
+                    { AttributeName: 'finishedAt', AttributeType: 'S' },
+                    { AttributeName: 'lastTurnId', AttributeType: 'S' }
+                ],
+                KeySchema: [
+                    { AttributeName: 'id', KeyType: 'HASH' }
+                ],
+                BillingMode: 'PAY_PER_REQUEST'
+            }, [
+                {
+                    IndexName: 'Player1Index',
+                    KeySchema: [
+                        { AttributeName: 'player1Id', KeyType: 'HASH' },
+                        { AttributeName: 'finishedAt', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                },
+                {
+                    IndexName: 'Player2Index',
+                    KeySchema: [
+                        { AttributeName: 'player2Id', KeyType: 'HASH' },
+                        { AttributeName: 'finishedAt', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                },
+                {
+                    IndexName: 'LastTurnIndex',
+                    KeySchema: [
+                        { AttributeName: 'lastTurnId', KeyType: 'HASH' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ]);
+
+            // Tournaments table
+            await ensureTable(dbClient, {
+                TableName: 'Tournaments',
+                AttributeDefinitions: [
+                    { AttributeName: 'id', AttributeType: 'S' }
+                ],
+                KeySchema: [
+                    { AttributeName: 'id', KeyType: 'HASH' }
+                ],
+                BillingMode: 'PAY_PER_REQUEST'
+            });
+
+            // Matches table (challenges between two players)
+            await ensureTable(dbClient, {
+                TableName: 'Matches',
+                AttributeDefinitions: [
+                    { AttributeName: 'id', AttributeType: 'S' }
+                ],
+                KeySchema: [
+                    { AttributeName: 'id', KeyType: 'HASH' }
+                ],
+                BillingMode: 'PAY_PER_REQUEST'
+            });
+
+            // RatingHistory table with GSI for per-player history in time order
+            await ensureTable(dbClient, {
+                TableName: 'RatingHistory',
+                AttributeDefinitions: [
+                    { AttributeName: 'id', AttributeType: 'S' },
+                    { AttributeName: 'playerId', AttributeType: 'S' },
+                    { AttributeName: 'timestamp', AttributeType: 'S' }
+                ],
+                KeySchema: [
+                    { AttributeName: 'id', KeyType: 'HASH' }
+                ],
+                BillingMode: 'PAY_PER_REQUEST'
+            }, [
+                {
+                    IndexName: 'PlayerIndex',
+                    KeySchema: [
+                        { AttributeName: 'playerId', KeyType: 'HASH' },
+                        { AttributeName: 'timestamp', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ]);
+
+            // Seasons table (ladder seasons, and archived ratings from season resets)
+            await ensureTable(dbClient, {
+                TableName: 'Seasons',
+                AttributeDefinitions: [
+                    { AttributeName: 'id', AttributeType: 'S' }
+                ],
+                KeySchema: [
+                    { AttributeName: 'id', KeyType: 'HASH' }
+                ],
+                BillingMode: 'PAY_PER_REQUEST'
+            });
+
+            // AuditLog table (admin actions)
+            await ensureTable(dbClient, {
+                TableName: 'AuditLog',
+                AttributeDefinitions: [
+                    { AttributeName: 'id', AttributeType: 'S' }
+                ],
+                KeySchema: [
+                    { AttributeName: 'id', KeyType: 'HASH' }
+                ],
+                BillingMode: 'PAY_PER_REQUEST'
+            });
+        },
+
+        // Every write has already been sent
+        async close() {
+            dbClient.destroy();
+        },
+
+        // Reading a table's description needs the network, credentials and the table
+        async ping() {
+            await dbClient.send(new DescribeTableCommand({ TableName: 'Players' }));
+        },
+
+        // --- PLAYERS ---
+
+        async getPlayer(id) {
+            const result = await docClient.send(new GetCommand({
+                TableName: 'Players',
+                Key: { id }
+            }));
+            return result.Item || null;
+        },
+
+        async findPlayerByPasswordKey(key) {
+            const result = await docClient.send(new QueryCommand({
+                TableName: 'Players',
+                IndexName: 'PasswordKeyIndex',
+                KeyConditionExpression: 'passwordKey = :key',
+                ExpressionAttributeValues: { ':key': key }
+            }));
+            return (result.Items || [])[0] || null;
+        },
+
+        async findPlayerByPassword(password) {
+            const items = await scanAll(docClient, {
+                TableName: 'Players',
+                FilterExpression: '#password = :password',
+                ExpressionAttributeNames: { '#password': 'password' },
+                ExpressionAttributeValues: { ':password': password }
+            });
+            return items[0] || null;
+        },
+
+        async listPlayers() {
+            return scanAll(docClient, { TableName: 'Players' });
+        },
+
+        async putPlayer(player) {
+            await docClient.send(new PutCommand({
+                TableName: 'Players',
+                Item: player
+            }));
+        },
+
+        async updatePlayer(id, fields) {
+            await updateExisting(docClient, 'Players', id, fields);
+        },
+
+        // --- ACTIVE PLAYERS ---
+
+        async addActivePlayer(id, fields = {}) {
+            if (Object.keys(fields).length === 0) {
+                await docClient.send(new PutCommand({
+                    TableName: 'ActivePlayers',
+                    Item: { id },
+                    ConditionExpression: 'attribute_not_exists(id)', // Only add if not exists
+                })).catch(err => {
+                    // Ignore ConditionalCheckFailedException (player already exists)
+                    if (err.name !== 'ConditionalCheckFailedException') throw err;
+                });
+                return;
+            }
+            // UpdateCommand creates the item if missing and keeps other fields
+            await docClient.send(new UpdateCommand({
+                TableName: 'ActivePlayers',
+                Key: { id },
+                ...buildSetUpdate(fields)
+            }));
+        },
+
+        async removeActivePlayer(id) {
+            await docClient.send(new DeleteCommand({
+                TableName: 'ActivePlayers',
+                Key: { id }
+            }));
+        },
+
+        async listActivePlayers() {
+            return scanAll(docClient, { TableName: 'ActivePlayers' });
+        },
+
+        // --- GAMES ---
+
+        async getGame(id) {
+            const result = await docClient.send(new GetCommand({
+                TableName: 'ActiveGames',
+                Key: { id }
+            }));
+            return result.Item || null;
+        },
+
+        async getGameByTurnId(turnId) {
+            const result = await docClient.send(new QueryCommand({
+                TableName: 'ActiveGames',
+                IndexName: 'TurnIndex',
+                KeyConditionExpression: 'turnId = :turnId',
+                ExpressionAttributeValues: { ':turnId': turnId }
+            }));
+            return (result.Items || [])[0] || null;
+        },
+
+        async getGameByLastTurnId(turnId) {
+            for (const TableName of ['ActiveGames', 'GameArchive']) {
+                const result = await docClient.send(new QueryCommand({
+                    TableName,
+                    IndexName: 'LastTurnIndex',
+                    KeyConditionExpression: 'lastTurnId = :turnId',
+                    ExpressionAttributeValues: { ':turnId': turnId }
+                }));
+                if (result.Items && result.Items.length) return result.Items[0];
+            }
+            return null;
+        },
+
+        async listGamesForPlayer(playerId) {
+            // playerIds is a list, so it can't be an index key; filter a scan instead
+            return scanAll(docClient, {
+                TableName: 'ActiveGames',
+                FilterExpression: 'contains(playerIds, :pid)',
+                ExpressionAttributeValues: { ':pid': playerId }
+            });
+        },
+
+        async listActiveGames() {
+            return scanAll(docClient, {
+                TableName: 'ActiveGames',
+                FilterExpression: '#state.#status = :active',
+                ExpressionAttributeNames: { '#state': 'state', '#status': 'status' },
+                ExpressionAttributeValues: { ':active': 'active' }
+            });
+        },
+
+        async putGame(game) {
+            await docClient.send(new PutCommand({
+                TableName: 'ActiveGames',
+                Item: game
+            }));
+        },
+
+        async updateGame(id, fields, { expectedTurnId } = {}) {
+            // Optimistic concurrency: another writer may have played this turn already
+            const condition = expectedTurnId === undefined ? null : {
+                expression: '#turnId = :expectedTurnId',
+                names: { '#turnId': 'turnId' },
+                values: { ':expectedTurnId': expectedTurnId }
+            };
+            return updateExisting(docClient, 'ActiveGames', id, fields, condition);
+        },
+
+        async archiveGame(game) {
+            // Seat attributes are copied out of playerIds so they can be indexed
+            await docClient.send(new PutCommand({
+                TableName: 'GameArchive',
+                Item: {
+                    ...game,
+                    player1Id: game.playerIds[0],
+                    player2Id: game.playerIds[1],
+                    finishedAt: game.finishedAt || new Date().toISOString()
+                }
+            }));
+            await docClient.send(new DeleteCommand({
+                TableName: 'ActiveGames',
+                Key: { id: game.id }
+            }));
+        },
+
+        async getArchivedGame(id) {
+            const result = await docClient.send(new GetCommand({
+                TableName: 'GameArchive',
+                Key: { id }
+            }));
+            return result.Item || null;
+        },
+
+        async listArchivedGamesForPlayer(playerId) {
+            const [asPlayer1, asPlayer2] = await Promise.all(['player1Id', 'player2Id'].map((attribute, i) =>
+                queryAll(docClient, {
+                    TableName: 'GameArchive',
+                    IndexName: `Player${i + 1}Index`,
+                    KeyConditionExpression: '#seat = :pid',
+                    ExpressionAttributeNames: { '#seat': attribute },
+                    ExpressionAttributeValues: { ':pid': playerId }
+                })
+            ));
+            return [...asPlayer1, ...asPlayer2];
+        },
+
+        async updateArchivedGame(id, fields) {
+            await updateExisting(docClient, 'GameArchive', id, fields);
+        },
+
+        // --- TOURNAMENTS ---
+
+        async getTournament(id) {
+            const result = await docClient.send(new GetCommand({
+                TableName: 'Tournaments',
+                Key: { id }
+            }));
+            return result.Item || null;
+        },
+
+        async listTournaments() {
+            return scanAll(docClient, { TableName: 'Tournaments' });
+        },
+
+        async putTournament(tournament) {
+            await docClient.send(new PutCommand({
+                TableName: 'Tournaments',
+                Item: tournament
+            }));
+        },
+
+        async updateTournament(id, fields) {
+            await updateExisting(docClient, 'Tournaments', id, fields);
+        },
+
+        // --- MATCHES ---
+
+        async getMatch(id) {
+            const result = await docClient.send(new GetCommand({
+                TableName: 'Matches',
+                Key: { id }
+            }));
+            return result.Item || null;
+        },
+
+        async listMatches() {
+            return scanAll(docClient, { TableName: 'Matches' });
+        },
+
+        async putMatch(match) {
+            await docClient.send(new PutCommand({
+                TableName: 'Matches',
+                Item: match
+            }));
+        },
+
+        async updateMatch(id, fields) {
+            await updateExisting(docClient, 'Matches', id, fields);
+        },
+
+        // --- RATING HISTORY ---
+
+        async addRatingSnapshot(snapshot) {
+            await docClient.send(new PutCommand({
+                TableName: 'RatingHistory',
+                Item: snapshot
+            }));
+        },
+
+        async listRatingSnapshots(playerId) {
+            return queryAll(docClient, {
+                TableName: 'RatingHistory',
+                IndexName: 'PlayerIndex',
+                KeyConditionExpression: 'playerId = :pid',
+                ExpressionAttributeValues: { ':pid': playerId }
+            });
+        },
+
+        // --- SEASONS ---
+
+        async getSeason(id) {
+            const result = await docClient.send(new GetCommand({
+                TableName: 'Seasons',
+                Key: { id }
+            }));
+            return result.Item || null;
+        },
+
+        async listSeasons() {
+            return scanAll(docClient, { TableName: 'Seasons' });
+        },
+
+        async putSeason(season) {
+            await docClient.send(new PutCommand({
+                TableName: 'Seasons',
+                Item: season
+            }));
+        },
+
+        // --- AUDIT LOG ---
+
+        async addAuditEntry(entry) {
+            await docClient.send(new PutCommand({
+                TableName: 'AuditLog',
+                Item: entry
+            }));
+        },
+
+        async listAuditEntries() {
+            return scanAll(docClient, { TableName: 'AuditLog' });
+        }
+    };
+}
+
+module.exports = { createDynamoStorage };
@@ -0,0 +1,75 @@
+/**
+ * Storage layer
+ *
+ * Every backend has a `name` and a `persistent` flag (whether its data
+ * outlives the process), and exposes the same async interface:
+ *
+ *   init()                              prepare tables / load persisted data
+ *   close()                             write out anything not yet persisted
+ *   ping()                              resolves if the backend can be reached,
+ *                                       rejects otherwise
+ *   getPlayer(id)                       player record or null
+ *   findPlayerByPasswordKey(key)        player record or null, by password lookup key
+ *   findPlayerByPassword(password)      player record or null, for players created
+ *                                       before passwords were hashed
+ *   listPlayers()                       all player records
+ *   putPlayer(player)                   create or replace a player
+ *   updatePlayer(id, fields)            set the given fields on a player (every
+ *                                       update* method leaves a missing record
+ *                                       missing rather than creating it)
+ *   addActivePlayer(id, fields)         add to (or refresh in) the matchmaking pool
+ *   removeActivePlayer(id)              remove from the matchmaking pool
+ *   listActivePlayers()                 all `{ id, ...fields }` entries in the pool
+ *   getGame(id)                         game record or null
+ *   getGameByTurnId(turnId)             game whose current turn is `turnId`, or null
+ *   getGameByLastTurnId(turnId)         active or archived game whose previous turn
+ *                                       was `turnId`, or null
+ *   listGamesForPlayer(playerId)        all games the player takes part in
+ *   listActiveGames()                   all games still in progress
+ *   putGame(game)                       create or replace a game
+ *   updateGame(id, fields, { expectedTurnId })
+ *                                       set the given fields on a game; with
+ *                                       expectedTurnId, only if that is still the
+ *                                       game's turnId. Resolves to whether it did
+ *   archiveGame(game)                   move a finished game out of the active games
+ *   getArchivedGame(id)                 archived game record or null
+ *   listArchivedGamesForPlayer(playerId) all archived games the player took part in
+ *   updateArchivedGame(id, fields)      set the given fields on an archived game
+ *   getTournament(id)                   tournament record or null
+ *   listTournaments()                   all tournament records
+ *   putTournament(tournament)           create or replace a tournament
+ *   updateTournament(id, fields)        set the given fields on a tournament
+ *   getMatch(id)                        match (challenge) record or null
+ *   listMatches()                       all match records
+ *   putMatch(match)                     create or replace a match
+ *   updateMatch(id, fields)             set the given fields on a match
+ *   addRatingSnapshot(snapshot)         append a rating history entry
+ *   listRatingSnapshots(playerId)       a player's rating history, oldest first
+ *   getSeason(id)                       season record (a ladder season or a rating
+ *                                       reset archive) or null
+ *   listSeasons()                       all season records
+ *   putSeason(season)                   create or replace a season
+ *   addAuditEntry(entry)                append an admin audit log entry
+ *   listAuditEntries()                  every audit log entry
+ *
+ * The backend is picked with the STORAGE environment variable:
+ *   STORAGE=dynamodb   (default) AWS DynamoDB, region from AWS_REGION
+ *   STORAGE=memory     in-process Maps, persisted to STORAGE_FILE if set
+ */
+
+const { createMemoryStorage } = require('./memory');
+const { createDynamoStorage } = require('./dynamodb');
+
+function createStorage(env = process.env) {
+    const backend = (env.STORAGE || 'dynamodb').toLowerCase();
+    switch (backend) {
+        case 'memory':
+            return createMemoryStorage({ file: env.STORAGE_FILE || null });
+        case 'dynamodb':
+            return createDynamoStorage({ region: env.AWS_REGION || 'us-east-1' });
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+module.exports = { createStorage, createMemoryStorage, createDynamoStorage };
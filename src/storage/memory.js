@@ -0,0 +1,262 @@
+/**
+ * In-memory storage backend
+ *
+ * Keeps every table in a Map. If a file path is given, the tables are loaded
+ * from it on startup and written back a second after a change (batching the
+ * changes made meanwhile) and on close(), so an offline tournament can be
+ * stopped and resumed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Records are copied on the way in and out so callers can't mutate stored state
+const clone = value => (value == null ? null : structuredClone(value));
+
+const SAVE_DELAY_MS = 1000;
+
+function createMemoryStorage({ file = null } = {}) {
+    const tables = {
+        players: new Map(),
+        activePlayers: new Map(),
+        games: new Map(),
+        archivedGames: new Map(),
+        tournaments: new Map(),
+        matches: new Map(),
+        ratingHistory: new Map(),
+        seasons: new Map(),
+        auditLog: new Map()
+    };
+
+    function load() {
+        if (!file || !fs.existsSync(file)) return;
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const name of Object.keys(tables)) {
+            for (const item of data[name] || []) {
+                tables[name].set(item.id, item);
+            }
+        }
+    }
+
+    let saveTimer = null;
+
+    function save() {
+        if (file && !saveTimer) saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+    }
+
+    function flush() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        if (!file) return;
+        const data = {};
+        for (const [name, table] of Object.entries(tables)) {
+            data[name] = [...table.values()];
+        }
+        // Write to a temp file first so a crash never leaves a truncated store
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+    }
+
+    function put(name, item) {
+        tables[name].set(item.id, clone(item));
+        save();
+    }
+
+    function update(name, id, fields) {
+        const existing = tables[name].get(id);
+        if (!existing) return;
+        tables[name].set(id, { ...existing, ...clone(fields) });
+        save();
+    }
+
+    return {
+        name: 'memory',
+        persistent: Boolean(file),
+
+        async init() {
+            if (file) fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+            load();
+        },
+
+        async close() {
+            flush();
+        },
+
+        // Nothing to reach: the data is in this process
+        async ping() {},
+
+        // --- PLAYERS ---
+
+        async getPlayer(id) {
+            return clone(tables.players.get(id));
+        },
+
+        async findPlayerByPasswordKey(key) {
+            const player = [...tables.players.values()].find(p => p.passwordKey === key);
+            return clone(player);
+        },
+
+        async findPlayerByPassword(password) {
+            const player = [...tables.players.values()].find(p => p.password === password);
+            return clone(player);
+        },
+
+        async listPlayers() {
+            return clone([...tables.players.values()]);
+        },
+
+        async putPlayer(player) {
+            put('players', player);
+        },
+
+        async updatePlayer(id, fields) {
+            update('players', id, fields);
+        },
+
+        // --- ACTIVE PLAYERS ---
+
+        async addActivePlayer(id, fields = {}) {
+            put('activePlayers', { ...tables.activePlayers.get(id), ...fields, id });
+        },
+
+        async removeActivePlayer(id) {
+            if (tables.activePlayers.delete(id)) save();
+        },
+
+        async listActivePlayers() {
+            return clone([...tables.activePlayers.values()]);
+        },
+
+        // --- GAMES ---
+
+        async getGame(id) {
+            return clone(tables.games.get(id));
+        },
+
+        async getGameByTurnId(turnId) {
+            const game = [...tables.games.values()].find(g => g.turnId === turnId);
+            return clone(game);
+        },
+
+        async getGameByLastTurnId(turnId) {
+            const game = [...tables.games.values(), ...tables.archivedGames.values()].find(g => g.lastTurnId === turnId);
+            return clone(game);
+        },
+
+        async listGamesForPlayer(playerId) {
+            const games = [...tables.games.values()].filter(g => g.playerIds.includes(playerId));
+            return clone(games);
+        },
+
+        async listActiveGames() {
+            const games = [...tables.games.values()].filter(g => g.state && g.state.status === 'active');
+            return clone(games);
+        },
+
+        async putGame(game) {
+            put('games', game);
+        },
+
+        async updateGame(id, fields, { expectedTurnId } = {}) {
+            const existing = tables.games.get(id);
+            if (!existing || (expectedTurnId !== undefined && existing.turnId !== expectedTurnId)) return false;
+            update('games', id, fields);
+            return true;
+        },
+
+        async archiveGame(game) {
+            tables.archivedGames.set(game.id, clone(game));
+            tables.games.delete(game.id);
+            save();
+        },
+
+        async getArchivedGame(id) {
+            return clone(tables.archivedGames.get(id));
+        },
+
+        async listArchivedGamesForPlayer(playerId) {
+            const games = [...tables.archivedGames.values()].filter(g => g.playerIds.includes(playerId));
+            return clone(games);
+        },
+
+        async updateArchivedGame(id, fields) {
+            update('archivedGames', id, fields);
+        },
+
+        // --- TOURNAMENTS ---
+
+        async getTournament(id) {
+            return clone(tables.tournaments.get(id));
+        },
+
+        async listTournaments() {
+            return clone([...tables.tournaments.values()]);
+        },
+
+        async putTournament(tournament) {
+            put('tournaments', tournament);
+        },
+
+        async updateTournament(id, fields) {
+            update('tournaments', id, fields);
+        },
+
+        // --- MATCHES ---
+
+        async getMatch(id) {
+            return clone(tables.matches.get(id));
+        },
+
+        async listMatches() {
+            return clone([...tables.matches.values()]);
+        },
+
+        async putMatch(match) {
+            put('matches', match);
+        },
+
+        async updateMatch(id, fields) {
+            update('matches', id, fields);
+        },
+
+        // --- RATING HISTORY ---
+
+        async addRatingSnapshot(snapshot) {
+            put('ratingHistory', snapshot);
+        },
+
+        async listRatingSnapshots(playerId) {
+            const snapshots = [...tables.ratingHistory.values()]
+                .filter(s => s.playerId === playerId)
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            return clone(snapshots);
+        },
+
+        // --- SEASONS ---
+
+        async getSeason(id) {
+            return clone(tables.seasons.get(id));
+        },
+
+        async listSeasons() {
+            return clone([...tables.seasons.values()]);
+        },
+
+        async putSeason(season) {
+            put('seasons', season);
+        },
+
+        // --- AUDIT LOG ---
+
+        async addAuditEntry(entry) {
+            put('auditLog', entry);
+        },
+
+        async listAuditEntries() {
+            return clone([...tables.auditLog.values()]);
+        }
+    };
+}
+
+module.exports = { createMemoryStorage };
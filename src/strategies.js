@@ -0,0 +1,125 @@
+/**
+ * Move strategies
+ *
+ * Pure functions that pick a move for the player in seat 0 of an oriented
+ * board (the way turns are handed to players), so the chosen pit can be
+ * submitted as is. Used by the house bots.
+ *
+ *   random    any legal pit
+ *   greedy    the pit that puts the most seeds in the store this turn,
+ *             following extra turns with their own greedy moves
+ *   minimax   alpha-beta search `depth` moves ahead on the store difference
+ *
+ * Ties are broken with `random` (a function like Math.random), so two
+ * equally good moves are not always played the same way.
+ */
+
+const rules = require('./rules');
+
+const STRATEGIES = ['random', 'greedy', 'minimax'];
+const DEFAULT_DEPTH = 4;
+const MAX_DEPTH = 8; // Searches run on the server's event loop, so keep them short
+const WIN_BONUS = 1000; // A finished, won game beats any lead in an unfinished one
+
+function pickOne(items, random) {
+    return items[Math.floor(random() * items.length)];
+}
+
+function randomMove(board, options, random = Math.random) {
+    return pickOne(rules.legalMoves(board, 0), random);
+}
+
+// Seeds side 0 can add to its store this turn by playing `pit`, plus what greedy play of any extra turn adds
+function greedyGain(board, pit, options) {
+    const result = rules.applyMove(board, 0, pit, options);
+    const store = rules.storeIndex(board, 0);
+    let gain = result.board[store] - board[store];
+    if (result.extraTurn && !result.finished) {
+        gain += Math.max(...rules.legalMoves(result.board, 0).map(next => greedyGain(result.board, next, options)));
+    }
+    return gain;
+}
+
+function greedyMove(board, options, random = Math.random) {
+    const gains = rules.legalMoves(board, 0).map(pit => ({ pit, value: greedyGain(board, pit, options) }));
+    const best = Math.max(...gains.map(g => g.value));
+    return pickOne(gains.filter(g => g.value === best).map(g => g.pit), random);
+}
+
+// Value of a board for side 0
+function evaluate(board, finished) {
+    const [own, opponent] = rules.scores(board);
+    const lead = own - opponent;
+    if (!finished || lead === 0) return lead;
+    return lead + Math.sign(lead) * WIN_BONUS;
+}
+
+// Alpha-beta value of `board` with `side` to move; an extra turn uses up one of the `depth` moves
+function search(board, side, depth, alpha, beta, options) {
+    const moves = rules.legalMoves(board, side);
+    let best = side === 0 ? -Infinity : Infinity;
+    for (const pit of moves) {
+        const result = rules.applyMove(board, side, pit, options);
+        const value = result.finished || depth === 1
+            ? evaluate(result.board, result.finished)
+            : search(result.board, result.nextSide, depth - 1, alpha, beta, options);
+        if (side === 0) {
+            best = Math.max(best, value);
+            alpha = Math.max(alpha, value);
+        } else {
+            best = Math.min(best, value);
+            beta = Math.min(beta, value);
+        }
+        if (alpha >= beta) break;
+    }
+    return best;
+}
+
+function minimaxMove(board, options, random = Math.random, depth = DEFAULT_DEPTH) {
+    let best = -Infinity;
+    let bestPits = [];
+    for (const pit of rules.legalMoves(board, 0)) {
+        const result = rules.applyMove(board, 0, pit, options);
+        // Values are whole numbers, so a window just below the best so far
+        // still gives the exact value of any move that ties with it
+        const value = result.finished || depth === 1
+            ? evaluate(result.board, result.finished)
+            : search(result.board, result.nextSide, depth - 1, best - 1, Infinity, options);
+        if (value > best) {
+            best = value;
+            bestPits = [pit];
+        } else if (value === best) {
+            bestPits.push(pit);
+        }
+    }
+    return pickOne(bestPits, random);
+}
+
+/**
+ * Pick a pit for seat 0 of `board`.
+ * @param {object} variant rule options for the rules engine
+ * @param {{ strategy: string, depth?: number, random?: function }} player
+ * @returns {number} the pit to play
+ */
+function chooseMove(board, variant, { strategy, depth, random = Math.random }) {
+    switch (strategy) {
+        case 'random':
+            return randomMove(board, variant, random);
+        case 'greedy':
+            return greedyMove(board, variant, random);
+        case 'minimax':
+            return minimaxMove(board, variant, random, depth);
+        default:
+            throw new Error(`Unknown strategy: ${strategy}`);
+    }
+}
+
+module.exports = {
+    STRATEGIES,
+    DEFAULT_DEPTH,
+    MAX_DEPTH,
+    randomMove,
+    greedyMove,
+    minimaxMove,
+    chooseMove
+};
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('../admin');
+const ratings = require('../ratings');
+const { createMemoryStorage } = require('../storage');
+const { resolveVariant } = require('../variants');
+
+const KALAH = resolveVariant('kalah-6-4');
+
+// A finished, archived game won by `winner` (a side)
+function finishedGame(id, playerIds, winner) {
+    const stores = winner === 0 ? [30, 18] : [18, 30];
+    return {
+        id,
+        playerIds,
+        variant: KALAH,
+        finishedAt: new Date().toISOString(),
+        state: { status: 'finished', board: [0, 0, 0, 0, 0, 0, stores[0], 0, 0, 0, 0, 0, 0, stores[1]] }
+    };
+}
+
+async function playRated(storage, game) {
+    await ratings.updateRatings(storage, game, KALAH.name, 'elo');
+    await storage.archiveGame(game);
+    return game;
+}
+
+async function twoPlayers() {
+    const storage = createMemoryStorage();
+    for (const id of ['a', 'b']) {
+        await storage.putPlayer({ id, score: ratings.DEFAULT_SCORE, wins: 0, losses: 0, draws: 0, lastPlayedAt: null });
+    }
+    return storage;
+}
+
+// Snapshots are ordered by timestamp, so let the clock move on
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('voidGame reverses the ratings of a game and marks it void', async () => {
+    const storage = await twoPlayers();
+    const game = await playRated(storage, finishedGame('g1', ['a', 'b'], 0));
+    const result = await admin.voidGame(storage, game);
+
+    assert.strictEqual(result.ratingsReversed, true);
+    assert.strictEqual((await storage.getArchivedGame('g1')).voided, true);
+    const a = await storage.getPlayer('a');
+    assert.deepStrictEqual([a.score, a.wins], [1200, 0]);
+});
+
+test('voidGame leaves ratings alone for a game rated before a season reset', async () => {
+    const storage = await twoPlayers();
+    const old = await playRated(storage, finishedGame('g1', ['a', 'b'], 0));
+    await tick();
+    await admin.resetSeason(storage, 'Spring');
+    await tick();
+    await playRated(storage, finishedGame('g2', ['a', 'b'], 1));
+    const beforeVoid = await storage.getPlayer('a');
+
+    const result = await admin.voidGame(storage, old);
+    assert.strictEqual(result.ratingsReversed, false);
+    assert.strictEqual((await storage.getArchivedGame('g1')).voided, true);
+    assert.deepStrictEqual(await storage.getPlayer('a'), beforeVoid);
+});
+
+test('voidGame takes the first game after a reset back to the default rating', async () => {
+    const storage = await twoPlayers();
+    await playRated(storage, finishedGame('g1', ['a', 'b'], 0));
+    await tick();
+    await admin.resetSeason(storage, 'Spring');
+    await tick();
+    const game = await playRated(storage, finishedGame('g2', ['a', 'b'], 1));
+
+    await admin.voidGame(storage, game);
+    for (const id of ['a', 'b']) {
+        const player = await storage.getPlayer(id);
+        assert.deepStrictEqual([player.score, player.elo, player.wins, player.losses], [1200, 1200, 0, 0]);
+    }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rules = require('../rules');
+const { resolveVariant } = require('../variants');
+const { analyzePosition, queueSearch } = require('../analysis');
+
+const KALAH = resolveVariant('kalah-6-4');
+
+// Small deterministic generator, so a failure can be reproduced
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+// A position with 1 to 8 seeds in the pits and seeds on both sides
+function endgamePosition(next) {
+    for (;;) {
+        const board = new Array(14).fill(0);
+        const seeds = 1 + Math.floor(next() * 8);
+        for (let i = 0; i < seeds; i++) {
+            const pit = Math.floor(next() * 12);
+            board[pit < 6 ? pit : pit + 1]++;
+        }
+        board[6] = Math.floor(next() * 20);
+        board[13] = Math.floor(next() * 20);
+        const side = next() < 0.5 ? 0 : 1;
+        if (rules.legalMoves(board, 0).length && rules.legalMoves(board, 1).length) return { board, side };
+    }
+}
+
+// Final store difference for `side` with perfect play, by plain minimax
+function bruteForce(board, side) {
+    let best = -Infinity;
+    for (const pit of rules.legalMoves(board, side)) {
+        const result = rules.applyMove(board, side, pit, KALAH);
+        let value;
+        if (result.finished) value = result.board[rules.storeIndex(result.board, side)] - result.board[rules.storeIndex(result.board, 1 - side)];
+        else if (result.nextSide === side) value = bruteForce(result.board, side);
+        else value = -bruteForce(result.board, 1 - side);
+        best = Math.max(best, value);
+    }
+    return best;
+}
+
+test('analyzePosition solves endgames exactly, matching plain minimax', () => {
+    const next = random(2024);
+    const mismatches = [];
+    for (let i = 0; i < 60; i++) {
+        const { board, side } = endgamePosition(next);
+        const analysis = analyzePosition(board, side, KALAH, { timeMs: 1000 });
+        const expected = bruteForce(board, side);
+        if (!analysis.exact || analysis.value !== expected) mismatches.push({ board, side, expected, got: analysis.value });
+    }
+    assert.deepStrictEqual(mismatches, []);
+});
+
+test('analyzePosition lists every legal move, best first', () => {
+    const board = [0, 0, 0, 0, 1, 2, 10, 0, 0, 1, 0, 0, 3, 8];
+    const analysis = analyzePosition(board, 0, KALAH, { timeMs: 1000 });
+    assert.deepStrictEqual(analysis.moves.map(move => move.pit).sort(), [4, 5]);
+    assert.strictEqual(analysis.value, analysis.moves[0].value);
+    assert.deepStrictEqual(analysis.bestPits, analysis.moves.filter(move => move.value === analysis.value).map(move => move.pit));
+});
+
+test('analyzePosition rejects a side with no moves', () => {
+    const board = [0, 0, 0, 0, 0, 0, 20, 1, 0, 0, 0, 0, 0, 27];
+    assert.throws(() => analyzePosition(board, 0, KALAH), /no legal moves/);
+});
+
+test('queueSearch runs searches one at a time and turns away the overflow', async () => {
+    const order = [];
+    const queued = [1, 2, 3, 4, 5, 6, 7, 8].map(n => queueSearch(() => {
+        order.push(n);
+        return n;
+    }));
+    assert.strictEqual(await queueSearch(() => 9), null);
+    assert.deepStrictEqual(await Promise.all(queued), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepStrictEqual(order, [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.strictEqual(await queueSearch(() => 10), 10);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_SECRET = 'test-secret';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const auth = require('../auth');
+const { createMemoryStorage } = require('../storage');
+
+const PASSWORD = 'correct horse battery staple';
+
+// Just enough of an Express request for the header checks
+const request = headers => ({ get: name => headers[name.toLowerCase()], query: {} });
+
+test('issueToken makes a token readToken accepts', () => {
+    const { token, expiresAt } = auth.issueToken({ id: 'p1', passwordVersion: 2 });
+    const claims = auth.readToken(token);
+    assert.strictEqual(claims.sub, 'p1');
+    assert.strictEqual(claims.ver, 2);
+    assert.strictEqual(new Date(claims.exp * 1000).toISOString(), expiresAt);
+});
+
+test('readToken rejects tampered and malformed tokens', () => {
+    const { token } = auth.issueToken({ id: 'p1' });
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'p2', ver: 0, exp: 9999999999 })).toString('base64url');
+    assert.strictEqual(auth.readToken(`${forged}.${signature}`), null);
+    assert.strictEqual(auth.readToken(token.slice(0, -2)), null);
+    assert.strictEqual(auth.readToken('not-a-token'), null);
+    assert.strictEqual(auth.readToken(undefined), null);
+});
+
+test('readToken rejects expired tokens', (t) => {
+    const { token } = auth.issueToken({ id: 'p1' });
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 25 * 60 * 60 * 1000);
+    assert.strictEqual(auth.readToken(token), null);
+});
+
+test('passwordFields hashes with a fresh salt and bumps the version', async () => {
+    const first = await auth.passwordFields(PASSWORD);
+    const second = await auth.passwordFields(PASSWORD, first.passwordVersion);
+    assert.match(first.passwordHash, /^scrypt\$[\w-]+\$[\w-]+$/);
+    assert.notStrictEqual(first.passwordHash, second.passwordHash);
+    assert.strictEqual(first.passwordVersion, 1);
+    assert.strictEqual(second.passwordVersion, 2);
+});
+
+test('passwordLookupKey is the same for the same password, and only for it', async () => {
+    const fields = await auth.passwordFields(PASSWORD);
+    assert.strictEqual(fields.passwordKey, auth.passwordLookupKey(PASSWORD));
+    assert.notStrictEqual(auth.passwordLookupKey(`${PASSWORD}!`), fields.passwordKey);
+    assert.ok(!fields.passwordKey.includes(PASSWORD));
+});
+
+test('verifyPassword accepts only the password that was hashed', async () => {
+    const { passwordHash } = await auth.passwordFields(PASSWORD);
+    assert.strictEqual(await auth.verifyPassword(PASSWORD, passwordHash), true);
+    assert.strictEqual(await auth.verifyPassword(`${PASSWORD}!`, passwordHash), false);
+    assert.strictEqual(await auth.verifyPassword(PASSWORD, 'plain-text'), false);
+    assert.strictEqual(await auth.verifyPassword(PASSWORD, undefined), false);
+});
+
+test('playerFromToken refuses tokens from before a password rotation', async () => {
+    const storage = createMemoryStorage();
+    await storage.putPlayer({ id: 'p1', passwordVersion: 1 });
+    const { token } = auth.issueToken({ id: 'p1', passwordVersion: 1 });
+    assert.strictEqual((await auth.playerFromToken(storage, token)).id, 'p1');
+    await storage.updatePlayer('p1', { passwordVersion: 2 });
+    assert.strictEqual(await auth.playerFromToken(storage, token), null);
+});
+
+test('playerFromToken refuses barred players', async () => {
+    const storage = createMemoryStorage();
+    await storage.putPlayer({ id: 'p1', bannedAt: new Date().toISOString() });
+    assert.strictEqual(await auth.playerFromToken(storage, auth.issueToken({ id: 'p1' }).token), null);
+});
+
+test('barredReason covers bans and running suspensions', () => {
+    const now = Date.parse('2026-01-01T00:00:00.000Z');
+    assert.strictEqual(auth.barredReason({}, now), null);
+    assert.strictEqual(auth.barredReason({ bannedAt: '2025-12-01T00:00:00.000Z' }, now), 'Player is banned.');
+    assert.match(auth.barredReason({ suspendedUntil: '2026-01-02T00:00:00.000Z' }, now), /suspended until/);
+    assert.strictEqual(auth.barredReason({ suspendedUntil: '2025-12-31T00:00:00.000Z' }, now), null);
+});
+
+test('publicPlayer leaves out every password field', () => {
+    const player = { id: 'p1', score: 1200, password: 'x', passwordHash: 'x', passwordKey: 'x', passwordVersion: 1 };
+    assert.deepStrictEqual(auth.publicPlayer(player), { id: 'p1', score: 1200 });
+});
+
+test('checkAuthSecret refuses persistent storage without AUTH_SECRET', () => {
+    const secret = process.env.AUTH_SECRET;
+    delete process.env.AUTH_SECRET;
+    try {
+        assert.throws(() => auth.checkAuthSecret({ name: 'dynamodb', persistent: true }), /AUTH_SECRET must be set/);
+        assert.doesNotThrow(() => auth.checkAuthSecret({ name: 'memory', persistent: false }));
+    } finally {
+        process.env.AUTH_SECRET = secret;
+    }
+    assert.doesNotThrow(() => auth.checkAuthSecret({ name: 'dynamodb', persistent: true }));
+});
+
+test('isAdminRequest takes ADMIN_TOKEN as the bearer token only', () => {
+    assert.strictEqual(auth.isAdminRequest(request({ authorization: 'Bearer test-admin-token' })), true);
+    assert.strictEqual(auth.isAdminRequest(request({ authorization: 'Bearer test-admin-tokens' })), false);
+    assert.strictEqual(auth.isAdminRequest(request({})), false);
+});
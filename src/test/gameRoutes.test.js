@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createGameRouter } = require('../routes/games');
+const { createMemoryStorage } = require('../storage');
+const { resolveVariant } = require('../variants');
+const { createGame } = require('../games');
+const rules = require('../rules');
+
+const KALAH = resolveVariant('kalah-6-4');
+const OWARE = resolveVariant('oware');
+const SOUTH = '0b8f3c52-4a1e-4d7a-9c61-2f5e8a9d1b34';
+const NORTH = '5d2e9a17-8c3b-4f60-a1d4-7b9e0c6f2a85';
+
+// Serve the game routes for `storage` on a free port, and GET each path from them
+async function get(storage, ...paths) {
+    const app = express();
+    app.use(createGameRouter(storage));
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    try {
+        return await Promise.all(paths.map(async path => {
+            const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+            return { status: res.status, body: await res.json() };
+        }));
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+// A game where SOUTH has played pit 2 and is to move again
+function gameInProgress(fields = {}) {
+    const game = createGame({ playerIds: [SOUTH, NORTH], variant: KALAH, ...fields });
+    const before = game.state.board;
+    const { board, extraTurn, captured } = rules.applyMove(before, 0, 2, KALAH);
+    game.state.board = board;
+    game.history = [{ turnId: game.turnId, board: before, player: SOUTH, pit: 2, extraTurn, captured, timestamp: game.createdAt }];
+    return game;
+}
+
+test('GET /games lists the games in progress, newest first, without their moves', async () => {
+    const storage = createMemoryStorage();
+    const older = gameInProgress({ createdAt: '2026-01-01T10:00:00.000Z' });
+    const newer = createGame({ playerIds: ['c', 'd'], variant: OWARE, createdAt: '2026-01-01T11:00:00.000Z' });
+    const over = createGame({ playerIds: ['e', 'f'], variant: KALAH, createdAt: '2026-01-01T12:00:00.000Z' });
+    over.state.status = 'finished';
+    for (const game of [older, newer, over]) await storage.putGame(game);
+
+    const [all, kalah] = await get(storage, '/games', '/games?variant=kalah-6-4');
+    assert.strictEqual(all.status, 200);
+    assert.deepStrictEqual(all.body.map(g => g.id), [newer.id, older.id]);
+    assert.deepStrictEqual(kalah.body.map(g => g.id), [older.id]);
+    const [summary] = kalah.body;
+    assert.strictEqual(summary.moves, 1);
+    assert.ok(!('history' in summary) && !('turnId' in summary));
+    assert.deepStrictEqual(summary.state, older.state);
+});
+
+test('GET /games/:gameId gives the moves to replay, active or archived, without the turn ID', async () => {
+    const storage = createMemoryStorage();
+    const active = gameInProgress();
+    const archived = gameInProgress();
+    archived.state.status = 'finished';
+    await storage.putGame(active);
+    await storage.archiveGame(archived);
+
+    const [first, second] = await get(storage, `/games/${active.id}`, `/games/${archived.id}`);
+    const { turnId, ...record } = active;
+    assert.deepStrictEqual(first.body, record);
+    assert.strictEqual(second.body.id, archived.id);
+    assert.deepStrictEqual(second.body.history, archived.history);
+});
+
+test('GET /games/:gameId orients boards and moves for the perspective asked for', async () => {
+    const storage = createMemoryStorage();
+    const game = gameInProgress();
+    await storage.putGame(game);
+
+    const [south, north, stranger, missing] = await get(
+        storage,
+        `/games/${game.id}?perspective=${SOUTH}`,
+        `/games/${game.id}?perspective=${NORTH}`,
+        `/games/${game.id}?perspective=house-greedy`,
+        '/games/00000000-0000-4000-8000-000000000000'
+    );
+    assert.deepStrictEqual(south.body.state.board, game.state.board);
+    assert.deepStrictEqual(north.body.state.board, rules.flipBoard(game.state.board));
+    assert.deepStrictEqual(north.body.history[0], { ...game.history[0], pit: 9, board: rules.flipBoard(game.history[0].board) });
+    assert.deepStrictEqual([stranger.status, stranger.body.code], [400, 'VALIDATION_FAILED']);
+    assert.deepStrictEqual([missing.status, missing.body.code], [404, 'NOT_FOUND']);
+});
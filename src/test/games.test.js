@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageGames, decodeCursor, newestFirst, findSpentTurnGame, spentTurnOutcome } = require('../games');
+const { createMemoryStorage } = require('../storage');
+
+// Games created a minute apart, g0 first; the odd ones have finished
+function sampleGames(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `g${i}`,
+        createdAt: new Date(Date.UTC(2026, 0, 1, 12, i)).toISOString(),
+        finishedAt: i % 2 ? new Date(Date.UTC(2026, 0, 2, 12, count - i)).toISOString() : null,
+        state: { status: i % 2 ? 'finished' : 'active' }
+    }));
+}
+
+// Every page of a listing, following nextCursor
+function allPages(games, status, limit) {
+    const pages = [];
+    let after = null;
+    for (;;) {
+        const { page, nextCursor } = pageGames(games, { status, after, limit });
+        pages.push(page.map(g => g.id));
+        if (!nextCursor) return pages;
+        after = decodeCursor(nextCursor);
+    }
+}
+
+test('pageGames lists newest first, a page at a time', () => {
+    const pages = allPages(sampleGames(5), 'all', 2);
+    assert.deepStrictEqual(pages, [['g4', 'g3'], ['g2', 'g1'], ['g0']]);
+});
+
+test('pageGames orders finished games by when they ended', () => {
+    const finished = sampleGames(6).filter(g => g.state.status === 'finished');
+    // g1 finished last, g5 first
+    assert.deepStrictEqual(allPages(finished, 'finished', 2), [['g1', 'g3'], ['g5']]);
+});
+
+test('pageGames neither skips nor repeats a game that finishes while paging', () => {
+    const games = sampleGames(6);
+    const first = pageGames(games, { status: 'all', limit: 3 });
+    assert.deepStrictEqual(first.page.map(g => g.id), ['g5', 'g4', 'g3']);
+    // g2, on the next page, finishes now
+    games[2] = { ...games[2], finishedAt: new Date(Date.UTC(2026, 0, 3)).toISOString(), state: { status: 'finished' } };
+    const second = pageGames(games, { status: 'all', after: decodeCursor(first.nextCursor), limit: 3 });
+    assert.deepStrictEqual(second.page.map(g => g.id), ['g2', 'g1', 'g0']);
+    assert.strictEqual(second.nextCursor, null);
+});
+
+test('pageGames places finished games without finishedAt by when they started', () => {
+    const games = sampleGames(6).filter(g => g.state.status === 'finished');
+    delete games[0].finishedAt; // g1, created 12:01
+    games.push({ id: 'old', createdAt: '2026-01-01T11:00:00.000Z', state: { status: 'finished' } });
+    assert.deepStrictEqual(allPages(games, 'finished', 2), [['g3', 'g5'], ['g1', 'old']]);
+});
+
+test('pageGames breaks ties on the same time by ID', () => {
+    const createdAt = '2026-01-01T12:00:00.000Z';
+    const games = ['a', 'c', 'b'].map(id => ({ id, createdAt, state: { status: 'active' } }));
+    assert.deepStrictEqual(allPages(games, 'all', 1), [['c'], ['b'], ['a']]);
+});
+
+test('newestFirst sorts active games by when they started', () => {
+    const games = sampleGames(4).sort(newestFirst('active'));
+    assert.deepStrictEqual(games.map(g => g.id), ['g3', 'g2', 'g1', 'g0']);
+});
+
+test('decodeCursor rejects anything that is not a cursor', () => {
+    assert.strictEqual(decodeCursor('not-a-cursor'), null);
+    assert.strictEqual(decodeCursor(''), null);
+});
+
+// a played pit 2 for turn t1, then b played pit 9 (their pit 2) for t2; t3 is current
+function playedGame(fields = {}) {
+    return {
+        id: 'g1',
+        playerIds: ['a', 'b'],
+        turnId: 't3',
+        lastTurnId: 't2',
+        state: { status: 'active', turn: 'a', board: [4, 4, 0, 5, 5, 5, 1, 5, 5, 0, 5, 5, 5, 1] },
+        history: [{ turnId: 't1', player: 'a', pit: 2 }, { turnId: 't2', player: 'b', pit: 9 }],
+        createdAt: '2026-01-01T12:00:00.000Z',
+        ...fields
+    };
+}
+
+async function retry(storage, playerId, turnId, pit) {
+    return spentTurnOutcome(playerId, turnId, pit, await findSpentTurnGame(storage, playerId, turnId));
+}
+
+test('a retried move for a spent turn succeeds without being played again', async () => {
+    const storage = createMemoryStorage();
+    await storage.putGame(playedGame());
+    assert.deepStrictEqual(await retry(storage, 'b', 't2', 2), { status: 200 });
+    assert.deepStrictEqual(await retry(storage, 'a', 't1', 2), { status: 200 });
+});
+
+test('a different move for a spent turn is STALE_TURN', async () => {
+    const storage = createMemoryStorage();
+    await storage.putGame(playedGame());
+    assert.strictEqual((await retry(storage, 'b', 't2', 9)).code, 'STALE_TURN');
+    assert.strictEqual((await retry(storage, 'a', 't1', 3)).code, 'STALE_TURN');
+    assert.strictEqual((await retry(storage, 'c', 't2', 2)).code, 'FORBIDDEN');
+});
+
+test('spent turns of a game that has been archived are still recognised', async () => {
+    const storage = createMemoryStorage();
+    await storage.archiveGame(playedGame({ turnId: null, state: { ...playedGame().state, status: 'finished', turn: null } }));
+    assert.deepStrictEqual(await retry(storage, 'b', 't2', 2), { status: 200 });
+    assert.deepStrictEqual(await retry(storage, 'a', 't1', 2), { status: 200 });
+    assert.strictEqual((await retry(storage, 'a', 't1', 4)).code, 'STALE_TURN');
+});
+
+test('an unknown turn is NOT_FOUND', async () => {
+    const storage = createMemoryStorage();
+    await storage.putGame(playedGame());
+    assert.strictEqual((await retry(storage, 'a', 'unknown', 2)).code, 'NOT_FOUND');
+});
+
+test('a turn lost to the clock is TURN_EXPIRED, whatever the move', () => {
+    const auto = playedGame({ history: [{ turnId: 't1', player: 'a', pit: 2, auto: true }] });
+    assert.strictEqual(spentTurnOutcome('a', 't1', 2, auto).code, 'TURN_EXPIRED');
+    const forfeited = playedGame({ lastTurnId: 't3', state: { ...playedGame().state, status: 'finished', reason: 'timeout' } });
+    assert.strictEqual(spentTurnOutcome('a', 't3', 2, forfeited).code, 'TURN_EXPIRED');
+});
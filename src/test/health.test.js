@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createHealthRouter } = require('../routes/health');
+
+// Serve the health routes for `storage` on a free port, and GET `path` from them
+async function get(storage, path) {
+    const app = express();
+    app.use(createHealthRouter(storage));
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    try {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+        return { status: res.status, type: res.headers.get('content-type'), body: await res.text() };
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('GET /healthz answers ok once storage answers', async () => {
+    const res = await get({ name: 'memory', ping: async () => {} }, '/healthz');
+    assert.strictEqual(res.status, 200);
+    const body = JSON.parse(res.body);
+    assert.strictEqual(body.status, 'ok');
+    assert.strictEqual(body.storage, 'memory');
+    assert.strictEqual(typeof body.storageLatencyMs, 'number');
+});
+
+test('GET /healthz answers 503 when storage fails', async t => {
+    // The failure is logged; keep it out of the test output
+    t.mock.method(process.stderr, 'write', () => true);
+    const res = await get({ name: 'dynamodb', ping: async () => { throw new Error('connect ECONNREFUSED'); } }, '/healthz');
+    assert.strictEqual(res.status, 503);
+    assert.deepStrictEqual(JSON.parse(res.body), {
+        error: 'Storage (dynamodb) is unreachable: connect ECONNREFUSED',
+        code: 'UNAVAILABLE'
+    });
+});
+
+test('GET /metrics serves the Prometheus text format', async () => {
+    const res = await get({ name: 'memory', ping: async () => {} }, '/metrics');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.type, /^text\/plain;.* version=0\.0\.4/);
+    assert.match(res.body, /^# HELP mancala_http_request_duration_seconds /);
+    assert.match(res.body, /\nprocess_resident_memory_bytes \d+\n/);
+});
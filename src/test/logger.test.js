@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const logger = require('../logger');
+
+// Log entries written while `fn` runs, parsed, from both streams
+async function captureLogs(t, fn) {
+    const entries = [];
+    for (const stream of [process.stdout, process.stderr]) {
+        const write = stream.write;
+        t.mock.method(stream, 'write', (chunk, ...rest) => {
+            const text = String(chunk);
+            if (text.startsWith('{"time":')) entries.push(JSON.parse(text));
+            else return write.call(stream, chunk, ...rest);
+            return true;
+        });
+    }
+    await fn();
+    t.mock.restoreAll();
+    return entries;
+}
+
+// Serve `app` on a free port for `fn(baseUrl)`
+async function serve(app, fn) {
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    try {
+        return await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+function appWithRoute() {
+    const app = express();
+    app.use(logger.requestLogger);
+    app.get('/players/:playerId/games/:gameId', async (req, res) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        setImmediate(() => {
+            logger.warn('Later, in a callback');
+            res.json({ ok: true });
+        });
+        await Promise.resolve();
+        logger.info('After an await');
+    });
+    return app;
+}
+
+test('entries written while a request is handled carry its IDs, across awaits and callbacks', async t => {
+    let response;
+    const entries = await captureLogs(t, () => serve(appWithRoute(), async url => {
+        response = await fetch(`${url}/players/p1/games/g1?x=1`, { headers: { 'X-Request-Id': 'client-req.42' } });
+        await response.json();
+    }));
+    assert.strictEqual(response.headers.get('x-request-id'), 'client-req.42');
+    const ids = { requestId: 'client-req.42', playerId: 'p1', gameId: 'g1' };
+    const byMessage = Object.fromEntries(entries.map(entry => [entry.msg, entry]));
+    assert.deepStrictEqual(Object.keys(byMessage).sort(), ['After an await', 'Later, in a callback', 'request']);
+    for (const entry of entries) assert.deepStrictEqual({ requestId: entry.requestId, playerId: entry.playerId, gameId: entry.gameId }, ids);
+    assert.strictEqual(byMessage['Later, in a callback'].level, 'warn');
+    assert.deepStrictEqual([byMessage.request.method, byMessage.request.path, byMessage.request.status], ['GET', '/players/p1/games/g1', 200]);
+});
+
+test('requests without a usable X-Request-Id get a new one', async t => {
+    const seen = [];
+    await captureLogs(t, () => serve(appWithRoute(), async url => {
+        for (const header of [{}, { 'X-Request-Id': 'no spaces allowed' }, { 'X-Request-Id': 'x'.repeat(129) }]) {
+            const response = await fetch(`${url}/players/p1/games/g1`, { headers: header });
+            await response.json();
+            seen.push(response.headers.get('x-request-id'));
+        }
+    }));
+    for (const id of seen) assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    assert.strictEqual(new Set(seen).size, 3);
+});
+
+test('entries outside a request have no request ID, and errors are serialised', async t => {
+    const error = Object.assign(new Error('Disk full'), { code: 'ENOSPC' });
+    const circular = {};
+    circular.self = circular;
+    const entries = await captureLogs(t, async () => {
+        logger.error('Error saving', { error, gameId: 'g9', skipped: undefined });
+        logger.warn('Odd fields', { circular });
+        logger.debug('Dropped below the default level');
+    });
+    assert.strictEqual(entries.length, 2);
+    const [saving, odd] = entries;
+    assert.strictEqual(saving.requestId, undefined);
+    assert.strictEqual(saving.gameId, 'g9');
+    assert.ok(!('skipped' in saving));
+    assert.deepStrictEqual({ ...saving.error, stack: undefined }, { name: 'Error', message: 'Disk full', code: 'ENOSPC', stack: undefined });
+    assert.ok(saving.error.stack.includes('Disk full'));
+    assert.strictEqual(odd.msg, 'Odd fields');
+    assert.match(odd.fieldsError, /circular/i);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const matches = require('../matches');
+const { createMemoryStorage } = require('../storage');
+const { resolveVariant } = require('../variants');
+const { createGame } = require('../games');
+
+const KALAH = resolveVariant('kalah-6-4');
+
+// A pending challenge from 'a' to 'b', stored
+async function challenge(storage, options = {}) {
+    const match = matches.createMatch({ challengerId: 'a', opponentId: 'b', variant: KALAH, ...options });
+    await storage.putMatch(match);
+    return match;
+}
+
+// Finish a stored game with the stores given, and let the match react
+async function finish(storage, gameId, [south, north], fields = {}) {
+    const game = await storage.getGame(gameId);
+    const board = [0, 0, 0, 0, 0, 0, south, 0, 0, 0, 0, 0, 0, north];
+    await storage.updateGame(gameId, { state: { ...game.state, board, status: 'finished', ...fields } });
+    await matches.onGameFinished(storage, await storage.getGame(gameId));
+}
+
+// A finished match game between 'a' and 'b' with the stores given, for summaries
+function finishedGame(playerIds, [south, north], { state = {}, ...fields } = {}) {
+    const game = createGame({ playerIds, variant: KALAH, ...fields });
+    game.state = { ...game.state, board: [0, 0, 0, 0, 0, 0, south, 0, 0, 0, 0, 0, 0, north], status: 'finished', ...state };
+    return game;
+}
+
+test('createMatch sets up a pending, rated, one-game challenge by default', () => {
+    const match = matches.createMatch({ challengerId: 'a', opponentId: 'b', variant: KALAH });
+    assert.strictEqual(match.status, 'pending');
+    assert.deepStrictEqual(match.playerIds, ['a', 'b']);
+    assert.deepStrictEqual([match.games, match.concurrency, match.rated], [1, 1, true]);
+    assert.deepStrictEqual(match.gameIds, []);
+});
+
+test('acceptMatch starts as many games as the concurrency allows, alternating seats', async () => {
+    const storage = createMemoryStorage();
+    const match = await challenge(storage, { games: 5, concurrency: 3, rated: false });
+    const accepted = await matches.acceptMatch(storage, match.id);
+    assert.strictEqual(accepted.status, 'running');
+    assert.strictEqual(accepted.gameIds.length, 3);
+    const games = await Promise.all(accepted.gameIds.map(id => storage.getGame(id)));
+    assert.deepStrictEqual(games.map(g => g.playerIds), [['a', 'b'], ['b', 'a'], ['a', 'b']]);
+    assert.deepStrictEqual(games.map(g => g.matchGame), [1, 2, 3]);
+    assert.ok(games.every(g => g.matchId === match.id && g.rated === false));
+    assert.deepStrictEqual((await storage.getMatch(match.id)).gameIds, accepted.gameIds);
+});
+
+test('a challenge is only accepted, declined or cancelled while pending', async () => {
+    const storage = createMemoryStorage();
+    const declined = await challenge(storage);
+    assert.strictEqual((await matches.closeMatch(storage, declined.id, 'declined')).status, 'declined');
+    assert.strictEqual(await matches.acceptMatch(storage, declined.id), null);
+    assert.strictEqual(await matches.closeMatch(storage, declined.id, 'cancelled'), null);
+
+    const running = await challenge(storage);
+    await matches.acceptMatch(storage, running.id);
+    assert.strictEqual(await matches.acceptMatch(storage, running.id), null);
+    assert.strictEqual(await matches.closeMatch(storage, running.id, 'cancelled'), null);
+    assert.strictEqual(await matches.acceptMatch(storage, 'no-such-match'), null);
+});
+
+test('each finished game starts the next, and the last one finishes the match', async () => {
+    const storage = createMemoryStorage();
+    const match = await challenge(storage, { games: 3 });
+    await matches.acceptMatch(storage, match.id);
+    for (let played = 1; played <= 3; played++) {
+        const { gameIds } = await storage.getMatch(match.id);
+        assert.strictEqual(gameIds.length, played);
+        await finish(storage, gameIds[played - 1], [30, 18]);
+    }
+    const finished = await storage.getMatch(match.id);
+    assert.strictEqual(finished.status, 'finished');
+    assert.ok(finished.finishedAt);
+    assert.strictEqual(finished.gameIds.length, 3);
+});
+
+test('an aborted game uses up one of the match\'s games', async () => {
+    const storage = createMemoryStorage();
+    const match = await challenge(storage, { games: 2 });
+    await matches.acceptMatch(storage, match.id);
+    await finish(storage, (await storage.getMatch(match.id)).gameIds[0], [24, 24], { winner: null, reason: 'aborted' });
+    const { gameIds } = await storage.getMatch(match.id);
+    assert.strictEqual(gameIds.length, 2);
+    await finish(storage, gameIds[1], [20, 28]);
+    assert.strictEqual((await storage.getMatch(match.id)).status, 'finished');
+});
+
+test('summarizeMatch totals results, points and margins from each player\'s side', () => {
+    const match = matches.createMatch({ challengerId: 'a', opponentId: 'b', games: 4, variant: KALAH });
+    const games = [
+        finishedGame(['a', 'b'], [30, 18]),
+        finishedGame(['b', 'a'], [28, 20]),
+        finishedGame(['a', 'b'], [24, 24]),
+        // Lost on time while ahead on the board
+        finishedGame(['b', 'a'], [14, 10], { state: { winner: 1, reason: 'timeout' } }),
+        createGame({ playerIds: ['a', 'b'], variant: KALAH })
+    ];
+    const summary = matches.summarizeMatch(match, games);
+    assert.deepStrictEqual([summary.played, summary.excluded, summary.inProgress], [4, 0, 1]);
+    assert.deepStrictEqual(summary.players, [
+        { playerId: 'a', wins: 2, draws: 1, losses: 1, points: 2.5, margin: 0, averageMargin: 0, firstSeat: { wins: 1, draws: 1, losses: 0 } },
+        { playerId: 'b', wins: 1, draws: 1, losses: 2, points: 1.5, margin: 0, averageMargin: 0, firstSeat: { wins: 1, draws: 0, losses: 1 } }
+    ]);
+});
+
+test('summarizeMatch leaves aborted and voided games out of the results', () => {
+    const match = matches.createMatch({ challengerId: 'a', opponentId: 'b', games: 3, variant: KALAH });
+    const games = [
+        finishedGame(['a', 'b'], [30, 18]),
+        finishedGame(['b', 'a'], [24, 24], { state: { winner: null, reason: 'aborted' } }),
+        finishedGame(['a', 'b'], [40, 8], { voided: true })
+    ];
+    const summary = matches.summarizeMatch(match, games);
+    assert.deepStrictEqual([summary.played, summary.excluded, summary.inProgress], [1, 2, 0]);
+    const [a, b] = summary.players;
+    assert.deepStrictEqual([a.wins, a.draws, a.losses, a.points, a.margin, a.averageMargin], [1, 0, 0, 1, 12, 12]);
+    assert.deepStrictEqual([b.wins, b.draws, b.losses, b.points, b.margin, b.averageMargin], [0, 0, 1, 0, -12, -12]);
+});
+
+test('getSummary reads the match\'s games, archived ones included', async () => {
+    const storage = createMemoryStorage();
+    const match = await challenge(storage, { games: 2 });
+    const game = finishedGame(['a', 'b'], [30, 18], { matchId: match.id, matchGame: 1 });
+    await storage.archiveGame(game);
+    await storage.updateMatch(match.id, { status: 'running', gameIds: [game.id, 'lost-game'] });
+    const summary = await matches.getSummary(storage, await storage.getMatch(match.id));
+    assert.deepStrictEqual([summary.status, summary.played, summary.players[0].wins], ['running', 1, 1]);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const matchmaking = require('../matchmaking');
+const { createMemoryStorage } = require('../storage');
+const { resolveVariant } = require('../variants');
+const { createGame } = require('../games');
+
+const KALAH = resolveVariant('kalah-6-4');
+const NOW = Date.parse('2026-01-01T12:00:00.000Z');
+const secondsAgo = seconds => new Date(Date.now() - seconds * 1000).toISOString();
+
+// Players with the given ratings, all active in Kalah and none waiting yet
+async function pool(ratings) {
+    const storage = createMemoryStorage();
+    for (const [id, score] of Object.entries(ratings)) {
+        await storage.putPlayer({ id, score });
+        await matchmaking.touch(storage, id, KALAH.name);
+    }
+    return storage;
+}
+
+test('searchWindow starts at 100 and widens by 10 a second', () => {
+    assert.strictEqual(matchmaking.searchWindow(null, NOW), 100);
+    assert.strictEqual(matchmaking.searchWindow(new Date(NOW).toISOString(), NOW), 100);
+    assert.strictEqual(matchmaking.searchWindow(new Date(NOW - 30000).toISOString(), NOW), 400);
+});
+
+test('searchWindow stops widening at 1000', () => {
+    assert.strictEqual(matchmaking.searchWindow(new Date(NOW - 3600000).toISOString(), NOW), 1000);
+});
+
+test('searchWindow ignores a wait that has not started yet', () => {
+    assert.strictEqual(matchmaking.searchWindow(new Date(NOW + 60000).toISOString(), NOW), 100);
+});
+
+test('findMatch pairs the closest rating within the window', async () => {
+    const storage = await pool({ a: 1200, b: 1290, c: 1250, d: 1500 });
+    const match = await matchmaking.findMatch(storage, 'a', KALAH);
+    assert.deepStrictEqual(match.playerIds, ['a', 'c']);
+    const entries = await storage.listActivePlayers();
+    assert.ok(entries.every(entry => !entry.queuedAt), 'neither player is left waiting');
+});
+
+test('findMatch waits while nobody is within the window', async () => {
+    const storage = await pool({ a: 1200, b: 1500 });
+    const match = await matchmaking.findMatch(storage, 'a', KALAH);
+    assert.match(match.error, /No opponent within rating range/);
+    const self = (await storage.listActivePlayers()).find(entry => entry.id === 'a');
+    assert.ok(self.queuedAt, 'the wait has started');
+});
+
+test('findMatch widens the window with either player\'s wait', async () => {
+    const storage = await pool({ a: 1200, b: 1500 });
+    await storage.addActivePlayer('b', { queuedAt: secondsAgo(30) });
+    const match = await matchmaking.findMatch(storage, 'a', KALAH);
+    assert.deepStrictEqual([...match.playerIds].sort(), ['a', 'b']);
+});
+
+test('findMatch skips idle players and other variants', async () => {
+    const storage = await pool({ a: 1200, b: 1200, c: 1200 });
+    await storage.addActivePlayer('b', { lastSeenAt: secondsAgo(matchmaking.IDLE_TIMEOUT_MS / 1000 + 1) });
+    await matchmaking.touch(storage, 'c', 'kalah-6-6');
+    const match = await matchmaking.findMatch(storage, 'a', KALAH);
+    assert.match(match.error, /No other active players/);
+});
+
+test('findMatch stops pairing the same two players after three recent games', async () => {
+    const storage = await pool({ a: 1200, b: 1200 });
+    for (let i = 0; i < 3; i++) await storage.putGame(createGame({ playerIds: ['a', 'b'], variant: KALAH }));
+    const match = await matchmaking.findMatch(storage, 'a', KALAH);
+    assert.match(match.error, /No opponent within rating range/);
+});
+
+test('findMatch pairs a named opponent regardless of rating', async () => {
+    const storage = await pool({ a: 1200, b: 1900 });
+    const match = await matchmaking.findMatch(storage, 'a', KALAH, { opponentId: 'b' });
+    assert.deepStrictEqual([...match.playerIds].sort(), ['a', 'b']);
+
+    const missing = await matchmaking.findMatch(storage, 'a', KALAH, { opponentId: 'nobody' });
+    assert.match(missing.error, /not looking for a game/);
+});
+
+test('findMatch pairs a named opponent past the rematch limit', async () => {
+    const storage = await pool({ a: 1200, b: 1200, c: 1200 });
+    for (let i = 0; i < 3; i++) await storage.putGame(createGame({ playerIds: ['a', 'b'], variant: KALAH }));
+    const match = await matchmaking.findMatch(storage, 'a', KALAH, { opponentId: 'b' });
+    assert.deepStrictEqual([...match.playerIds].sort(), ['a', 'b']);
+});
+
+test('findMatch only pairs a named opponent who is active in the variant', async () => {
+    const storage = await pool({ a: 1200, b: 1200, c: 1200 });
+    await storage.addActivePlayer('b', { lastSeenAt: secondsAgo(matchmaking.IDLE_TIMEOUT_MS / 1000 + 1) });
+    await matchmaking.touch(storage, 'c', 'kalah-6-6');
+    for (const opponentId of ['b', 'c']) {
+        const match = await matchmaking.findMatch(storage, 'a', KALAH, { opponentId });
+        assert.match(match.error, /not looking for a game in this variant/);
+    }
+});
+
+test('startMatch starts a game against a named opponent', async () => {
+    const storage = await pool({ a: 1200, b: 1250, c: 1900 });
+    const { game } = await matchmaking.startMatch(storage, 'a', KALAH, { opponentId: 'c' });
+    assert.deepStrictEqual([...game.playerIds].sort(), ['a', 'c']);
+    assert.deepStrictEqual(await storage.getGame(game.id), game);
+});
+
+test('findMatch seats whoever has moved first less often first', async () => {
+    const storage = await pool({ a: 1200, b: 1200 });
+    await storage.putGame(createGame({ playerIds: ['a', 'b'], variant: KALAH }));
+    const match = await matchmaking.findMatch(storage, 'a', KALAH);
+    assert.deepStrictEqual(match.playerIds, ['b', 'a']);
+});
+
+test('findMatch seats the player asking first when neither has moved first more', async () => {
+    const storage = await pool({ a: 1200, b: 1200 });
+    await storage.putGame(createGame({ playerIds: ['a', 'b'], variant: KALAH }));
+    await storage.putGame(createGame({ playerIds: ['b', 'a'], variant: KALAH }));
+    assert.deepStrictEqual((await matchmaking.findMatch(storage, 'b', KALAH)).playerIds, ['b', 'a']);
+    assert.deepStrictEqual((await matchmaking.findMatch(storage, 'a', KALAH)).playerIds, ['a', 'b']);
+});
+
+test('sweepIdle drops players who stopped asking for turns', async () => {
+    const storage = await pool({ a: 1200, b: 1200 });
+    await storage.addActivePlayer('b', { lastSeenAt: secondsAgo(matchmaking.IDLE_TIMEOUT_MS / 1000 + 1) });
+    assert.strictEqual(await matchmaking.sweepIdle(storage), 1);
+    assert.deepStrictEqual((await storage.listActivePlayers()).map(entry => entry.id), ['a']);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const metrics = require('../metrics');
+
+// The lines of one metric in the full exposition, from its HELP line on
+async function block(name) {
+    const lines = (await metrics.render()).split('\n');
+    const start = lines.indexOf(lines.find(line => line.startsWith(`# HELP ${name} `)));
+    assert.ok(start >= 0, `${name} is not rendered`);
+    const end = lines.findIndex((line, i) => i > start + 1 && line.startsWith('# HELP '));
+    return lines.slice(start, end === -1 ? lines.length - 1 : end);
+}
+
+test('counters add up per series of label values', async () => {
+    const counter = metrics.counter('test_moves_total', 'Moves.', ['outcome']);
+    counter.inc({ outcome: 'accepted' });
+    counter.inc({ outcome: 'accepted' }, 2);
+    counter.inc({ outcome: 'ILLEGAL_MOVE' });
+    assert.deepStrictEqual(await block('test_moves_total'), [
+        '# HELP test_moves_total Moves.',
+        '# TYPE test_moves_total counter',
+        'test_moves_total{outcome="accepted"} 3',
+        'test_moves_total{outcome="ILLEGAL_MOVE"} 1'
+    ]);
+});
+
+test('label values escape backslashes, quotes and newlines', async () => {
+    const counter = metrics.counter('test_escapes_total', 'Escapes.', ['route', 'status']);
+    counter.inc({ route: 'C:\\path "quoted"\nnext', status: 200 });
+    counter.inc({});
+    assert.deepStrictEqual((await block('test_escapes_total')).slice(2), [
+        'test_escapes_total{route="C:\\\\path \\"quoted\\"\\nnext",status="200"} 1',
+        'test_escapes_total{route="",status=""} 1'
+    ]);
+});
+
+test('gauges go up, down, and are reset', async () => {
+    const gauge = metrics.gauge('test_open_streams', 'Streams.', ['stream']);
+    gauge.inc({ stream: 'player' }, 3);
+    gauge.dec({ stream: 'player' });
+    gauge.set({ stream: 'game' }, 7);
+    assert.deepStrictEqual((await block('test_open_streams')).slice(1), [
+        '# TYPE test_open_streams gauge',
+        'test_open_streams{stream="player"} 2',
+        'test_open_streams{stream="game"} 7'
+    ]);
+    gauge.reset();
+    assert.deepStrictEqual((await block('test_open_streams')).slice(2), []);
+});
+
+test('histograms count every observation into cumulative buckets', async () => {
+    const histogram = metrics.histogram('test_wait_seconds', 'Waits.', ['variant'], [1, 5]);
+    for (const seconds of [0.5, 1, 3, 60]) histogram.observe({ variant: 'oware' }, seconds);
+    assert.deepStrictEqual(await block('test_wait_seconds'), [
+        '# HELP test_wait_seconds Waits.',
+        '# TYPE test_wait_seconds histogram',
+        'test_wait_seconds_bucket{variant="oware",le="1"} 2',
+        'test_wait_seconds_bucket{variant="oware",le="5"} 3',
+        'test_wait_seconds_bucket{variant="oware",le="+Inf"} 4',
+        'test_wait_seconds_sum{variant="oware"} 64.5',
+        'test_wait_seconds_count{variant="oware"} 4'
+    ]);
+});
+
+test('render runs the collectors first and ends with a newline', async () => {
+    const gauge = metrics.gauge('test_collected', 'Collected.');
+    let scrapes = 0;
+    metrics.addCollector(async () => gauge.set({}, ++scrapes));
+    assert.deepStrictEqual((await block('test_collected')).slice(2), ['test_collected 1']);
+    const text = await metrics.render();
+    assert.ok(text.includes('\ntest_collected 2\n'));
+    assert.ok(text.endsWith('\n') && !text.endsWith('\n\n'));
+    assert.ok(text.includes('# TYPE mancala_http_request_duration_seconds histogram'));
+});
+
+test('metric names can only be registered once', () => {
+    assert.throws(() => metrics.counter('mancala_move_submissions_total', 'Again.'), /Metric already registered: mancala_move_submissions_total/);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rules = require('../rules');
+const { resolveVariant, initialBoard } = require('../variants');
+const { formatNotation, parseNotation, replayNotation } = require('../notation');
+
+// Small deterministic generator, so a failure can be reproduced
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+// A game record of random moves, played to the end or for `maxMoves`
+function randomGame(seed, variant, maxMoves = Infinity) {
+    const next = random(seed);
+    const playerIds = ['south', 'north'];
+    let board = initialBoard(variant);
+    let side = 0;
+    let finished = false;
+    const history = [];
+    while (!finished && history.length < maxMoves) {
+        const moves = rules.legalMoves(board, side);
+        const pit = moves[Math.floor(next() * moves.length)];
+        const result = rules.applyMove(board, side, pit, variant);
+        history.push({ player: playerIds[side], pit, captured: result.captured, extraTurn: result.extraTurn, board: result.board });
+        board = result.board;
+        side = result.nextSide;
+        finished = result.finished;
+    }
+    return {
+        id: `game-${seed}`,
+        playerIds,
+        variant,
+        createdAt: '2026-01-01T12:00:00.000Z',
+        state: { board, status: finished ? 'finished' : 'active' },
+        history
+    };
+}
+
+test('formatNotation and replayNotation round-trip finished games', () => {
+    for (const name of ['kalah-6-4', 'kalah-6-6', 'oware']) {
+        const variant = resolveVariant(name);
+        for (let seed = 1; seed <= 10; seed++) {
+            const game = randomGame(seed, variant);
+            const replayed = replayNotation(formatNotation(game));
+            assert.strictEqual(replayed.variant.name, name);
+            assert.strictEqual(replayed.finished, true);
+            assert.deepStrictEqual(replayed.board, game.state.board);
+            assert.deepStrictEqual(replayed.moves.map(m => m.pit), game.history.map(m => m.pit));
+            const winner = rules.winner(game.state.board);
+            assert.strictEqual(replayed.result, winner === null ? '1/2-1/2' : winner === 0 ? '1-0' : '0-1');
+        }
+    }
+});
+
+test('formatNotation marks unfinished games with *', () => {
+    const game = randomGame(7, resolveVariant('kalah-6-4'), 9);
+    const text = formatNotation(game);
+    assert.match(text, /\[Result "\*"\]/);
+    const replayed = replayNotation(text);
+    assert.strictEqual(replayed.result, '*');
+    assert.strictEqual(replayed.finished, false);
+    assert.deepStrictEqual(replayed.board, game.state.board);
+});
+
+test('formatNotation writes the header tags in order', () => {
+    const game = randomGame(3, resolveVariant('kalah-6-4'), 2);
+    const text = formatNotation(game, { Event: 'Spring "Open"' });
+    assert.ok(text.startsWith([
+        '[Event "Spring \\"Open\\""]',
+        '[Date "2026.01.01"]',
+        '[South "south"]',
+        '[North "north"]',
+        '[Variant "kalah-6-4"]',
+        '[Result "*"]',
+        '[GameId "game-3"]'
+    ].join('\n')));
+    assert.strictEqual(parseNotation(text).tags.Event, 'Spring "Open"');
+});
+
+test('parseNotation reads extra turns, captures, comments and move numbers', () => {
+    const { turns, result } = parseNotation('1. c+f {a comment} dx4 2. a 0-1');
+    assert.strictEqual(result, '0-1');
+    assert.deepStrictEqual(turns.map(t => t.token), ['c+f', 'dx4', 'a']);
+    assert.deepStrictEqual(turns[0].moves, [{ pit: 2, captured: 0, extraTurn: true }, { pit: 5, captured: 0, extraTurn: false }]);
+    assert.deepStrictEqual(turns[1].moves, [{ pit: 3, captured: 4, extraTurn: false }]);
+});
+
+test('parseNotation rejects malformed turns and mismatched results', () => {
+    assert.throws(() => parseNotation('1. c+? *'), /Malformed turn/);
+    assert.throws(() => parseNotation('[Result "1-0"]\n\n1. a 0-1'), /does not match/);
+    assert.throws(() => parseNotation(null), /must be a string/);
+});
+
+test('replayNotation names the first turn that does not replay', () => {
+    // From the start, c (4 seeds from the third pit) ends in the store
+    assert.deepStrictEqual(replayNotation('1. c+a *').moves.map(m => m.pit), [2, 0]);
+    assert.throws(() => replayNotation('1. c *'), /Turn 1 c: move earns another move/);
+    assert.throws(() => replayNotation('1. c+ *'), /still has another move/);
+    assert.throws(() => replayNotation('1. ax3 *'), /captures 0 seeds, not 3/);
+    assert.throws(() => replayNotation('1. a ax9 *'), /Turn 1\.\.\. ax9: move captures 0 seeds/);
+    assert.throws(() => replayNotation('1. g *'), /illegal move g/);
+    assert.throws(() => replayNotation('[Variant "kalah-9-9"]\n\n*'), /variant/i);
+});
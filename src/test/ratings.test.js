@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ratings = require('../ratings');
+const { createMemoryStorage } = require('../storage');
+
+const VARIANT = 'kalah-6-4';
+const NEW_PLAYER = { rating: 1200, deviation: 350, volatility: 0.06 };
+
+// A finished game won by `winner` (a side), or drawn if null
+function finishedGame(id, playerIds, winner) {
+    const stores = winner === null ? [24, 24] : winner === 0 ? [30, 18] : [18, 30];
+    return {
+        id,
+        playerIds,
+        state: { status: 'finished', board: [0, 0, 0, 0, 0, 0, stores[0], 0, 0, 0, 0, 0, 0, stores[1]] }
+    };
+}
+
+async function twoPlayers(ids = ['a', 'b']) {
+    const storage = createMemoryStorage();
+    for (const id of ids) {
+        await storage.putPlayer({ id, score: ratings.DEFAULT_SCORE, wins: 0, losses: 0, draws: 0, lastPlayedAt: null });
+    }
+    return storage;
+}
+
+test('eloUpdate moves equal players 16 points for a win or loss', () => {
+    assert.strictEqual(ratings.eloUpdate(1200, 1200, 1), 1216);
+    assert.strictEqual(ratings.eloUpdate(1200, 1200, 0), 1184);
+    assert.strictEqual(ratings.eloUpdate(1200, 1200, 0.5), 1200);
+});
+
+test('eloUpdate rewards an upset more than an expected win', () => {
+    const upset = ratings.eloUpdate(1200, 1600, 1) - 1200;
+    const expected = ratings.eloUpdate(1600, 1200, 1) - 1600;
+    assert.strictEqual(upset, 29);
+    assert.strictEqual(expected, 3);
+});
+
+test('glicko2Update moves the winner up, the loser down and narrows both deviations', () => {
+    const winner = ratings.glicko2Update(NEW_PLAYER, NEW_PLAYER, 1);
+    const loser = ratings.glicko2Update(NEW_PLAYER, NEW_PLAYER, 0);
+    assert.ok(winner.rating > 1200);
+    assert.strictEqual(Math.round(winner.rating - 1200), Math.round(1200 - loser.rating));
+    assert.ok(winner.deviation < 350);
+    assert.strictEqual(winner.deviation, loser.deviation);
+    assert.ok(Math.abs(winner.volatility - 0.06) < 0.001);
+});
+
+test('glicko2Update leaves a draw between equals where it was', () => {
+    const drawn = ratings.glicko2Update(NEW_PLAYER, NEW_PLAYER, 0.5);
+    assert.strictEqual(drawn.rating, 1200);
+});
+
+test('glicko2Update counts for less against an uncertain opponent', () => {
+    const settled = { rating: 1500, deviation: 50, volatility: 0.06 };
+    const againstSettled = ratings.glicko2Update(settled, settled, 1).rating - 1500;
+    const againstNew = ratings.glicko2Update(settled, { ...settled, deviation: 350 }, 1).rating - 1500;
+    assert.ok(againstNew < againstSettled);
+});
+
+test('glicko2Update widens the deviation of an idle player, up to the default', () => {
+    const settled = { rating: 1500, deviation: 50, volatility: 0.06 };
+    const fresh = ratings.glicko2Update(settled, settled, 1, 0);
+    const idle = ratings.glicko2Update(settled, settled, 1, 365);
+    assert.ok(idle.rating - 1500 > fresh.rating - 1500);
+    assert.ok(idle.deviation > fresh.deviation);
+    const forgotten = ratings.glicko2Update({ ...settled, deviation: 340 }, settled, 1, 100000);
+    assert.ok(forgotten.deviation <= 350);
+});
+
+test('glickoOf starts players rated before Glicko-2 from their score', () => {
+    assert.deepStrictEqual(ratings.glickoOf({ score: 1350 }), { rating: 1350, deviation: 350, volatility: 0.06 });
+    assert.strictEqual(ratings.isProvisional({ score: 1350 }), true);
+    assert.strictEqual(ratings.isProvisional({ glicko: { rating: 1350, deviation: 80, volatility: 0.06 } }), false);
+});
+
+test('updateRatings rates both players and records a snapshot each', async () => {
+    const storage = await twoPlayers();
+    await ratings.updateRatings(storage, finishedGame('g1', ['a', 'b'], 0), VARIANT, 'elo');
+    const [a, b] = await Promise.all([storage.getPlayer('a'), storage.getPlayer('b')]);
+    assert.deepStrictEqual([a.score, a.elo, a.wins], [1216, 1216, 1]);
+    assert.deepStrictEqual([b.score, b.elo, b.losses], [1184, 1184, 1]);
+    assert.ok(a.glicko.rating > 1200 && b.glicko.rating < 1200);
+    const snapshots = await storage.listRatingSnapshots('a');
+    assert.deepStrictEqual(snapshots.map(s => [s.gameId, s.result, s.score]), [['g1', 1, 1216]]);
+});
+
+test('updateRatings publishes the Glicko-2 rating when asked to', async () => {
+    const storage = await twoPlayers();
+    await ratings.updateRatings(storage, finishedGame('g1', ['a', 'b'], null), VARIANT, 'glicko2');
+    const a = await storage.getPlayer('a');
+    assert.strictEqual(a.score, Math.round(a.glicko.rating));
+    assert.strictEqual(a.draws, 1);
+});
+
+test('updateRatings keeps every result of games finishing at once', async () => {
+    const storage = await twoPlayers(['a', 'b', 'c']);
+    await Promise.all([
+        ratings.updateRatings(storage, finishedGame('g1', ['a', 'b'], 0), VARIANT, 'elo'),
+        ratings.updateRatings(storage, finishedGame('g2', ['c', 'a'], 1), VARIANT, 'elo'),
+        ratings.updateRatings(storage, finishedGame('g3', ['a', 'b'], 0), 'kalah-6-6', 'elo'),
+        ratings.updateRatings(storage, finishedGame('g4', ['a', 'c'], 0), 'oware', 'elo')
+    ]);
+    const a = await storage.getPlayer('a');
+    assert.strictEqual(a.wins, 2);
+    assert.strictEqual(a.score, ratings.eloUpdate(1216, 1200, 1));
+    assert.deepStrictEqual(Object.keys(a.pools).sort(), ['kalah-6-6', 'oware']);
+    assert.strictEqual((await storage.listRatingSnapshots('a')).length, 4);
+});
+
+test('reverseRatings restores every rating field after a player\'s last game', async () => {
+    const storage = await twoPlayers();
+    const game = finishedGame('g1', ['a', 'b'], 1);
+    await ratings.updateRatings(storage, game, VARIANT, 'glicko2');
+    await ratings.reverseRatings(storage, game, VARIANT);
+
+    for (const id of ['a', 'b']) {
+        const player = await storage.getPlayer(id);
+        assert.deepStrictEqual([player.score, player.elo, player.wins, player.losses, player.draws], [1200, 1200, 0, 0, 0]);
+        assert.strictEqual(player.glicko.rating, 1200);
+        assert.strictEqual(player.glicko.deviation, 350);
+        assert.ok(Math.abs(player.glicko.volatility - 0.06) < 1e-9);
+        const snapshots = await storage.listRatingSnapshots(id);
+        assert.strictEqual(snapshots[snapshots.length - 1].voided, true);
+    }
+});
+
+test('reverseRatings keeps the effect of later games', async () => {
+    const storage = await twoPlayers();
+    const first = finishedGame('g1', ['a', 'b'], 0);
+    await ratings.updateRatings(storage, first, VARIANT, 'elo');
+    await ratings.updateRatings(storage, finishedGame('g2', ['b', 'a'], 0), VARIANT, 'elo');
+    const beforeVoid = await storage.getPlayer('a');
+    await ratings.reverseRatings(storage, first, VARIANT);
+
+    const a = await storage.getPlayer('a');
+    assert.deepStrictEqual([a.wins, a.losses], [0, 1]);
+    assert.strictEqual(a.elo, beforeVoid.elo - 16);
+});
+
+test('reverseRatings leaves unrated games alone', async () => {
+    const storage = await twoPlayers();
+    await ratings.reverseRatings(storage, finishedGame('g1', ['a', 'b'], 0), VARIANT);
+    const a = await storage.getPlayer('a');
+    assert.strictEqual(a.score, 1200);
+    assert.deepStrictEqual(await storage.listRatingSnapshots('a'), []);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rules = require('../rules');
+
+const START = [4, 4, 4, 4, 4, 4, 0, 4, 4, 4, 4, 4, 4, 0];
+
+test('legalMoves lists non-empty pits for each side', () => {
+    const board = [0, 1, 0, 2, 0, 3, 5, 1, 0, 0, 0, 0, 4, 2];
+    assert.deepStrictEqual(rules.legalMoves(board, 0), [1, 3, 5]);
+    assert.deepStrictEqual(rules.legalMoves(board, 1), [7, 12]);
+});
+
+test('flipBoard swaps sides and is its own inverse', () => {
+    const board = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14];
+    assert.deepStrictEqual(rules.flipBoard(board), [8, 9, 10, 11, 12, 13, 14, 1, 2, 3, 4, 5, 6, 7]);
+    assert.deepStrictEqual(rules.flipBoard(rules.flipBoard(board)), board);
+    assert.strictEqual(rules.flipIndex(board, 2), 9);
+    assert.strictEqual(rules.flipIndex(board, 13), 6);
+});
+
+test('simple sow passes the turn', () => {
+    const result = rules.applyMove(START, 0, 0);
+    assert.deepStrictEqual(result.board, [0, 5, 5, 5, 5, 4, 0, 4, 4, 4, 4, 4, 4, 0]);
+    assert.strictEqual(result.nextSide, 1);
+    assert.strictEqual(result.extraTurn, false);
+    assert.strictEqual(result.captured, 0);
+    assert.strictEqual(result.finished, false);
+});
+
+test('applyMove does not modify the input board', () => {
+    const board = [...START];
+    rules.applyMove(board, 0, 2);
+    assert.deepStrictEqual(board, START);
+});
+
+test('last seed in own store grants an extra turn', () => {
+    const result = rules.applyMove(START, 0, 2);
+    assert.deepStrictEqual(result.board, [4, 4, 0, 5, 5, 5, 1, 4, 4, 4, 4, 4, 4, 0]);
+    assert.strictEqual(result.extraTurn, true);
+    assert.strictEqual(result.nextSide, 0);
+
+    const top = rules.applyMove(START, 1, 9);
+    assert.strictEqual(top.extraTurn, true);
+    assert.strictEqual(top.board[13], 1);
+});
+
+test('sowing skips the opponent store', () => {
+    const board = [0, 1, 0, 0, 0, 8, 0, 1, 1, 1, 1, 1, 1, 0];
+    const result = rules.applyMove(board, 0, 5);
+    // 8 seeds from pit 5: own store, six opponent pits, skip 13, land in pit 0
+    assert.strictEqual(result.board[13], 0);
+    assert.strictEqual(result.lastIndex, 0);
+    assert.strictEqual(result.board[6], 1 + 3); // one sown plus pits 0 and 12 captured
+});
+
+test('sowing laps the board with 13 or more seeds', () => {
+    const board = [0, 0, 0, 0, 0, 13, 0, 1, 1, 1, 1, 1, 1, 0];
+    const result = rules.applyMove(board, 0, 5);
+    // 13 seeds go all the way round back into pit 5, which is empty, capturing pit 7
+    assert.strictEqual(result.lastIndex, 5);
+    assert.strictEqual(result.captured, 1 + 2);
+    assert.strictEqual(result.board[5], 0);
+    assert.strictEqual(result.board[7], 0);
+    assert.strictEqual(result.board[13], 0);
+
+    const big = [0, 0, 0, 0, 0, 20, 0, 1, 1, 1, 1, 1, 1, 0];
+    const lapped = rules.applyMove(big, 0, 5);
+    // every seed is still on the board and none went in the opponent store
+    assert.strictEqual(lapped.board.reduce((a, b) => a + b, 0), 26);
+    assert.strictEqual(lapped.board[13], 0);
+});
+
+test('landing in an own empty pit captures the opposite pit', () => {
+    const board = [0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 5, 0, 1, 0];
+    const result = rules.applyMove(board, 0, 1);
+    // last seed lands in pit 2, opposite pit 10 holds 5
+    assert.strictEqual(result.captured, 6);
+    assert.strictEqual(result.board[2], 0);
+    assert.strictEqual(result.board[10], 0);
+    assert.strictEqual(result.board[6], 6);
+    assert.strictEqual(result.nextSide, 1);
+});
+
+test('side 1 captures into its own store', () => {
+    const board = [0, 0, 0, 0, 3, 1, 0, 1, 0, 0, 0, 0, 1, 0];
+    const result = rules.applyMove(board, 1, 7);
+    // last seed lands in pit 8, opposite pit 4 holds 3
+    assert.strictEqual(result.captured, 4);
+    assert.strictEqual(result.board[13], 4);
+    assert.strictEqual(result.board[4], 0);
+    assert.strictEqual(result.board[8], 0);
+});
+
+test('no capture when the opposite pit is empty', () => {
+    const board = [0, 1, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1, 1, 0];
+    const result = rules.applyMove(board, 0, 1);
+    assert.strictEqual(result.captured, 0);
+    assert.strictEqual(result.board[2], 1);
+});
+
+test('an empty side ends the game and sweeps seeds to their owner', () => {
+    const board = [0, 0, 0, 0, 0, 1, 10, 2, 0, 0, 0, 3, 0, 8];
+    const result = rules.applyMove(board, 0, 5);
+    assert.strictEqual(result.finished, true);
+    assert.deepStrictEqual(result.board, [0, 0, 0, 0, 0, 0, 11, 0, 0, 0, 0, 0, 0, 13]);
+    assert.strictEqual(rules.winner(result.board), 1);
+});
+
+test('equal stores are a draw', () => {
+    const board = [0, 0, 0, 0, 0, 1, 23, 0, 0, 0, 0, 0, 1, 23];
+    const result = rules.applyMove(board, 0, 5);
+    assert.strictEqual(result.finished, true);
+    assert.deepStrictEqual(rules.scores(result.board), [24, 24]);
+    assert.strictEqual(rules.winner(result.board), null);
+});
+
+test('illegal moves throw', () => {
+    assert.throws(() => rules.applyMove(START, 0, 6));
+    assert.throws(() => rules.applyMove(START, 0, 7));
+    assert.throws(() => rules.applyMove([0, 0, 0, 0, 0, 1, 0, 4, 4, 4, 4, 4, 4, 0], 0, 0));
+});
+
+test('captures can be turned off', () => {
+    const board = [0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 5, 0, 1, 0];
+    const result = rules.applyMove(board, 0, 1, { capture: 'none' });
+    assert.strictEqual(result.captured, 0);
+    assert.strictEqual(result.board[2], 1);
+    assert.strictEqual(result.board[10], 5);
+});
+
+test('empty-side sweep gives the remaining seeds to the player who ran out', () => {
+    const board = [0, 0, 0, 0, 0, 1, 10, 2, 0, 0, 0, 3, 0, 8];
+    const result = rules.applyMove(board, 0, 5, { sweep: 'empty-side' });
+    assert.strictEqual(result.finished, true);
+    assert.deepStrictEqual(result.board, [0, 0, 0, 0, 0, 0, 16, 0, 0, 0, 0, 0, 0, 8]);
+});
+
+test('works on boards with a different number of pits', () => {
+    const board = [3, 3, 3, 3, 0, 3, 3, 3, 3, 0];
+    assert.deepStrictEqual(rules.legalMoves(board, 1), [5, 6, 7, 8]);
+    const result = rules.applyMove(board, 0, 1);
+    assert.deepStrictEqual(result.board, [3, 0, 4, 4, 1, 3, 3, 3, 3, 0]);
+    assert.strictEqual(result.extraTurn, true);
+});
+
+test('oware-style sowing skips stores and the origin pit and captures 2s and 3s', () => {
+    const oware = { capture: 'oware', sowStores: false, skipOrigin: true };
+
+    const board = [0, 0, 0, 0, 0, 3, 0, 1, 2, 1, 1, 1, 1, 0];
+    const result = rules.applyMove(board, 0, 5, oware);
+    // seeds go to 7, 8, 9: pit 9 becomes 2, pit 8 becomes 3, pit 7 becomes 2
+    assert.strictEqual(result.captured, 7);
+    assert.strictEqual(result.board[6], 7);
+    assert.deepStrictEqual(result.board.slice(7, 10), [0, 0, 0]);
+    assert.strictEqual(result.extraTurn, false);
+
+    const lap = [12, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1, 0];
+    const lapped = rules.applyMove(lap, 0, 0, oware);
+    // 12 seeds over 11 other pits: origin pit is skipped, so the last lands in pit 1
+    assert.strictEqual(lapped.board[0], 0);
+    assert.strictEqual(lapped.board[6], 0);
+    assert.strictEqual(lapped.lastIndex, 1);
+});
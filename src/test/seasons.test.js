@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const seasons = require('../seasons');
+const { createMemoryStorage } = require('../storage');
+const { resolveVariant } = require('../variants');
+
+const KALAH = resolveVariant('kalah-6-4');
+
+function entry(playerId, division, score) {
+    return { playerId, division, score, wins: 0, losses: 0, draws: 0 };
+}
+
+// A rated game won by `winner` (a side), or drawn if null
+function finishedGame(id, playerIds, winner) {
+    const stores = winner === null ? [24, 24] : winner === 0 ? [30, 18] : [18, 30];
+    return {
+        id,
+        playerIds,
+        variant: KALAH,
+        finishedAt: new Date().toISOString(),
+        state: { status: 'finished', board: [0, 0, 0, 0, 0, 0, stores[0], 0, 0, 0, 0, 0, 0, stores[1]] }
+    };
+}
+
+async function runningSeason(options = {}) {
+    const storage = createMemoryStorage();
+    const season = seasons.createSeason({
+        name: 'January',
+        variant: KALAH.name,
+        startsAt: Date.now() - 60000,
+        endsAt: Date.now() + 3600000,
+        ...options
+    });
+    await storage.putSeason(season);
+    for (const id of ['a', 'b']) await storage.putPlayer({ id, score: 1500 });
+    return { storage, season };
+}
+
+test('rankStandings orders by division, then score', () => {
+    const season = { divisions: 2, promote: 1, relegate: 1 };
+    const standings = seasons.rankStandings(season, [
+        entry('e', 2, 1100), entry('a', 1, 1300), entry('d', 2, 1400), entry('c', 1, 1200), entry('b', 1, 1250)
+    ]);
+    assert.deepStrictEqual(standings.map(s => s.playerId), ['a', 'b', 'c', 'd', 'e']);
+    assert.deepStrictEqual(standings.map(s => s.rank), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(standings.map(s => s.divisionRank), [1, 2, 3, 1, 2]);
+});
+
+test('rankStandings promotes the top and relegates the bottom of each division', () => {
+    const season = { divisions: 3, promote: 1, relegate: 1 };
+    const standings = seasons.rankStandings(season, [
+        entry('a', 1, 1300), entry('b', 1, 1200),
+        entry('c', 2, 1300), entry('d', 2, 1250), entry('e', 2, 1200),
+        entry('f', 3, 1300), entry('g', 3, 1200)
+    ]);
+    assert.deepStrictEqual(standings.map(s => [s.playerId, s.movement, s.nextDivision]), [
+        ['a', null, 1],         // Nowhere to go up to
+        ['b', 'relegated', 2],
+        ['c', 'promoted', 1],
+        ['d', null, 2],
+        ['e', 'relegated', 3],
+        ['f', 'promoted', 2],
+        ['g', null, 3]          // Nowhere to go down to
+    ]);
+});
+
+test('rankStandings promotes rather than relegates a player alone in a division', () => {
+    const season = { divisions: 3, promote: 2, relegate: 2 };
+    const [only] = seasons.rankStandings(season, [entry('a', 2, 1200)]);
+    assert.strictEqual(only.movement, 'promoted');
+    assert.strictEqual(only.nextDivision, 1);
+});
+
+test('rankStandings breaks ties on score by player ID', () => {
+    const season = { divisions: 1, promote: 2, relegate: 2 };
+    const standings = seasons.rankStandings(season, [entry('b', 1, 1200), entry('a', 1, 1200)]);
+    assert.deepStrictEqual(standings.map(s => s.playerId), ['a', 'b']);
+});
+
+test('seasonStatus follows the dates and closing', () => {
+    const season = { startsAt: '2026-02-01T00:00:00.000Z', closedAt: null };
+    assert.strictEqual(seasons.seasonStatus(season, Date.parse('2026-01-31T00:00:00.000Z')), 'scheduled');
+    assert.strictEqual(seasons.seasonStatus(season, Date.parse('2026-02-02T00:00:00.000Z')), 'active');
+    assert.strictEqual(seasons.seasonStatus({ ...season, closedAt: '2026-03-01T00:00:00.000Z' }), 'finished');
+});
+
+test('onGameFinished rates the game again within the season, from the default rating', async () => {
+    const { storage, season } = await runningSeason({ divisions: 2 });
+    const counted = await seasons.onGameFinished(storage, finishedGame('g1', ['a', 'b'], 0), 'elo');
+    assert.strictEqual(counted.seasonId, season.id);
+    assert.deepStrictEqual(counted.seasonChanges.map(change => change.score), [16, -16]);
+
+    const a = (await storage.getPlayer('a')).seasons[season.id];
+    assert.deepStrictEqual([a.division, a.score, a.wins], [2, 1216, 1]);
+    assert.strictEqual((await storage.getPlayer('a')).score, 1500, 'all-time rating untouched');
+});
+
+test('onGameFinished skips unrated games and games outside any season', async () => {
+    const { storage } = await runningSeason({ variant: 'kalah-6-6' });
+    assert.strictEqual(await seasons.onGameFinished(storage, finishedGame('g1', ['a', 'b'], 0), 'elo'), null);
+    const unrated = { ...finishedGame('g2', ['a', 'b'], 0), rated: false };
+    assert.strictEqual(await seasons.onGameFinished(storage, unrated, 'elo'), null);
+});
+
+test('reverseSeasonGame takes a voided game back off both entries', async () => {
+    const { storage, season } = await runningSeason();
+    const game = finishedGame('g1', ['a', 'b'], 1);
+    Object.assign(game, await seasons.onGameFinished(storage, game, 'glicko2'));
+    assert.strictEqual(await seasons.reverseSeasonGame(storage, game), true);
+
+    for (const id of ['a', 'b']) {
+        const restored = (await storage.getPlayer(id)).seasons[season.id];
+        assert.deepStrictEqual([restored.score, restored.elo, restored.wins, restored.losses], [1200, 1200, 0, 0]);
+        assert.strictEqual(restored.glicko.rating, 1200);
+        assert.strictEqual(restored.glicko.deviation, 350);
+    }
+});
+
+test('reverseSeasonGame refuses once the season has closed', async () => {
+    const { storage, season } = await runningSeason();
+    const game = finishedGame('g1', ['a', 'b'], 0);
+    Object.assign(game, await seasons.onGameFinished(storage, game, 'elo'));
+    await seasons.closeSeason(storage, season);
+    assert.strictEqual(await seasons.reverseSeasonGame(storage, game), false);
+});
+
+test('closeSeason keeps the final standings, and the next season starts from them', async () => {
+    const { storage, season } = await runningSeason({ divisions: 2, promote: 1, relegate: 1 });
+    await seasons.onGameFinished(storage, finishedGame('g1', ['a', 'b'], 0), 'elo');
+    const ended = { ...season, endsAt: new Date(Date.now() - 1000).toISOString() };
+    await storage.putSeason(ended);
+    const closed = await seasons.closeSeason(storage, ended);
+
+    assert.deepStrictEqual(closed.standings.map(s => [s.playerId, s.nextDivision]), [['a', 1], ['b', 2]]);
+    assert.deepStrictEqual((await storage.getPlayer('a')).seasons, {});
+
+    const next = seasons.createSeason({ name: 'February', variant: KALAH.name, startsAt: Date.now() - 1000, endsAt: Date.now() + 3600000, divisions: 2 });
+    await storage.putSeason(next);
+    await seasons.onGameFinished(storage, finishedGame('g2', ['a', 'b'], null), 'elo');
+    assert.strictEqual((await storage.getPlayer('a')).seasons[next.id].division, 1);
+    assert.strictEqual((await storage.getPlayer('b')).seasons[next.id].division, 2);
+});
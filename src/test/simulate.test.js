@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { seededRandom, loadStrategy, simulate, toCsv, parseArgs } = require('../simulate');
+
+test('seededRandom repeats the same sequence for the same seed', () => {
+    const draw = (random, n) => Array.from({ length: n }, () => random());
+    const first = draw(seededRandom(7), 100);
+    assert.deepStrictEqual(draw(seededRandom(7), 100), first);
+    assert.notDeepStrictEqual(draw(seededRandom(8), 100), first);
+    assert.ok(first.every(value => value >= 0 && value < 1));
+});
+
+test('simulate gives the same report for the same seed', async () => {
+    // The module strategy picks with Math.random, which simulate seeds too
+    const strategies = () => ['random', 'greedy', path.join(__dirname, '../players/random.js')].map(loadStrategy);
+    const run = seed => simulate({ strategies: strategies(), games: 6, seed });
+    const report = await run(3);
+    assert.deepStrictEqual(await run(3), report);
+    assert.notDeepStrictEqual(await run(4), report);
+});
+
+test('simulate restores Math.random after the games', async () => {
+    const realRandom = Math.random;
+    await simulate({ strategies: ['random', 'greedy'].map(loadStrategy), games: 2 });
+    assert.strictEqual(Math.random, realRandom);
+});
+
+test('simulate reports every pair from both points of view', async () => {
+    const strategies = ['random', 'greedy', 'minimax:1'].map(loadStrategy);
+    const report = await simulate({ strategies, games: 4, seed: 1, variant: 'kalah-6-6' });
+    assert.strictEqual(report.variant, 'kalah-6-6');
+    assert.deepStrictEqual(report.pairs.map(row => [row.strategy, row.opponent]), [
+        ['random', 'greedy'], ['random', 'minimax:1'], ['greedy', 'minimax:1']
+    ]);
+    for (const row of report.pairs) {
+        assert.strictEqual(row.games, 4);
+        assert.strictEqual(row.wins + row.draws + row.losses, 4);
+        assert.ok(row.scoreLow <= row.score && row.score <= row.scoreHigh);
+    }
+    for (const row of report.strategies) assert.strictEqual(row.games, 8);
+    const wins = report.strategies.reduce((sum, row) => sum + row.wins, 0);
+    const losses = report.strategies.reduce((sum, row) => sum + row.losses, 0);
+    assert.strictEqual(wins, losses);
+});
+
+test('simulate counts games over the move limit as draws', async () => {
+    const report = await simulate({ strategies: ['random', 'greedy'].map(loadStrategy), games: 2, maxMoves: 3 });
+    assert.strictEqual(report.pairs[0].draws, 2);
+    assert.strictEqual(report.pairs[0].moveLimitGames, 2);
+});
+
+test('simulate rejects an illegal move from a strategy module', async () => {
+    const strategies = [loadStrategy('random'), { name: 'cheat', chooseMove: () => 6 }];
+    await assert.rejects(simulate({ strategies, games: 1 }), /cheat chose an illegal pit on move/);
+});
+
+test('loadStrategy only lets minimax take a depth', () => {
+    assert.strictEqual(loadStrategy('minimax:3').name, 'minimax:3');
+    assert.throws(() => loadStrategy('greedy:2'), /only minimax takes a depth/);
+    assert.throws(() => loadStrategy('minimax:99'), /only minimax takes a depth/);
+});
+
+test('toCsv quotes values with commas, quotes or newlines', () => {
+    const row = {
+        strategy: 'bots/a,b.js', opponent: 'say "hi"', games: 2, wins: 1, draws: 0, losses: 1,
+        score: 0.5, scoreLow: 0.1, scoreHigh: 0.9, averageMargin: 0, averageMoves: 30, firstSeatScore: 1, moveLimitGames: 0
+    };
+    const csv = toCsv({ variant: 'kalah-6-4', seed: 1, pairs: [row, { ...row, strategy: 'two\nlines' }] });
+    assert.strictEqual(csv, [
+        'variant,seed,strategy,opponent,games,wins,draws,losses,score,scoreLow,scoreHigh,averageMargin,averageMoves,firstSeatScore,moveLimitGames',
+        'kalah-6-4,1,"bots/a,b.js","say ""hi""",2,1,0,1,0.5,0.1,0.9,0,30,1,0',
+        'kalah-6-4,1,"two\nlines","say ""hi""",2,1,0,1,0.5,0.1,0.9,0,30,1,0',
+        ''
+    ].join('\n'));
+});
+
+test('parseArgs reads options and strategies', () => {
+    assert.deepStrictEqual(parseArgs(['--games', '50', 'greedy', '--seed', '0', '--variant', 'oware', 'minimax:2', '--format', 'csv', '--out', 'r.csv', '--max-moves', '200']), {
+        format: 'csv',
+        strategies: ['greedy', 'minimax:2'],
+        games: 50,
+        seed: 0,
+        variant: 'oware',
+        out: 'r.csv',
+        maxMoves: 200
+    });
+    assert.deepStrictEqual(parseArgs(['random', '-h']), { help: true });
+});
+
+test('parseArgs rejects bad options', () => {
+    assert.throws(() => parseArgs(['--games', '0']), /--games must be a whole number/);
+    assert.throws(() => parseArgs(['--seed', '1.5']), /--seed must be a whole number/);
+    assert.throws(() => parseArgs(['--format', 'xml']), /--format must be table, json or csv/);
+    assert.throws(() => parseArgs(['--fast']), /Unknown option: --fast/);
+});
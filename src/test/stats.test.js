@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { playerStats } = require('../stats');
+
+const BOARD = new Array(14).fill(0);
+
+// A finished game with the given stores, and moves as [player, pit, extraTurn, captured]
+function finishedGame(id, playerIds, stores, moves = [], extra = {}) {
+    const board = [...BOARD];
+    board[6] = stores[0];
+    board[13] = stores[1];
+    return {
+        id,
+        playerIds,
+        state: { status: 'finished', board, ...extra },
+        history: moves.map(([player, pit, extraTurn = false, captured = 0]) => ({ player, pit, board: BOARD, extraTurn, captured }))
+    };
+}
+
+test('playerStats counts results overall, by seat and against each opponent', () => {
+    const stats = playerStats('a', [
+        finishedGame('g1', ['a', 'b'], [30, 18]),
+        finishedGame('g2', ['b', 'a'], [30, 18]),
+        finishedGame('g3', ['c', 'a'], [24, 24]),
+        finishedGame('g4', ['a', 'b'], [28, 20])
+    ]);
+    assert.deepStrictEqual([stats.games, stats.wins, stats.losses, stats.draws], [4, 2, 1, 1]);
+    assert.deepStrictEqual(stats.bySeat, {
+        first: { games: 2, wins: 2, losses: 0, draws: 0 },
+        second: { games: 2, wins: 0, losses: 1, draws: 1 }
+    });
+    assert.strictEqual(stats.averageMargin, 2);
+    assert.deepStrictEqual(stats.headToHead, [
+        { opponentId: 'b', games: 3, wins: 2, losses: 1, draws: 0, averageMargin: 2.67 },
+        { opponentId: 'c', games: 1, wins: 0, losses: 0, draws: 1, averageMargin: 0 }
+    ]);
+});
+
+test('playerStats leaves out unfinished, aborted and voided games', () => {
+    const active = { ...finishedGame('g2', ['a', 'b'], [0, 0]), state: { status: 'active', board: BOARD } };
+    const stats = playerStats('a', [
+        finishedGame('g1', ['a', 'b'], [30, 18]),
+        active,
+        finishedGame('g3', ['a', 'b'], [0, 0], [], { reason: 'aborted' }),
+        { ...finishedGame('g4', ['a', 'b'], [18, 30]), voided: true }
+    ]);
+    assert.deepStrictEqual([stats.games, stats.wins, stats.losses], [1, 1, 0]);
+});
+
+test('playerStats follows a result decided other than on the board', () => {
+    const stats = playerStats('a', [finishedGame('g1', ['a', 'b'], [30, 10], [], { reason: 'resigned', winner: 1 })]);
+    assert.deepStrictEqual([stats.wins, stats.losses], [0, 1]);
+    assert.strictEqual(stats.averageMargin, 20);
+});
+
+test('playerStats tallies extra turns and captures on both sides', () => {
+    const stats = playerStats('a', [
+        finishedGame('g1', ['a', 'b'], [30, 18], [['a', 2, true], ['a', 4, false, 5], ['b', 9, false, 3], ['a', 0]]),
+        finishedGame('g2', ['b', 'a'], [18, 30], [['b', 1, false, 2], ['a', 7, true]])
+    ]);
+    assert.deepStrictEqual([stats.moves, stats.extraTurns, stats.extraTurnRate], [4, 2, 0.5]);
+    assert.deepStrictEqual(stats.captures, {
+        made: { count: 1, seeds: 5, perGame: 0.5 },
+        conceded: { count: 2, seeds: 5, perGame: 1 }
+    });
+});
+
+test('playerStats counts openings from the player\'s own side, most played first', () => {
+    const stats = playerStats('a', [
+        finishedGame('g1', ['a', 'b'], [30, 18], [['a', 2], ['b', 9]]),
+        finishedGame('g2', ['b', 'a'], [18, 30], [['b', 4], ['a', 9]]),
+        finishedGame('g3', ['b', 'a'], [30, 18], [['b', 4], ['a', 9]]),
+        finishedGame('g4', ['a', 'b'], [24, 24], [['a', 5]])
+    ]);
+    assert.deepStrictEqual(stats.openings, [
+        { seat: 'second', pit: 2, games: 2, wins: 1, losses: 1, draws: 0 },
+        { seat: 'first', pit: 2, games: 1, wins: 1, losses: 0, draws: 0 },
+        { seat: 'first', pit: 5, games: 1, wins: 0, losses: 0, draws: 1 }
+    ]);
+});
+
+test('playerStats has no rates for a player with no games', () => {
+    const stats = playerStats('a', []);
+    assert.deepStrictEqual([stats.games, stats.averageMargin, stats.extraTurnRate], [0, null, null]);
+    assert.deepStrictEqual([stats.openings, stats.headToHead], [[], []]);
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { createMemoryStorage, createDynamoStorage } = require('../storage');
+
+function game(id, playerIds, fields = {}) {
+    return { id, turnId: `${id}-t1`, playerIds, state: { status: 'active' }, history: [], ...fields };
+}
+
+/**
+ * What every backend must do, checked against a fresh storage from
+ * `create()` for each test.
+ */
+function storageContract(name, create) {
+    const contract = (title, fn) => test(`${name}: ${title}`, async () => {
+        const storage = await create();
+        try {
+            await fn(storage);
+        } finally {
+            await storage.close();
+        }
+    });
+
+    contract('players are stored, found and updated', async storage => {
+        assert.strictEqual(await storage.getPlayer('a'), null);
+        await storage.putPlayer({ id: 'a', score: 1200, passwordKey: 'key-a' });
+        await storage.putPlayer({ id: 'b', score: 1300 });
+        await storage.updatePlayer('a', { score: 1216, wins: 1 });
+        assert.deepStrictEqual(await storage.getPlayer('a'), { id: 'a', score: 1216, wins: 1, passwordKey: 'key-a' });
+        assert.strictEqual((await storage.findPlayerByPasswordKey('key-a')).id, 'a');
+        assert.strictEqual(await storage.findPlayerByPasswordKey('nobody'), null);
+        assert.deepStrictEqual((await storage.listPlayers()).map(p => p.id).sort(), ['a', 'b']);
+    });
+
+    contract('updates leave a missing record missing', async storage => {
+        await storage.updatePlayer('ghost', { score: 1 });
+        await storage.updateTournament('ghost', { status: 'running' });
+        await storage.updateMatch('ghost', { status: 'accepted' });
+        await storage.updateArchivedGame('ghost', { voided: true });
+        assert.strictEqual(await storage.updateGame('ghost', { turnId: 'x' }), false);
+        assert.strictEqual(await storage.getPlayer('ghost'), null);
+        assert.strictEqual(await storage.getTournament('ghost'), null);
+        assert.strictEqual(await storage.getMatch('ghost'), null);
+        assert.strictEqual(await storage.getArchivedGame('ghost'), null);
+        assert.strictEqual(await storage.getGame('ghost'), null);
+    });
+
+    contract('records are copies, not shared with the store', async storage => {
+        const player = { id: 'a', pools: { oware: { score: 1200 } } };
+        await storage.putPlayer(player);
+        player.pools.oware.score = 0;
+        (await storage.getPlayer('a')).pools.oware.score = 0;
+        assert.strictEqual((await storage.getPlayer('a')).pools.oware.score, 1200);
+    });
+
+    contract('the matchmaking pool keeps fields until they are replaced', async storage => {
+        await storage.addActivePlayer('a', { variant: 'oware', queuedAt: 'then' });
+        await storage.addActivePlayer('a', { queuedAt: null });
+        await storage.addActivePlayer('b');
+        assert.deepStrictEqual(
+            (await storage.listActivePlayers()).sort((x, y) => x.id.localeCompare(y.id)),
+            [{ id: 'a', variant: 'oware', queuedAt: null }, { id: 'b' }]
+        );
+        await storage.removeActivePlayer('a');
+        await storage.removeActivePlayer('nobody');
+        assert.deepStrictEqual((await storage.listActivePlayers()).map(p => p.id), ['b']);
+    });
+
+    contract('games are found by player and by current turn', async storage => {
+        await storage.putGame(game('g1', ['a', 'b']));
+        await storage.putGame(game('g2', ['b', 'c'], { state: { status: 'finished' } }));
+        assert.deepStrictEqual((await storage.listGamesForPlayer('b')).map(g => g.id).sort(), ['g1', 'g2']);
+        assert.deepStrictEqual((await storage.listActiveGames()).map(g => g.id), ['g1']);
+        assert.strictEqual((await storage.getGameByTurnId('g1-t1')).id, 'g1');
+        assert.strictEqual(await storage.getGameByTurnId('unknown'), null);
+    });
+
+    contract('updateGame only applies while the game has the expected turnId', async storage => {
+        await storage.putGame(game('g1', ['a', 'b']));
+        assert.strictEqual(await storage.updateGame('g1', { turnId: 't2', lastTurnId: 'g1-t1' }, { expectedTurnId: 'g1-t1' }), true);
+        assert.strictEqual(await storage.updateGame('g1', { turnId: 't3' }, { expectedTurnId: 'g1-t1' }), false);
+        assert.strictEqual(await storage.updateGame('g1', { note: 'x' }), true);
+        const stored = await storage.getGame('g1');
+        assert.deepStrictEqual([stored.turnId, stored.note], ['t2', 'x']);
+        assert.strictEqual((await storage.getGameByLastTurnId('g1-t1')).id, 'g1');
+    });
+
+    contract('archived games move out of the active games and stay findable', async storage => {
+        await storage.putGame(game('g1', ['a', 'b']));
+        await storage.archiveGame({ ...game('g1', ['a', 'b']), lastTurnId: 'g1-t0', state: { status: 'finished' } });
+        assert.strictEqual(await storage.getGame('g1'), null);
+        assert.deepStrictEqual(await storage.listGamesForPlayer('a'), []);
+        assert.deepStrictEqual((await storage.listArchivedGamesForPlayer('a')).map(g => g.id), ['g1']);
+        assert.strictEqual((await storage.getGameByLastTurnId('g1-t0')).id, 'g1');
+        await storage.updateArchivedGame('g1', { voided: true });
+        assert.strictEqual((await storage.getArchivedGame('g1')).voided, true);
+    });
+
+    contract('tournaments and matches are stored and updated', async storage => {
+        await storage.putTournament({ id: 't1', status: 'open', playerIds: [] });
+        await storage.updateTournament('t1', { status: 'running' });
+        assert.strictEqual((await storage.getTournament('t1')).status, 'running');
+        assert.deepStrictEqual((await storage.listTournaments()).map(t => t.id), ['t1']);
+
+        await storage.putMatch({ id: 'm1', status: 'pending' });
+        await storage.updateMatch('m1', { status: 'accepted' });
+        assert.strictEqual((await storage.getMatch('m1')).status, 'accepted');
+        assert.deepStrictEqual((await storage.listMatches()).map(m => m.id), ['m1']);
+    });
+
+    contract('rating snapshots are listed per player, oldest first', async storage => {
+        await storage.addRatingSnapshot({ id: 's2', playerId: 'a', timestamp: '2026-01-02T00:00:00.000Z' });
+        await storage.addRatingSnapshot({ id: 's1', playerId: 'a', timestamp: '2026-01-01T00:00:00.000Z' });
+        await storage.addRatingSnapshot({ id: 's3', playerId: 'b', timestamp: '2026-01-03T00:00:00.000Z' });
+        assert.deepStrictEqual((await storage.listRatingSnapshots('a')).map(s => s.id), ['s1', 's2']);
+        assert.deepStrictEqual(await storage.listRatingSnapshots('nobody'), []);
+    });
+
+    contract('seasons and audit entries are kept', async storage => {
+        await storage.putSeason({ id: 'x', name: 'January' });
+        await storage.putSeason({ id: 'x', name: 'February' });
+        assert.strictEqual((await storage.getSeason('x')).name, 'February');
+        assert.strictEqual((await storage.listSeasons()).length, 1);
+        await storage.addAuditEntry({ id: 'e1', action: 'ban' });
+        assert.deepStrictEqual(await storage.listAuditEntries(), [{ id: 'e1', action: 'ban' }]);
+    });
+}
+
+storageContract('memory', async () => {
+    const storage = createMemoryStorage();
+    await storage.init();
+    return storage;
+});
+
+// The same contract through a file: each test's storage is written out and read back in
+storageContract('memory with a file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mancala-')), 'store.json');
+    const first = createMemoryStorage({ file });
+    await first.init();
+    const reopen = async () => {
+        await first.close();
+        const second = createMemoryStorage({ file });
+        await second.init();
+        return second;
+    };
+    // Write through the first and read through a reopened copy
+    return new Proxy(first, {
+        get: (target, method) => (/^(get|list|find)/.test(String(method))
+            ? async (...args) => (await reopen())[method](...args)
+            : target[method])
+    });
+});
+
+test('memory with a file: close writes out changes not yet saved', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mancala-')), 'store.json');
+    const storage = createMemoryStorage({ file });
+    await storage.init();
+    await storage.putPlayer({ id: 'a', score: 1200 });
+    assert.strictEqual(fs.existsSync(file), false, 'saves are batched');
+    await storage.close();
+    const reopened = createMemoryStorage({ file });
+    await reopened.init();
+    assert.deepStrictEqual(await reopened.getPlayer('a'), { id: 'a', score: 1200 });
+});
+
+test('dynamodb: updates only apply to existing records', async t => {
+    const sent = [];
+    t.mock.method(DynamoDBDocumentClient.prototype, 'send', async command => {
+        sent.push(command.input);
+        const error = new Error('The conditional request failed');
+        error.name = 'ConditionalCheckFailedException';
+        throw error;
+    });
+    const storage = createDynamoStorage();
+    await storage.updatePlayer('ghost', { score: 1 });
+    await storage.updateTournament('ghost', { status: 'running' });
+    await storage.updateMatch('ghost', { status: 'accepted' });
+    await storage.updateArchivedGame('ghost', { voided: true });
+    assert.strictEqual(await storage.updateGame('ghost', { turnId: 'x' }, { expectedTurnId: 'old' }), false);
+
+    assert.deepStrictEqual(sent.map(input => input.TableName), ['Players', 'Tournaments', 'Matches', 'GameArchive', 'ActiveGames']);
+    for (const input of sent) assert.match(input.ConditionExpression, /^attribute_exists\(#id\)/);
+    assert.strictEqual(sent[4].ConditionExpression, 'attribute_exists(#id) AND #turnId = :expectedTurnId');
+    assert.strictEqual(sent[4].ExpressionAttributeValues[':expectedTurnId'], 'old');
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rules = require('../rules');
+const { VARIANTS, initialBoard } = require('../variants');
+const { STRATEGIES, DEFAULT_DEPTH, greedyMove, minimaxMove, chooseMove } = require('../strategies');
+const { parseHouseBots } = require('../houseBots');
+
+// Small deterministic generator, so a failure can be reproduced
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+// Tie-break values spread over [0, 1), to try every way a tie can go
+const TIE_BREAKS = Array.from({ length: 10 }, (_, i) => () => i / 10);
+
+test('every strategy returns a legal move throughout a game', () => {
+    for (const variant of [VARIANTS['kalah-6-4'], VARIANTS.oware]) {
+        const next = random(42);
+        let board = initialBoard(variant);
+        let side = 0;
+        for (let finished = false; !finished;) {
+            // Strategies play seat 0, so hand them the board the way a player sees it
+            const view = side === 0 ? board : rules.flipBoard(board);
+            for (const strategy of STRATEGIES) {
+                const pit = chooseMove(view, variant, { strategy, depth: 2, random: next });
+                assert.ok(rules.legalMoves(view, 0).includes(pit), `${strategy} played ${pit} in ${variant.name}`);
+            }
+            const legal = rules.legalMoves(board, side);
+            ({ board, nextSide: side, finished } = rules.applyMove(board, side, legal[Math.floor(next() * legal.length)], variant));
+        }
+    }
+});
+
+test('greedy takes the extra turn on the opening move', () => {
+    const board = initialBoard(VARIANTS['kalah-6-4']);
+    for (const tieBreak of TIE_BREAKS) assert.strictEqual(greedyMove(board, {}, tieBreak), 2);
+});
+
+test('greedy takes a capture over a seed in the store', () => {
+    // Pit 0 lands in empty pit 1 opposite 9 seeds; pit 4 passes one seed into the store
+    const board = [1, 0, 0, 0, 3, 0, 0, 0, 0, 0, 0, 9, 0, 0];
+    for (const tieBreak of TIE_BREAKS) assert.strictEqual(greedyMove(board, {}, tieBreak), 0);
+});
+
+test('minimax finds a forced win at depth 2 that greedy play misses', () => {
+    // Pit 1 leaves the opponent one move, which ends the game in seat 0's favour;
+    // pit 4 adds a seed to the store now but lets the opponent play on
+    const board = [0, 1, 0, 0, 2, 0, 19, 0, 0, 0, 0, 0, 2, 6];
+    for (const tieBreak of TIE_BREAKS) {
+        assert.strictEqual(greedyMove(board, {}, tieBreak), 4);
+        assert.strictEqual(minimaxMove(board, {}, tieBreak, 1), 4);
+        assert.strictEqual(minimaxMove(board, {}, tieBreak, 2), 1);
+    }
+});
+
+test('chooseMove rejects an unknown strategy', () => {
+    assert.throws(() => chooseMove(initialBoard(VARIANTS['kalah-6-4']), {}, { strategy: 'psychic' }), /Unknown strategy: psychic/);
+});
+
+test('parseHouseBots reads strategies, depths and think times', () => {
+    assert.deepStrictEqual(parseHouseBots('random, minimax:6@1000,greedy@0,minimax', 300), [
+        { id: 'house-random', strategy: 'random', depth: null, thinkMs: 300 },
+        { id: 'house-minimax-6', strategy: 'minimax', depth: 6, thinkMs: 1000 },
+        { id: 'house-greedy', strategy: 'greedy', depth: null, thinkMs: 0 },
+        { id: `house-minimax-${DEFAULT_DEPTH}`, strategy: 'minimax', depth: DEFAULT_DEPTH, thinkMs: 300 }
+    ]);
+    assert.strictEqual(parseHouseBots('').length, 0);
+    assert.deepStrictEqual(parseHouseBots().map(bot => bot.id), ['house-random', 'house-greedy', 'house-minimax-2', 'house-minimax-4']);
+});
+
+test('parseHouseBots rejects bad entries', () => {
+    assert.throws(() => parseHouseBots('psychic'), /Invalid house bot "psychic"/);
+    assert.throws(() => parseHouseBots('greedy:3'), /only minimax takes a depth/);
+    assert.throws(() => parseHouseBots('minimax:0'), /depth must be from 1 to/);
+    assert.throws(() => parseHouseBots('minimax:9'), /depth must be from 1 to/);
+    assert.throws(() => parseHouseBots('minimax:x'), /Invalid house bot/);
+    assert.throws(() => parseHouseBots('minimax:4,minimax'), /house-minimax-4 is listed twice/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const timeControls = require('../timeControls');
+
+const START = Date.parse('2026-01-01T12:00:00.000Z');
+const BOARD = [4, 4, 4, 4, 4, 4, 0, 4, 4, 4, 4, 4, 4, 0];
+
+// An active game with `turn` to move, whose turn started at START
+function clockedGame(timeControl, { turn = 'a', remainingMs } = {}) {
+    const clock = timeControls.startClock(timeControl, START);
+    if (remainingMs) clock.remainingMs = remainingMs;
+    return { playerIds: ['a', 'b'], timeControl, clock, state: { status: 'active', turn, board: BOARD } };
+}
+
+const MOVE = timeControls.resolveTimeControl({ type: 'move', seconds: 30 });
+const FISCHER = timeControls.resolveTimeControl({ type: 'fischer', initialSeconds: 60, incrementSeconds: 5 });
+
+test('resolveTimeControl fills in defaults', () => {
+    assert.deepStrictEqual(timeControls.resolveTimeControl(), timeControls.DEFAULT_TIME_CONTROL);
+    assert.deepStrictEqual(MOVE, { type: 'move', seconds: 30, onTimeout: 'forfeit' });
+    assert.deepStrictEqual(
+        timeControls.resolveTimeControl({ type: 'fischer', initialSeconds: 60, onTimeout: 'auto-move' }),
+        { type: 'fischer', initialSeconds: 60, incrementSeconds: 0, onTimeout: 'auto-move' }
+    );
+});
+
+test('resolveTimeControl rejects malformed time controls', () => {
+    assert.throws(() => timeControls.resolveTimeControl('60'), /must be an object/);
+    assert.throws(() => timeControls.resolveTimeControl({ type: 'hourglass' }), /type must be/);
+    assert.throws(() => timeControls.resolveTimeControl({ type: 'move', seconds: 0 }), /positive/);
+    assert.throws(() => timeControls.resolveTimeControl({ type: 'fischer', initialSeconds: 60, incrementSeconds: -1 }), /zero or more/);
+    assert.throws(() => timeControls.resolveTimeControl({ type: 'move', seconds: 5, onTimeout: 'pause' }), /onTimeout/);
+});
+
+test('startClock gives each side the initial time only on a Fischer clock', () => {
+    assert.deepStrictEqual(timeControls.startClock(MOVE, START), { turnStartedAt: '2026-01-01T12:00:00.000Z', remainingMs: null });
+    assert.deepStrictEqual(timeControls.startClock(FISCHER, START).remainingMs, [60000, 60000]);
+});
+
+test('isExpired once the player to move is past their deadline', () => {
+    const game = clockedGame(MOVE);
+    assert.strictEqual(timeControls.deadline(game), START + 30000);
+    assert.strictEqual(timeControls.isExpired(game, START + 30000), false);
+    assert.strictEqual(timeControls.isExpired(game, START + 30001), true);
+    assert.strictEqual(timeControls.isExpired({ ...game, state: { ...game.state, status: 'finished' } }, START + 60000), false);
+    assert.strictEqual(timeControls.isExpired({ ...game, timeControl: null, clock: null }, START + 60000), false);
+});
+
+test('isExpired goes by the time left on the mover\'s Fischer clock', () => {
+    const game = clockedGame(FISCHER, { turn: 'b', remainingMs: [60000, 2000] });
+    assert.strictEqual(timeControls.isExpired(game, START + 2001), true);
+    assert.strictEqual(timeControls.isExpired({ ...game, state: { ...game.state, turn: 'a' } }, START + 2001), false);
+});
+
+test('pressClock records the move time and starts the next turn', () => {
+    const pressed = timeControls.pressClock(clockedGame(MOVE), 0, START + 12000);
+    assert.deepStrictEqual(pressed, {
+        clock: { turnStartedAt: '2026-01-01T12:00:12.000Z', remainingMs: null },
+        elapsedMs: 12000,
+        remainingMs: 18000
+    });
+});
+
+test('pressClock takes the move time off a Fischer clock and adds the increment', () => {
+    const game = clockedGame(FISCHER, { turn: 'b', remainingMs: [60000, 20000] });
+    const pressed = timeControls.pressClock(game, 1, START + 8000);
+    assert.strictEqual(pressed.remainingMs, 17000);
+    assert.deepStrictEqual(pressed.clock.remainingMs, [60000, 17000]);
+    assert.deepStrictEqual(game.clock.remainingMs, [60000, 20000], 'the game\'s clock is left as it was');
+});
+
+test('pressClock has nothing to do for a game without a clock', () => {
+    assert.deepStrictEqual(timeControls.pressClock({ timeControl: null, clock: null }, 0), { clock: null, elapsedMs: null, remainingMs: null });
+});
+
+test('turnClock shows the time left, never below zero, and the opponent\'s clock', () => {
+    const game = clockedGame(FISCHER, { remainingMs: [10000, 45000] });
+    assert.deepStrictEqual(timeControls.turnClock(game, 0, START + 4000), {
+        type: 'fischer',
+        remainingMs: 6000,
+        deadline: '2026-01-01T12:00:10.000Z',
+        opponentRemainingMs: 45000,
+        incrementMs: 5000
+    });
+    assert.strictEqual(timeControls.turnClock(game, 0, START + 15000).remainingMs, 0);
+    assert.strictEqual(timeControls.turnClock({ ...game, timeControl: null }, 0), null);
+});
+
+test('timeoutAction forfeits the game to the opponent', () => {
+    assert.deepStrictEqual(timeControls.timeoutAction(clockedGame(MOVE, { turn: 'b' })), { state: { winner: 0, reason: 'timeout' } });
+});
+
+test('timeoutAction picks a legal move for an auto-move time control', () => {
+    const autoMove = { ...MOVE, onTimeout: 'auto-move' };
+    const game = { ...clockedGame(autoMove, { turn: 'b' }), state: { status: 'active', turn: 'b', board: [0, 0, 0, 0, 0, 1, 20, 0, 3, 0, 0, 2, 0, 18] } };
+    assert.deepStrictEqual(timeControls.timeoutAction(game, () => 0), { pit: 8 });
+    assert.deepStrictEqual(timeControls.timeoutAction(game, () => 0.99), { pit: 11 });
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const tournaments = require('../tournaments');
+const { createMemoryStorage } = require('../storage');
+const { resolveVariant } = require('../variants');
+const { resolveTimeControl } = require('../timeControls');
+
+// A finished game with only the stores left on the board
+function finishedGame(id, playerIds, stores) {
+    return {
+        id,
+        playerIds,
+        state: { status: 'finished', board: [0, 0, 0, 0, 0, 0, stores[0], 0, 0, 0, 0, 0, 0, stores[1]] }
+    };
+}
+
+// Every pair in a schedule, as sorted 'a-b' strings
+function pairsOf(rounds) {
+    return rounds.flat().filter(([, b]) => b !== null).map(pair => [...pair].sort().join('-'));
+}
+
+test('roundRobinSchedule has everyone meet everyone once, one game a round', () => {
+    const rounds = tournaments.roundRobinSchedule(['a', 'b', 'c', 'd']);
+    assert.strictEqual(rounds.length, 3);
+    for (const round of rounds) {
+        assert.deepStrictEqual(round.flat().sort(), ['a', 'b', 'c', 'd']);
+    }
+    assert.deepStrictEqual(pairsOf(rounds).sort(), ['a-b', 'a-c', 'a-d', 'b-c', 'b-d', 'c-d']);
+});
+
+test('roundRobinSchedule gives each player one bye with an odd field', () => {
+    const rounds = tournaments.roundRobinSchedule(['a', 'b', 'c', 'd', 'e']);
+    assert.strictEqual(rounds.length, 5);
+    const byes = rounds.map(round => round.filter(([, b]) => b === null));
+    byes.forEach(bye => assert.strictEqual(bye.length, 1));
+    assert.deepStrictEqual(byes.map(([[player]]) => player).sort(), ['a', 'b', 'c', 'd', 'e']);
+    assert.strictEqual(new Set(pairsOf(rounds)).size, 10);
+});
+
+test('swissPairs pairs neighbours in the standings', () => {
+    assert.deepStrictEqual(tournaments.swissPairs(['a', 'b', 'c', 'd'], new Map(), new Set()), [['a', 'b'], ['c', 'd']]);
+});
+
+test('swissPairs avoids rematches', () => {
+    const met = new Map([['a', new Set(['b'])], ['b', new Set(['a'])]]);
+    assert.deepStrictEqual(tournaments.swissPairs(['a', 'b', 'c', 'd'], met, new Set()), [['a', 'c'], ['b', 'd']]);
+});
+
+test('swissPairs falls back to neighbours when a rematch is unavoidable', () => {
+    const met = new Map([['a', new Set(['b'])], ['b', new Set(['a'])]]);
+    assert.deepStrictEqual(tournaments.swissPairs(['a', 'b'], met, new Set()), [['a', 'b']]);
+});
+
+test('swissPairs gives the bye to the lowest-ranked player without one', () => {
+    const pairs = tournaments.swissPairs(['a', 'b', 'c', 'd', 'e'], new Map(), new Set(['e']));
+    assert.deepStrictEqual(pairs, [['a', 'b'], ['c', 'e'], ['d', null]]);
+});
+
+test('knockoutPairs gives the top seeds byes and pairs best against worst', () => {
+    assert.deepStrictEqual(tournaments.knockoutPairs(['a', 'b', 'c', 'd']), [['a', 'd'], ['b', 'c']]);
+    assert.deepStrictEqual(tournaments.knockoutPairs(['a', 'b', 'c', 'd', 'e', 'f']), [
+        ['a', null], ['b', null], ['c', 'f'], ['d', 'e']
+    ]);
+});
+
+test('computeStandings ranks by points, then seed differential, then Sonneborn-Berger', () => {
+    const games = [
+        finishedGame('g1', ['a', 'b'], [25, 23]),
+        finishedGame('g2', ['c', 'd'], [25, 23]),
+        finishedGame('g3', ['b', 'd'], [25, 23])
+    ];
+    const tournament = {
+        format: 'swiss',
+        playerIds: ['a', 'b', 'c', 'd'],
+        seeds: ['a', 'b', 'c', 'd'],
+        rounds: [
+            { number: 1, pairings: [{ playerIds: ['a', 'b'], gameIds: ['g1'] }, { playerIds: ['c', 'd'], gameIds: ['g2'] }] },
+            { number: 2, pairings: [{ playerIds: ['b', 'd'], gameIds: ['g3'] }] }
+        ]
+    };
+    const standings = tournaments.computeStandings(tournament, new Map(games.map(g => [g.id, g])));
+    // a and c both won by 2, but a beat b, who went on to score a point
+    assert.deepStrictEqual(standings.map(row => row.playerId), ['a', 'c', 'b', 'd']);
+    assert.deepStrictEqual(standings.map(row => row.points), [1, 1, 1, 0]);
+    assert.deepStrictEqual(standings.map(row => row.seedDiff), [2, 2, 0, -4]);
+    assert.deepStrictEqual(standings.map(row => row.sonnebornBerger), [1, 0, 0, 0]);
+    assert.deepStrictEqual(standings.map(row => row.rank), [1, 2, 3, 4]);
+});
+
+test('computeStandings scores a bye as two wins', () => {
+    const tournament = {
+        format: 'round-robin',
+        playerIds: ['a', 'b', 'c'],
+        seeds: ['a', 'b', 'c'],
+        rounds: [{ number: 1, pairings: [{ playerIds: ['a', 'b'], gameIds: ['g1'] }, { playerIds: ['c'], gameIds: [], bye: true }] }]
+    };
+    const gamesById = new Map([['g1', finishedGame('g1', ['a', 'b'], [24, 24])]]);
+    const standings = tournaments.computeStandings(tournament, gamesById);
+    assert.deepStrictEqual(standings.map(row => [row.playerId, row.points, row.byes]), [['c', 2, 1], ['a', 0.5, 0], ['b', 0.5, 0]]);
+});
+
+async function openTournament(storage, playerCount) {
+    const tournament = tournaments.createTournament({
+        format: 'round-robin',
+        variant: resolveVariant(),
+        timeControl: resolveTimeControl(),
+        createdBy: 'p0'
+    });
+    await storage.putTournament(tournament);
+    const playerIds = Array.from({ length: playerCount }, (_, i) => `p${i}`);
+    for (const id of playerIds) await storage.putPlayer({ id, score: 1200 });
+    return { tournament, playerIds };
+}
+
+test('joinTournament keeps every entry made at once', async () => {
+    const storage = createMemoryStorage();
+    const { tournament, playerIds } = await openTournament(storage, 6);
+    await Promise.all(playerIds.map(id => tournaments.joinTournament(storage, tournament.id, id)));
+    const joined = await storage.getTournament(tournament.id);
+    assert.deepStrictEqual([...joined.playerIds].sort(), playerIds);
+});
+
+test('startTournament starts once, and closes entries', async () => {
+    const storage = createMemoryStorage();
+    const { tournament, playerIds } = await openTournament(storage, 4);
+    for (const id of playerIds) await tournaments.joinTournament(storage, tournament.id, id);
+
+    const [first, second] = await Promise.all([
+        tournaments.startTournament(storage, tournament.id),
+        tournaments.startTournament(storage, tournament.id)
+    ]);
+    assert.strictEqual(first.tournament.status, 'running');
+    assert.strictEqual(first.tournament.rounds.length, 1);
+    assert.strictEqual(second.error, 'Tournament has already started.');
+    assert.strictEqual((await storage.listActiveGames()).length, 4);
+
+    const late = await tournaments.joinTournament(storage, tournament.id, 'late');
+    assert.strictEqual(late.error, 'Tournament has already started.');
+});
+
+test('startTournament needs two players', async () => {
+    const storage = createMemoryStorage();
+    const { tournament } = await openTournament(storage, 1);
+    await tournaments.joinTournament(storage, tournament.id, 'p0');
+    const result = await tournaments.startTournament(storage, tournament.id);
+    assert.strictEqual(result.error, 'A tournament needs at least two players.');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateValue, validate } = require('../validation');
+const { ENDPOINTS } = require('../schemas');
+const { MIN_PASSWORD_LENGTH } = require('../auth');
+
+const PLAYER_ID = '0b8f3c52-4a1e-4d7a-9c61-2f5e8a9d1b34';
+const TURN_ID = '5d2e9a17-8c3b-4f60-a1d4-7b9e0c6f2a85';
+
+// Run an endpoint's validation on a fake request; `next` is null if the request was rejected
+function check(endpoint, { params = {}, query = {}, body } = {}) {
+    const req = { params, query, body };
+    const res = {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(data) {
+            this.body = data;
+            return this;
+        }
+    };
+    let passed = false;
+    validate(endpoint)(req, res, () => { passed = true; });
+    return { req, res, passed };
+}
+
+const messages = errors => errors.map(e => e.message);
+
+test('validateValue checks types, ranges and lengths', () => {
+    assert.deepStrictEqual(validateValue({ type: 'integer', minimum: 0, maximum: 11 }, 4, 'body.pit'), []);
+    assert.deepStrictEqual(messages(validateValue({ type: 'integer', minimum: 0, maximum: 11 }, 12, 'body.pit')), ['body.pit must be an integer from 0 to 11.']);
+    assert.deepStrictEqual(messages(validateValue({ type: 'integer', minimum: 1 }, 1.5, 'query.limit')), ['query.limit must be an integer of at least 1.']);
+    assert.deepStrictEqual(messages(validateValue({ type: 'number', maximum: 1 }, '1', 'x')), ['x must be a number of at most 1.']);
+    assert.deepStrictEqual(messages(validateValue({ type: ['string', 'object'] }, 3, 'x')), ['x must be a string or an object.']);
+    assert.deepStrictEqual(messages(validateValue({ type: 'string', minLength: 2, maxLength: 3 }, 'abcd', 'x')), ['x must be at most 3 characters.']);
+    assert.deepStrictEqual(messages(validateValue({ type: 'string', enum: ['show', 'hide'] }, 'peek', 'x')), ['x must be one of: show, hide.']);
+    assert.deepStrictEqual(messages(validateValue(ENDPOINTS['GET /players/:playerId'].params.playerId, 'nobody', 'params.playerId')), ['params.playerId is not in a valid format.']);
+    assert.deepStrictEqual(messages(validateValue(ENDPOINTS['POST /players/:playerId/turns/:turnId'].params.turnId, 'nope', 'params.turnId')), ['params.turnId must be a UUID.']);
+});
+
+test('validateValue checks objects and arrays all the way down', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            scores: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'integer' } }
+        },
+        required: ['name'],
+        additionalProperties: false
+    };
+    assert.deepStrictEqual(validateValue(schema, { name: 'a', scores: [1, 2] }, 'body'), []);
+    assert.deepStrictEqual(validateValue(schema, { scores: [1, 'two', 3], extra: true }, 'body'), [
+        { path: 'body.name', message: 'body.name is required.' },
+        { path: 'body.scores', message: 'body.scores must have at most 2 items.' },
+        { path: 'body.scores[1]', message: 'body.scores[1] must be an integer.' },
+        { path: 'body.extra', message: 'body.extra is not allowed.' }
+    ]);
+    assert.deepStrictEqual(messages(validateValue(schema, [], 'body')), ['body must be an object.']);
+});
+
+test('validate turns numeric query values into numbers for the route', () => {
+    const { req, passed } = check('GET /players', { query: { limit: '25', offset: '50', provisional: 'hide' } });
+    assert.ok(passed);
+    assert.deepStrictEqual(req.query, { limit: 25, offset: 50, provisional: 'hide' });
+});
+
+test('validate rejects query values that are not numbers or are out of range', () => {
+    const { req, res, passed } = check('GET /players', { query: { limit: '0', offset: 'ten' } });
+    assert.ok(!passed);
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(res.body, {
+        error: 'query.limit must be an integer from 1 to 100. query.offset must be an integer of at least 0.',
+        code: 'VALIDATION_FAILED',
+        details: [
+            { path: 'query.limit', message: 'query.limit must be an integer from 1 to 100.' },
+            { path: 'query.offset', message: 'query.offset must be an integer of at least 0.' }
+        ]
+    });
+    // Values that fail are left as they were sent
+    assert.deepStrictEqual(req.query, { limit: '0', offset: 'ten' });
+    assert.ok(!check('GET /players', { query: { limit: '2.5' } }).passed);
+    assert.ok(!check('GET /players', { query: { limit: '1e2' } }).passed);
+});
+
+test('validate enforces the minimum password length', () => {
+    const short = 'x'.repeat(MIN_PASSWORD_LENGTH - 1);
+    const { res, passed } = check('POST /players', { body: { password: short } });
+    assert.ok(!passed);
+    assert.strictEqual(res.body.error, `body.password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    assert.ok(check('POST /players', { body: { password: 'x'.repeat(MIN_PASSWORD_LENGTH) } }).passed);
+    // Signing up without a password is allowed, with or without a body
+    assert.ok(check('POST /players', {}).passed);
+    assert.ok(check('POST /players', { body: {} }).passed);
+});
+
+test('validate checks params and body together, and reports every problem', () => {
+    const endpoint = 'POST /players/:playerId/turns/:turnId';
+    assert.ok(check(endpoint, { params: { playerId: PLAYER_ID, turnId: TURN_ID }, body: { pit: 3 } }).passed);
+    const { res } = check(endpoint, { params: { playerId: PLAYER_ID, turnId: 'x' }, body: { pit: '3' } });
+    assert.deepStrictEqual(res.body.details.map(d => d.path), ['params.turnId', 'body.pit']);
+    // Bodies are never coerced, unlike query strings
+    assert.strictEqual(res.body.details[1].message, 'body.pit must be an integer from 0 to 11.');
+});
+
+test('validate only accepts endpoints with a schema', () => {
+    for (const endpoint of Object.keys(ENDPOINTS)) assert.strictEqual(typeof validate(endpoint), 'function');
+    assert.throws(() => validate('GET /nowhere'), /No schema for GET \/nowhere/);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rules = require('../rules');
+const { VARIANTS, DEFAULT_VARIANT, resolveVariant, initialBoard } = require('../variants');
+
+const KALAH = VARIANTS['kalah-6-4'];
+const KALAH_6 = VARIANTS['kalah-6-6'];
+const OWARE = VARIANTS.oware;
+
+// Small deterministic generator, so a failure can be reproduced
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+test('resolveVariant gives the default variant without a spec', () => {
+    assert.strictEqual(DEFAULT_VARIANT, 'kalah-6-4');
+    for (const spec of [undefined, null, '']) assert.strictEqual(resolveVariant(spec), KALAH);
+});
+
+test('resolveVariant looks up presets by name', () => {
+    for (const name of Object.keys(VARIANTS)) assert.strictEqual(resolveVariant(name).name, name);
+    assert.throws(() => resolveVariant('chess'), /Unknown variant: chess/);
+});
+
+test('resolveVariant fills a descriptor in from the default and names it by its rules', () => {
+    assert.deepStrictEqual(resolveVariant({ seeds: 6 }), KALAH_6);
+    const custom = resolveVariant({ pitsPerSide: 4, seeds: 3, capture: 'none' });
+    assert.deepStrictEqual(custom, {
+        name: 'custom-4x3-none-owner-stores-noskip',
+        pitsPerSide: 4,
+        seeds: 3,
+        capture: 'none',
+        sweep: 'owner',
+        sowStores: true,
+        skipOrigin: false
+    });
+    assert.deepStrictEqual(resolveVariant(custom.name), custom);
+    const swept = resolveVariant({ ...OWARE, sweep: 'empty-side' });
+    assert.deepStrictEqual(resolveVariant(swept.name), swept);
+});
+
+test('resolveVariant rejects rules out of range', () => {
+    assert.throws(() => resolveVariant({ pitsPerSide: 0 }), /pitsPerSide/);
+    assert.throws(() => resolveVariant({ pitsPerSide: 13 }), /pitsPerSide/);
+    assert.throws(() => resolveVariant({ seeds: 2.5 }), /seeds/);
+    assert.throws(() => resolveVariant({ capture: 'all' }), /capture must be one of/);
+    assert.throws(() => resolveVariant({ sweep: 'nobody' }), /sweep must be one of/);
+    assert.throws(() => resolveVariant({ sowStores: 'yes' }), /booleans/);
+    assert.throws(() => resolveVariant(6), /name or a descriptor/);
+    assert.throws(() => resolveVariant('custom-13x4-opposite-owner-stores-noskip'), /pitsPerSide/);
+});
+
+test('initialBoard fills every pit and leaves the stores empty', () => {
+    assert.deepStrictEqual(initialBoard(KALAH), [4, 4, 4, 4, 4, 4, 0, 4, 4, 4, 4, 4, 4, 0]);
+    assert.deepStrictEqual(initialBoard(KALAH_6), [6, 6, 6, 6, 6, 6, 0, 6, 6, 6, 6, 6, 6, 0]);
+    assert.deepStrictEqual(initialBoard(OWARE), initialBoard(KALAH));
+    assert.deepStrictEqual(initialBoard(resolveVariant({ pitsPerSide: 3, seeds: 2 })), [2, 2, 2, 0, 2, 2, 2, 0]);
+});
+
+test('kalah-6-6 reaches the store from the first pit on the opening move', () => {
+    const result = rules.applyMove(initialBoard(KALAH_6), 0, 0, KALAH_6);
+    assert.strictEqual(result.extraTurn, true);
+    assert.deepStrictEqual(result.board, [0, 7, 7, 7, 7, 7, 1, 6, 6, 6, 6, 6, 6, 0]);
+});
+
+test('oware sows past the stores, so there are no extra turns', () => {
+    const start = initialBoard(OWARE);
+    assert.strictEqual(rules.applyMove(start, 0, 2, KALAH).extraTurn, true);
+    const result = rules.applyMove(start, 0, 2, OWARE);
+    assert.strictEqual(result.extraTurn, false);
+    assert.deepStrictEqual(result.board, [4, 4, 0, 5, 5, 5, 0, 5, 4, 4, 4, 4, 4, 0]);
+});
+
+test('oware captures 2s and 3s on the opponent\'s side, not the opposite pit', () => {
+    // Oware skips the store, so the last seed lands in opponent pit 8, making 3
+    const threes = [0, 0, 0, 0, 0, 2, 0, 4, 2, 4, 4, 4, 4, 0];
+    assert.strictEqual(rules.applyMove(threes, 0, 5, OWARE).captured, 3);
+    assert.strictEqual(rules.applyMove(threes, 0, 5, KALAH).captured, 0);
+
+    // The last seed lands in own empty pit 2, opposite a full pit 10
+    const opposite = [0, 1, 0, 0, 0, 1, 0, 4, 4, 4, 5, 4, 4, 0];
+    assert.strictEqual(rules.applyMove(opposite, 0, 1, KALAH).captured, 6);
+    assert.strictEqual(rules.applyMove(opposite, 0, 1, OWARE).captured, 0);
+});
+
+test('oware skips the pit a lap started from; Kalah sows into it', () => {
+    const board = [13, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1, 0];
+    const oware = rules.applyMove(board, 0, 0, OWARE);
+    assert.strictEqual(oware.board[0], 0);
+    assert.strictEqual(oware.lastIndex, 2);
+    assert.strictEqual(rules.applyMove(board, 0, 0, KALAH).lastIndex, 0);
+});
+
+test('every variant keeps all its seeds and always finishes', () => {
+    const variants = [KALAH, KALAH_6, OWARE, resolveVariant({ pitsPerSide: 4, seeds: 3, sweep: 'empty-side' })];
+    for (const variant of variants) {
+        const next = random(variant.pitsPerSide * 100 + variant.seeds);
+        const total = variant.pitsPerSide * variant.seeds * 2;
+        for (let game = 0; game < 20; game++) {
+            let board = initialBoard(variant);
+            let side = 0;
+            let moves = 0;
+            for (let finished = false; !finished; moves++) {
+                assert.ok(moves < 1000, `${variant.name} game ${game} did not finish`);
+                const legal = rules.legalMoves(board, side);
+                const result = rules.applyMove(board, side, legal[Math.floor(next() * legal.length)], variant);
+                assert.strictEqual(result.board.reduce((a, b) => a + b, 0), total, `${variant.name} lost seeds`);
+                ({ board, nextSide: side, finished } = result);
+            }
+            const [first, second] = rules.scores(board);
+            assert.strictEqual(first + second, total);
+        }
+    }
+});
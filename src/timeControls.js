@@ -0,0 +1,136 @@
+/**
+ * Time controls
+ *
+ * Every game has a time control, one of:
+ *   { type: 'move', seconds }                                a fixed deadline for each move
+ *   { type: 'fischer', initialSeconds, incrementSeconds }    a clock per player that gains
+ *                                                            an increment after each move
+ * and `onTimeout`: 'forfeit' (the player who ran out loses) or 'auto-move'
+ * (a random legal move is played for them).
+ *
+ * The game's `clock` holds when the current turn started and, for Fischer
+ * clocks, each side's remaining time in milliseconds.
+ */
+
+const rules = require('./rules');
+
+const DEFAULT_TIME_CONTROL = { type: 'move', seconds: 60, onTimeout: 'forfeit' };
+
+const TIMEOUT_ACTIONS = ['forfeit', 'auto-move'];
+
+/**
+ * Validate a time control, filling in defaults.
+ * @throws {Error} if the descriptor is malformed
+ */
+function resolveTimeControl(spec) {
+    if (spec == null) return DEFAULT_TIME_CONTROL;
+    if (typeof spec !== 'object') throw new Error('timeControl must be an object.');
+    const onTimeout = spec.onTimeout || DEFAULT_TIME_CONTROL.onTimeout;
+    if (!TIMEOUT_ACTIONS.includes(onTimeout)) {
+        throw new Error(`onTimeout must be one of: ${TIMEOUT_ACTIONS.join(', ')}.`);
+    }
+    const positive = value => typeof value === 'number' && value > 0;
+    if (spec.type === 'move') {
+        if (!positive(spec.seconds)) throw new Error('seconds must be a positive number.');
+        return { type: 'move', seconds: spec.seconds, onTimeout };
+    }
+    if (spec.type === 'fischer') {
+        const incrementSeconds = spec.incrementSeconds || 0;
+        if (!positive(spec.initialSeconds) || typeof incrementSeconds !== 'number' || incrementSeconds < 0) {
+            throw new Error('initialSeconds must be positive and incrementSeconds zero or more.');
+        }
+        return { type: 'fischer', initialSeconds: spec.initialSeconds, incrementSeconds, onTimeout };
+    }
+    throw new Error("timeControl type must be 'move' or 'fischer'.");
+}
+
+// Clock for a game starting at `now`
+function startClock(timeControl, now = Date.now()) {
+    const initialMs = timeControl.type === 'fischer' ? timeControl.initialSeconds * 1000 : null;
+    return {
+        turnStartedAt: new Date(now).toISOString(),
+        remainingMs: initialMs === null ? null : [initialMs, initialMs]
+    };
+}
+
+// Time `side` had left when their current turn started
+function budgetMs(game, side) {
+    const { timeControl, clock } = game;
+    return timeControl.type === 'fischer' ? clock.remainingMs[side] : timeControl.seconds * 1000;
+}
+
+// When the player to move runs out of time, as epoch milliseconds
+function deadline(game) {
+    const side = game.playerIds.indexOf(game.state.turn);
+    return Date.parse(game.clock.turnStartedAt) + budgetMs(game, side);
+}
+
+function isExpired(game, now = Date.now()) {
+    return Boolean(game.timeControl && game.clock) && game.state.status === 'active' && now > deadline(game);
+}
+
+/**
+ * Clock details for a turn response, from `side`'s point of view.
+ */
+function turnClock(game, side, now = Date.now()) {
+    if (!game.timeControl || !game.clock) return null;
+    const elapsed = now - Date.parse(game.clock.turnStartedAt);
+    const clock = {
+        type: game.timeControl.type,
+        remainingMs: Math.max(0, budgetMs(game, side) - elapsed),
+        deadline: new Date(deadline(game)).toISOString()
+    };
+    if (game.timeControl.type === 'fischer') {
+        clock.opponentRemainingMs = game.clock.remainingMs[1 - side];
+        clock.incrementMs = game.timeControl.incrementSeconds * 1000;
+    }
+    return clock;
+}
+
+/**
+ * Stop `side`'s clock after a move at `now` and start the next turn.
+ * @returns {{ clock: object, elapsedMs: number, remainingMs: number }} the new
+ *   game clock, how long the move took and the time the mover has left
+ */
+function pressClock(game, side, now = Date.now()) {
+    if (!game.timeControl || !game.clock) return { clock: null, elapsedMs: null, remainingMs: null };
+    const elapsedMs = now - Date.parse(game.clock.turnStartedAt);
+    let remainingMs = Math.max(0, budgetMs(game, side) - elapsedMs);
+    let remaining = game.clock.remainingMs;
+    if (game.timeControl.type === 'fischer') {
+        remainingMs += game.timeControl.incrementSeconds * 1000;
+        remaining = [...remaining];
+        remaining[side] = remainingMs;
+    }
+    return {
+        clock: { turnStartedAt: new Date(now).toISOString(), remainingMs: remaining },
+        elapsedMs,
+        remainingMs
+    };
+}
+
+/**
+ * What to do about the player to move running out of time, by the game's
+ * `onTimeout`: play `pit` (a random legal move, as a board index) for them,
+ * or end the game with `state` merged into the game's state.
+ * @returns {{ pit: number } | { state: { winner: number, reason: string } }}
+ */
+function timeoutAction(game, random = Math.random) {
+    const side = game.playerIds.indexOf(game.state.turn);
+    if (game.timeControl.onTimeout === 'auto-move') {
+        const moves = rules.legalMoves(game.state.board, side);
+        return { pit: moves[Math.floor(random() * moves.length)] };
+    }
+    return { state: { winner: 1 - side, reason: 'timeout' } };
+}
+
+module.exports = {
+    DEFAULT_TIME_CONTROL,
+    resolveTimeControl,
+    startClock,
+    deadline,
+    isExpired,
+    turnClock,
+    pressClock,
+    timeoutAction
+};
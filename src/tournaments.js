@@ -0,0 +1,451 @@
+/**
+ * Tournaments
+ *
+ * Scheduled brackets in three formats:
+ *   round-robin   everyone plays everyone once (circle method)
+ *   swiss         a fixed number of rounds, pairing players on equal points
+ *   knockout      single elimination, reseeded by rating every round
+ *
+ * Every pairing plays two games so each player gets both seats. A game win
+ * scores 1 point, a draw 0.5; a bye scores as two wins.
+ *
+ * A round's games are only created when the round starts, so the matchmaker
+ * can only hand out turns from the current round. When the last game of a
+ * round finishes the next round is paired, until the tournament is done.
+ */
+
+const { randomUUID } = require('crypto');
+const rules = require('./rules');
+const { createGame, gameResult, loadGame } = require('./games');
+const { getPool } = require('./ratings');
+const events = require('./events');
+const { withLock } = require('./locks');
+
+const FORMATS = ['round-robin', 'swiss', 'knockout'];
+
+// --- PAIRING ---
+
+/**
+ * Full round-robin schedule by the circle method.
+ * @returns {Array<Array<[string, string|null]>>} rounds of pairs; null is a bye
+ */
+function roundRobinSchedule(playerIds) {
+    const players = [...playerIds];
+    if (players.length % 2 === 1) players.push(null);
+    const n = players.length;
+    const rounds = [];
+    for (let r = 0; r < n - 1; r++) {
+        const pairs = [];
+        for (let i = 0; i < n / 2; i++) {
+            // Keep the bye in the second slot
+            const pair = [players[i], players[n - 1 - i]];
+            pairs.push(pair[0] === null ? [pair[1], null] : pair);
+        }
+        rounds.push(pairs);
+        // First player stays put, everyone else rotates one place
+        players.splice(1, 0, players.pop());
+    }
+    return rounds;
+}
+
+// Backtracking search for pairs with no rematches; null if none is found
+// within the step budget
+function pairWithoutRematches(unpaired, previousOpponents, budget) {
+    if (unpaired.length === 0) return [];
+    const [player, ...rest] = unpaired;
+    const met = previousOpponents.get(player) || new Set();
+    for (let i = 0; i < rest.length; i++) {
+        if (met.has(rest[i]) || --budget.steps < 0) continue;
+        const tail = pairWithoutRematches([...rest.slice(0, i), ...rest.slice(i + 1)], previousOpponents, budget);
+        if (tail) return [[player, rest[i]], ...tail];
+    }
+    return null;
+}
+
+/**
+ * Swiss pairs for the next round. `ranked` is the current standings order;
+ * players are paired as close to their rank as possible without a rematch
+ * (falling back to neighbours if that can't be done), and the bye goes to the
+ * lowest-ranked player who hasn't had one.
+ */
+function swissPairs(ranked, previousOpponents, byes) {
+    const unpaired = [...ranked];
+    let byePlayer = null;
+    if (unpaired.length % 2 === 1) {
+        const byeIdx = unpaired.map(id => !byes.has(id)).lastIndexOf(true);
+        [byePlayer] = unpaired.splice(byeIdx === -1 ? unpaired.length - 1 : byeIdx, 1);
+    }
+    let pairs = pairWithoutRematches(unpaired, previousOpponents, { steps: 10000 });
+    if (!pairs) {
+        pairs = [];
+        for (let i = 0; i < unpaired.length; i += 2) pairs.push([unpaired[i], unpaired[i + 1]]);
+    }
+    if (byePlayer) pairs.push([byePlayer, null]);
+    return pairs;
+}
+
+/**
+ * Knockout pairs: best seed against worst seed. In the first round the top
+ * seeds get byes so the rest of the bracket is a power of two.
+ */
+function knockoutPairs(seeded) {
+    let size = 1;
+    while (size < seeded.length) size *= 2;
+    const byeCount = size - seeded.length;
+    const pairs = seeded.slice(0, byeCount).map(id => [id, null]);
+    const playing = seeded.slice(byeCount);
+    for (let i = 0; i < playing.length / 2; i++) {
+        pairs.push([playing[i], playing[playing.length - 1 - i]]);
+    }
+    return pairs;
+}
+
+// --- STANDINGS ---
+
+// Points `side` scored in a finished game: 1 for a win, 0.5 for a draw
+function sideResult(game, side) {
+    const winningSide = gameResult(game);
+    return winningSide === null ? 0.5 : winningSide === side ? 1 : 0;
+}
+
+// Own store minus the opponent's store at the end of a game
+function seedDiff(game, side) {
+    const stores = rules.scores(game.state.board);
+    return stores[side] - stores[1 - side];
+}
+
+/**
+ * Per-player results of a single pairing, from its finished games.
+ * @returns {Map<string, { points: number, seedDiff: number }>}
+ */
+function pairingResults(pairing, gamesById) {
+    const results = new Map(pairing.playerIds.map(id => [id, { points: 0, seedDiff: 0 }]));
+    if (pairing.bye) {
+        results.get(pairing.playerIds[0]).points = 2;
+        return results;
+    }
+    for (const gameId of pairing.gameIds) {
+        const game = gamesById.get(gameId);
+        if (!game || game.state.status !== 'finished') continue;
+        game.playerIds.forEach((id, side) => {
+            const row = results.get(id);
+            row.points += sideResult(game, side);
+            row.seedDiff += seedDiff(game, side);
+        });
+    }
+    return results;
+}
+
+// A pairing is decided once all of its games are finished
+function pairingComplete(pairing, gamesById) {
+    return pairing.bye || pairing.gameIds.every(id => {
+        const game = gamesById.get(id);
+        return game && game.state.status === 'finished';
+    });
+}
+
+// Who goes through from a knockout pairing: points, then seed differential, then seed
+function pairingWinner(tournament, pairing, gamesById) {
+    if (pairing.bye) return pairing.playerIds[0];
+    const results = pairingResults(pairing, gamesById);
+    const [a, b] = pairing.playerIds;
+    const ra = results.get(a);
+    const rb = results.get(b);
+    if (ra.points !== rb.points) return ra.points > rb.points ? a : b;
+    if (ra.seedDiff !== rb.seedDiff) return ra.seedDiff > rb.seedDiff ? a : b;
+    return tournament.seeds.indexOf(a) < tournament.seeds.indexOf(b) ? a : b;
+}
+
+/**
+ * Standings over every game played so far, ranked by points, then store-seed
+ * differential, then Sonneborn-Berger. Knockout standings rank by how far each
+ * player got before any of those.
+ */
+function computeStandings(tournament, gamesById) {
+    const rows = new Map(tournament.playerIds.map(id => [id, {
+        playerId: id,
+        points: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        byes: 0,
+        seedDiff: 0,
+        sonnebornBerger: 0,
+        results: []
+    }]));
+
+    for (const round of tournament.rounds) {
+        for (const pairing of round.pairings) {
+            if (pairing.bye) {
+                const row = rows.get(pairing.playerIds[0]);
+                row.points += 2;
+                row.byes++;
+                continue;
+            }
+            for (const gameId of pairing.gameIds) {
+                const game = gamesById.get(gameId);
+                if (!game || game.state.status !== 'finished') continue;
+                game.playerIds.forEach((id, side) => {
+                    const row = rows.get(id);
+                    const result = sideResult(game, side);
+                    row.points += result;
+                    row.seedDiff += seedDiff(game, side);
+                    if (result === 1) row.wins++;
+                    else if (result === 0) row.losses++;
+                    else row.draws++;
+                    row.results.push({ opponent: game.playerIds[1 - side], result });
+                });
+            }
+        }
+    }
+
+    // Sonneborn-Berger: opponents' points, weighted by the result against them
+    for (const row of rows.values()) {
+        row.sonnebornBerger = row.results.reduce((sum, r) => sum + r.result * rows.get(r.opponent).points, 0);
+        delete row.results;
+    }
+
+    const standings = [...rows.values()];
+    if (tournament.format === 'knockout') {
+        // Furthest round reached; the champion is one past the last round
+        const reached = knockoutReached(tournament, gamesById);
+        standings.forEach(row => { row.roundReached = reached.get(row.playerId); });
+    }
+    standings.sort((a, b) =>
+        (b.roundReached || 0) - (a.roundReached || 0) ||
+        b.points - a.points ||
+        b.seedDiff - a.seedDiff ||
+        b.sonnebornBerger - a.sonnebornBerger
+    );
+    standings.forEach((row, i) => { row.rank = i + 1; });
+    return standings;
+}
+
+function knockoutReached(tournament, gamesById) {
+    const reached = new Map(tournament.playerIds.map(id => [id, 0]));
+    for (const round of tournament.rounds) {
+        for (const pairing of round.pairings) {
+            for (const id of pairing.playerIds) reached.set(id, round.number);
+        }
+    }
+    if (tournament.status === 'finished') {
+        const last = tournament.rounds[tournament.rounds.length - 1];
+        const champion = pairingWinner(tournament, last.pairings[0], gamesById);
+        reached.set(champion, last.number + 1);
+    }
+    return reached;
+}
+
+// --- SCHEDULING ---
+
+async function loadGames(storage, tournament) {
+    const gameIds = tournament.rounds.flatMap(r => r.pairings.flatMap(p => p.gameIds));
+    const games = await Promise.all(gameIds.map(id => loadGame(storage, id)));
+    return new Map(games.filter(Boolean).map(g => [g.id, g]));
+}
+
+// Pairs for the next round, or null if the tournament is over
+function nextPairs(tournament, gamesById) {
+    const roundNumber = tournament.rounds.length + 1;
+    switch (tournament.format) {
+        case 'round-robin': {
+            const schedule = roundRobinSchedule(tournament.seeds);
+            return roundNumber <= schedule.length ? schedule[roundNumber - 1] : null;
+        }
+        case 'swiss': {
+            if (roundNumber > tournament.totalRounds) return null;
+            const standings = computeStandings(tournament, gamesById);
+            // Break ties in the first round (and beyond) by seed
+            const ranked = standings
+                .sort((a, b) => b.points - a.points || tournament.seeds.indexOf(a.playerId) - tournament.seeds.indexOf(b.playerId))
+                .map(row => row.playerId);
+            const previousOpponents = new Map();
+            const byes = new Set();
+            for (const round of tournament.rounds) {
+                for (const pairing of round.pairings) {
+                    if (pairing.bye) {
+                        byes.add(pairing.playerIds[0]);
+                        continue;
+                    }
+                    const [a, b] = pairing.playerIds;
+                    if (!previousOpponents.has(a)) previousOpponents.set(a, new Set());
+                    if (!previousOpponents.has(b)) previousOpponents.set(b, new Set());
+                    previousOpponents.get(a).add(b);
+                    previousOpponents.get(b).add(a);
+                }
+            }
+            return swissPairs(ranked, previousOpponents, byes);
+        }
+        case 'knockout': {
+            let survivors = tournament.seeds;
+            if (tournament.rounds.length > 0) {
+                const last = tournament.rounds[tournament.rounds.length - 1];
+                const winners = new Set(last.pairings.map(p => pairingWinner(tournament, p, gamesById)));
+                survivors = tournament.seeds.filter(id => winners.has(id));
+            }
+            return survivors.length > 1 ? knockoutPairs(survivors) : null;
+        }
+        default:
+            throw new Error(`Unknown tournament format: ${tournament.format}`);
+    }
+}
+
+/**
+ * Pair and create the games for the next round, or finish the tournament if
+ * there are no more rounds. Returns the updated tournament.
+ */
+async function advance(storage, tournament) {
+    const gamesById = await loadGames(storage, tournament);
+    const pairs = nextPairs(tournament, gamesById);
+
+    if (!pairs) {
+        const finished = { ...tournament, status: 'finished', finishedAt: new Date().toISOString() };
+        finished.ranking = computeStandings(finished, gamesById).map(row => row.playerId);
+        await storage.updateTournament(tournament.id, {
+            status: finished.status,
+            finishedAt: finished.finishedAt,
+            ranking: finished.ranking
+        });
+        return finished;
+    }
+
+    const round = { number: tournament.rounds.length + 1, pairings: [] };
+    const games = [];
+    for (const [a, b] of pairs) {
+        if (b === null) {
+            round.pairings.push({ playerIds: [a], gameIds: [], bye: true });
+            continue;
+        }
+        // Both seats: each player moves first once
+        const settings = { variant: tournament.variant, timeControl: tournament.timeControl, tournamentId: tournament.id, round: round.number };
+        const first = createGame({ playerIds: [a, b], ...settings });
+        const second = createGame({ playerIds: [b, a], ...settings });
+        games.push(first, second);
+        round.pairings.push({ playerIds: [a, b], gameIds: [first.id, second.id], bye: false });
+    }
+    await Promise.all(games.map(game => storage.putGame(game)));
+    games.forEach(game => events.gameStarted(game));
+
+    const rounds = [...tournament.rounds, round];
+    await storage.updateTournament(tournament.id, { rounds, currentRound: round.number });
+    const updated = { ...tournament, rounds, currentRound: round.number };
+
+    // A round of nothing but byes is complete straight away
+    if (games.length === 0) return advance(storage, updated);
+    return updated;
+}
+
+// --- LIFECYCLE ---
+
+function createTournament({ name, format, variant, timeControl, rounds, createdBy }) {
+    return {
+        id: randomUUID(),
+        name: name || 'Tournament',
+        createdBy,
+        format,
+        variant,
+        timeControl,
+        totalRounds: format === 'swiss' ? rounds || null : null,
+        status: 'open',
+        playerIds: [],
+        seeds: [],
+        rounds: [],
+        currentRound: 0,
+        ranking: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+}
+
+/**
+ * Enter a player into an open tournament. Under the tournament's lock, so
+ * entries made at the same time are all kept and none gets in after the
+ * start.
+ * @returns {Promise<{ tournament: object } | { error: string }>}
+ */
+async function joinTournament(storage, tournamentId, playerId) {
+    return withLock(tournamentId, async () => {
+        const tournament = await storage.getTournament(tournamentId);
+        if (tournament.status !== 'open') return { error: 'Tournament has already started.' };
+        if (!tournament.playerIds.includes(playerId)) {
+            tournament.playerIds.push(playerId);
+            await storage.updateTournament(tournament.id, { playerIds: tournament.playerIds });
+        }
+        return { tournament };
+    });
+}
+
+/**
+ * Close entries, seed players by rating in the tournament's variant and
+ * start the first round. The tournament is read again under its lock, so
+ * of two starts at once only the first goes through.
+ * @returns {Promise<{ tournament: object } | { error: string }>}
+ */
+async function startTournament(storage, tournamentId) {
+    return withLock(tournamentId, async () => {
+        const tournament = await storage.getTournament(tournamentId);
+        if (tournament.status !== 'open') return { error: 'Tournament has already started.' };
+        if (tournament.playerIds.length < 2) return { error: 'A tournament needs at least two players.' };
+        const players = await Promise.all(tournament.playerIds.map(id => storage.getPlayer(id)));
+        const seeds = players
+            .filter(Boolean)
+            .sort((a, b) => getPool(b, tournament.variant.name).score - getPool(a, tournament.variant.name).score)
+            .map(p => p.id);
+        const started = {
+            ...tournament,
+            status: 'running',
+            seeds,
+            startedAt: new Date().toISOString()
+        };
+        if (started.format === 'swiss' && !started.totalRounds) {
+            started.totalRounds = Math.max(1, Math.ceil(Math.log2(seeds.length)));
+        }
+        if (started.format === 'round-robin') {
+            started.totalRounds = roundRobinSchedule(seeds).length;
+        }
+        await storage.updateTournament(tournament.id, {
+            status: started.status,
+            seeds: started.seeds,
+            startedAt: started.startedAt,
+            totalRounds: started.totalRounds
+        });
+        return { tournament: await advance(storage, started) };
+    });
+}
+
+/**
+ * Called whenever a game finishes; moves the game's tournament on to the
+ * next round once every game in the current round is done. Runs under the
+ * tournament's lock so two games finishing at once can't both advance the
+ * same round.
+ */
+async function onGameFinished(storage, game) {
+    if (!game.tournamentId) return;
+    await withLock(game.tournamentId, async () => {
+        const tournament = await storage.getTournament(game.tournamentId);
+        if (!tournament || tournament.status !== 'running' || game.round !== tournament.currentRound) return;
+        const round = tournament.rounds[tournament.currentRound - 1];
+        const gamesById = await loadGames(storage, tournament);
+        if (round.pairings.every(p => pairingComplete(p, gamesById))) {
+            await advance(storage, tournament);
+        }
+    });
+}
+
+async function getStandings(storage, tournament) {
+    return computeStandings(tournament, await loadGames(storage, tournament));
+}
+
+module.exports = {
+    FORMATS,
+    roundRobinSchedule,
+    swissPairs,
+    knockoutPairs,
+    computeStandings,
+    createTournament,
+    joinTournament,
+    startTournament,
+    onGameFinished,
+    getStandings
+};
@@ -0,0 +1,133 @@
+/**
+ * Request validation
+ *
+ * Checks values against the JSON Schema subset used in schemas.js: type,
+ * enum, pattern, minLength, maxLength, minimum, maximum, properties,
+ * required, additionalProperties, items, minItems and maxItems. Query strings are converted to
+ * numbers where the schema asks for one.
+ */
+
+const { ENDPOINTS } = require('./schemas');
+const { sendError } = require('./errors');
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    const actual = typeOf(value);
+    return type === actual || (type === 'number' && actual === 'integer');
+}
+
+function describeRange(schema) {
+    const kind = schema.type === 'integer' ? 'an integer' : 'a number';
+    if (schema.minimum !== undefined && schema.maximum !== undefined) {
+        return `${kind} from ${schema.minimum} to ${schema.maximum}`;
+    }
+    if (schema.minimum !== undefined) return `${kind} of at least ${schema.minimum}`;
+    if (schema.maximum !== undefined) return `${kind} of at most ${schema.maximum}`;
+    return kind;
+}
+
+/**
+ * Problems with `value`, one `{ path, message }` each.
+ * @param {string} path where the value came from, e.g. 'body.pit'
+ */
+function validateValue(schema, value, path) {
+    const errors = [];
+    const fail = message => errors.push({ path, message: `${path} ${message}` });
+
+    const types = [].concat(schema.type || []);
+    if (types.length && !types.some(type => matchesType(type, value))) {
+        const range = types.length === 1 && (types[0] === 'integer' || types[0] === 'number');
+        fail(range ? `must be ${describeRange(schema)}.` : `must be ${types.map(t => (t === 'object' ? 'an object' : `a ${t}`)).join(' or ')}.`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}.`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters.`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters.`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(schema.format === 'uuid' ? 'must be a UUID.' : 'is not in a valid format.');
+        }
+    }
+    if (typeof value === 'number' && (value < schema.minimum || value > schema.maximum)) {
+        fail(`must be ${describeRange(schema)}.`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items.`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items.`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateValue(schema.items, item, `${path}[${index}]`)));
+        }
+    }
+    if (typeOf(value) === 'object' && schema.properties) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: `${path}.${key} is required.` });
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const property = schema.properties[key];
+            if (property) {
+                if (item !== undefined) errors.push(...validateValue(property, item, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${key}`, message: `${path}.${key} is not allowed.` });
+            }
+        }
+    }
+    return errors;
+}
+
+// Query values arrive as strings; turn numeric ones into numbers where the schema wants a number
+function coerceQuery(schema, value) {
+    const numeric = [].concat(schema.type || []).some(type => type === 'integer' || type === 'number');
+    return numeric && typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Express middleware checking a request against ENDPOINTS[endpoint], before
+ * authentication so malformed IDs are reported as such. Responds with
+ * VALIDATION_FAILED and every problem found.
+ */
+function validate(endpoint) {
+    const spec = ENDPOINTS[endpoint];
+    if (!spec) throw new Error(`No schema for ${endpoint}`);
+
+    return (req, res, next) => {
+        const errors = [];
+        for (const [name, schema] of Object.entries(spec.params || {})) {
+            errors.push(...validateValue(schema, req.params[name], `params.${name}`));
+        }
+        for (const [name, schema] of Object.entries(spec.query || {})) {
+            if (req.query[name] === undefined) continue;
+            const value = coerceQuery(schema, req.query[name]);
+            const problems = validateValue(schema, value, `query.${name}`);
+            if (problems.length === 0) req.query[name] = value;
+            errors.push(...problems);
+        }
+        if (spec.body) {
+            errors.push(...validateValue(spec.body, req.body === undefined ? {} : req.body, 'body'));
+        }
+        if (errors.length) {
+            return sendError(res, 'VALIDATION_FAILED', errors.map(e => e.message).join(' '), errors);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    validateValue,
+    validate
+};
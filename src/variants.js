@@ -0,0 +1,133 @@
+/**
+ * Rule variants
+ *
+ * A variant descriptor fixes the board size and the rule options passed to
+ * the rules engine:
+ *
+ *   pitsPerSide   pits on each side (board length is 2 * pitsPerSide + 2)
+ *   seeds         seeds in every pit at the start
+ *   capture       'opposite' (Kalah: last seed in own empty pit takes the opposite pit),
+ *                 'oware' (last seed makes 2 or 3 in an opponent pit) or 'none'
+ *   sweep         when a side runs out of seeds the rest go to their 'owner',
+ *                 or to the 'empty-side' player who ran out
+ *   sowStores     whether sowing drops seeds into your own store
+ *   skipOrigin    whether a lap of the board skips the pit it started from
+ *
+ * Each variant has its own rating pool, keyed by `name`.
+ */
+
+const VARIANTS = {
+    'kalah-6-4': {
+        name: 'kalah-6-4',
+        pitsPerSide: 6,
+        seeds: 4,
+        capture: 'opposite',
+        sweep: 'owner',
+        sowStores: true,
+        skipOrigin: false
+    },
+    'kalah-6-6': {
+        name: 'kalah-6-6',
+        pitsPerSide: 6,
+        seeds: 6,
+        capture: 'opposite',
+        sweep: 'owner',
+        sowStores: true,
+        skipOrigin: false
+    },
+    'oware': {
+        name: 'oware',
+        pitsPerSide: 6,
+        seeds: 4,
+        capture: 'oware',
+        sweep: 'owner',
+        sowStores: false,
+        skipOrigin: true
+    }
+};
+
+const DEFAULT_VARIANT = 'kalah-6-4';
+
+const CAPTURE_MODES = ['opposite', 'oware', 'none'];
+const SWEEP_MODES = ['owner', 'empty-side'];
+const RULE_KEYS = ['pitsPerSide', 'seeds', 'capture', 'sweep', 'sowStores', 'skipOrigin'];
+
+// Name for a custom descriptor, so identical rules always share a rating pool
+function customName(variant) {
+    return [
+        'custom',
+        `${variant.pitsPerSide}x${variant.seeds}`,
+        variant.capture,
+        variant.sweep,
+        variant.sowStores ? 'stores' : 'nostores',
+        variant.skipOrigin ? 'skip' : 'noskip'
+    ].join('-');
+}
+
+// Rule options encoded in a custom variant's name, or null if it isn't one
+function parseCustomName(name) {
+    const match = name.match(/^custom-(\d+)x(\d+)-(\w+)-([\w-]+)-(stores|nostores)-(skip|noskip)$/);
+    if (!match) return null;
+    return {
+        pitsPerSide: Number(match[1]),
+        seeds: Number(match[2]),
+        capture: match[3],
+        sweep: match[4],
+        sowStores: match[5] === 'stores',
+        skipOrigin: match[6] === 'skip'
+    };
+}
+
+/**
+ * Turn a preset name, a custom variant name or a partial descriptor into a
+ * full variant.
+ * Partial descriptors are filled in from the default variant.
+ * @throws {Error} if the name is unknown or an option is out of range
+ */
+function resolveVariant(spec) {
+    if (spec == null || spec === '') return VARIANTS[DEFAULT_VARIANT];
+    if (typeof spec === 'string') {
+        if (VARIANTS[spec]) return VARIANTS[spec];
+        const custom = parseCustomName(spec);
+        if (!custom) throw new Error(`Unknown variant: ${spec}`);
+        return resolveVariant(custom);
+    }
+    if (typeof spec !== 'object') throw new Error('Variant must be a name or a descriptor object.');
+
+    const variant = { ...VARIANTS[DEFAULT_VARIANT] };
+    for (const key of RULE_KEYS) {
+        if (spec[key] !== undefined) variant[key] = spec[key];
+    }
+    if (!Number.isInteger(variant.pitsPerSide) || variant.pitsPerSide < 1 || variant.pitsPerSide > 12) {
+        throw new Error('pitsPerSide must be an integer from 1 to 12.');
+    }
+    if (!Number.isInteger(variant.seeds) || variant.seeds < 1 || variant.seeds > 12) {
+        throw new Error('seeds must be an integer from 1 to 12.');
+    }
+    if (!CAPTURE_MODES.includes(variant.capture)) {
+        throw new Error(`capture must be one of: ${CAPTURE_MODES.join(', ')}.`);
+    }
+    if (!SWEEP_MODES.includes(variant.sweep)) {
+        throw new Error(`sweep must be one of: ${SWEEP_MODES.join(', ')}.`);
+    }
+    if (typeof variant.sowStores !== 'boolean' || typeof variant.skipOrigin !== 'boolean') {
+        throw new Error('sowStores and skipOrigin must be booleans.');
+    }
+
+    const preset = Object.values(VARIANTS).find(v => RULE_KEYS.every(key => v[key] === variant[key]));
+    variant.name = preset ? preset.name : customName(variant);
+    return variant;
+}
+
+// Starting board for a variant: full pits, empty stores
+function initialBoard(variant) {
+    const side = [...Array(variant.pitsPerSide).fill(variant.seeds), 0];
+    return [...side, ...side];
+}
+
+module.exports = {
+    VARIANTS,
+    DEFAULT_VARIANT,
+    resolveVariant,
+    initialBoard
+};